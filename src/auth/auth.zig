@@ -34,6 +34,7 @@ pub const Auth = struct {
         };
     }
 
+    // Salt and argon2id hash, hex-encoded (96 characters) so it can be stored as text
     pub fn hashPassword(self: *Auth, password: []const u8) ![]u8 {
         var salt: [16]u8 = undefined;
         compat.cryptoRandomBytes(&salt);
@@ -50,18 +51,21 @@ pub const Auth = struct {
         );
 
         // Combine salt and hash for storage
-        const result = try self.allocator.alloc(u8, 48); // 16 + 32
-        @memcpy(result[0..16], &salt);
-        @memcpy(result[16..48], &hash);
+        var combined: [48]u8 = undefined;
+        @memcpy(combined[0..16], &salt);
+        @memcpy(combined[16..48], &hash);
 
-        return result;
+        const hex = std.fmt.bytesToHex(combined, .lower);
+        return self.allocator.dupe(u8, &hex);
     }
 
     pub fn verifyPassword(self: *Auth, password: []const u8, stored_hash: []const u8) !bool {
-        if (stored_hash.len != 48) return false;
+        if (stored_hash.len != 96) return false;
 
-        const salt = stored_hash[0..16];
-        const expected_hash = stored_hash[16..48];
+        var combined: [48]u8 = undefined;
+        _ = std.fmt.hexToBytes(&combined, stored_hash) catch return false;
+        const salt = combined[0..16];
+        const expected_hash = combined[16..48];
 
         var computed_hash: [32]u8 = undefined;
         try crypto.pwhash.argon2.kdf(
@@ -71,9 +75,10 @@ pub const Auth = struct {
             salt,
             .{ .t = 3, .m = 65536, .p = 1 },
             .argon2id,
+            self.io,
         );
 
-        return crypto.utils.timingSafeEql([32]u8, computed_hash, expected_hash[0..32].*);
+        return crypto.timing_safe.eql([32]u8, computed_hash, expected_hash.*);
     }
 
     pub fn generateApiToken(self: *Auth, user_id: i64) ![]u8 {
@@ -154,6 +159,23 @@ pub const Auth = struct {
         return auth_token;
     }
 
+    // Personal access tokens are random, not signed: the prefix tells them apart
+    // from JWTs and legacy tokens, and only their SHA-256 is stored
+    pub const personal_token_prefix = "zpl_";
+
+    pub fn generatePersonalToken(self: *Auth) ![]u8 {
+        var random: [32]u8 = undefined;
+        compat.cryptoRandomBytes(&random);
+        const hex = std.fmt.bytesToHex(random, .lower);
+        return std.fmt.allocPrint(self.allocator, "{s}{s}", .{ personal_token_prefix, &hex });
+    }
+
+    pub fn hashPersonalToken(token: []const u8) [64]u8 {
+        var digest: [32]u8 = undefined;
+        crypto.hash.sha2.Sha256.hash(token, &digest, .{});
+        return std.fmt.bytesToHex(digest, .lower);
+    }
+
     pub fn extractBearerToken(authorization_header: []const u8) ?[]const u8 {
         const bearer_prefix = "Bearer ";
         if (std.mem.startsWith(u8, authorization_header, bearer_prefix)) {
@@ -41,6 +41,9 @@ pub const UnifiedUser = struct {
     api_token: ?[]const u8,
     created_at: i64,
     updated_at: i64,
+    // The provider's stable user id (GitHub's numeric id, the OIDC "sub"),
+    // set by handleCallback; owned by the caller
+    provider_id: ?[]const u8 = null,
 };
 
 pub const UnifiedAuthSystem = struct {
@@ -130,7 +133,7 @@ pub const UnifiedAuthSystem = struct {
                     
                     // Create or update user based on OIDC info - duplicate strings for return
                     return UnifiedUser{
-                        .id = 1, // Would be generated/fetched from database
+                        .id = 0, // the account id is assigned by the registry
                         .username = try self.allocator.dupe(u8, user_info.preferred_username orelse user_info.email orelse "user"),
                         .email = try self.allocator.dupe(u8, user_info.email orelse ""),
                         .display_name = if (user_info.name) |name| try self.allocator.dupe(u8, name) else null,
@@ -140,6 +143,7 @@ pub const UnifiedAuthSystem = struct {
                         .api_token = null,
                         .created_at = compat.timestamp(),
                         .updated_at = compat.timestamp(),
+                        .provider_id = try self.allocator.dupe(u8, user_info.sub),
                     };
                 }
                 return error.ProviderNotConfigured;
@@ -179,6 +183,7 @@ pub const UnifiedAuthSystem = struct {
                         .api_token = null,
                         .created_at = compat.timestamp(),
                         .updated_at = compat.timestamp(),
+                        .provider_id = try std.fmt.allocPrint(self.allocator, "{d}", .{github_user.id}),
                     };
                 }
                 return error.ProviderNotConfigured;
@@ -242,8 +247,6 @@ pub const UnifiedAuthSystem = struct {
         var sig_buf: [64]u8 = undefined;
         const signature_encoded = std.base64.url_safe_no_pad.Encoder.encode(&sig_buf, &signature);
 
-        std.debug.print("JWT created: secret_len={} sig={s}\n", .{self.jwt_secret.len, signature_encoded});
-
         // Combine all parts
         return std.fmt.allocPrint(
             self.allocator,
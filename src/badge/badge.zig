@@ -0,0 +1,217 @@
+//! SVG badges for package READMEs, in the layout shields.io popularised: a
+//! grey label on the left and a coloured message on the right. Text widths
+//! are estimated from Verdana's advance widths, since the server has no font
+//! to measure with; the estimate errs wide so text never overflows its box.
+
+const std = @import("std");
+
+pub const Style = enum {
+    flat,
+    flat_square,
+    for_the_badge,
+
+    pub fn parse(name: []const u8) ?Style {
+        if (std.mem.eql(u8, name, "flat")) return .flat;
+        if (std.mem.eql(u8, name, "flat-square")) return .flat_square;
+        if (std.mem.eql(u8, name, "for-the-badge")) return .for_the_badge;
+        return null;
+    }
+};
+
+// Message colours
+pub const Color = struct {
+    pub const label = "#555";
+    pub const blue = "#007ec6";
+    pub const green = "#4c1";
+    pub const orange = "#fe7d37";
+    pub const zig = "#f7a41d";
+    pub const grey = "#9f9f9f";
+};
+
+pub const Badge = struct {
+    label: []const u8,
+    message: []const u8,
+    color: []const u8,
+};
+
+// Caller frees the SVG
+pub fn render(allocator: std.mem.Allocator, badge: Badge, style: Style) ![]u8 {
+    const tall = style == .for_the_badge;
+    const height: u32 = if (tall) 28 else 20;
+    const padding: u32 = if (tall) 9 else 5;
+    const radius: u32 = if (style == .flat) 3 else 0;
+
+    const label = if (tall) try std.ascii.allocUpperString(allocator, badge.label) else try allocator.dupe(u8, badge.label);
+    defer allocator.free(label);
+    const message = if (tall) try std.ascii.allocUpperString(allocator, badge.message) else try allocator.dupe(u8, badge.message);
+    defer allocator.free(message);
+
+    const label_width = textWidth(label, style) + 2 * padding;
+    const message_width = textWidth(message, style) + 2 * padding;
+    const width = label_width + message_width;
+
+    const label_xml = try escapeXml(allocator, label);
+    defer allocator.free(label_xml);
+    const message_xml = try escapeXml(allocator, message);
+    defer allocator.free(message_xml);
+    const title = try std.fmt.allocPrint(allocator, "{s}: {s}", .{ label_xml, message_xml });
+    defer allocator.free(title);
+
+    var out: std.Io.Writer.Allocating = .init(allocator);
+    defer out.deinit();
+    const writer = &out.writer;
+
+    try writer.print("<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"{d}\" height=\"{d}\" role=\"img\" aria-label=\"{s}\">", .{ width, height, title });
+    try writer.print("<title>{s}</title>", .{title});
+    if (style == .flat) {
+        try writer.writeAll("<linearGradient id=\"s\" x2=\"0\" y2=\"100%\"><stop offset=\"0\" stop-color=\"#bbb\" stop-opacity=\".1\"/><stop offset=\"1\" stop-opacity=\".1\"/></linearGradient>");
+    }
+    try writer.print("<clipPath id=\"r\"><rect width=\"{d}\" height=\"{d}\" rx=\"{d}\" fill=\"#fff\"/></clipPath>", .{ width, height, radius });
+    try writer.writeAll("<g clip-path=\"url(#r)\">");
+    try writer.print("<rect width=\"{d}\" height=\"{d}\" fill=\"{s}\"/>", .{ label_width, height, Color.label });
+    try writer.print("<rect x=\"{d}\" width=\"{d}\" height=\"{d}\" fill=\"{s}\"/>", .{ label_width, message_width, height, badge.color });
+    if (style == .flat) try writer.print("<rect width=\"{d}\" height=\"{d}\" fill=\"url(#s)\"/>", .{ width, height });
+    try writer.writeAll("</g>");
+
+    try writer.print("<g fill=\"#fff\" text-anchor=\"middle\" font-family=\"Verdana,Geneva,DejaVu Sans,sans-serif\" font-size=\"{d}\"{s}>", .{
+        @as(u32, if (tall) 10 else 11),
+        if (tall) " letter-spacing=\"1\"" else "",
+    });
+    // Centres are written in tenths so odd widths stay centred
+    const label_x = label_width * 5;
+    const message_x = label_width * 10 + message_width * 5;
+    if (tall) {
+        try writer.print("<text x=\"{d}.{d}\" y=\"18\">{s}</text>", .{ label_x / 10, label_x % 10, label_xml });
+        try writer.print("<text x=\"{d}.{d}\" y=\"18\" font-weight=\"bold\">{s}</text>", .{ message_x / 10, message_x % 10, message_xml });
+    } else {
+        // A faint copy a pixel lower reads as a shadow on light and dark pages
+        for ([_]struct { x: u32, text: []const u8 }{ .{ .x = label_x, .text = label_xml }, .{ .x = message_x, .text = message_xml } }) |part| {
+            try writer.print("<text x=\"{d}.{d}\" y=\"15\" fill=\"#010101\" fill-opacity=\".3\">{s}</text>", .{ part.x / 10, part.x % 10, part.text });
+            try writer.print("<text x=\"{d}.{d}\" y=\"14\">{s}</text>", .{ part.x / 10, part.x % 10, part.text });
+        }
+    }
+    try writer.writeAll("</g></svg>");
+
+    return out.toOwnedSlice();
+}
+
+/// 950, 12.3k, 4.5M: how the downloads badge shows a count
+pub fn formatCount(allocator: std.mem.Allocator, count: u64) ![]u8 {
+    if (count < 1000) return std.fmt.allocPrint(allocator, "{d}", .{count});
+    if (count < 1_000_000) return formatScaled(allocator, count, 1000, "k");
+    if (count < 1_000_000_000) return formatScaled(allocator, count, 1_000_000, "M");
+    return formatScaled(allocator, count, 1_000_000_000, "B");
+}
+
+// One decimal below 100 of the unit, none above; rounded down so a badge
+// never claims a milestone before it's reached
+fn formatScaled(allocator: std.mem.Allocator, count: u64, unit: u64, suffix: []const u8) ![]u8 {
+    const tenths = count * 10 / unit;
+    if (tenths >= 1000 or tenths % 10 == 0) return std.fmt.allocPrint(allocator, "{d}{s}", .{ tenths / 10, suffix });
+    return std.fmt.allocPrint(allocator, "{d}.{d}{s}", .{ tenths / 10, tenths % 10, suffix });
+}
+
+// Estimated rendered width in pixels: Verdana 11px, or bold 10px with 1px
+// letter spacing for for-the-badge
+fn textWidth(text: []const u8, style: Style) u32 {
+    var tenths: u32 = 0;
+    const view = std.unicode.Utf8View.init(text) catch return @intCast(text.len * 8);
+    var chars = view.iterator();
+    while (chars.nextCodepoint()) |char| {
+        const advance = charWidth(char);
+        tenths += if (style == .for_the_badge) advance * 10 / 11 + 10 else advance;
+    }
+    if (style == .for_the_badge) tenths += tenths / 10; // room for the bold message
+    return (tenths + 9) / 10;
+}
+
+// Advance widths in tenths of a pixel at 11px
+fn charWidth(char: u21) u32 {
+    if (char > 0x7f) return 100;
+    const ascii: u8 = @intCast(char);
+    if (std.mem.indexOfScalar(u8, "ijl'|!.,:;", ascii) != null) return 35;
+    if (std.mem.indexOfScalar(u8, " ftrI()[]-/", ascii) != null) return 48;
+    if (std.mem.indexOfScalar(u8, "mMW@", ascii) != null) return 105;
+    if (std.mem.indexOfScalar(u8, "w%OQGDHNU", ascii) != null) return 88;
+    if (std.ascii.isLower(ascii)) return 68;
+    if (std.ascii.isUpper(ascii)) return 78;
+    return 70;
+}
+
+fn escapeXml(allocator: std.mem.Allocator, text: []const u8) ![]u8 {
+    var escaped: std.ArrayList(u8) = .empty;
+    errdefer escaped.deinit(allocator);
+    for (text) |char| {
+        switch (char) {
+            '&' => try escaped.appendSlice(allocator, "&amp;"),
+            '<' => try escaped.appendSlice(allocator, "&lt;"),
+            '>' => try escaped.appendSlice(allocator, "&gt;"),
+            '"' => try escaped.appendSlice(allocator, "&quot;"),
+            '\'' => try escaped.appendSlice(allocator, "&#39;"),
+            // Not allowed in XML at all
+            0...0x1f => {},
+            else => try escaped.append(allocator, char),
+        }
+    }
+    return escaped.toOwnedSlice(allocator);
+}
+
+test "formatCount rounds down to one decimal below 100 units" {
+    const cases = [_]struct { count: u64, expected: []const u8 }{
+        .{ .count = 0, .expected = "0" },
+        .{ .count = 999, .expected = "999" },
+        .{ .count = 1000, .expected = "1k" },
+        .{ .count = 1099, .expected = "1k" },
+        .{ .count = 1100, .expected = "1.1k" },
+        .{ .count = 12_345, .expected = "12.3k" },
+        .{ .count = 99_999, .expected = "99.9k" },
+        .{ .count = 100_000, .expected = "100k" },
+        .{ .count = 999_999, .expected = "999k" },
+        .{ .count = 1_000_000, .expected = "1M" },
+        .{ .count = 1_560_000, .expected = "1.5M" },
+        .{ .count = 2_000_000_000, .expected = "2B" },
+    };
+    for (cases) |case| {
+        const formatted = try formatCount(std.testing.allocator, case.count);
+        defer std.testing.allocator.free(formatted);
+        try std.testing.expectEqualStrings(case.expected, formatted);
+    }
+}
+
+test "escapeXml escapes markup and drops control characters" {
+    const escaped = try escapeXml(std.testing.allocator, "<a href=\"x\">Tom's & Jerry's</a>\x01\n");
+    defer std.testing.allocator.free(escaped);
+    try std.testing.expectEqualStrings("&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; Jerry&#39;s&lt;/a&gt;", escaped);
+}
+
+test "Style.parse accepts the shields.io style names" {
+    try std.testing.expectEqual(Style.flat, Style.parse("flat").?);
+    try std.testing.expectEqual(Style.flat_square, Style.parse("flat-square").?);
+    try std.testing.expectEqual(Style.for_the_badge, Style.parse("for-the-badge").?);
+    try std.testing.expect(Style.parse("flat_square") == null);
+    try std.testing.expect(Style.parse("FLAT") == null);
+    try std.testing.expect(Style.parse("") == null);
+}
+
+test "render escapes text and follows the style" {
+    const allocator = std.testing.allocator;
+    const badge = Badge{ .label = "a&b", .message = "<v1>", .color = Color.blue };
+
+    const flat = try render(allocator, badge, .flat);
+    defer allocator.free(flat);
+    try std.testing.expect(std.mem.startsWith(u8, flat, "<svg xmlns=\"http://www.w3.org/2000/svg\""));
+    try std.testing.expect(std.mem.indexOf(u8, flat, "aria-label=\"a&amp;b: &lt;v1&gt;\"") != null);
+    try std.testing.expect(std.mem.indexOf(u8, flat, "<v1>") == null);
+    try std.testing.expect(std.mem.indexOf(u8, flat, "rx=\"3\"") != null);
+    try std.testing.expect(std.mem.indexOf(u8, flat, "linearGradient") != null);
+
+    const square = try render(allocator, badge, .flat_square);
+    defer allocator.free(square);
+    try std.testing.expect(std.mem.indexOf(u8, square, "rx=\"0\"") != null);
+    try std.testing.expect(std.mem.indexOf(u8, square, "linearGradient") == null);
+
+    const tall = try render(allocator, badge, .for_the_badge);
+    defer allocator.free(tall);
+    try std.testing.expect(std.mem.indexOf(u8, tall, "height=\"28\"") != null);
+    try std.testing.expect(std.mem.indexOf(u8, tall, "A&amp;B: &lt;V1&gt;") != null);
+}
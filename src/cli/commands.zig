@@ -102,6 +102,10 @@ pub fn printHelp() void {
         \\    trending           Show trending packages
         \\    help               Show this help message
         \\
+        \\REGISTRY SERVER:
+        \\    serve [port] [data_dir]     Run the registry (default 8080, ./data)
+        \\    send-digests [data_dir]     Email the notification digests that are due
+        \\
         \\EXAMPLES:
         \\    zepplin init
         \\    zepplin add xev
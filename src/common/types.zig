@@ -37,9 +37,26 @@ pub const Version = struct {
     major: u32,
     minor: u32,
     patch: u32,
+    // Pre-release identifiers ("rc.1" in 1.0.0-rc.1); build metadata is dropped
+    pre: ?[]const u8 = null,
 
+    /// Parses "1.2.3", "v1.2.3" or "1.2.3-rc.1+build.5". `pre` points into
+    /// version_str, so it lives as long as the input does.
     pub fn parse(version_str: []const u8) !Version {
-        var parts = std.mem.splitSequence(u8, version_str, ".");
+        var core = if (std.mem.startsWith(u8, version_str, "v")) version_str[1..] else version_str;
+        if (std.mem.indexOfScalar(u8, core, '+')) |build_start| core = core[0..build_start];
+
+        var pre: ?[]const u8 = null;
+        if (std.mem.indexOfScalar(u8, core, '-')) |pre_start| {
+            pre = core[pre_start + 1 ..];
+            core = core[0..pre_start];
+            if (pre.?.len == 0) return error.InvalidVersion;
+            for (pre.?) |c| {
+                if (!std.ascii.isAlphanumeric(c) and c != '.' and c != '-') return error.InvalidVersion;
+            }
+        }
+
+        var parts = std.mem.splitSequence(u8, core, ".");
         const major_str = parts.next() orelse return error.InvalidVersion;
         const minor_str = parts.next() orelse return error.InvalidVersion;
         const patch_str = parts.next() orelse return error.InvalidVersion;
@@ -48,10 +65,14 @@ pub const Version = struct {
             .major = try std.fmt.parseInt(u32, major_str, 10),
             .minor = try std.fmt.parseInt(u32, minor_str, 10),
             .patch = try std.fmt.parseInt(u32, patch_str, 10),
+            .pre = pre,
         };
     }
 
     pub fn toString(self: Version, allocator: std.mem.Allocator) ![]u8 {
+        if (self.pre) |pre| {
+            return std.fmt.allocPrint(allocator, "{}.{}.{}-{s}", .{ self.major, self.minor, self.patch, pre });
+        }
         return std.fmt.allocPrint(allocator, "{}.{}.{}", .{ self.major, self.minor, self.patch });
     }
 };
@@ -176,7 +197,7 @@ pub const Package = struct {
     owner: []const u8,
     repo: []const u8,
     description: ?[]const u8 = null,
-    topics: [][]const u8 = &.{},
+    topics: []const []const u8 = &.{},
     license: ?[]const u8 = null,
     homepage: ?[]const u8 = null,
     github_url: ?[]const u8 = null,
@@ -200,6 +221,8 @@ pub const Release = struct {
     body: ?[]const u8 = null,
     draft: bool = false,
     prerelease: bool = false,
+    // Fixes a vulnerability
+    security: bool = false,
     created_at: i64,
     published_at: ?i64 = null,
     tarball_url: ?[]const u8 = null,
@@ -271,6 +294,35 @@ pub const DownloadStats = struct {
     last_downloaded: ?i64 = null,
 };
 
+/// Granularity of the download history
+pub const DownloadPeriod = enum {
+    day,
+    week,
+
+    /// Start of the bucket containing `at`: UTC midnight, or Monday for weeks
+    pub fn bucketStart(self: DownloadPeriod, at: i64) i64 {
+        const days = @divFloor(at, std.time.s_per_day);
+        return switch (self) {
+            .day => days * std.time.s_per_day,
+            // 1970-01-01 was a Thursday
+            .week => (days - @mod(days + 3, 7)) * std.time.s_per_day,
+        };
+    }
+};
+
+/// Downloads of one version within a history bucket
+pub const DownloadBucket = struct {
+    version: []const u8,
+    bucket: i64,
+    count: u64,
+};
+
+/// Downloads or other events for a package over a time range
+pub const PackageCount = struct {
+    package: []const u8,
+    count: u64,
+};
+
 /// Registry configuration
 pub const RegistryConfig = struct {
     name: []const u8,
@@ -316,9 +368,36 @@ pub const UploadData = struct {
     body: ?[]const u8 = null,
     draft: bool = false,
     prerelease: bool = false,
+    // Fixes a vulnerability; notifies watchers at the "security" level
+    security: bool = false,
     file_data: []const u8,
     filename: []const u8,
     content_type: []const u8,
+    // Set when the file came from a resumable upload session
+    upload_id: ?[]const u8 = null,
+};
+
+/// Chunked, resumable upload of a release archive. Chunks are stored as they
+/// arrive; publishing a release with the session's id assembles them.
+pub const UploadSession = struct {
+    id: []const u8,
+    owner: []const u8,
+    repo: []const u8,
+    user_id: i64,
+    filename: []const u8,
+    size: u64,
+    sha256: [64]u8,
+    chunk_size: u64,
+    received: u64 = 0,
+    created_at: i64,
+
+    pub fn isComplete(self: UploadSession) bool {
+        return self.received == self.size;
+    }
+
+    pub fn isExpired(self: UploadSession, now: i64, max_age: i64) bool {
+        return now - self.created_at > max_age;
+    }
 };
 
 /// Comment on a package (AUR-style)
@@ -332,6 +411,8 @@ pub const Comment = struct {
     created_at: i64,
     updated_at: i64,
     is_deleted: bool = false,
+    is_hidden: bool = false, // Hidden by a package maintainer
+    is_pinned: bool = false,
     parent_id: ?u64 = null, // For nested replies
     
     pub fn isReply(self: Comment) bool {
@@ -350,3 +431,181 @@ pub const CommentRequest = struct {
 pub const CommentUpdateRequest = struct {
     content: []const u8,
 };
+
+/// What a personal access token is allowed to do
+pub const TokenScope = enum {
+    publish,
+    yank,
+    alias,
+    comment,
+
+    pub fn parse(name: []const u8) ?TokenScope {
+        return std.meta.stringToEnum(TokenScope, name);
+    }
+};
+
+/// Local (username and password) account, as needed to sign in.
+pub const UserCredentials = struct {
+    user_id: i64, // the users table rowid
+    username: []const u8,
+    email: []const u8,
+    password_hash: []const u8, // Auth.hashPassword output; empty when the account has no password
+
+    pub fn hasPassword(self: UserCredentials) bool {
+        return self.password_hash.len > 0;
+    }
+};
+
+/// A GitHub or Microsoft sign-in linked to an account, keyed by the
+/// provider's own user id so renames on the provider side don't matter.
+pub const Identity = struct {
+    username: []const u8, // the account it signs in to
+    provider: []const u8, // "github" or "microsoft"
+    provider_id: []const u8,
+    email: []const u8,
+    display_name: []const u8,
+    linked_at: i64,
+};
+
+/// Profile fields edited in Settings. Empty fields fall back to what the
+/// session or token carries.
+pub const Profile = struct {
+    display_name: []const u8 = "",
+    email: []const u8 = "",
+    avatar_url: []const u8 = "",
+    // "system", "light", "dark" or "high-contrast"; "" until one is picked
+    theme: []const u8 = "",
+    // How often unread release notifications are emailed; "" is off
+    email_digest: []const u8 = "",
+    // When the last digest went out, so the next one waits its interval
+    digest_sent_at: i64 = 0,
+    updated_at: i64 = 0,
+};
+
+/// Which releases of a watched package notify the watcher
+pub const WatchLevel = enum {
+    all,
+    major,
+    security,
+
+    pub fn parse(name: []const u8) ?WatchLevel {
+        return std.meta.stringToEnum(WatchLevel, name);
+    }
+
+    pub fn includes(self: WatchLevel, kind: ReleaseKind) bool {
+        return switch (self) {
+            .all => true,
+            .major => kind.major,
+            .security => kind.security,
+        };
+    }
+};
+
+/// What a release means to watchers. A major release is x.0.0, or 0.y.0 while
+/// below 1.0 (where minor versions break); pre-releases never are. Security
+/// comes from the flag the publisher sets.
+pub const ReleaseKind = struct {
+    major: bool = false,
+    security: bool = false,
+
+    pub fn of(version: Version, security: bool) ReleaseKind {
+        const bumped = if (version.major > 0) version.minor == 0 else version.minor > 0;
+        return .{ .major = version.pre == null and version.patch == 0 and bumped, .security = security };
+    }
+
+    /// "security", "major" or "release", as stored with notifications
+    pub fn name(self: ReleaseKind) []const u8 {
+        if (self.security) return "security";
+        if (self.major) return "major";
+        return "release";
+    }
+};
+
+/// A package an account watches
+pub const Watch = struct {
+    username: []const u8,
+    package_name: []const u8, // owner/repo
+    level: []const u8, // a WatchLevel name
+    created_at: i64,
+};
+
+/// A release of a watched package, for one watcher
+pub const Notification = struct {
+    id: u64 = 0,
+    username: []const u8,
+    package_name: []const u8, // owner/repo
+    version: []const u8, // the release's tag
+    kind: []const u8, // ReleaseKind.name
+    created_at: i64,
+    read_at: ?i64 = null,
+    // Set once an email digest has included it
+    emailed_at: ?i64 = null,
+};
+
+/// How often the email digest of unread notifications goes out
+pub const DigestFrequency = enum {
+    off,
+    daily,
+    weekly,
+
+    pub fn parse(name: []const u8) ?DigestFrequency {
+        if (name.len == 0) return .off;
+        return std.meta.stringToEnum(DigestFrequency, name);
+    }
+
+    pub fn interval(self: DigestFrequency) ?i64 {
+        return switch (self) {
+            .off => null,
+            .daily => 24 * 60 * 60,
+            .weekly => 7 * 24 * 60 * 60,
+        };
+    }
+};
+
+/// What happened in the registry, for the live activity feed
+pub const ActivityKind = enum {
+    /// A package appeared: its first release, or an ecosystem import
+    package,
+    release,
+    /// A release was deleted
+    delete,
+    /// A package's downloads reached one of the milestone counts
+    milestone,
+
+    pub fn parse(name: []const u8) ?ActivityKind {
+        return std.meta.stringToEnum(ActivityKind, name);
+    }
+};
+
+/// One entry in the activity feed. The id orders the feed and doubles as the
+/// Server-Sent Events id clients resume from.
+pub const Activity = struct {
+    id: u64 = 0,
+    kind: ActivityKind,
+    package_name: []const u8, // owner/repo
+    version: []const u8 = "", // the release's tag, for release and delete
+    value: u64 = 0, // the download count, for milestone
+    created_at: i64,
+};
+
+/// Personal access token for CI and the CLI. Only the SHA-256 of the secret
+/// is stored; the identity fields are copied from the session that created it.
+pub const ApiToken = struct {
+    id: u64,
+    user_id: i64,
+    username: []const u8,
+    email: []const u8,
+    display_name: []const u8,
+    avatar_url: []const u8,
+    provider: []const u8,
+    name: []const u8,
+    scopes: []const u8, // comma-separated TokenScope names
+    token_prefix: []const u8, // first characters of the secret, to tell tokens apart
+    created_at: i64,
+    expires_at: ?i64 = null,
+    last_used_at: ?i64 = null,
+
+    pub fn isExpired(self: ApiToken, now: i64) bool {
+        return if (self.expires_at) |expires_at| now >= expires_at else false;
+    }
+};
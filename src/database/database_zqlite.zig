@@ -24,7 +24,37 @@ pub const Database = struct {
             \\  file_size INTEGER,
             \\  checksum TEXT,
             \\  created_at INTEGER,
-            \\  updated_at INTEGER
+            \\  updated_at INTEGER,
+            \\  topics TEXT,
+            \\  minimum_zig_version TEXT
+            \\)
+        );
+
+        // Databases created before topics and minimum_zig_version were stored;
+        // adding a column that already exists fails, which is fine
+        for ([_][]const u8{ "topics TEXT", "minimum_zig_version TEXT" }) |column| {
+            var buf: [128]u8 = undefined;
+            const sql = try std.fmt.bufPrint(buf[0..], "ALTER TABLE packages ADD COLUMN {s}", .{column});
+            db.execute(sql) catch {};
+        }
+
+        // Published releases, one per package and tag; sha256 is the checksum
+        // of the stored archive
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS releases (
+            \\  id INTEGER PRIMARY KEY AUTOINCREMENT,
+            \\  package_name TEXT NOT NULL,
+            \\  tag_name TEXT NOT NULL,
+            \\  name TEXT,
+            \\  body TEXT,
+            \\  draft INTEGER DEFAULT 0,
+            \\  prerelease INTEGER DEFAULT 0,
+            \\  security INTEGER DEFAULT 0,
+            \\  file_size INTEGER DEFAULT 0,
+            \\  sha256 TEXT,
+            \\  created_at INTEGER,
+            \\  published_at INTEGER,
+            \\  UNIQUE (package_name, tag_name)
             \\)
         );
 
@@ -49,6 +79,150 @@ pub const Database = struct {
             \\)
         );
 
+        // Downloads per version in daily and weekly buckets; bucket is the period's start time
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS download_history (
+            \\  package_name TEXT NOT NULL,
+            \\  version TEXT NOT NULL,
+            \\  period TEXT NOT NULL,
+            \\  bucket INTEGER NOT NULL,
+            \\  count INTEGER DEFAULT 0,
+            \\  PRIMARY KEY (package_name, version, period, bucket)
+            \\)
+        );
+
+        // Create personal access tokens table; token_hash is the SHA-256 of the secret
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS api_tokens (
+            \\  id INTEGER PRIMARY KEY AUTOINCREMENT,
+            \\  user_id INTEGER NOT NULL,
+            \\  username TEXT NOT NULL,
+            \\  email TEXT,
+            \\  display_name TEXT,
+            \\  avatar_url TEXT,
+            \\  provider TEXT,
+            \\  name TEXT NOT NULL,
+            \\  scopes TEXT NOT NULL,
+            \\  token_hash TEXT UNIQUE NOT NULL,
+            \\  token_prefix TEXT NOT NULL,
+            \\  created_at INTEGER,
+            \\  expires_at INTEGER,
+            \\  last_used_at INTEGER
+            \\)
+        );
+
+        // Package discussion; deleted comments keep their row so replies stay threaded
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS comments (
+            \\  id INTEGER PRIMARY KEY AUTOINCREMENT,
+            \\  package_id TEXT NOT NULL,
+            \\  user_id INTEGER NOT NULL,
+            \\  username TEXT NOT NULL,
+            \\  display_name TEXT,
+            \\  content TEXT NOT NULL,
+            \\  parent_id INTEGER,
+            \\  created_at INTEGER,
+            \\  updated_at INTEGER,
+            \\  is_deleted INTEGER DEFAULT 0,
+            \\  is_hidden INTEGER DEFAULT 0,
+            \\  is_pinned INTEGER DEFAULT 0
+            \\)
+        );
+
+        // OAuth/OIDC sign-ins linked to an account; the password lives in users
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS identities (
+            \\  username TEXT NOT NULL,
+            \\  provider TEXT NOT NULL,
+            \\  provider_id TEXT NOT NULL,
+            \\  email TEXT,
+            \\  display_name TEXT,
+            \\  linked_at INTEGER,
+            \\  PRIMARY KEY (provider, provider_id)
+            \\)
+        );
+
+        // Session JWTs can't be recalled, so deleting an account records when;
+        // sessions for that username issued at or before revoked_at are refused
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS session_revocations (
+            \\  username TEXT PRIMARY KEY,
+            \\  revoked_at INTEGER NOT NULL
+            \\)
+        );
+
+        // Profile fields and preferences edited in Settings
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS profiles (
+            \\  username TEXT PRIMARY KEY,
+            \\  display_name TEXT,
+            \\  email TEXT,
+            \\  avatar_url TEXT,
+            \\  updated_at INTEGER,
+            \\  theme TEXT,
+            \\  email_digest TEXT,
+            \\  digest_sent_at INTEGER
+            \\)
+        );
+
+        // Packages whose maintainer isn't the account named after the owner,
+        // after a transfer; an empty username marks an orphaned package
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS package_maintainers (
+            \\  package_name TEXT PRIMARY KEY,
+            \\  username TEXT NOT NULL,
+            \\  updated_at INTEGER
+            \\)
+        );
+
+        // Short names for packages, resolved by /api/v1/resolve/{short_name}
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS aliases (
+            \\  short_name TEXT PRIMARY KEY,
+            \\  owner TEXT NOT NULL,
+            \\  repo TEXT NOT NULL,
+            \\  created_at INTEGER,
+            \\  created_by TEXT
+            \\)
+        );
+
+        // Packages an account watches; level is a types.WatchLevel name
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS watches (
+            \\  username TEXT NOT NULL,
+            \\  package_name TEXT NOT NULL,
+            \\  level TEXT NOT NULL,
+            \\  created_at INTEGER,
+            \\  PRIMARY KEY (username, package_name)
+            \\)
+        );
+
+        // One row per watcher per release; emailed_at is set once a digest has sent it
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS notifications (
+            \\  id INTEGER PRIMARY KEY AUTOINCREMENT,
+            \\  username TEXT NOT NULL,
+            \\  package_name TEXT NOT NULL,
+            \\  version TEXT NOT NULL,
+            \\  kind TEXT NOT NULL,
+            \\  created_at INTEGER,
+            \\  read_at INTEGER,
+            \\  emailed_at INTEGER
+            \\)
+        );
+
+        // The registry activity feed; the id is also the Server-Sent Events id
+        try db.execute(
+            \\CREATE TABLE IF NOT EXISTS activity (
+            \\  id INTEGER PRIMARY KEY AUTOINCREMENT,
+            \\  kind TEXT NOT NULL,
+            \\  package_name TEXT NOT NULL,
+            \\  version TEXT,
+            \\  value INTEGER DEFAULT 0,
+            \\  created_at INTEGER
+            \\)
+        );
+
         return Database{
             .db = db,
             .allocator = allocator,
@@ -86,214 +260,127 @@ pub const Database = struct {
         try self.db.execute(sql);
     }
 
-    pub fn getPackage(self: *Database, name: []const u8) !?types.PackageMetadata {
-        var buf: [512]u8 = undefined;
-        const sql = try std.fmt.bufPrint(buf[0..], "SELECT name, version, description, author, license, repository FROM packages WHERE name = '{s}'", .{name});
-
-        var result = self.db.query(sql) catch |err| {
-            std.log.warn("Database query failed for package '{s}': {}", .{ name, err });
-            return null;
-        };
-        defer result.deinit();
-
-        // Get first row if exists
-        if (result.next()) |row_const| {
-            var row = row_const;
-            defer row.deinit();
-
-            const pkg_name = row.getText(0) orelse return null;
-            const version_str = row.getText(1) orelse "0.0.0";
-            const description = row.getText(2);
-            const author = row.getText(3);
-            const license = row.getText(4);
-            const repository = row.getText(5);
-
-            // Parse version string
-            var version = types.Version{ .major = 0, .minor = 0, .patch = 0 };
-            var ver_iter = std.mem.splitSequence(u8, version_str, ".");
-            if (ver_iter.next()) |major| version.major = std.fmt.parseInt(u32, major, 10) catch 0;
-            if (ver_iter.next()) |minor| version.minor = std.fmt.parseInt(u32, minor, 10) catch 0;
-            if (ver_iter.next()) |patch| version.patch = std.fmt.parseInt(u32, patch, 10) catch 0;
-
-            return types.PackageMetadata{
-                .name = try self.allocator.dupe(u8, pkg_name),
-                .version = version,
-                .description = if (description) |d| try self.allocator.dupe(u8, d) else null,
-                .author = if (author) |a| try self.allocator.dupe(u8, a) else null,
-                .license = if (license) |l| try self.allocator.dupe(u8, l) else null,
-                .repository = if (repository) |r| try self.allocator.dupe(u8, r) else null,
-                .dependencies = &[_]types.Dependency{},
-            };
-        }
+    // Downloads and whether a listed release exists come from download_history
+    // and releases, so listings and search can filter and sort on them
+    const package_columns = "name, version, description, author, license, repository, " ++
+        "CAST(created_at AS TEXT), CAST(updated_at AS TEXT), topics, minimum_zig_version, " ++
+        "CAST((SELECT COALESCE(SUM(count), 0) FROM download_history WHERE download_history.package_name = packages.name AND period = 'day') AS TEXT), " ++
+        "CAST(EXISTS (SELECT 1 FROM releases WHERE releases.package_name = packages.name AND draft = 0) AS TEXT)";
 
-        return null;
+    pub fn getPackage(self: *Database, name: []const u8) !?types.PackageMetadata {
+        const name_sql = try self.quote(name);
+        defer self.allocator.free(name_sql);
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ package_columns ++ " FROM packages WHERE name = '{s}'", .{name_sql});
+        defer self.allocator.free(sql);
+
+        const packages = try self.queryPackages(sql);
+        defer self.allocator.free(packages);
+        for (packages[@min(packages.len, 1)..]) |extra| self.freePackage(extra);
+        return if (packages.len > 0) packages[0] else null;
     }
 
     pub fn listPackages(self: *Database, limit: ?usize, offset: ?usize) ![]types.PackageMetadata {
-        var buf: [512]u8 = undefined;
-        const sql = try std.fmt.bufPrint(buf[0..], "SELECT name, version, description, author, license, repository FROM packages LIMIT {d} OFFSET {d}", .{ limit orelse 100, offset orelse 0 });
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ package_columns ++ " FROM packages LIMIT {d} OFFSET {d}", .{ limit orelse 100, offset orelse 0 });
+        defer self.allocator.free(sql);
+        return self.queryPackages(sql);
+    }
 
-        var result = self.db.query(sql) catch |err| {
-            std.log.warn("Database query failed for listPackages: {}", .{err});
-            return self.getMockPackages();
-        };
+    pub fn searchPackages(self: *Database, query: []const u8, limit: ?usize) ![]types.PackageMetadata {
+        const query_sql = try self.quote(query);
+        defer self.allocator.free(query_sql);
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ package_columns ++ " FROM packages WHERE name LIKE '%{s}%' OR description LIKE '%{s}%' LIMIT {}", .{ query_sql, query_sql, limit orelse 20 });
+        defer self.allocator.free(sql);
+        return self.queryPackages(sql);
+    }
+
+    fn queryPackages(self: *Database, sql: []const u8) ![]types.PackageMetadata {
+        var result = try self.db.query(sql);
         defer result.deinit();
 
         var packages: std.ArrayList(types.PackageMetadata) = .empty;
+        errdefer {
+            for (packages.items) |package| self.freePackage(package);
+            packages.deinit(self.allocator);
+        }
 
         while (result.next()) |row_const| {
             var row = row_const;
             defer row.deinit();
-
-            const pkg_name = row.getText(0) orelse continue;
-            const version_str = row.getText(1) orelse "0.0.0";
-            const description = row.getText(2);
-            const author = row.getText(3);
-            const license = row.getText(4);
-            const repository = row.getText(5);
-
-            var version = types.Version{ .major = 0, .minor = 0, .patch = 0 };
-            var ver_iter = std.mem.splitSequence(u8, version_str, ".");
-            if (ver_iter.next()) |major| version.major = std.fmt.parseInt(u32, major, 10) catch 0;
-            if (ver_iter.next()) |minor| version.minor = std.fmt.parseInt(u32, minor, 10) catch 0;
-            if (ver_iter.next()) |patch| version.patch = std.fmt.parseInt(u32, patch, 10) catch 0;
-
-            try packages.append(self.allocator, types.PackageMetadata{
-                .name = try self.allocator.dupe(u8, pkg_name),
-                .version = version,
-                .description = if (description) |d| try self.allocator.dupe(u8, d) else null,
-                .author = if (author) |a| try self.allocator.dupe(u8, a) else null,
-                .license = if (license) |l| try self.allocator.dupe(u8, l) else null,
-                .repository = if (repository) |r| try self.allocator.dupe(u8, r) else null,
-                .dependencies = &[_]types.Dependency{},
-            });
-        }
-
-        // If no packages in DB, return mock data for demo
-        if (packages.items.len == 0) {
-            packages.deinit(self.allocator);
-            return self.getMockPackages();
+            if (row.getText(0) == null) continue;
+            const package = try self.packageFromRow(row);
+            errdefer self.freePackage(package);
+            try packages.append(self.allocator, package);
         }
 
         return packages.toOwnedSlice(self.allocator);
     }
 
-    fn getMockPackages(self: *Database) ![]types.PackageMetadata {
-        var packages: std.ArrayList(types.PackageMetadata) = .empty;
-
-        try packages.append(self.allocator, types.PackageMetadata{
-            .name = try self.allocator.dupe(u8, "zcrypto"),
-            .version = types.Version{ .major = 0, .minor = 1, .patch = 0 },
-            .description = try self.allocator.dupe(u8, "Pure Zig cryptographic library for GhostChain"),
-            .author = try self.allocator.dupe(u8, "GhostKellz"),
-            .license = try self.allocator.dupe(u8, "MIT"),
-            .repository = "https://github.com/ghostkellz/zcrypto",
-            .dependencies = &[_]types.Dependency{},
-        });
-
-        try packages.append(self.allocator, types.PackageMetadata{
-            .name = try self.allocator.dupe(u8, "zsig"),
-            .version = types.Version{ .major = 0, .minor = 1, .patch = 0 },
-            .description = try self.allocator.dupe(u8, "Digital signature library for GhostChain"),
-            .author = try self.allocator.dupe(u8, "GhostKellz"),
-            .license = try self.allocator.dupe(u8, "MIT"),
-            .repository = "https://github.com/ghostkellz/zsig",
-            .dependencies = &[_]types.Dependency{},
-        });
-
-        try packages.append(self.allocator, types.PackageMetadata{
-            .name = try self.allocator.dupe(u8, "zwallet"),
-            .version = types.Version{ .major = 0, .minor = 1, .patch = 0 },
-            .description = try self.allocator.dupe(u8, "Wallet library for GhostChain ecosystem"),
-            .author = try self.allocator.dupe(u8, "GhostKellz"),
-            .license = try self.allocator.dupe(u8, "MIT"),
-            .repository = "https://github.com/ghostkellz/zwallet",
+    fn packageFromRow(self: *Database, row: anytype) !types.PackageMetadata {
+        const version_str = row.getText(1) orelse "0.0.0";
+        var version = types.Version{ .major = 0, .minor = 0, .patch = 0 };
+        var ver_iter = std.mem.splitSequence(u8, version_str, ".");
+        if (ver_iter.next()) |major| version.major = std.fmt.parseInt(u32, major, 10) catch 0;
+        if (ver_iter.next()) |minor| version.minor = std.fmt.parseInt(u32, minor, 10) catch 0;
+        if (ver_iter.next()) |patch| version.patch = std.fmt.parseInt(u32, patch, 10) catch 0;
+
+        var package = types.PackageMetadata{
+            .name = try self.allocator.dupe(u8, row.getText(0) orelse ""),
+            .version = version,
+            .created_at = std.fmt.parseInt(i64, row.getText(6) orelse "0", 10) catch 0,
+            .updated_at = std.fmt.parseInt(i64, row.getText(7) orelse "0", 10) catch 0,
+            .download_count = std.fmt.parseInt(u64, row.getText(10) orelse "0", 10) catch 0,
             .dependencies = &[_]types.Dependency{},
-        });
-
-        try packages.append(self.allocator, types.PackageMetadata{
-            .name = try self.allocator.dupe(u8, "zqlite"),
-            .version = types.Version{ .major = 0, .minor = 4, .patch = 0 },
-            .description = try self.allocator.dupe(u8, "Pure Zig SQLite alternative with cryptographic features"),
-            .author = try self.allocator.dupe(u8, "GhostKellz"),
-            .license = try self.allocator.dupe(u8, "MIT"),
-            .repository = "https://github.com/ghostkellz/zqlite",
-            .dependencies = &[_]types.Dependency{},
-        });
-
-        return packages.toOwnedSlice(self.allocator);
-    }
-
-    pub fn searchPackages(self: *Database, query: []const u8, limit: ?usize) ![]types.PackageMetadata {
-        var buf: [512]u8 = undefined;
-        const sql = try std.fmt.bufPrint(buf[0..], "SELECT name, version, description, author, license, repository FROM packages WHERE name LIKE '%{s}%' OR description LIKE '%{s}%' LIMIT {}", .{ query, query, limit orelse 20 });
-
-        var result = self.db.query(sql) catch |err| {
-            std.log.warn("Database search query failed: {}", .{err});
-            // Fall back to filtering mock data
-            const all_mock = try self.getMockPackages();
-            defer self.allocator.free(all_mock);
-            var filtered: std.ArrayList(types.PackageMetadata) = .empty;
-            for (all_mock) |pkg| {
-                if (std.mem.indexOf(u8, pkg.name, query) != null or
-                    (pkg.description != null and std.mem.indexOf(u8, pkg.description.?, query) != null))
-                {
-                    try filtered.append(self.allocator, pkg);
-                    if (filtered.items.len >= (limit orelse 20)) break;
-                }
-            }
-            return filtered.toOwnedSlice(self.allocator);
         };
-        defer result.deinit();
+        errdefer self.freePackage(package);
 
-        var packages: std.ArrayList(types.PackageMetadata) = .empty;
-
-        while (result.next()) |row_const| {
-            var row = row_const;
-            defer row.deinit();
-
-            const pkg_name = row.getText(0) orelse continue;
-            const version_str = row.getText(1) orelse "0.0.0";
-            const description = row.getText(2);
-            const author = row.getText(3);
-            const license = row.getText(4);
-            const repository = row.getText(5);
-
-            var version = types.Version{ .major = 0, .minor = 0, .patch = 0 };
-            var ver_iter = std.mem.splitSequence(u8, version_str, ".");
-            if (ver_iter.next()) |major| version.major = std.fmt.parseInt(u32, major, 10) catch 0;
-            if (ver_iter.next()) |minor| version.minor = std.fmt.parseInt(u32, minor, 10) catch 0;
-            if (ver_iter.next()) |patch| version.patch = std.fmt.parseInt(u32, patch, 10) catch 0;
-
-            try packages.append(self.allocator, types.PackageMetadata{
-                .name = try self.allocator.dupe(u8, pkg_name),
-                .version = version,
-                .description = if (description) |d| try self.allocator.dupe(u8, d) else null,
-                .author = if (author) |a| try self.allocator.dupe(u8, a) else null,
-                .license = if (license) |l| try self.allocator.dupe(u8, l) else null,
-                .repository = if (repository) |r| try self.allocator.dupe(u8, r) else null,
-                .dependencies = &[_]types.Dependency{},
-            });
+        if (row.getText(2)) |text| package.description = try self.allocator.dupe(u8, text);
+        if (row.getText(3)) |text| package.author = try self.allocator.dupe(u8, text);
+        if (row.getText(4)) |text| if (text.len > 0) {
+            package.license = try self.allocator.dupe(u8, text);
+        };
+        if (row.getText(5)) |text| package.repository = try self.allocator.dupe(u8, text);
+        if (row.getText(9)) |text| if (text.len > 0) {
+            package.minimum_zig_version = try self.allocator.dupe(u8, text);
+        };
+        // latest_version stays null until a non-draft release exists
+        if (std.mem.eql(u8, row.getText(11) orelse "0", "1")) {
+            package.latest_version = try self.allocator.dupe(u8, version_str);
         }
 
-        if (packages.items.len == 0) {
-            packages.deinit(self.allocator);
-            // Fall back to filtering mock data
-            const all_mock = try self.getMockPackages();
-            defer self.allocator.free(all_mock);
-            var filtered: std.ArrayList(types.PackageMetadata) = .empty;
-            for (all_mock) |pkg| {
-                if (std.mem.indexOf(u8, pkg.name, query) != null or
-                    (pkg.description != null and std.mem.indexOf(u8, pkg.description.?, query) != null))
-                {
-                    try filtered.append(self.allocator, pkg);
-                    if (filtered.items.len >= (limit orelse 20)) break;
-                }
+        // Topics are stored comma-separated
+        const topics_text = row.getText(8) orelse "";
+        if (topics_text.len > 0) {
+            const topics = try self.allocator.alloc([]const u8, std.mem.count(u8, topics_text, ",") + 1);
+            var filled: usize = 0;
+            errdefer {
+                for (topics[0..filled]) |topic| self.allocator.free(topic);
+                self.allocator.free(topics);
             }
-            return filtered.toOwnedSlice(self.allocator);
+            var parts = std.mem.splitScalar(u8, topics_text, ',');
+            while (parts.next()) |topic| : (filled += 1) topics[filled] = try self.allocator.dupe(u8, topic);
+            package.topics = topics;
         }
 
-        return packages.toOwnedSlice(self.allocator);
+        return package;
+    }
+
+    pub fn freePackage(self: *Database, package: types.PackageMetadata) void {
+        self.allocator.free(package.name);
+        if (package.description) |text| self.allocator.free(text);
+        if (package.author) |text| self.allocator.free(text);
+        if (package.owner) |text| self.allocator.free(text);
+        if (package.repo) |text| self.allocator.free(text);
+        if (package.license) |text| self.allocator.free(text);
+        if (package.repository) |text| self.allocator.free(text);
+        if (package.latest_version) |text| self.allocator.free(text);
+        if (package.minimum_zig_version) |text| self.allocator.free(text);
+        for (package.topics) |topic| self.allocator.free(topic);
+        if (package.topics.len > 0) self.allocator.free(package.topics);
+    }
+
+    pub fn freePackages(self: *Database, packages: []types.PackageMetadata) void {
+        for (packages) |package| self.freePackage(package);
+        self.allocator.free(packages);
     }
 
     pub fn removePackage(self: *Database, name: []const u8) !void {
@@ -304,11 +391,45 @@ pub const Database = struct {
 
     // User operations
     pub fn createUser(self: *Database, username: []const u8, email: []const u8, password_hash: []const u8, api_token: []const u8) !void {
-        var buf: [512]u8 = undefined;
-        const sql = try std.fmt.bufPrint(buf[0..], "INSERT INTO users (username, email, password_hash, api_token, created_at) VALUES ('{s}', '{s}', '{s}', '{s}', {d})", .{ username, email, password_hash, api_token, compat.timestamp() });
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+        const email_sql = try self.quote(email);
+        defer self.allocator.free(email_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "INSERT INTO users (username, email, password_hash, api_token, created_at) VALUES ('{s}', '{s}', '{s}', '{s}', {d})", .{ username_sql, email_sql, password_hash, api_token, compat.timestamp() });
+        defer self.allocator.free(sql);
         try self.db.execute(sql);
     }
 
+    pub fn getUserCredentials(self: *Database, username: []const u8) !?types.UserCredentials {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT CAST(rowid AS TEXT), username, email, password_hash FROM users WHERE username = '{s}'", .{username_sql});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return types.UserCredentials{
+                .user_id = std.fmt.parseInt(i64, row.getText(0) orelse "0", 10) catch 0,
+                .username = try self.allocator.dupe(u8, row.getText(1) orelse ""),
+                .email = try self.allocator.dupe(u8, row.getText(2) orelse ""),
+                .password_hash = try self.allocator.dupe(u8, row.getText(3) orelse ""),
+            };
+        }
+        return null;
+    }
+
+    pub fn freeUserCredentials(self: *Database, credentials: types.UserCredentials) void {
+        self.allocator.free(credentials.username);
+        self.allocator.free(credentials.email);
+        self.allocator.free(credentials.password_hash);
+    }
+
     pub fn getUserByToken(self: *Database, token: []const u8) !?[]const u8 {
         var buf: [256]u8 = undefined;
         const sql = try std.fmt.bufPrint(buf[0..], "SELECT username FROM users WHERE api_token = '{s}'", .{token});
@@ -375,23 +496,162 @@ pub const Database = struct {
         try self.db.execute(sql);
     }
 
+    pub fn recordDownload(self: *Database, package_name: []const u8, version: []const u8, at: i64) !void {
+        const quoted_name = try self.quote(package_name);
+        defer self.allocator.free(quoted_name);
+        const quoted_version = try self.quote(version);
+        defer self.allocator.free(quoted_version);
+
+        for ([_]types.DownloadPeriod{ .day, .week }) |period| {
+            const sql = try std.fmt.allocPrint(self.allocator,
+                \\INSERT INTO download_history (package_name, version, period, bucket, count)
+                \\VALUES ('{s}', '{s}', '{s}', {d}, 1)
+                \\ON CONFLICT (package_name, version, period, bucket) DO UPDATE SET count = count + 1
+            , .{ quoted_name, quoted_version, @tagName(period), period.bucketStart(at) });
+            defer self.allocator.free(sql);
+            try self.db.execute(sql);
+        }
+    }
+
+    /// Buckets starting at or after `since`, oldest first. With a package the
+    /// rows are per version; without one they are registry-wide totals with
+    /// an empty version.
+    pub fn getDownloadHistory(self: *Database, package_name: ?[]const u8, period: types.DownloadPeriod, since: i64) ![]types.DownloadBucket {
+        const sql = if (package_name) |name| blk: {
+            const quoted = try self.quote(name);
+            defer self.allocator.free(quoted);
+            break :blk try std.fmt.allocPrint(self.allocator,
+                \\SELECT version, CAST(bucket AS TEXT), CAST(count AS TEXT) FROM download_history
+                \\WHERE package_name = '{s}' AND period = '{s}' AND bucket >= {d} ORDER BY bucket ASC, version ASC
+            , .{ quoted, @tagName(period), since });
+        } else try std.fmt.allocPrint(self.allocator,
+            \\SELECT '', CAST(bucket AS TEXT), CAST(SUM(count) AS TEXT) FROM download_history
+            \\WHERE period = '{s}' AND bucket >= {d} GROUP BY bucket ORDER BY bucket ASC
+        , .{ @tagName(period), since });
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        var buckets: std.ArrayList(types.DownloadBucket) = .empty;
+        errdefer {
+            for (buckets.items) |bucket| self.allocator.free(bucket.version);
+            buckets.deinit(self.allocator);
+        }
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            const version = try self.allocator.dupe(u8, row.getText(0) orelse "");
+            errdefer self.allocator.free(version);
+            try buckets.append(self.allocator, .{
+                .version = version,
+                .bucket = std.fmt.parseInt(i64, row.getText(1) orelse "0", 10) catch 0,
+                .count = std.fmt.parseInt(u64, row.getText(2) orelse "0", 10) catch 0,
+            });
+        }
+
+        return buckets.toOwnedSlice(self.allocator);
+    }
+
+    /// Most downloaded packages in buckets starting at or after `since`
+    pub fn getTopDownloads(self: *Database, period: types.DownloadPeriod, since: i64, limit: usize) ![]types.PackageCount {
+        var buf: [512]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..],
+            \\SELECT package_name, CAST(SUM(count) AS TEXT) FROM download_history
+            \\WHERE period = '{s}' AND bucket >= {d} GROUP BY package_name ORDER BY SUM(count) DESC, package_name ASC LIMIT {d}
+        , .{ @tagName(period), since, limit });
+        return self.queryPackageCounts(sql);
+    }
+
+    /// Downloads per package in daily buckets starting in [since, until)
+    pub fn getDownloadTotals(self: *Database, since: i64, until: i64) ![]types.PackageCount {
+        var buf: [512]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..],
+            \\SELECT package_name, CAST(SUM(count) AS TEXT) FROM download_history
+            \\WHERE period = 'day' AND bucket >= {d} AND bucket < {d} GROUP BY package_name
+        , .{ since, until });
+        return self.queryPackageCounts(sql);
+    }
+
+    /// Visible comments per package posted in [since, until)
+    pub fn getCommentTotals(self: *Database, since: i64, until: i64) ![]types.PackageCount {
+        var buf: [512]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..],
+            \\SELECT package_id, CAST(COUNT(*) AS TEXT) FROM comments
+            \\WHERE is_deleted = 0 AND is_hidden = 0 AND created_at >= {d} AND created_at < {d} GROUP BY package_id
+        , .{ since, until });
+        return self.queryPackageCounts(sql);
+    }
+
+    /// Non-draft releases per package published in [since, until)
+    pub fn getReleaseTotals(self: *Database, since: i64, until: i64) ![]types.PackageCount {
+        var buf: [512]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..],
+            \\SELECT package_name, CAST(COUNT(*) AS TEXT) FROM releases
+            \\WHERE draft = 0 AND published_at >= {d} AND published_at < {d} GROUP BY package_name
+        , .{ since, until });
+        return self.queryPackageCounts(sql);
+    }
+
+    fn queryPackageCounts(self: *Database, sql: []const u8) ![]types.PackageCount {
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        var packages: std.ArrayList(types.PackageCount) = .empty;
+        errdefer {
+            for (packages.items) |package| self.allocator.free(package.package);
+            packages.deinit(self.allocator);
+        }
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            const package = try self.allocator.dupe(u8, row.getText(0) orelse "");
+            errdefer self.allocator.free(package);
+            try packages.append(self.allocator, .{
+                .package = package,
+                .count = std.fmt.parseInt(u64, row.getText(1) orelse "0", 10) catch 0,
+            });
+        }
+
+        return packages.toOwnedSlice(self.allocator);
+    }
+
+    pub fn freeDownloadHistory(self: *Database, buckets: []types.DownloadBucket) void {
+        for (buckets) |bucket| self.allocator.free(bucket.version);
+        self.allocator.free(buckets);
+    }
+
+    pub fn freePackageCounts(self: *Database, packages: []types.PackageCount) void {
+        for (packages) |package| self.allocator.free(package.package);
+        self.allocator.free(packages);
+    }
+
+    // Download totals come from the daily history buckets, which every
+    // counted download adds to
+
     pub fn getDownloadCount(self: *Database, package_name: []const u8) !u64 {
-        // TODO: Implement actual SQL query with result parsing
-        _ = self;
-        _ = package_name;
-        return 42; // Mock implementation
+        const name_sql = try self.quote(package_name);
+        defer self.allocator.free(name_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT CAST(COALESCE(SUM(count), 0) AS TEXT) FROM download_history WHERE package_name = '{s}' AND period = 'day'", .{name_sql});
+        defer self.allocator.free(sql);
+        return self.queryCount(sql);
     }
 
     pub fn getTotalPackages(self: *Database) !u64 {
-        // TODO: Implement SELECT COUNT(*) when result parsing is available
-        _ = self;
-        return 4; // Mock implementation - matches number of demo packages
+        return self.queryCount("SELECT CAST(COUNT(*) AS TEXT) FROM packages");
     }
 
     pub fn getTotalDownloads(self: *Database) !u64 {
-        // TODO: Implement SELECT SUM(download_count) when result parsing is available
-        _ = self;
-        return 2847; // Mock implementation
+        return self.queryCount("SELECT CAST(COALESCE(SUM(count), 0) AS TEXT) FROM download_history WHERE period = 'day'");
+    }
+
+    pub fn getDownloadsToday(self: *Database) !u64 {
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT CAST(COALESCE(SUM(count), 0) AS TEXT) FROM download_history WHERE period = 'day' AND bucket = {d}", .{types.DownloadPeriod.day.bucketStart(compat.timestamp())});
+        defer self.allocator.free(sql);
+        return self.queryCount(sql);
     }
 
     // Stats structure for web UI
@@ -402,13 +662,10 @@ pub const Database = struct {
     };
 
     pub fn getDownloadStats(self: *Database) !Stats {
-        const total_packages = try self.getTotalPackages();
-        const total_downloads = try self.getTotalDownloads();
-
         return Stats{
-            .total_packages = total_packages,
-            .downloads_today = 47, // Mock data for demo
-            .total_downloads = total_downloads,
+            .total_packages = try self.getTotalPackages(),
+            .downloads_today = try self.getDownloadsToday(),
+            .total_downloads = try self.getTotalDownloads(),
         };
     }
 
@@ -416,175 +673,279 @@ pub const Database = struct {
     pub fn getPackageGitHub(self: *Database, owner: []const u8, repo: []const u8) !?types.PackageMetadata {
         const package_name = if (std.mem.eql(u8, owner, repo)) owner else try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
         defer if (!std.mem.eql(u8, owner, repo)) self.allocator.free(package_name);
-        
-        return self.getPackage(package_name);
-    }
 
-    pub fn getPackageReleases(self: *Database, owner: []const u8, repo: []const u8) ![]types.Release {
-        // For now, return mock releases - in production this would query a releases table
-        
-        var releases = std.array_list.AlignedManaged(types.Release, null).init(self.allocator);
-        
-        // Mock some releases
-        try releases.append(types.Release{
-            .id = 1,
-            .owner = owner,
-            .repo = repo,
-            .tag_name = "v1.0.0",
-            .name = "Release v1.0.0",
-            .draft = false,
-            .prerelease = false,
-            .created_at = compat.timestamp(),
-            .published_at = compat.timestamp(),
-            .tarball_url = "https://zig.cktech.org/api/v1/packages/example/download/v1.0.0",
-            .zipball_url = "https://zig.cktech.org/api/v1/packages/example/download/v1.0.0?format=zip",
-        });
+        var package = (try self.getPackage(package_name)) orelse return null;
+        errdefer self.freePackage(package);
+        package.owner = try self.allocator.dupe(u8, owner);
+        package.repo = try self.allocator.dupe(u8, repo);
+        return package;
+    }
 
-        try releases.append(types.Release{
-            .id = 2,
-            .owner = owner,
-            .repo = repo,
-            .tag_name = "v0.9.0",
-            .name = "Release v0.9.0",
-            .draft = false,
-            .prerelease = false,
-            .created_at = compat.timestamp() - 86400,
-            .published_at = compat.timestamp() - 86400,
-            .tarball_url = "https://zig.cktech.org/api/v1/packages/example/download/v0.9.0",
-            .zipball_url = "https://zig.cktech.org/api/v1/packages/example/download/v0.9.0?format=zip",
+    // Release operations
+    const release_columns = "CAST(id AS TEXT), package_name, tag_name, name, body, CAST(draft AS TEXT), " ++
+        "CAST(prerelease AS TEXT), CAST(file_size AS TEXT), sha256, CAST(created_at AS TEXT), CAST(published_at AS TEXT), CAST(security AS TEXT)";
+
+    /// Records a release and creates the package row if this is its first,
+    /// all or nothing. Returns the release id.
+    pub fn addRelease(self: *Database, release: types.Release) !u64 {
+        const full_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ release.owner, release.repo });
+        defer self.allocator.free(full_name);
+        const package_name = try self.quote(full_name);
+        defer self.allocator.free(package_name);
+        const owner = try self.quote(release.owner);
+        defer self.allocator.free(owner);
+        const repo = try self.quote(release.repo);
+        defer self.allocator.free(repo);
+        const tag_name = try self.quote(release.tag_name);
+        defer self.allocator.free(tag_name);
+        const name = try self.quote(release.name orelse release.tag_name);
+        defer self.allocator.free(name);
+        const body = try self.quote(release.body orelse "");
+        defer self.allocator.free(body);
+        const sha256 = try self.quote(release.sha256 orelse "");
+        defer self.allocator.free(sha256);
+
+        try self.db.execute("BEGIN IMMEDIATE");
+        errdefer self.db.execute("ROLLBACK") catch {};
+
+        const release_sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT INTO releases (package_name, tag_name, name, body, draft, prerelease, security, file_size, sha256, created_at, published_at)
+            \\VALUES ('{s}', '{s}', '{s}', '{s}', {d}, {d}, {d}, {d}, '{s}', {d}, {d})
+        , .{
+            package_name,
+            tag_name,
+            name,
+            body,
+            @intFromBool(release.draft),
+            @intFromBool(release.prerelease),
+            @intFromBool(release.security),
+            release.file_size,
+            sha256,
+            release.created_at,
+            release.published_at orelse release.created_at,
         });
-
-        return releases.toOwnedSlice();
+        defer self.allocator.free(release_sql);
+        try self.db.execute(release_sql);
+        const id = try self.queryCount("SELECT CAST(last_insert_rowid() AS TEXT)");
+
+        // Imported packages already have a row; setPackageVersion moves the
+        // version once the caller knows which release is the latest
+        const package_sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT INTO packages
+            \\(name, version, description, author, license, repository, dependencies,
+            \\ file_path, file_size, checksum, created_at, updated_at)
+            \\VALUES ('{s}', '0.0.0', '', '{s}', '', 'https://github.com/{s}/{s}', '', '', 0, '', {d}, {d})
+            \\ON CONFLICT (name) DO UPDATE SET updated_at = excluded.updated_at
+        , .{ package_name, owner, owner, repo, release.created_at, release.created_at });
+        defer self.allocator.free(package_sql);
+        try self.db.execute(package_sql);
+
+        try self.db.execute("COMMIT");
+        return id;
     }
 
-    // Additional required methods
-    pub fn resolveAlias(self: *Database, short_name: []const u8) !?types.Alias {
-        // Mock implementation - in production this would query an aliases table
-        
-        // Mock some aliases
-        if (std.mem.eql(u8, short_name, "crypto")) {
-            return types.Alias{
-                .short_name = try self.allocator.dupe(u8, short_name),
-                .owner = try self.allocator.dupe(u8, "cktech"),
-                .repo = try self.allocator.dupe(u8, "zcrypto"),
-                .created_at = compat.timestamp(),
-                .created_by = try self.allocator.dupe(u8, "system"),
-            };
-        } else if (std.mem.eql(u8, short_name, "http")) {
-            return types.Alias{
-                .short_name = try self.allocator.dupe(u8, short_name),
-                .owner = try self.allocator.dupe(u8, "karlseguin"),
-                .repo = try self.allocator.dupe(u8, "http.zig"),
-                .created_at = compat.timestamp(),
-                .created_by = try self.allocator.dupe(u8, "system"),
-            };
-        } else if (std.mem.eql(u8, short_name, "xev")) {
-            return types.Alias{
-                .short_name = try self.allocator.dupe(u8, short_name),
-                .owner = try self.allocator.dupe(u8, "mitchellh"),
-                .repo = try self.allocator.dupe(u8, "libxev"),
-                .created_at = compat.timestamp(),
-                .created_by = try self.allocator.dupe(u8, "system"),
-            };
-        }
-        
-        return null;
+    /// The version a package's listing shows, with any leading "v" dropped
+    pub fn setPackageVersion(self: *Database, package_name: []const u8, version: []const u8, minimum_zig_version: ?[]const u8) !void {
+        const name = try self.quote(package_name);
+        defer self.allocator.free(name);
+        const version_sql = try self.quote(std.mem.trimLeft(u8, version, "v"));
+        defer self.allocator.free(version_sql);
+        const zig_version = try self.quote(minimum_zig_version orelse "");
+        defer self.allocator.free(zig_version);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "UPDATE packages SET version = '{s}', minimum_zig_version = '{s}' WHERE name = '{s}'", .{ version_sql, zig_version, name });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
     }
 
-    pub fn getRegistryConfig(self: *Database, key: []const u8) !?[]const u8 {
-        // Mock implementation - in production this would query a config table
-        _ = self;
-        
-        if (std.mem.eql(u8, key, "registry_name")) {
-            return "Zepplin Registry";
-        } else if (std.mem.eql(u8, key, "api_version")) {
-            return "v1";
-        }
-        
-        return null;
-    }
+    /// A package's releases, newest first; free with freeReleases
+    pub fn getReleases(self: *Database, owner: []const u8, repo: []const u8) ![]types.Release {
+        const full_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(full_name);
+        const package_name = try self.quote(full_name);
+        defer self.allocator.free(package_name);
 
-    pub fn listZiglibsPackages(self: *Database, limit: ?usize, offset: ?usize) ![]types.PackageMetadata {
-        // Mock implementation - in production this would query a ziglibs packages table
-        _ = limit;
-        _ = offset;
-        
-        var packages = std.array_list.AlignedManaged(types.PackageMetadata, null).init(self.allocator);
-        
-        // Mock some ziglibs packages
-        try packages.append(types.PackageMetadata{
-            .name = "zig-json",
-            .version = types.Version{ .major = 1, .minor = 0, .patch = 0 },
-            .description = "JSON parser for Zig",
-            .author = "ziglibs",
-            .owner = "ziglibs",
-            .repo = "zig-json",
-            .license = "MIT",
-            .repository = "https://github.com/ziglibs/zig-json",
-            .github_url = "https://github.com/ziglibs/zig-json",
-            .github_stars = 45,
-            .download_count = 1234,
-            .created_at = compat.timestamp() - 86400 * 30,
-            .updated_at = compat.timestamp() - 86400 * 7,
-            .dependencies = &[_]types.Dependency{},
-        });
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ release_columns ++ " FROM releases WHERE package_name = '{s}' ORDER BY published_at DESC, id DESC", .{package_name});
+        defer self.allocator.free(sql);
 
-        try packages.append(types.PackageMetadata{
-            .name = "zig-datetime",
-            .version = types.Version{ .major = 0, .minor = 9, .patch = 0 },
-            .description = "Date and time utilities for Zig",
-            .author = "ziglibs",
-            .owner = "ziglibs",
-            .repo = "zig-datetime",
-            .license = "MIT",
-            .repository = "https://github.com/ziglibs/zig-datetime",
-            .github_url = "https://github.com/ziglibs/zig-datetime",
-            .github_stars = 23,
-            .download_count = 567,
-            .created_at = compat.timestamp() - 86400 * 60,
-            .updated_at = compat.timestamp() - 86400 * 14,
-            .dependencies = &[_]types.Dependency{},
-        });
+        var result = try self.db.query(sql);
+        defer result.deinit();
 
-        return packages.toOwnedSlice();
-    }
+        var releases: std.ArrayList(types.Release) = .empty;
+        errdefer {
+            for (releases.items) |release| self.freeRelease(release);
+            releases.deinit(self.allocator);
+        }
 
-    pub fn getReleases(self: *Database, owner: []const u8, repo: []const u8) ![]types.Release {
-        // Alias for getPackageReleases to match server expectations
-        return self.getPackageReleases(owner, repo);
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            const release = try self.releaseFromRow(row);
+            errdefer self.freeRelease(release);
+            try releases.append(self.allocator, release);
+        }
+
+        return releases.toOwnedSlice(self.allocator);
     }
 
     pub fn getRelease(self: *Database, owner: []const u8, repo: []const u8, tag: []const u8) !?types.Release {
-        // Mock implementation - in production would query for specific release
-        _ = tag;
-        
-        const releases = try self.getPackageReleases(owner, repo);
-        defer self.allocator.free(releases);
-        
-        if (releases.len > 0) {
-            return releases[0]; // Return first release as mock
+        const full_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(full_name);
+        const package_name = try self.quote(full_name);
+        defer self.allocator.free(package_name);
+        const tag_name = try self.quote(tag);
+        defer self.allocator.free(tag_name);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ release_columns ++ " FROM releases WHERE package_name = '{s}' AND tag_name = '{s}'", .{ package_name, tag_name });
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return try self.releaseFromRow(row);
         }
         return null;
     }
 
-    pub fn countZiglibsPackages(self: *Database) !u64 {
-        // Mock implementation - return count of ziglibs packages
-        _ = self;
-        return 15; // Mock count
+    pub fn deleteRelease(self: *Database, owner: []const u8, repo: []const u8, tag: []const u8) !void {
+        const full_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(full_name);
+        const package_name = try self.quote(full_name);
+        defer self.allocator.free(package_name);
+        const tag_name = try self.quote(tag);
+        defer self.allocator.free(tag_name);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "DELETE FROM releases WHERE package_name = '{s}' AND tag_name = '{s}'", .{ package_name, tag_name });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
     }
 
-    pub fn userExists(self: *Database, username: []const u8) !bool {
-        // Mock implementation - in production would query users table
+    pub fn freeRelease(self: *Database, release: types.Release) void {
+        self.allocator.free(release.owner);
+        self.allocator.free(release.repo);
+        self.allocator.free(release.tag_name);
+        if (release.name) |name| self.allocator.free(name);
+        if (release.body) |body| self.allocator.free(body);
+        if (release.sha256) |sha256| self.allocator.free(sha256);
+    }
+
+    pub fn freeReleases(self: *Database, releases: []types.Release) void {
+        for (releases) |release| self.freeRelease(release);
+        self.allocator.free(releases);
+    }
+
+    fn releaseFromRow(self: *Database, row: anytype) !types.Release {
+        const parseColumn = struct {
+            fn parse(value: ?[]const u8) ?i64 {
+                return std.fmt.parseInt(i64, value orelse return null, 10) catch null;
+            }
+        }.parse;
+
+        const package_name = row.getText(1) orelse "";
+        const slash = std.mem.indexOfScalar(u8, package_name, '/') orelse package_name.len;
+        const owner = try self.allocator.dupe(u8, package_name[0..slash]);
+        errdefer self.allocator.free(owner);
+        const repo = try self.allocator.dupe(u8, if (slash < package_name.len) package_name[slash + 1 ..] else "");
+        errdefer self.allocator.free(repo);
+        const tag_name = try self.allocator.dupe(u8, row.getText(2) orelse "");
+        errdefer self.allocator.free(tag_name);
+        const name = if (row.getText(3)) |text| try self.allocator.dupe(u8, text) else null;
+        errdefer if (name) |text| self.allocator.free(text);
+        const body = if (row.getText(4)) |text| try self.allocator.dupe(u8, text) else null;
+        errdefer if (body) |text| self.allocator.free(text);
+        const sha256 = row.getText(8) orelse "";
+
+        return types.Release{
+            .id = @intCast(parseColumn(row.getText(0)) orelse 0),
+            .owner = owner,
+            .repo = repo,
+            .tag_name = tag_name,
+            .name = name,
+            .body = body,
+            .draft = (parseColumn(row.getText(5)) orelse 0) != 0,
+            .prerelease = (parseColumn(row.getText(6)) orelse 0) != 0,
+            .security = (parseColumn(row.getText(11)) orelse 0) != 0,
+            .file_size = @intCast(parseColumn(row.getText(7)) orelse 0),
+            .sha256 = if (sha256.len > 0) try self.allocator.dupe(u8, sha256) else null,
+            .created_at = parseColumn(row.getText(9)) orelse 0,
+            .published_at = parseColumn(row.getText(10)),
+        };
+    }
+
+    // Additional required methods
+    pub fn resolveAlias(self: *Database, short_name: []const u8) !?types.Alias {
+        const short_name_sql = try self.quote(short_name);
+        defer self.allocator.free(short_name_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\SELECT short_name, owner, repo, CAST(created_at AS TEXT), created_by
+            \\FROM aliases WHERE short_name = '{s}'
+        , .{short_name_sql});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+
+            const name = try self.allocator.dupe(u8, row.getText(0) orelse "");
+            errdefer self.allocator.free(name);
+            const owner = try self.allocator.dupe(u8, row.getText(1) orelse "");
+            errdefer self.allocator.free(owner);
+            const repo = try self.allocator.dupe(u8, row.getText(2) orelse "");
+            errdefer self.allocator.free(repo);
+            const created_by = if (row.getText(4)) |text| try self.allocator.dupe(u8, text) else null;
+
+            return types.Alias{
+                .short_name = name,
+                .owner = owner,
+                .repo = repo,
+                .created_at = std.fmt.parseInt(i64, row.getText(3) orelse "0", 10) catch 0,
+                .created_by = created_by,
+            };
+        }
+        return null;
+    }
+
+    // Creates the alias or points an existing one at a new package
+    pub fn setAlias(self: *Database, alias: types.Alias) !void {
+        const short_name_sql = try self.quote(alias.short_name);
+        defer self.allocator.free(short_name_sql);
+        const owner_sql = try self.quote(alias.owner);
+        defer self.allocator.free(owner_sql);
+        const repo_sql = try self.quote(alias.repo);
+        defer self.allocator.free(repo_sql);
+        const created_by_sql = try self.quote(alias.created_by orelse "");
+        defer self.allocator.free(created_by_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT OR REPLACE INTO aliases (short_name, owner, repo, created_at, created_by)
+            \\VALUES ('{s}', '{s}', '{s}', {d}, '{s}')
+        , .{ short_name_sql, owner_sql, repo_sql, alias.created_at, created_by_sql });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    pub fn getRegistryConfig(self: *Database, key: []const u8) !?[]const u8 {
+        // Mock implementation - in production this would query a config table
         _ = self;
         
-        // Mock some existing users
-        if (std.mem.eql(u8, username, "testuser") or
-            std.mem.eql(u8, username, "admin") or
-            std.mem.eql(u8, username, "cktech")) {
-            return true;
+        if (std.mem.eql(u8, key, "registry_name")) {
+            return "Zepplin Registry";
+        } else if (std.mem.eql(u8, key, "api_version")) {
+            return "v1";
         }
         
-        return false;
+        return null;
+    }
+
+    pub fn userExists(self: *Database, username: []const u8) !bool {
+        const credentials = (try self.getUserCredentials(username)) orelse return false;
+        self.freeUserCredentials(credentials);
+        return true;
     }
 
     pub fn getUser(self: *Database, username: []const u8) !?types.PackageMetadata {
@@ -597,82 +958,991 @@ pub const Database = struct {
         return null;
     }
 
+    // Account operations
+
+    /// Creates an account without a password, for a first GitHub or Microsoft
+    /// sign-in. Returns the account id (the users rowid).
+    pub fn createAccount(self: *Database, username: []const u8) !i64 {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "INSERT INTO users (username, email, password_hash, api_token, created_at) VALUES ('{s}', NULL, '', NULL, {d})", .{ username_sql, compat.timestamp() });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+
+        var result = try self.db.query("SELECT CAST(last_insert_rowid() AS TEXT)");
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return std.fmt.parseInt(i64, row.getText(0) orelse "0", 10) catch 0;
+        }
+        return 0;
+    }
+
+    /// Sets the account's password hash; an empty hash removes password sign-in
+    pub fn setPasswordHash(self: *Database, username: []const u8, password_hash: []const u8) !void {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "UPDATE users SET password_hash = '{s}' WHERE username = '{s}'", .{ password_hash, username_sql });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    /// Removes the account with its identities, profile, access tokens, watches
+    /// and notifications. Comments keep their author name; packages are handed
+    /// over beforehand.
+    // Hands the listed packages to `maintainer` (empty orphans them), removes
+    // everything stored for the account and revokes its sessions, all or nothing
+    pub fn deleteAccount(self: *Database, username: []const u8, packages: []const []const u8, maintainer: []const u8, now: i64) !void {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        try self.db.execute("BEGIN IMMEDIATE");
+        errdefer self.db.execute("ROLLBACK") catch {};
+
+        for (packages) |package_name| {
+            try self.setPackageMaintainer(package_name, maintainer);
+        }
+
+        const tables = [_][]const u8{ "api_tokens", "identities", "profiles", "watches", "notifications", "users" };
+        for (tables) |table| {
+            const sql = try std.fmt.allocPrint(self.allocator, "DELETE FROM {s} WHERE username = '{s}'", .{ table, username_sql });
+            defer self.allocator.free(sql);
+            try self.db.execute(sql);
+        }
+
+        const revoke_sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT OR REPLACE INTO session_revocations (username, revoked_at)
+            \\VALUES ('{s}', {d})
+        , .{ username_sql, now });
+        defer self.allocator.free(revoke_sql);
+        try self.db.execute(revoke_sql);
+
+        try self.db.execute("COMMIT");
+    }
+
+    // When sessions for this username were last revoked, if ever
+    pub fn sessionsRevokedAt(self: *Database, username: []const u8) !?i64 {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT CAST(revoked_at AS TEXT) FROM session_revocations WHERE username = '{s}'", .{username_sql});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return std.fmt.parseInt(i64, row.getText(0) orelse "0", 10) catch 0;
+        }
+        return null;
+    }
+
+    const identity_columns = "username, provider, provider_id, email, display_name, CAST(linked_at AS TEXT)";
+
+    pub fn findIdentity(self: *Database, provider: []const u8, provider_id: []const u8) !?types.Identity {
+        const provider_id_sql = try self.quote(provider_id);
+        defer self.allocator.free(provider_id_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ identity_columns ++ " FROM identities WHERE provider = '{s}' AND provider_id = '{s}'", .{ provider, provider_id_sql });
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return try self.identityFromRow(&row);
+        }
+        return null;
+    }
+
+    pub fn listIdentities(self: *Database, username: []const u8) ![]types.Identity {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ identity_columns ++ " FROM identities WHERE username = '{s}' ORDER BY linked_at", .{username_sql});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        var identities: std.ArrayList(types.Identity) = .empty;
+        errdefer {
+            for (identities.items) |identity| self.freeIdentity(identity);
+            identities.deinit(self.allocator);
+        }
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            try identities.append(self.allocator, try self.identityFromRow(&row));
+        }
+
+        return identities.toOwnedSlice(self.allocator);
+    }
+
+    pub fn addIdentity(self: *Database, identity: types.Identity) !void {
+        const username = try self.quote(identity.username);
+        defer self.allocator.free(username);
+        const provider_id = try self.quote(identity.provider_id);
+        defer self.allocator.free(provider_id);
+        const email = try self.quote(identity.email);
+        defer self.allocator.free(email);
+        const display_name = try self.quote(identity.display_name);
+        defer self.allocator.free(display_name);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT INTO identities (username, provider, provider_id, email, display_name, linked_at)
+            \\VALUES ('{s}', '{s}', '{s}', '{s}', '{s}', {d})
+        , .{ username, identity.provider, provider_id, email, display_name, identity.linked_at });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    // Returns false when the account has no identity with that provider
+    pub fn removeIdentity(self: *Database, username: []const u8, provider: []const u8) !bool {
+        const identities = try self.listIdentities(username);
+        defer {
+            for (identities) |identity| self.freeIdentity(identity);
+            self.allocator.free(identities);
+        }
+        for (identities) |identity| {
+            if (!std.mem.eql(u8, identity.provider, provider)) continue;
+
+            const username_sql = try self.quote(username);
+            defer self.allocator.free(username_sql);
+            const sql = try std.fmt.allocPrint(self.allocator, "DELETE FROM identities WHERE username = '{s}' AND provider = '{s}'", .{ username_sql, provider });
+            defer self.allocator.free(sql);
+            try self.db.execute(sql);
+            return true;
+        }
+        return false;
+    }
+
+    pub fn freeIdentity(self: *Database, identity: types.Identity) void {
+        self.allocator.free(identity.username);
+        self.allocator.free(identity.provider);
+        self.allocator.free(identity.provider_id);
+        self.allocator.free(identity.email);
+        self.allocator.free(identity.display_name);
+    }
+
+    fn identityFromRow(self: *Database, row: anytype) !types.Identity {
+        return types.Identity{
+            .username = try self.allocator.dupe(u8, row.getText(0) orelse ""),
+            .provider = try self.allocator.dupe(u8, row.getText(1) orelse ""),
+            .provider_id = try self.allocator.dupe(u8, row.getText(2) orelse ""),
+            .email = try self.allocator.dupe(u8, row.getText(3) orelse ""),
+            .display_name = try self.allocator.dupe(u8, row.getText(4) orelse ""),
+            .linked_at = std.fmt.parseInt(i64, row.getText(5) orelse "0", 10) catch 0,
+        };
+    }
+
+    pub fn getProfile(self: *Database, username: []const u8) !?types.Profile {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT display_name, email, avatar_url, CAST(updated_at AS TEXT), theme, email_digest, CAST(digest_sent_at AS TEXT) FROM profiles WHERE username = '{s}'", .{username_sql});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return types.Profile{
+                .display_name = try self.allocator.dupe(u8, row.getText(0) orelse ""),
+                .email = try self.allocator.dupe(u8, row.getText(1) orelse ""),
+                .avatar_url = try self.allocator.dupe(u8, row.getText(2) orelse ""),
+                .updated_at = std.fmt.parseInt(i64, row.getText(3) orelse "0", 10) catch 0,
+                .theme = try self.allocator.dupe(u8, row.getText(4) orelse ""),
+                .email_digest = try self.allocator.dupe(u8, row.getText(5) orelse ""),
+                .digest_sent_at = std.fmt.parseInt(i64, row.getText(6) orelse "0", 10) catch 0,
+            };
+        }
+        return null;
+    }
+
+    pub fn saveProfile(self: *Database, username: []const u8, profile: types.Profile) !void {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+        const display_name = try self.quote(profile.display_name);
+        defer self.allocator.free(display_name);
+        const email = try self.quote(profile.email);
+        defer self.allocator.free(email);
+        const avatar_url = try self.quote(profile.avatar_url);
+        defer self.allocator.free(avatar_url);
+        const theme = try self.quote(profile.theme);
+        defer self.allocator.free(theme);
+        const email_digest = try self.quote(profile.email_digest);
+        defer self.allocator.free(email_digest);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT OR REPLACE INTO profiles (username, display_name, email, avatar_url, updated_at, theme, email_digest, digest_sent_at)
+            \\VALUES ('{s}', '{s}', '{s}', '{s}', {d}, '{s}', '{s}', {d})
+        , .{ username_sql, display_name, email, avatar_url, profile.updated_at, theme, email_digest, profile.digest_sent_at });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    pub fn freeProfile(self: *Database, profile: types.Profile) void {
+        self.allocator.free(profile.display_name);
+        self.allocator.free(profile.email);
+        self.allocator.free(profile.avatar_url);
+        self.allocator.free(profile.theme);
+        self.allocator.free(profile.email_digest);
+    }
+
+    /// The maintainer recorded for a package after a transfer ("" when
+    /// orphaned), or null when it's still the account named after the owner
+    pub fn getPackageMaintainer(self: *Database, package_name: []const u8) !?[]u8 {
+        const name_sql = try self.quote(package_name);
+        defer self.allocator.free(name_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT username FROM package_maintainers WHERE package_name = '{s}'", .{name_sql});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return try self.allocator.dupe(u8, row.getText(0) orelse "");
+        }
+        return null;
+    }
+
+    pub fn setPackageMaintainer(self: *Database, package_name: []const u8, username: []const u8) !void {
+        const name_sql = try self.quote(package_name);
+        defer self.allocator.free(name_sql);
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT OR REPLACE INTO package_maintainers (package_name, username, updated_at)
+            \\VALUES ('{s}', '{s}', {d})
+        , .{ name_sql, username_sql, compat.timestamp() });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    /// Packages the account maintains, most recently updated first: those
+    /// transferred to it, and those under its name that were never transferred
+    pub fn listMaintainedPackages(self: *Database, username: []const u8) ![]types.PackageMetadata {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ package_columns ++ " FROM packages" ++
+            " WHERE name IN (SELECT package_name FROM package_maintainers WHERE username = '{s}' COLLATE NOCASE)" ++
+            " OR (substr(name, 1, {d}) = '{s}/' COLLATE NOCASE AND name NOT IN (SELECT package_name FROM package_maintainers))" ++
+            " ORDER BY updated_at DESC", .{ username_sql, username.len + 1, username_sql });
+        defer self.allocator.free(sql);
+        return self.queryPackages(sql);
+    }
+
+    // Watch operations
+
+    /// The level the account watches the package at, or null when it doesn't
+    pub fn getWatch(self: *Database, username: []const u8, package_name: []const u8) !?[]u8 {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+        const name_sql = try self.quote(package_name);
+        defer self.allocator.free(name_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT level FROM watches WHERE username = '{s}' AND package_name = '{s}'", .{ username_sql, name_sql });
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return try self.allocator.dupe(u8, row.getText(0) orelse "all");
+        }
+        return null;
+    }
+
+    pub fn setWatch(self: *Database, username: []const u8, package_name: []const u8, level: types.WatchLevel) !void {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+        const name_sql = try self.quote(package_name);
+        defer self.allocator.free(name_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT OR REPLACE INTO watches (username, package_name, level, created_at)
+            \\VALUES ('{s}', '{s}', '{s}', {d})
+        , .{ username_sql, name_sql, @tagName(level), compat.timestamp() });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    // Returns false when the account wasn't watching the package
+    pub fn removeWatch(self: *Database, username: []const u8, package_name: []const u8) !bool {
+        const level = (try self.getWatch(username, package_name)) orelse return false;
+        self.allocator.free(level);
+
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+        const name_sql = try self.quote(package_name);
+        defer self.allocator.free(name_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "DELETE FROM watches WHERE username = '{s}' AND package_name = '{s}'", .{ username_sql, name_sql });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+        return true;
+    }
+
+    const watch_columns = "username, package_name, level, CAST(created_at AS TEXT)";
+
+    /// The packages an account watches, by package name
+    pub fn listWatches(self: *Database, username: []const u8) ![]types.Watch {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ watch_columns ++ " FROM watches WHERE username = '{s}' ORDER BY package_name", .{username_sql});
+        defer self.allocator.free(sql);
+        return self.queryWatches(sql);
+    }
+
+    /// Everyone watching a package, at any level
+    pub fn listWatchers(self: *Database, package_name: []const u8) ![]types.Watch {
+        const name_sql = try self.quote(package_name);
+        defer self.allocator.free(name_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ watch_columns ++ " FROM watches WHERE package_name = '{s}'", .{name_sql});
+        defer self.allocator.free(sql);
+        return self.queryWatches(sql);
+    }
+
+    pub fn countWatchers(self: *Database, package_name: []const u8) !u64 {
+        const name_sql = try self.quote(package_name);
+        defer self.allocator.free(name_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT CAST(COUNT(*) AS TEXT) FROM watches WHERE package_name = '{s}'", .{name_sql});
+        defer self.allocator.free(sql);
+        return self.queryCount(sql);
+    }
+
+    fn queryWatches(self: *Database, sql: []const u8) ![]types.Watch {
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        var watches: std.ArrayList(types.Watch) = .empty;
+        errdefer {
+            for (watches.items) |watch| self.freeWatch(watch);
+            watches.deinit(self.allocator);
+        }
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            try watches.append(self.allocator, .{
+                .username = try self.allocator.dupe(u8, row.getText(0) orelse ""),
+                .package_name = try self.allocator.dupe(u8, row.getText(1) orelse ""),
+                .level = try self.allocator.dupe(u8, row.getText(2) orelse "all"),
+                .created_at = std.fmt.parseInt(i64, row.getText(3) orelse "0", 10) catch 0,
+            });
+        }
+
+        return watches.toOwnedSlice(self.allocator);
+    }
+
+    pub fn freeWatch(self: *Database, watch: types.Watch) void {
+        self.allocator.free(watch.username);
+        self.allocator.free(watch.package_name);
+        self.allocator.free(watch.level);
+    }
+
+    // Notification operations
+    const notification_columns = "CAST(id AS TEXT), username, package_name, version, kind, CAST(created_at AS TEXT), " ++
+        "CAST(read_at AS TEXT), CAST(emailed_at AS TEXT)";
+
+    pub fn addNotification(self: *Database, notification: types.Notification) !void {
+        const username = try self.quote(notification.username);
+        defer self.allocator.free(username);
+        const package_name = try self.quote(notification.package_name);
+        defer self.allocator.free(package_name);
+        const version = try self.quote(notification.version);
+        defer self.allocator.free(version);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT INTO notifications (username, package_name, version, kind, created_at)
+            \\VALUES ('{s}', '{s}', '{s}', '{s}', {d})
+        , .{ username, package_name, version, notification.kind, notification.created_at });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    /// Newest first; unread_only leaves out the ones already read
+    pub fn listNotifications(self: *Database, username: []const u8, unread_only: bool, limit: usize) ![]types.Notification {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ notification_columns ++ " FROM notifications WHERE username = '{s}'{s} ORDER BY created_at DESC, id DESC LIMIT {d}", .{
+            username_sql,
+            if (unread_only) " AND read_at IS NULL" else "",
+            limit,
+        });
+        defer self.allocator.free(sql);
+        return self.queryNotifications(sql);
+    }
+
+    /// Unread notifications no digest has included yet, oldest first
+    pub fn listUnemailedNotifications(self: *Database, username: []const u8) ![]types.Notification {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ notification_columns ++ " FROM notifications WHERE username = '{s}' AND read_at IS NULL AND emailed_at IS NULL ORDER BY created_at, id", .{username_sql});
+        defer self.allocator.free(sql);
+        return self.queryNotifications(sql);
+    }
+
+    pub fn countUnreadNotifications(self: *Database, username: []const u8) !u64 {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT CAST(COUNT(*) AS TEXT) FROM notifications WHERE username = '{s}' AND read_at IS NULL", .{username_sql});
+        defer self.allocator.free(sql);
+        return self.queryCount(sql);
+    }
+
+    /// Marks the account's notifications with these ids read, or all of them
+    /// when ids is null. Ids that belong to someone else are ignored.
+    pub fn markNotificationsRead(self: *Database, username: []const u8, ids: ?[]const u64, read_at: i64) !void {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        var id_list: std.ArrayList(u8) = .empty;
+        defer id_list.deinit(self.allocator);
+        if (ids) |list| {
+            if (list.len == 0) return;
+            for (list, 0..) |id, i| {
+                if (i > 0) try id_list.append(self.allocator, ',');
+                try id_list.print(self.allocator, "{d}", .{id});
+            }
+        }
+
+        const sql = if (ids != null)
+            try std.fmt.allocPrint(self.allocator, "UPDATE notifications SET read_at = {d} WHERE username = '{s}' AND read_at IS NULL AND id IN ({s})", .{ read_at, username_sql, id_list.items })
+        else
+            try std.fmt.allocPrint(self.allocator, "UPDATE notifications SET read_at = {d} WHERE username = '{s}' AND read_at IS NULL", .{ read_at, username_sql });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    pub fn markNotificationsEmailed(self: *Database, username: []const u8, up_to_id: u64, emailed_at: i64) !void {
+        const username_sql = try self.quote(username);
+        defer self.allocator.free(username_sql);
+
+        const sql = try std.fmt.allocPrint(self.allocator, "UPDATE notifications SET emailed_at = {d} WHERE username = '{s}' AND emailed_at IS NULL AND id <= {d}", .{ emailed_at, username_sql, up_to_id });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    /// Accounts with a daily or weekly email digest turned on
+    pub fn listDigestSubscribers(self: *Database) ![][]u8 {
+        var result = try self.db.query("SELECT username FROM profiles WHERE email_digest IN ('daily', 'weekly')");
+        defer result.deinit();
+
+        var usernames: std.ArrayList([]u8) = .empty;
+        errdefer {
+            for (usernames.items) |username| self.allocator.free(username);
+            usernames.deinit(self.allocator);
+        }
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            try usernames.append(self.allocator, try self.allocator.dupe(u8, row.getText(0) orelse ""));
+        }
+
+        return usernames.toOwnedSlice(self.allocator);
+    }
+
+    fn queryNotifications(self: *Database, sql: []const u8) ![]types.Notification {
+        const parseColumn = struct {
+            fn parse(value: ?[]const u8) ?i64 {
+                return std.fmt.parseInt(i64, value orelse return null, 10) catch null;
+            }
+        }.parse;
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        var notifications: std.ArrayList(types.Notification) = .empty;
+        errdefer {
+            for (notifications.items) |notification| self.freeNotification(notification);
+            notifications.deinit(self.allocator);
+        }
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            try notifications.append(self.allocator, .{
+                .id = @intCast(parseColumn(row.getText(0)) orelse 0),
+                .username = try self.allocator.dupe(u8, row.getText(1) orelse ""),
+                .package_name = try self.allocator.dupe(u8, row.getText(2) orelse ""),
+                .version = try self.allocator.dupe(u8, row.getText(3) orelse ""),
+                .kind = try self.allocator.dupe(u8, row.getText(4) orelse "release"),
+                .created_at = parseColumn(row.getText(5)) orelse 0,
+                .read_at = parseColumn(row.getText(6)),
+                .emailed_at = parseColumn(row.getText(7)),
+            });
+        }
+
+        return notifications.toOwnedSlice(self.allocator);
+    }
+
+    pub fn freeNotification(self: *Database, notification: types.Notification) void {
+        self.allocator.free(notification.username);
+        self.allocator.free(notification.package_name);
+        self.allocator.free(notification.version);
+        self.allocator.free(notification.kind);
+    }
+
+    fn queryCount(self: *Database, sql: []const u8) !u64 {
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return std.fmt.parseInt(u64, row.getText(0) orelse "0", 10) catch 0;
+        }
+        return 0;
+    }
+
+    // Activity feed operations
+    const activity_columns = "CAST(id AS TEXT), kind, package_name, version, CAST(value AS TEXT), CAST(created_at AS TEXT)";
+
+    /// Stores the entry and returns its id
+    pub fn addActivity(self: *Database, activity: types.Activity) !u64 {
+        const package_name = try self.quote(activity.package_name);
+        defer self.allocator.free(package_name);
+        const version = try self.quote(activity.version);
+        defer self.allocator.free(version);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT INTO activity (kind, package_name, version, value, created_at)
+            \\VALUES ('{s}', '{s}', '{s}', {d}, {d})
+        , .{ @tagName(activity.kind), package_name, version, activity.value, activity.created_at });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+
+        return self.queryCount("SELECT CAST(last_insert_rowid() AS TEXT)");
+    }
+
+    /// Oldest first: the entries after after_id, or the latest ones when it's null
+    pub fn listActivity(self: *Database, after_id: ?u64, limit: usize) ![]types.Activity {
+        const sql = if (after_id) |id|
+            try std.fmt.allocPrint(self.allocator, "SELECT " ++ activity_columns ++ " FROM activity WHERE id > {d} ORDER BY id LIMIT {d}", .{ id, limit })
+        else
+            try std.fmt.allocPrint(self.allocator, "SELECT " ++ activity_columns ++ " FROM activity WHERE id IN (SELECT id FROM activity ORDER BY id DESC LIMIT {d}) ORDER BY id", .{limit});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        var entries: std.ArrayList(types.Activity) = .empty;
+        errdefer {
+            for (entries.items) |entry| self.freeActivity(entry);
+            entries.deinit(self.allocator);
+        }
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            const kind = types.ActivityKind.parse(row.getText(1) orelse "") orelse continue;
+            try entries.append(self.allocator, .{
+                .id = std.fmt.parseInt(u64, row.getText(0) orelse "0", 10) catch 0,
+                .kind = kind,
+                .package_name = try self.allocator.dupe(u8, row.getText(2) orelse ""),
+                .version = try self.allocator.dupe(u8, row.getText(3) orelse ""),
+                .value = std.fmt.parseInt(u64, row.getText(4) orelse "0", 10) catch 0,
+                .created_at = std.fmt.parseInt(i64, row.getText(5) orelse "0", 10) catch 0,
+            });
+        }
+
+        return entries.toOwnedSlice(self.allocator);
+    }
+
+    pub fn latestActivityId(self: *Database) !u64 {
+        return self.queryCount("SELECT CAST(COALESCE(MAX(id), 0) AS TEXT) FROM activity");
+    }
+
+    pub fn freeActivity(self: *Database, activity: types.Activity) void {
+        self.allocator.free(activity.package_name);
+        self.allocator.free(activity.version);
+    }
+
+    // Personal access token operations
+    const api_token_columns = "CAST(id AS TEXT), CAST(user_id AS TEXT), username, email, display_name, avatar_url, provider, " ++
+        "name, scopes, token_prefix, CAST(created_at AS TEXT), CAST(expires_at AS TEXT), CAST(last_used_at AS TEXT)";
+
+    pub fn createApiToken(self: *Database, token: types.ApiToken, token_hash: []const u8) !u64 {
+        const username = try self.quote(token.username);
+        defer self.allocator.free(username);
+        const email = try self.quote(token.email);
+        defer self.allocator.free(email);
+        const display_name = try self.quote(token.display_name);
+        defer self.allocator.free(display_name);
+        const avatar_url = try self.quote(token.avatar_url);
+        defer self.allocator.free(avatar_url);
+        const name = try self.quote(token.name);
+        defer self.allocator.free(name);
+
+        var expires_buf: [32]u8 = undefined;
+        const expires_at = if (token.expires_at) |e| try std.fmt.bufPrint(&expires_buf, "{d}", .{e}) else "NULL";
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT INTO api_tokens
+            \\(user_id, username, email, display_name, avatar_url, provider, name, scopes,
+            \\ token_hash, token_prefix, created_at, expires_at, last_used_at)
+            \\VALUES ({d}, '{s}', '{s}', '{s}', '{s}', '{s}', '{s}', '{s}', '{s}', '{s}', {d}, {s}, NULL)
+        , .{
+            token.user_id,
+            username,
+            email,
+            display_name,
+            avatar_url,
+            token.provider,
+            name,
+            token.scopes,
+            token_hash,
+            token.token_prefix,
+            token.created_at,
+            expires_at,
+        });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+
+        var result = try self.db.query("SELECT CAST(last_insert_rowid() AS TEXT)");
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return std.fmt.parseInt(u64, row.getText(0) orelse "0", 10) catch 0;
+        }
+        return 0;
+    }
+
+    pub fn listApiTokens(self: *Database, user_id: i64) ![]types.ApiToken {
+        var buf: [512]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..], "SELECT " ++ api_token_columns ++ " FROM api_tokens WHERE user_id = {d} ORDER BY created_at DESC", .{user_id});
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        var tokens: std.ArrayList(types.ApiToken) = .empty;
+        errdefer {
+            for (tokens.items) |token| self.freeApiToken(token);
+            tokens.deinit(self.allocator);
+        }
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            try tokens.append(self.allocator, try self.apiTokenFromRow(&row));
+        }
+
+        return tokens.toOwnedSlice(self.allocator);
+    }
+
+    pub fn findApiToken(self: *Database, token_hash: []const u8) !?types.ApiToken {
+        var buf: [512]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..], "SELECT " ++ api_token_columns ++ " FROM api_tokens WHERE token_hash = '{s}'", .{token_hash});
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return try self.apiTokenFromRow(&row);
+        }
+        return null;
+    }
+
+    pub fn touchApiToken(self: *Database, id: u64, used_at: i64) !void {
+        var buf: [128]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..], "UPDATE api_tokens SET last_used_at = {d} WHERE id = {d}", .{ used_at, id });
+        try self.db.execute(sql);
+    }
+
+    // Returns false when the token doesn't exist or belongs to someone else
+    pub fn revokeApiToken(self: *Database, id: u64, user_id: i64) !bool {
+        var buf: [128]u8 = undefined;
+        const select_sql = try std.fmt.bufPrint(buf[0..], "SELECT id FROM api_tokens WHERE id = {d} AND user_id = {d}", .{ id, user_id });
+        var result = try self.db.query(select_sql);
+        defer result.deinit();
+
+        if (result.next()) |row_const| {
+            var row = row_const;
+            row.deinit();
+        } else {
+            return false;
+        }
+
+        var delete_buf: [128]u8 = undefined;
+        const delete_sql = try std.fmt.bufPrint(delete_buf[0..], "DELETE FROM api_tokens WHERE id = {d} AND user_id = {d}", .{ id, user_id });
+        try self.db.execute(delete_sql);
+        return true;
+    }
+
+    pub fn freeApiToken(self: *Database, token: types.ApiToken) void {
+        self.allocator.free(token.username);
+        self.allocator.free(token.email);
+        self.allocator.free(token.display_name);
+        self.allocator.free(token.avatar_url);
+        self.allocator.free(token.provider);
+        self.allocator.free(token.name);
+        self.allocator.free(token.scopes);
+        self.allocator.free(token.token_prefix);
+    }
+
+    fn apiTokenFromRow(self: *Database, row: anytype) !types.ApiToken {
+        const parseColumn = struct {
+            fn parse(value: ?[]const u8) ?i64 {
+                return std.fmt.parseInt(i64, value orelse return null, 10) catch null;
+            }
+        }.parse;
+
+        return types.ApiToken{
+            .id = @intCast(parseColumn(row.getText(0)) orelse 0),
+            .user_id = parseColumn(row.getText(1)) orelse 0,
+            .username = try self.allocator.dupe(u8, row.getText(2) orelse ""),
+            .email = try self.allocator.dupe(u8, row.getText(3) orelse ""),
+            .display_name = try self.allocator.dupe(u8, row.getText(4) orelse ""),
+            .avatar_url = try self.allocator.dupe(u8, row.getText(5) orelse ""),
+            .provider = try self.allocator.dupe(u8, row.getText(6) orelse "local"),
+            .name = try self.allocator.dupe(u8, row.getText(7) orelse ""),
+            .scopes = try self.allocator.dupe(u8, row.getText(8) orelse ""),
+            .token_prefix = try self.allocator.dupe(u8, row.getText(9) orelse ""),
+            .created_at = parseColumn(row.getText(10)) orelse 0,
+            .expires_at = parseColumn(row.getText(11)),
+            .last_used_at = parseColumn(row.getText(12)),
+        };
+    }
+
+    // Single quotes doubled, for user-supplied text in SQL string literals
+    fn quote(self: *Database, value: []const u8) ![]u8 {
+        return std.mem.replaceOwned(u8, self.allocator, value, "'", "''");
+    }
+
+    /// Stores a package known from GitHub metadata alone, e.g. one mirrored
+    /// from Zigistry. It has no releases until one is published.
     pub fn addPackageGitHub(self: *Database, package: types.Package) !void {
-        // Mock implementation - in production would store GitHub package metadata
-        _ = self;
-        
-        // For now just log the package addition
-        std.log.info("Mock: Adding GitHub package: {s}/{s}", .{ package.owner, package.repo });
+        const full_name = try package.fullName(self.allocator);
+        defer self.allocator.free(full_name);
+        const name = try self.quote(full_name);
+        defer self.allocator.free(name);
+        const description = try self.quote(package.description orelse "");
+        defer self.allocator.free(description);
+        const author = try self.quote(package.owner);
+        defer self.allocator.free(author);
+        const license = try self.quote(package.license orelse "");
+        defer self.allocator.free(license);
+        const repository = try self.quote(package.github_url orelse package.homepage orelse "");
+        defer self.allocator.free(repository);
+        const topics_joined = try std.mem.join(self.allocator, ",", package.topics);
+        defer self.allocator.free(topics_joined);
+        const topics = try self.quote(topics_joined);
+        defer self.allocator.free(topics);
+
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT INTO packages
+            \\(name, version, description, author, license, repository, dependencies,
+            \\ file_path, file_size, checksum, created_at, updated_at, topics)
+            \\VALUES ('{s}', '0.0.0', '{s}', '{s}', '{s}', '{s}', '', '', 0, '', {d}, {d}, '{s}')
+        , .{ name, description, author, license, repository, package.created_at, package.updated_at, topics });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+    }
+
+    pub fn packageExists(self: *Database, owner: []const u8, repo: []const u8) !bool {
+        const full_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(full_name);
+        const quoted = try self.quote(full_name);
+        defer self.allocator.free(quoted);
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT CAST(COUNT(*) AS TEXT) FROM packages WHERE name = '{s}'", .{quoted});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return !std.mem.eql(u8, row.getText(0) orelse "0", "0");
+        }
+        return false;
     }
     
-    // Comment operations (mock implementations)
+    // Comment operations
+    const comment_columns = "CAST(id AS TEXT), package_id, CAST(user_id AS TEXT), username, display_name, content, " ++
+        "CAST(created_at AS TEXT), CAST(updated_at AS TEXT), CAST(parent_id AS TEXT), " ++
+        "CAST(is_deleted AS TEXT), CAST(is_hidden AS TEXT), CAST(is_pinned AS TEXT)";
+
     pub fn addComment(self: *Database, request: types.CommentRequest, user_id: u64, username: []const u8, display_name: ?[]const u8) !u64 {
-        // Mock implementation - in production would insert into comments table
-        _ = self;
-        _ = request;
-        _ = user_id;
-        _ = username;
-        _ = display_name;
-        
-        // Return a mock comment ID
-        return @intCast(@mod(compat.timestamp(), 1000000));
+        const package_id = try self.quote(request.package_id);
+        defer self.allocator.free(package_id);
+        const content = try self.quote(request.content);
+        defer self.allocator.free(content);
+        const quoted_username = try self.quote(username);
+        defer self.allocator.free(quoted_username);
+        const quoted_display_name = try self.quote(display_name orelse "");
+        defer self.allocator.free(quoted_display_name);
+
+        var parent_buf: [32]u8 = undefined;
+        const parent_id = if (request.parent_id) |p| try std.fmt.bufPrint(&parent_buf, "{d}", .{p}) else "NULL";
+
+        const now = compat.timestamp();
+        const sql = try std.fmt.allocPrint(self.allocator,
+            \\INSERT INTO comments
+            \\(package_id, user_id, username, display_name, content, parent_id, created_at, updated_at)
+            \\VALUES ('{s}', {d}, '{s}', '{s}', '{s}', {s}, {d}, {d})
+        , .{ package_id, user_id, quoted_username, quoted_display_name, content, parent_id, now, now });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
+
+        var result = try self.db.query("SELECT CAST(last_insert_rowid() AS TEXT)");
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return std.fmt.parseInt(u64, row.getText(0) orelse "0", 10) catch 0;
+        }
+        return 0;
     }
-    
+
+    /// Every comment on a package, oldest first, including deleted and hidden
+    /// ones; the caller decides what each viewer sees.
     pub fn getCommentsForPackage(self: *Database, package_id: []const u8) ![]types.Comment {
-        // Mock implementation - in production would query comments table
-        var comments = std.array_list.AlignedManaged(types.Comment, null).init(self.allocator);
-        
-        // Mock some comments for demonstration
-        if (std.mem.eql(u8, package_id, "mitchellh/libxev") or 
-            std.mem.eql(u8, package_id, "ziglibs/zig-json") or
-            std.mem.eql(u8, package_id, "cktech/example")) {
-            
-            try comments.append(types.Comment{
-                .id = 1,
-                .package_id = try self.allocator.dupe(u8, package_id),
-                .user_id = 123,
-                .username = try self.allocator.dupe(u8, "developer123"),
-                .display_name = try self.allocator.dupe(u8, "John Developer"),
-                .content = try self.allocator.dupe(u8, "Great package! Works perfectly with my project."),
-                .created_at = compat.timestamp() - 86400, // 1 day ago
-                .updated_at = compat.timestamp() - 86400,
-                .parent_id = null,
-            });
-            
-            try comments.append(types.Comment{
-                .id = 2,
-                .package_id = try self.allocator.dupe(u8, package_id),
-                .user_id = 456,
-                .username = try self.allocator.dupe(u8, "coder_jane"),
-                .display_name = try self.allocator.dupe(u8, "Jane Coder"),
-                .content = try self.allocator.dupe(u8, "Thanks for the excellent documentation. Very helpful!"),
-                .created_at = compat.timestamp() - 3600, // 1 hour ago
-                .updated_at = compat.timestamp() - 3600,
-                .parent_id = null,
-            });
+        const quoted = try self.quote(package_id);
+        defer self.allocator.free(quoted);
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT " ++ comment_columns ++ " FROM comments WHERE package_id = '{s}' ORDER BY created_at ASC, id ASC", .{quoted});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        var comments: std.ArrayList(types.Comment) = .empty;
+        errdefer {
+            for (comments.items) |comment| self.freeComment(comment);
+            comments.deinit(self.allocator);
         }
-        
-        return comments.toOwnedSlice();
+
+        while (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            try comments.append(self.allocator, try self.commentFromRow(&row));
+        }
+
+        return comments.toOwnedSlice(self.allocator);
     }
-    
+
+    pub fn getComment(self: *Database, comment_id: u64) !?types.Comment {
+        var buf: [512]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..], "SELECT " ++ comment_columns ++ " FROM comments WHERE id = {d}", .{comment_id});
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return try self.commentFromRow(&row);
+        }
+        return null;
+    }
+
+    /// Visible, non-deleted comments on a package, for package cards
+    pub fn countComments(self: *Database, package_id: []const u8) !u64 {
+        const quoted = try self.quote(package_id);
+        defer self.allocator.free(quoted);
+        const sql = try std.fmt.allocPrint(self.allocator, "SELECT CAST(COUNT(*) AS TEXT) FROM comments WHERE package_id = '{s}' AND is_deleted = 0 AND is_hidden = 0", .{quoted});
+        defer self.allocator.free(sql);
+
+        var result = try self.db.query(sql);
+        defer result.deinit();
+        if (result.next()) |row_const| {
+            var row = row_const;
+            defer row.deinit();
+            return std.fmt.parseInt(u64, row.getText(0) orelse "0", 10) catch 0;
+        }
+        return 0;
+    }
+
+    // Returns false when the comment doesn't exist, is deleted or isn't the user's
     pub fn updateComment(self: *Database, comment_id: u64, user_id: u64, new_content: []const u8) !bool {
-        // Mock implementation - in production would update comments table
-        _ = self;
-        _ = comment_id;
-        _ = user_id;
-        _ = new_content;
-        
-        // Mock success
+        const existing = (try self.getComment(comment_id)) orelse return false;
+        defer self.freeComment(existing);
+        if (existing.user_id != user_id or existing.is_deleted) return false;
+
+        const content = try self.quote(new_content);
+        defer self.allocator.free(content);
+        const sql = try std.fmt.allocPrint(self.allocator, "UPDATE comments SET content = '{s}', updated_at = {d} WHERE id = {d} AND user_id = {d}", .{ content, compat.timestamp(), comment_id, user_id });
+        defer self.allocator.free(sql);
+        try self.db.execute(sql);
         return true;
     }
-    
+
+    // Soft delete: the text is dropped but the row stays as the parent of any replies
     pub fn deleteComment(self: *Database, comment_id: u64, user_id: u64) !bool {
-        // Mock implementation - in production would mark comment as deleted
-        _ = self;
-        _ = comment_id;
-        _ = user_id;
-        
-        // Mock success
+        const existing = (try self.getComment(comment_id)) orelse return false;
+        defer self.freeComment(existing);
+        if (existing.user_id != user_id or existing.is_deleted) return false;
+
+        var buf: [192]u8 = undefined;
+        const sql = try std.fmt.bufPrint(buf[0..], "UPDATE comments SET content = '', is_deleted = 1, is_pinned = 0, updated_at = {d} WHERE id = {d} AND user_id = {d}", .{ compat.timestamp(), comment_id, user_id });
+        try self.db.execute(sql);
         return true;
     }
+
+    // Maintainer moderation; null leaves a flag unchanged
+    pub fn moderateComment(self: *Database, comment_id: u64, hidden: ?bool, pinned: ?bool) !void {
+        if (hidden) |h| {
+            var buf: [128]u8 = undefined;
+            const sql = try std.fmt.bufPrint(buf[0..], "UPDATE comments SET is_hidden = {d} WHERE id = {d}", .{ @intFromBool(h), comment_id });
+            try self.db.execute(sql);
+        }
+        if (pinned) |p| {
+            var buf: [128]u8 = undefined;
+            const sql = try std.fmt.bufPrint(buf[0..], "UPDATE comments SET is_pinned = {d} WHERE id = {d}", .{ @intFromBool(p), comment_id });
+            try self.db.execute(sql);
+        }
+    }
+
+    pub fn freeComment(self: *Database, comment: types.Comment) void {
+        self.allocator.free(comment.package_id);
+        self.allocator.free(comment.username);
+        if (comment.display_name) |name| self.allocator.free(name);
+        self.allocator.free(comment.content);
+    }
+
+    fn commentFromRow(self: *Database, row: anytype) !types.Comment {
+        const parseColumn = struct {
+            fn parse(value: ?[]const u8) ?i64 {
+                return std.fmt.parseInt(i64, value orelse return null, 10) catch null;
+            }
+        }.parse;
+
+        const display_name = row.getText(4) orelse "";
+        return types.Comment{
+            .id = @intCast(parseColumn(row.getText(0)) orelse 0),
+            .package_id = try self.allocator.dupe(u8, row.getText(1) orelse ""),
+            .user_id = @intCast(parseColumn(row.getText(2)) orelse 0),
+            .username = try self.allocator.dupe(u8, row.getText(3) orelse ""),
+            .display_name = if (display_name.len > 0) try self.allocator.dupe(u8, display_name) else null,
+            .content = try self.allocator.dupe(u8, row.getText(5) orelse ""),
+            .created_at = parseColumn(row.getText(6)) orelse 0,
+            .updated_at = parseColumn(row.getText(7)) orelse 0,
+            .parent_id = if (parseColumn(row.getText(8))) |p| @intCast(p) else null,
+            .is_deleted = (parseColumn(row.getText(9)) orelse 0) != 0,
+            .is_hidden = (parseColumn(row.getText(10)) orelse 0) != 0,
+            .is_pinned = (parseColumn(row.getText(11)) orelse 0) != 0,
+        };
+    }
 };
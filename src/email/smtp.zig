@@ -1,5 +1,14 @@
 const std = @import("std");
 
+/// SMTP settings from the environment. SMTP_USER and SMTP_PASSWORD may be left
+/// empty for a server that takes mail without AUTH, such as a local stand-in
+/// (`python3 -m aiosmtpd -n -l localhost:1025`, Mailpit or MailHog) used to
+/// try the email digest out.
+///
+/// The client has no TLS, so SMTP_USE_TLS=true is refused, and so are
+/// credentials for anything but a relay on this machine: AUTH LOGIN would
+/// otherwise send them across the network in the clear. Host and port default
+/// to such a relay, localhost:25.
 pub const SmtpConfig = struct {
     host: []const u8,
     port: u16,
@@ -7,25 +16,27 @@ pub const SmtpConfig = struct {
     password: []const u8,
     from_address: []const u8,
     from_name: []const u8,
-    use_tls: bool,
 
     pub fn fromEnv(allocator: std.mem.Allocator, environ_map: *std.process.Environ.Map) !SmtpConfig {
-        const host = environ_map.get("SMTP_HOST") orelse "mail.smtp2go.com";
-        const port_str = environ_map.get("SMTP_PORT") orelse "2525";
-        const username = environ_map.get("SMTP_USER") orelse return error.MissingSmtpUser;
-        const password = environ_map.get("SMTP_PASSWORD") orelse return error.MissingSmtpPassword;
+        const host = environ_map.get("SMTP_HOST") orelse "localhost";
+        const port_str = environ_map.get("SMTP_PORT") orelse "25";
+        const username = environ_map.get("SMTP_USER") orelse "";
+        const password = environ_map.get("SMTP_PASSWORD") orelse "";
         const from_address = environ_map.get("SMTP_FROM") orelse return error.MissingSmtpFrom;
         const from_name = environ_map.get("SMTP_FROM_NAME") orelse "Zepplin Registry";
-        const use_tls_str = environ_map.get("SMTP_USE_TLS") orelse "true";
+        const use_tls_str = environ_map.get("SMTP_USE_TLS") orelse "false";
+
+        const port = std.fmt.parseInt(u16, port_str, 10) catch return error.InvalidSmtpPort;
+        if (username.len > 0 and password.len == 0) return error.MissingSmtpPassword;
+        try checkTransport(std.mem.eql(u8, use_tls_str, "true"), host, username);
 
         return SmtpConfig{
             .host = try allocator.dupe(u8, host),
-            .port = std.fmt.parseInt(u16, port_str, 10) catch 2525,
+            .port = port,
             .username = try allocator.dupe(u8, username),
             .password = try allocator.dupe(u8, password),
             .from_address = try allocator.dupe(u8, from_address),
             .from_name = try allocator.dupe(u8, from_name),
-            .use_tls = std.mem.eql(u8, use_tls_str, "true"),
         };
     }
 
@@ -38,6 +49,28 @@ pub const SmtpConfig = struct {
     }
 };
 
+/// Why fromEnv refused the settings, for the error printed at startup
+pub fn configErrorMessage(err: anyerror) []const u8 {
+    return switch (err) {
+        error.SmtpTlsUnsupported => "SMTP_USE_TLS=true isn't supported: the client has no TLS, so point SMTP_HOST at a local relay that speaks TLS upstream",
+        error.SmtpPlaintextAuth => "SMTP_USER is only accepted for a relay on this machine (localhost, 127.x or ::1), since AUTH LOGIN would send it in the clear",
+        error.MissingSmtpPassword => "SMTP_USER is set but SMTP_PASSWORD is empty",
+        error.InvalidSmtpPort => "SMTP_PORT isn't a port number",
+        else => @errorName(err),
+    };
+}
+
+fn checkTransport(use_tls: bool, host: []const u8, username: []const u8) !void {
+    if (use_tls) return error.SmtpTlsUnsupported;
+    if (username.len > 0 and !isLoopback(host)) return error.SmtpPlaintextAuth;
+}
+
+fn isLoopback(host: []const u8) bool {
+    return std.ascii.eqlIgnoreCase(host, "localhost") or
+        std.mem.eql(u8, host, "::1") or
+        std.mem.startsWith(u8, host, "127.");
+}
+
 pub const EmailMessage = struct {
     to: []const u8,
     to_name: ?[]const u8,
@@ -46,6 +79,13 @@ pub const EmailMessage = struct {
     body_html: ?[]const u8,
 };
 
+/// A release in the notification digest
+pub const DigestEntry = struct {
+    package_name: []const u8,
+    version: []const u8,
+    kind: []const u8, // "release", "major" or "security"
+};
+
 pub const SmtpClient = struct {
     allocator: std.mem.Allocator,
     io: std.Io,
@@ -65,70 +105,101 @@ pub const SmtpClient = struct {
     }
 
     pub fn sendEmail(self: *SmtpClient, message: EmailMessage) !void {
-        // Connect to SMTP server
-        const address = try std.net.Address.resolveIp(self.config.host, self.config.port);
-        var stream = try std.net.tcpConnectToAddress(self.io, address);
+        const host = try std.Io.net.HostName.init(self.config.host);
+        var stream = try host.connect(self.io, self.config.port, .{ .mode = .stream });
         defer stream.close(self.io);
 
+        // One reader and writer for the whole session, so replies that arrive
+        // together (EHLO's list of extensions) aren't lost between commands
         var read_buf: [1024]u8 = undefined;
         var write_buf: [4096]u8 = undefined;
+        var stream_reader = stream.reader(self.io, &read_buf);
+        var stream_writer = stream.writer(self.io, &write_buf);
+        try self.converse(&stream_reader.interface, &stream_writer.interface, message);
+    }
 
-        // Read greeting
-        _ = try stream.reader(self.io, &read_buf).interface.readUntilDelimiter('\n');
-
-        // EHLO
-        try self.sendCommand(&stream, &write_buf, &read_buf, "EHLO zepplin.dev\r\n");
-
-        // AUTH LOGIN
-        try self.sendCommand(&stream, &write_buf, &read_buf, "AUTH LOGIN\r\n");
-
-        // Send username (base64)
-        var username_buf: [256]u8 = undefined;
-        const username_encoded = std.base64.standard.Encoder.encode(&username_buf, self.config.username);
-        const username_cmd = try std.fmt.bufPrint(&write_buf, "{s}\r\n", .{username_encoded});
-        try self.sendCommand(&stream, &write_buf, &read_buf, username_cmd);
-
-        // Send password (base64)
-        var password_buf: [256]u8 = undefined;
-        const password_encoded = std.base64.standard.Encoder.encode(&password_buf, self.config.password);
-        const password_cmd = try std.fmt.bufPrint(&write_buf, "{s}\r\n", .{password_encoded});
-        try self.sendCommand(&stream, &write_buf, &read_buf, password_cmd);
-
-        // MAIL FROM
-        const mail_from = try std.fmt.allocPrint(self.allocator, "MAIL FROM:<{s}>\r\n", .{self.config.from_address});
-        defer self.allocator.free(mail_from);
-        try self.sendCommand(&stream, &write_buf, &read_buf, mail_from);
-
-        // RCPT TO
-        const rcpt_to = try std.fmt.allocPrint(self.allocator, "RCPT TO:<{s}>\r\n", .{message.to});
-        defer self.allocator.free(rcpt_to);
-        try self.sendCommand(&stream, &write_buf, &read_buf, rcpt_to);
+    // The SMTP dialogue for one message, from the server's greeting to QUIT
+    fn converse(self: *SmtpClient, reader: *std.Io.Reader, writer: *std.Io.Writer, message: EmailMessage) !void {
+        try readReply(reader, '2'); // greeting
+        try sendCommand(writer, reader, "EHLO zepplin.dev\r\n", '2');
+
+        if (self.config.username.len > 0) {
+            // fromEnv already refuses this; checked again right before the
+            // credentials would go out
+            try checkTransport(false, self.config.host, self.config.username);
+            try sendCommand(writer, reader, "AUTH LOGIN\r\n", '3');
+
+            var username_buf: [256]u8 = undefined;
+            const username_encoded = std.base64.standard.Encoder.encode(&username_buf, self.config.username);
+            try writer.print("{s}\r\n", .{username_encoded});
+            try sendCommand(writer, reader, "", '3');
+
+            var password_buf: [256]u8 = undefined;
+            const password_encoded = std.base64.standard.Encoder.encode(&password_buf, self.config.password);
+            try writer.print("{s}\r\n", .{password_encoded});
+            try sendCommand(writer, reader, "", '2');
+        }
 
-        // DATA
-        try self.sendCommand(&stream, &write_buf, &read_buf, "DATA\r\n");
+        try writer.print("MAIL FROM:<{s}>\r\n", .{self.config.from_address});
+        try sendCommand(writer, reader, "", '2');
+        try writer.print("RCPT TO:<{s}>\r\n", .{message.to});
+        try sendCommand(writer, reader, "", '2');
+        try sendCommand(writer, reader, "DATA\r\n", '3');
 
-        // Build email content
         const email_content = try self.buildEmailContent(message);
         defer self.allocator.free(email_content);
+        try writeData(writer, email_content);
+        try sendCommand(writer, reader, "\r\n.\r\n", '2');
+
+        // The message is accepted at this point; a failed QUIT doesn't matter
+        sendCommand(writer, reader, "QUIT\r\n", '2') catch {};
+    }
 
-        // Send email content
-        var writer = stream.writer(self.io, &write_buf);
-        try writer.interface.writeAll(email_content);
-        try writer.interface.writeAll("\r\n.\r\n");
-        try writer.interface.flush();
+    // Writes the command, then waits for a reply in the expected class
+    // ('2' for success, '3' for "go on")
+    fn sendCommand(writer: *std.Io.Writer, reader: *std.Io.Reader, command: []const u8, expected: u8) !void {
+        try writer.writeAll(command);
+        try writer.flush();
+        try readReply(reader, expected);
+    }
 
-        // Read response
-        _ = try stream.reader(self.io, &read_buf).interface.readUntilDelimiter('\n');
+    // Replies may span lines ("250-PIPELINING" ... "250 OK"); the last line
+    // has a space after the code
+    fn readReply(reader: *std.Io.Reader, expected: u8) !void {
+        while (true) {
+            const line = std.mem.trimRight(u8, try reader.takeDelimiterInclusive('\n'), "\r\n");
+            if (line.len < 3) return error.SmtpProtocolError;
+            if (line.len > 3 and line[3] == '-') continue;
+            if (line[0] != expected) {
+                std.log.warn("SMTP server replied: {s}", .{line});
+                return error.SmtpRejected;
+            }
+            return;
+        }
+    }
 
-        // QUIT
-        try self.sendCommand(&stream, &write_buf, &read_buf, "QUIT\r\n");
+    fn writeHtmlEscaped(writer: *std.Io.Writer, text: []const u8) !void {
+        for (text) |c| switch (c) {
+            '&' => try writer.writeAll("&amp;"),
+            '<' => try writer.writeAll("&lt;"),
+            '>' => try writer.writeAll("&gt;"),
+            '"' => try writer.writeAll("&quot;"),
+            else => try writer.writeByte(c),
+        };
     }
 
-    fn sendCommand(self: *SmtpClient, stream: *std.net.Stream, write_buf: *[4096]u8, read_buf: *[1024]u8, command: []const u8) !void {
-        var writer = stream.writer(self.io, write_buf);
-        try writer.interface.writeAll(command);
-        try writer.interface.flush();
-        _ = try stream.reader(self.io, read_buf).interface.readUntilDelimiter('\n');
+    // Message content with CRLF line endings, and lines starting with "."
+    // doubled so they can't end the DATA section early
+    fn writeData(writer: *std.Io.Writer, content: []const u8) !void {
+        var lines = std.mem.splitScalar(u8, content, '\n');
+        var first = true;
+        while (lines.next()) |raw_line| {
+            if (!first) try writer.writeAll("\r\n");
+            first = false;
+            const line = std.mem.trimRight(u8, raw_line, "\r");
+            if (std.mem.startsWith(u8, line, ".")) try writer.writeByte('.');
+            try writer.writeAll(line);
+        }
     }
 
     fn buildEmailContent(self: *SmtpClient, message: EmailMessage) ![]u8 {
@@ -300,12 +371,168 @@ pub const SmtpClient = struct {
         , .{ username, package_name, version, package_url });
         defer self.allocator.free(body_text);
 
+        const subject = try std.fmt.allocPrint(self.allocator, "Package {s}@{s} published", .{ package_name, version });
+        defer self.allocator.free(subject);
+
         try self.sendEmail(.{
             .to = to,
             .to_name = username,
-            .subject = try std.fmt.allocPrint(self.allocator, "Package {s}@{s} published", .{ package_name, version }),
+            .subject = subject,
             .body_text = body_text,
             .body_html = null,
         });
     }
+
+    /// Unread release notifications, oldest first, with links to each package
+    pub fn sendNotificationDigest(self: *SmtpClient, to: []const u8, username: []const u8, entries: []const DigestEntry, base_url: []const u8) !void {
+        var text: std.Io.Writer.Allocating = .init(self.allocator);
+        defer text.deinit();
+        var items: std.Io.Writer.Allocating = .init(self.allocator);
+        defer items.deinit();
+
+        for (entries) |entry| {
+            const label = if (std.mem.eql(u8, entry.kind, "security"))
+                " (security fix)"
+            else if (std.mem.eql(u8, entry.kind, "major"))
+                " (major release)"
+            else
+                "";
+            try text.writer.print("- {s} {s}{s}: {s}/packages/{s}\n", .{ entry.package_name, entry.version, label, base_url, entry.package_name });
+            // Package names come from publishers, so they're escaped for the HTML part
+            try items.writer.print("      <li style=\"margin: 0.5rem 0;\"><a href=\"{s}/packages/", .{base_url});
+            try writeHtmlEscaped(&items.writer, entry.package_name);
+            try items.writer.writeAll("\" style=\"color: #f7931e;\">");
+            try writeHtmlEscaped(&items.writer, entry.package_name);
+            try items.writer.writeAll("</a> ");
+            try writeHtmlEscaped(&items.writer, entry.version);
+            try items.writer.print("{s}</li>\n", .{label});
+        }
+
+        const body_text = try std.fmt.allocPrint(self.allocator,
+            \\Hello {s},
+            \\
+            \\New releases of packages you watch:
+            \\
+            \\{s}
+            \\Change what you watch or how often this email comes at {s}/notifications and {s}/settings.
+            \\
+            \\Best regards,
+            \\The Zepplin Team
+        , .{ username, text.written(), base_url, base_url });
+        defer self.allocator.free(body_text);
+
+        const body_html = try std.fmt.allocPrint(self.allocator,
+            \\<!DOCTYPE html>
+            \\<html>
+            \\<head><meta charset="UTF-8"></head>
+            \\<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #0f1419; color: #e6e1dc; padding: 2rem;">
+            \\  <div style="max-width: 600px; margin: 0 auto; background: #1e2328; border-radius: 8px; padding: 2rem;">
+            \\    <h1 style="color: #f7931e;">New releases</h1>
+            \\    <p>Hello {s},</p>
+            \\    <p>New releases of packages you watch:</p>
+            \\    <ul style="padding-left: 1.25rem;">
+            \\{s}    </ul>
+            \\    <p style="color: #666; font-size: 0.9rem;">Change what you watch on <a href="{s}/notifications" style="color: #666;">your notifications page</a>, or how often this email comes in <a href="{s}/settings" style="color: #666;">settings</a>.</p>
+            \\  </div>
+            \\</body>
+            \\</html>
+        , .{ username, items.written(), base_url, base_url });
+        defer self.allocator.free(body_html);
+
+        const subject = if (entries.len == 1)
+            try std.fmt.allocPrint(self.allocator, "{s} {s} released", .{ entries[0].package_name, entries[0].version })
+        else
+            try std.fmt.allocPrint(self.allocator, "{d} new releases of packages you watch", .{entries.len});
+        defer self.allocator.free(subject);
+
+        try self.sendEmail(.{
+            .to = to,
+            .to_name = username,
+            .subject = subject,
+            .body_text = body_text,
+            .body_html = body_html,
+        });
+    }
 };
+
+// A client whose SMTP dialogue is driven by canned server replies, standing
+// in for the local test server
+fn testClient(host: []const u8, username: []const u8) SmtpClient {
+    return .{
+        .allocator = std.testing.allocator,
+        .io = undefined, // converse never touches the network
+        .config = .{
+            .host = host,
+            .port = 1025,
+            .username = username,
+            .password = if (username.len > 0) "secret" else "",
+            .from_address = "registry@localhost",
+            .from_name = "Zepplin Registry",
+        },
+    };
+}
+
+const test_message = EmailMessage{
+    .to = "dev@example.com",
+    .to_name = "dev",
+    .subject = "Digest",
+    .body_text = "First line\n.hidden\n.",
+    .body_html = null,
+};
+
+test "converse sends one message and escapes leading dots" {
+    var client = testClient("localhost", "");
+    var reader: std.Io.Reader = .fixed("220 localhost ESMTP\r\n" ++
+        "250-localhost\r\n250-PIPELINING\r\n250 8BITMIME\r\n" ++
+        "250 OK\r\n250 OK\r\n354 End data with <CR><LF>.<CR><LF>\r\n250 Queued\r\n221 Bye\r\n");
+    var sent: std.Io.Writer.Allocating = .init(std.testing.allocator);
+    defer sent.deinit();
+
+    try client.converse(&reader, &sent.writer, test_message);
+
+    const dialogue = sent.written();
+    try std.testing.expect(std.mem.startsWith(u8, dialogue, "EHLO zepplin.dev\r\nMAIL FROM:<registry@localhost>\r\nRCPT TO:<dev@example.com>\r\nDATA\r\n"));
+    try std.testing.expect(std.mem.indexOf(u8, dialogue, "AUTH") == null);
+    try std.testing.expect(std.mem.indexOf(u8, dialogue, "\r\nFirst line\r\n..hidden\r\n..\r\n.\r\n") != null);
+    try std.testing.expect(std.mem.endsWith(u8, dialogue, "\r\n.\r\nQUIT\r\n"));
+}
+
+test "converse authenticates with a relay on this machine" {
+    var client = testClient("127.0.0.1", "user");
+    var reader: std.Io.Reader = .fixed("220 localhost ESMTP\r\n250 AUTH LOGIN\r\n" ++
+        "334 VXNlcm5hbWU6\r\n334 UGFzc3dvcmQ6\r\n235 Authenticated\r\n" ++
+        "250 OK\r\n250 OK\r\n354 Go ahead\r\n250 Queued\r\n221 Bye\r\n");
+    var sent: std.Io.Writer.Allocating = .init(std.testing.allocator);
+    defer sent.deinit();
+
+    try client.converse(&reader, &sent.writer, test_message);
+    try std.testing.expect(std.mem.indexOf(u8, sent.written(), "AUTH LOGIN\r\ndXNlcg==\r\nc2VjcmV0\r\nMAIL FROM:") != null);
+}
+
+test "converse refuses to send credentials in the clear" {
+    var client = testClient("mail.smtp2go.com", "user");
+    var reader: std.Io.Reader = .fixed("220 mail ESMTP\r\n250 AUTH LOGIN\r\n");
+    var sent: std.Io.Writer.Allocating = .init(std.testing.allocator);
+    defer sent.deinit();
+
+    try std.testing.expectError(error.SmtpPlaintextAuth, client.converse(&reader, &sent.writer, test_message));
+    try std.testing.expect(std.mem.indexOf(u8, sent.written(), "AUTH") == null);
+}
+
+test "converse stops at a rejected recipient" {
+    var client = testClient("localhost", "");
+    var reader: std.Io.Reader = .fixed("220 localhost ESMTP\r\n250 localhost\r\n250 OK\r\n550 No such user\r\n");
+    var sent: std.Io.Writer.Allocating = .init(std.testing.allocator);
+    defer sent.deinit();
+
+    try std.testing.expectError(error.SmtpRejected, client.converse(&reader, &sent.writer, test_message));
+    try std.testing.expect(std.mem.indexOf(u8, sent.written(), "DATA") == null);
+}
+
+test "checkTransport refuses TLS and remote AUTH" {
+    try std.testing.expectError(error.SmtpTlsUnsupported, checkTransport(true, "localhost", ""));
+    try std.testing.expectError(error.SmtpPlaintextAuth, checkTransport(false, "mail.smtp2go.com", "user"));
+    try checkTransport(false, "mail.smtp2go.com", "");
+    try checkTransport(false, "localhost", "user");
+    try checkTransport(false, "::1", "user");
+}
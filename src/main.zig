@@ -2,6 +2,7 @@ const std = @import("std");
 const cli = @import("cli/cli.zig");
 const commands = @import("cli/commands.zig");
 const server = @import("server/server.zig");
+const compat = @import("common/compat.zig");
 
 pub fn main(init: std.process.Init) !void {
     const allocator = init.gpa;
@@ -54,6 +55,26 @@ pub fn main(init: std.process.Init) !void {
         return;
     }
 
+    // Send the notification digests that are due; run it from cron, since
+    // `serve` doesn't send them itself
+    if (std.mem.eql(u8, args[1], "send-digests")) {
+        const data_dir = if (args.len > 2) args[2] else "./data";
+
+        var registry_server = server.Server.init(allocator, io, init.environ_map, 8080, data_dir) catch |err| {
+            std.debug.print("❌ Failed to open the registry in {s}: {}\n", .{ data_dir, err });
+            return err;
+        };
+        defer registry_server.deinit();
+
+        if (registry_server.mailer == null) {
+            std.debug.print("❌ SMTP isn't configured; set SMTP_FROM (see docs/deployment/ENVIRONMENT.md)\n", .{});
+            return;
+        }
+        const sent = registry_server.sendDueDigests(compat.timestamp());
+        std.debug.print("📧 Sent {d} notification digest(s)\n", .{sent});
+        return;
+    }
+
     // Otherwise, handle CLI commands
     const cli_args = commands.parseArgs(args) catch |err| switch (err) {
         commands.CliError.InvalidCommand => {
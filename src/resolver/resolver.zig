@@ -0,0 +1,455 @@
+//! Dependency graph resolution against the registry. Starting from a
+//! published release or a pasted build.zig.zon, follows each dependency URL
+//! that points at a registry package (this registry's download URLs or the
+//! package's GitHub archive/git URLs), picks the matching release and reads
+//! that release's own build.zig.zon from storage, breadth-first. Anything
+//! outside the registry is reported but not followed.
+
+const std = @import("std");
+const types = @import("../common/types.zig");
+const zon = @import("zon.zig");
+const Database = @import("../database/database.zig").Database;
+const Storage = @import("../storage/storage.zig").Storage;
+
+// A package with 250 transitive dependencies is already beyond what the graph
+// view can show usefully; past these limits the graph is marked truncated
+const MAX_DEPTH = 10;
+const MAX_NODES = 250;
+
+pub const ResolveError = error{
+    PackageNotFound,
+    ReleaseNotFound,
+    InvalidManifest,
+};
+
+pub const NodeStatus = enum {
+    root,
+    resolved,
+    /// A registry package, but no release matches the requested ref
+    missing_version,
+    /// A registry download URL for a package the registry doesn't have
+    not_found,
+    /// A URL outside the registry; not followed
+    external,
+    /// A local `.path` dependency; not followed
+    path,
+};
+
+pub const Node = struct {
+    id: []const u8,
+    name: []const u8,
+    status: NodeStatus,
+    owner: ?[]const u8 = null,
+    repo: ?[]const u8 = null,
+    version: ?[]const u8 = null,
+    sha256: ?[]const u8 = null,
+    url: ?[]const u8 = null,
+    depth: u32 = 0,
+    /// Whether this node's build.zig.zon was read, i.e. its dependencies are known
+    manifest: bool = false,
+};
+
+pub const Edge = struct {
+    from: []const u8,
+    to: []const u8,
+    /// The dependency's name in the parent's build.zig.zon
+    name: []const u8,
+    /// Tag or ref taken from the dependency URL, e.g. "v1.2.0"
+    requested: ?[]const u8 = null,
+    hash: ?[]const u8 = null,
+    lazy: bool = false,
+};
+
+pub const Graph = struct {
+    root: []const u8,
+    nodes: []const Node,
+    edges: []const Edge,
+    truncated: bool,
+};
+
+const RegistryRef = struct {
+    owner: []const u8,
+    repo: []const u8,
+    ref: ?[]const u8,
+    /// URL has the registry's own download path rather than a GitHub one
+    registry_url: bool,
+};
+
+pub const Resolver = struct {
+    allocator: std.mem.Allocator,
+    arena: std.heap.ArenaAllocator,
+    database: *Database,
+    storage: *Storage,
+    nodes: std.ArrayList(Node) = .empty,
+    edges: std.ArrayList(Edge) = .empty,
+    truncated: bool = false,
+
+    /// Everything the returned Graph points to is owned by the resolver and
+    /// freed by deinit
+    pub fn init(allocator: std.mem.Allocator, database: *Database, storage: *Storage) Resolver {
+        return Resolver{
+            .allocator = allocator,
+            .arena = std.heap.ArenaAllocator.init(allocator),
+            .database = database,
+            .storage = storage,
+        };
+    }
+
+    pub fn deinit(self: *Resolver) void {
+        self.arena.deinit();
+    }
+
+    /// Graph for a published release; the latest one when version is null
+    pub fn resolveRelease(self: *Resolver, owner: []const u8, repo: []const u8, version: ?[]const u8) !Graph {
+        if (!(try self.database.packageExists(owner, repo))) return ResolveError.PackageNotFound;
+        const root = (try self.findRelease(owner, repo, version)) orelse return ResolveError.ReleaseNotFound;
+
+        const arena = self.arena.allocator();
+        try self.nodes.append(arena, .{
+            .id = try std.fmt.allocPrint(arena, "{s}/{s}@{s}", .{ owner, repo, root.version }),
+            .name = try arena.dupe(u8, repo),
+            .status = .root,
+            .owner = try arena.dupe(u8, owner),
+            .repo = try arena.dupe(u8, repo),
+            .version = root.version,
+            .sha256 = root.sha256,
+        });
+        return self.walk(null);
+    }
+
+    /// Graph for a build.zig.zon that hasn't been published
+    pub fn resolveManifest(self: *Resolver, source: []const u8) !Graph {
+        const arena = self.arena.allocator();
+        const manifest_source = try arena.dupe(u8, source);
+        const manifest = zon.parseManifest(arena, manifest_source) catch |err| switch (err) {
+            error.InvalidManifest => return ResolveError.InvalidManifest,
+            else => |e| return e,
+        };
+
+        try self.nodes.append(arena, .{
+            .id = "root",
+            .name = manifest.name orelse "build.zig.zon",
+            .status = .root,
+            .version = manifest.version,
+        });
+        return self.walk(manifest_source);
+    }
+
+    // Breadth-first over self.nodes, which grows as dependencies are found.
+    // The root's manifest comes from root_source when given, from storage otherwise.
+    fn walk(self: *Resolver, root_source: ?[]const u8) !Graph {
+        const arena = self.arena.allocator();
+
+        var index: usize = 0;
+        while (index < self.nodes.items.len) : (index += 1) {
+            const node = self.nodes.items[index];
+            if (node.status != .root and node.status != .resolved) continue;
+
+            const source = if (index == 0 and root_source != null)
+                root_source.?
+            else
+                (try self.readManifest(node.owner.?, node.repo.?, node.version.?)) orelse continue;
+            const manifest = zon.parseManifest(arena, source) catch |err| switch (err) {
+                // A broken manifest in a dependency shouldn't fail the whole graph
+                error.InvalidManifest => continue,
+                else => |e| return e,
+            };
+            self.nodes.items[index].manifest = true;
+
+            if (node.depth >= MAX_DEPTH) {
+                if (manifest.dependencies.len > 0) self.truncated = true;
+                continue;
+            }
+
+            for (manifest.dependencies) |dependency| {
+                if (self.nodes.items.len >= MAX_NODES) {
+                    self.truncated = true;
+                    break;
+                }
+                const target = try self.dependencyNode(node, dependency);
+                var requested: ?[]const u8 = null;
+                if (dependency.url) |url| {
+                    if (registryRef(url)) |ref| requested = ref.ref;
+                }
+
+                try self.edges.append(arena, .{
+                    .from = node.id,
+                    .to = target,
+                    .name = dependency.name,
+                    .requested = requested,
+                    .hash = dependency.hash,
+                    .lazy = dependency.lazy,
+                });
+            }
+        }
+
+        return Graph{
+            .root = self.nodes.items[0].id,
+            .nodes = self.nodes.items,
+            .edges = self.edges.items,
+            .truncated = self.truncated,
+        };
+    }
+
+    // Id of the node a dependency points to, adding the node on first sight
+    fn dependencyNode(self: *Resolver, parent: Node, dependency: zon.Dependency) ![]const u8 {
+        const arena = self.arena.allocator();
+
+        var node = Node{
+            .id = undefined,
+            .name = dependency.name,
+            .status = .external,
+            .url = dependency.url,
+            .depth = parent.depth + 1,
+        };
+
+        if (dependency.url) |url| {
+            if (registryRef(url)) |ref| {
+                node.owner = ref.owner;
+                node.repo = ref.repo;
+                node.name = ref.repo;
+                if (!(try self.database.packageExists(ref.owner, ref.repo))) {
+                    node.status = if (ref.registry_url) .not_found else .external;
+                    node.id = try std.fmt.allocPrint(arena, "{s}/{s}@{s}", .{ ref.owner, ref.repo, ref.ref orelse "latest" });
+                } else if (try self.findRelease(ref.owner, ref.repo, ref.ref)) |release| {
+                    node.status = .resolved;
+                    node.version = release.version;
+                    node.sha256 = release.sha256;
+                    node.id = try std.fmt.allocPrint(arena, "{s}/{s}@{s}", .{ ref.owner, ref.repo, release.version });
+                } else {
+                    node.status = .missing_version;
+                    node.version = ref.ref;
+                    node.id = try std.fmt.allocPrint(arena, "{s}/{s}@{s}", .{ ref.owner, ref.repo, ref.ref orelse "latest" });
+                }
+            } else {
+                node.id = url;
+            }
+        } else {
+            node.status = .path;
+            node.url = dependency.path;
+            node.id = try std.fmt.allocPrint(arena, "{s}:{s}", .{ parent.id, dependency.path orelse dependency.name });
+        }
+
+        for (self.nodes.items) |existing| {
+            if (std.mem.eql(u8, existing.id, node.id)) return existing.id;
+        }
+        try self.nodes.append(arena, node);
+        return node.id;
+    }
+
+    const FoundRelease = struct {
+        version: []const u8,
+        sha256: ?[]const u8,
+    };
+
+    // Release whose tag matches ref with or without a leading "v"; the newest
+    // one when ref is null
+    fn findRelease(self: *Resolver, owner: []const u8, repo: []const u8, ref: ?[]const u8) !?FoundRelease {
+        const releases = try self.database.getReleases(owner, repo);
+        defer self.database.freeReleases(releases);
+
+        const arena = self.arena.allocator();
+        for (releases) |release| {
+            if (release.draft) continue;
+            const tag = std.mem.trimLeft(u8, release.tag_name, "v");
+            if (ref) |wanted| {
+                if (!std.mem.eql(u8, tag, std.mem.trimLeft(u8, wanted, "v"))) continue;
+            }
+            return FoundRelease{
+                .version = try arena.dupe(u8, tag),
+                .sha256 = if (release.sha256) |sha| try arena.dupe(u8, sha) else null,
+            };
+        }
+        return null;
+    }
+
+    // build.zig.zon from a stored release archive, or null when the archive
+    // or the manifest is missing
+    fn readManifest(self: *Resolver, owner: []const u8, repo: []const u8, version: []const u8) !?[]const u8 {
+        const parsed_version = types.Version.parse(version) catch return null;
+
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(package_name);
+
+        const package_data = self.storage.retrievePackage(package_name, parsed_version) catch return null;
+        defer self.allocator.free(package_data);
+
+        const manifest_names = [_][]const u8{"build.zig.zon"};
+        const manifest = (self.storage.readPackageFile(package_data, &manifest_names) catch return null) orelse return null;
+        defer self.allocator.free(manifest);
+
+        return try self.arena.allocator().dupe(u8, manifest);
+    }
+};
+
+// Recognizes the URL forms a Zig dependency uses to point at a registry package:
+//   https://<registry>/api/v1/packages/{owner}/{repo}/download/{version}
+//   https://github.com/{owner}/{repo}/archive/refs/tags/{tag}.tar.gz (or archive/{ref}.tar.gz)
+//   git+https://github.com/{owner}/{repo}.git#{ref}
+fn registryRef(url: []const u8) ?RegistryRef {
+    const registry_prefix = "/api/v1/packages/";
+    if (std.mem.indexOf(u8, url, registry_prefix)) |start| {
+        const path = url[start + registry_prefix.len ..];
+        var parts = std.mem.splitScalar(u8, path[0 .. std.mem.indexOfAny(u8, path, "?#") orelse path.len], '/');
+        const owner = parts.next() orelse return null;
+        const repo = parts.next() orelse return null;
+        const action = parts.next() orelse "";
+        if (owner.len == 0 or repo.len == 0) return null;
+        return RegistryRef{
+            .owner = owner,
+            .repo = repo,
+            .ref = if (std.mem.eql(u8, action, "download")) parts.next() else null,
+            .registry_url = true,
+        };
+    }
+
+    const github = "github.com/";
+    const start = std.mem.indexOf(u8, url, github) orelse return null;
+    const path = url[start + github.len ..];
+    const path_end = std.mem.indexOfAny(u8, path, "?#") orelse path.len;
+    var parts = std.mem.splitScalar(u8, path[0..path_end], '/');
+    const owner = parts.next() orelse return null;
+    var repo = parts.next() orelse return null;
+    if (std.mem.endsWith(u8, repo, ".git")) repo = repo[0 .. repo.len - ".git".len];
+    if (owner.len == 0 or repo.len == 0) return null;
+
+    var ref: ?[]const u8 = null;
+    if (std.mem.eql(u8, parts.next() orelse "", "archive")) {
+        var rest = parts.rest();
+        for ([_][]const u8{ "refs/tags/", "refs/heads/" }) |prefix| {
+            if (std.mem.startsWith(u8, rest, prefix)) rest = rest[prefix.len..];
+        }
+        for ([_][]const u8{ ".tar.gz", ".zip" }) |suffix| {
+            if (std.mem.endsWith(u8, rest, suffix)) rest = rest[0 .. rest.len - suffix.len];
+        }
+        if (rest.len > 0) ref = rest;
+    } else if (std.mem.indexOfScalar(u8, url, '#')) |hash_start| {
+        // git+https URLs carry the ref in the fragment
+        if (hash_start + 1 < url.len) ref = url[hash_start + 1 ..];
+    } else if (std.mem.indexOf(u8, url, "?ref=")) |ref_start| {
+        ref = url[ref_start + "?ref=".len ..];
+    }
+
+    return RegistryRef{ .owner = owner, .repo = repo, .ref = ref, .registry_url = false };
+}
+
+// Release rows as publishing records them, published in the order given.
+// The storage path doesn't exist, so no release has a readable archive.
+const TestRegistry = struct {
+    database: Database,
+    storage: Storage,
+    published: i64 = 0,
+
+    fn init() !TestRegistry {
+        return .{
+            .database = try Database.init(std.testing.allocator, ":memory:"),
+            .storage = .{ .allocator = std.testing.allocator, .io = std.testing.io, .storage_path = "resolver-test-missing" },
+        };
+    }
+
+    fn deinit(self: *TestRegistry) void {
+        self.database.deinit();
+    }
+
+    fn publish(self: *TestRegistry, owner: []const u8, repo: []const u8, tag: []const u8, draft: bool, sha256: []const u8) !void {
+        self.published += 1;
+        const published_at = 1_700_000_000 + self.published;
+        _ = try self.database.addRelease(.{
+            .id = 0,
+            .owner = owner,
+            .repo = repo,
+            .tag_name = tag,
+            .draft = draft,
+            .sha256 = sha256,
+            .created_at = published_at,
+            .published_at = published_at,
+        });
+    }
+};
+
+test "resolveRelease starts from the newest non-draft release row" {
+    var registry = try TestRegistry.init();
+    defer registry.deinit();
+    try registry.publish("cktech", "zepplin", "v0.5.0", false, "aaa");
+    try registry.publish("cktech", "zepplin", "v0.6.0", false, "bbb");
+    try registry.publish("cktech", "zepplin", "v0.7.0", true, "ccc");
+
+    var resolver = Resolver.init(std.testing.allocator, &registry.database, &registry.storage);
+    defer resolver.deinit();
+    const graph = try resolver.resolveRelease("cktech", "zepplin", null);
+
+    try std.testing.expectEqualStrings("cktech/zepplin@0.6.0", graph.root);
+    try std.testing.expectEqual(@as(usize, 1), graph.nodes.len);
+    try std.testing.expectEqualStrings("bbb", graph.nodes[0].sha256.?);
+    // No archive in storage, so the release's dependencies are unknown
+    try std.testing.expect(!graph.nodes[0].manifest);
+}
+
+test "resolveRelease matches a requested version with or without the v" {
+    var registry = try TestRegistry.init();
+    defer registry.deinit();
+    try registry.publish("cktech", "zepplin", "v0.5.0", false, "aaa");
+    try registry.publish("cktech", "zepplin", "0.6.0", false, "bbb");
+
+    var resolver = Resolver.init(std.testing.allocator, &registry.database, &registry.storage);
+    defer resolver.deinit();
+    const graph = try resolver.resolveRelease("cktech", "zepplin", "0.5.0");
+    try std.testing.expectEqualStrings("aaa", graph.nodes[0].sha256.?);
+
+    var other = Resolver.init(std.testing.allocator, &registry.database, &registry.storage);
+    defer other.deinit();
+    try std.testing.expectEqualStrings("cktech/zepplin@0.6.0", (try other.resolveRelease("cktech", "zepplin", "v0.6.0")).root);
+}
+
+test "resolveRelease reports unknown packages and versions" {
+    var registry = try TestRegistry.init();
+    defer registry.deinit();
+    try registry.publish("cktech", "zepplin", "v0.6.0", false, "bbb");
+    try registry.publish("cktech", "drafts", "v1.0.0", true, "ddd");
+
+    var resolver = Resolver.init(std.testing.allocator, &registry.database, &registry.storage);
+    defer resolver.deinit();
+    try std.testing.expectError(ResolveError.PackageNotFound, resolver.resolveRelease("cktech", "missing", null));
+    try std.testing.expectError(ResolveError.ReleaseNotFound, resolver.resolveRelease("cktech", "zepplin", "9.9.9"));
+    // Drafts aren't resolvable
+    try std.testing.expectError(ResolveError.ReleaseNotFound, resolver.resolveRelease("cktech", "drafts", null));
+}
+
+test "resolveManifest classifies dependencies against release rows" {
+    var registry = try TestRegistry.init();
+    defer registry.deinit();
+    try registry.publish("cktech", "zqlite", "v1.2.0", false, "zzz");
+
+    const source =
+        \\.{
+        \\    .name = .app,
+        \\    .version = "0.1.0",
+        \\    .dependencies = .{
+        \\        .zqlite = .{ .url = "https://github.com/cktech/zqlite/archive/refs/tags/v1.2.0.tar.gz" },
+        \\        .old = .{ .url = "https://zepplin.example/api/v1/packages/cktech/zqlite/download/1.0.0" },
+        \\        .gone = .{ .url = "https://zepplin.example/api/v1/packages/cktech/gone/download/1.0.0" },
+        \\        .other = .{ .url = "https://github.com/someone/else/archive/main.tar.gz" },
+        \\        .local = .{ .path = "libs/local" },
+        \\    },
+        \\}
+    ;
+    var resolver = Resolver.init(std.testing.allocator, &registry.database, &registry.storage);
+    defer resolver.deinit();
+    const graph = try resolver.resolveManifest(source);
+
+    try std.testing.expectEqual(@as(usize, 6), graph.nodes.len);
+    try std.testing.expectEqual(@as(usize, 5), graph.edges.len);
+
+    const expected = [_]struct { id: []const u8, status: NodeStatus }{
+        .{ .id = "cktech/zqlite@1.2.0", .status = .resolved },
+        .{ .id = "cktech/zqlite@1.0.0", .status = .missing_version },
+        .{ .id = "cktech/gone@1.0.0", .status = .not_found },
+        .{ .id = "someone/else@main", .status = .external },
+        .{ .id = "root:libs/local", .status = .path },
+    };
+    for (expected, graph.nodes[1..]) |want, node| {
+        try std.testing.expectEqualStrings(want.id, node.id);
+        try std.testing.expectEqual(want.status, node.status);
+    }
+    try std.testing.expectEqualStrings("zzz", graph.nodes[1].sha256.?);
+}
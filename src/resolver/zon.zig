@@ -0,0 +1,321 @@
+//! Minimal build.zig.zon reader for dependency resolution: the package name,
+//! version and minimum_zig_version plus the url/hash/path of each entry under
+//! `.dependencies`.
+//! Every other field is skipped without being interpreted, so manifests
+//! written for newer Zig versions still resolve. Returned slices point into
+//! the source text, with string escapes left as written.
+
+const std = @import("std");
+
+pub const ZonError = error{InvalidManifest} || std.mem.Allocator.Error;
+
+// Skipped values recurse once per nested `.{`; real manifests stay within a
+// handful of levels, so anything deeper is rejected rather than risking the stack
+const MAX_NESTING = 32;
+
+pub const Dependency = struct {
+    name: []const u8,
+    url: ?[]const u8 = null,
+    hash: ?[]const u8 = null,
+    path: ?[]const u8 = null,
+    lazy: bool = false,
+};
+
+pub const Manifest = struct {
+    name: ?[]const u8 = null,
+    version: ?[]const u8 = null,
+    minimum_zig_version: ?[]const u8 = null,
+    dependencies: []Dependency = &.{},
+
+    pub fn deinit(self: Manifest, allocator: std.mem.Allocator) void {
+        allocator.free(self.dependencies);
+    }
+};
+
+pub fn parseManifest(allocator: std.mem.Allocator, source: []const u8) ZonError!Manifest {
+    var scanner = Scanner{ .source = source };
+    var manifest = Manifest{};
+    var dependencies: std.ArrayList(Dependency) = .empty;
+    errdefer dependencies.deinit(allocator);
+
+    try scanner.openContainer();
+    while (try scanner.nextEntry()) {
+        const field = try scanner.fieldName();
+        if (std.mem.eql(u8, field, "name")) {
+            // `.name = .foo` since Zig 0.14, a string before that
+            manifest.name = try scanner.stringOrEnum();
+        } else if (std.mem.eql(u8, field, "version")) {
+            manifest.version = try scanner.string();
+        } else if (std.mem.eql(u8, field, "minimum_zig_version")) {
+            manifest.minimum_zig_version = try scanner.string();
+        } else if (std.mem.eql(u8, field, "dependencies")) {
+            try scanner.openContainer();
+            while (try scanner.nextEntry()) {
+                var dependency = Dependency{ .name = try scanner.fieldName() };
+                try scanner.openContainer();
+                while (try scanner.nextEntry()) {
+                    const key = try scanner.fieldName();
+                    if (std.mem.eql(u8, key, "url")) {
+                        dependency.url = try scanner.string();
+                    } else if (std.mem.eql(u8, key, "hash")) {
+                        dependency.hash = try scanner.string();
+                    } else if (std.mem.eql(u8, key, "path")) {
+                        dependency.path = try scanner.string();
+                    } else if (std.mem.eql(u8, key, "lazy")) {
+                        dependency.lazy = scanner.startsWith("true");
+                        try scanner.skipValue();
+                    } else {
+                        try scanner.skipValue();
+                    }
+                }
+                try dependencies.append(allocator, dependency);
+            }
+        } else {
+            try scanner.skipValue();
+        }
+    }
+
+    if (scanner.peek() != null) return error.InvalidManifest;
+    manifest.dependencies = try dependencies.toOwnedSlice(allocator);
+    return manifest;
+}
+
+const Scanner = struct {
+    source: []const u8,
+    pos: usize = 0,
+    depth: usize = 0,
+
+    // Whitespace and // comments
+    fn skipSpace(self: *Scanner) void {
+        while (self.pos < self.source.len) {
+            const c = self.source[self.pos];
+            if (c == '/' and self.pos + 1 < self.source.len and self.source[self.pos + 1] == '/') {
+                self.pos = std.mem.indexOfScalarPos(u8, self.source, self.pos, '\n') orelse self.source.len;
+            } else if (std.ascii.isWhitespace(c)) {
+                self.pos += 1;
+            } else {
+                break;
+            }
+        }
+    }
+
+    fn peek(self: *Scanner) ?u8 {
+        self.skipSpace();
+        return if (self.pos < self.source.len) self.source[self.pos] else null;
+    }
+
+    fn startsWith(self: *Scanner, prefix: []const u8) bool {
+        self.skipSpace();
+        return std.mem.startsWith(u8, self.source[self.pos..], prefix);
+    }
+
+    fn expect(self: *Scanner, c: u8) error{InvalidManifest}!void {
+        if (self.peek() != c) return error.InvalidManifest;
+        self.pos += 1;
+    }
+
+    fn openContainer(self: *Scanner) error{InvalidManifest}!void {
+        if (!self.startsWith(".{")) return error.InvalidManifest;
+        self.pos += 2;
+    }
+
+    // Steps over the `,` after an entry; false once the closing `}` is consumed
+    fn nextEntry(self: *Scanner) error{InvalidManifest}!bool {
+        if (self.peek() == ',') self.pos += 1;
+        const c = self.peek() orelse return error.InvalidManifest;
+        if (c != '}') return true;
+        self.pos += 1;
+        return false;
+    }
+
+    // `.name =` or `.@"quoted name" =`
+    fn fieldName(self: *Scanner) error{InvalidManifest}![]const u8 {
+        try self.expect('.');
+        const name = try self.identifier();
+        try self.expect('=');
+        return name;
+    }
+
+    fn identifier(self: *Scanner) error{InvalidManifest}![]const u8 {
+        if (self.pos < self.source.len and self.source[self.pos] == '@') {
+            self.pos += 1;
+            return self.string();
+        }
+        const start = self.pos;
+        while (self.pos < self.source.len and (std.ascii.isAlphanumeric(self.source[self.pos]) or self.source[self.pos] == '_')) {
+            self.pos += 1;
+        }
+        if (self.pos == start or std.ascii.isDigit(self.source[start])) return error.InvalidManifest;
+        return self.source[start..self.pos];
+    }
+
+    fn string(self: *Scanner) error{InvalidManifest}![]const u8 {
+        try self.expect('"');
+        const start = self.pos;
+        while (self.pos < self.source.len) : (self.pos += 1) {
+            switch (self.source[self.pos]) {
+                '"' => {
+                    self.pos += 1;
+                    return self.source[start .. self.pos - 1];
+                },
+                '\\' => self.pos += 1,
+                '\n' => break,
+                else => {},
+            }
+        }
+        return error.InvalidManifest;
+    }
+
+    fn stringOrEnum(self: *Scanner) error{InvalidManifest}![]const u8 {
+        if (self.peek() == '.') {
+            self.pos += 1;
+            return self.identifier();
+        }
+        return self.string();
+    }
+
+    fn skipValue(self: *Scanner) error{InvalidManifest}!void {
+        const c = self.peek() orelse return error.InvalidManifest;
+        switch (c) {
+            '.' => {
+                if (!self.startsWith(".{")) {
+                    self.pos += 1;
+                    _ = try self.identifier();
+                    return;
+                }
+                if (self.depth >= MAX_NESTING) return error.InvalidManifest;
+                self.depth += 1;
+                defer self.depth -= 1;
+
+                self.pos += 2;
+                while (try self.nextEntry()) {
+                    // Struct entries are `.name = value`, tuple entries bare values
+                    const entry_start = self.pos;
+                    if (self.peek() == '.') {
+                        self.pos += 1;
+                        if (self.identifier()) |_| {
+                            if (self.peek() == '=') {
+                                self.pos += 1;
+                                try self.skipValue();
+                                continue;
+                            }
+                        } else |_| {}
+                    }
+                    self.pos = entry_start;
+                    try self.skipValue();
+                }
+            },
+            '"' => _ = try self.string(),
+            '\\' => {
+                // Multiline string: consecutive lines starting with `\\`
+                while (self.startsWith("\\\\")) {
+                    self.pos = std.mem.indexOfScalarPos(u8, self.source, self.pos, '\n') orelse self.source.len;
+                }
+            },
+            '\'' => {
+                self.pos += 1;
+                if (self.pos < self.source.len and self.source[self.pos] == '\\') self.pos += 1;
+                self.pos += 1;
+                try self.expect('\'');
+            },
+            else => {
+                // Numbers, true, false, null
+                const start = self.pos;
+                while (self.pos < self.source.len) : (self.pos += 1) {
+                    const ch = self.source[self.pos];
+                    if (!std.ascii.isAlphanumeric(ch) and ch != '_' and ch != '.' and ch != '-' and ch != '+') break;
+                }
+                if (self.pos == start) return error.InvalidManifest;
+            },
+        }
+    }
+};
+
+test "parseManifest reads name, version and dependencies" {
+    const source =
+        \\.{
+        \\    .name = .zepplin,
+        \\    .version = "0.6.5",
+        \\    .fingerprint = 0x8a1f2c3d4e5f6071, // skipped
+        \\    .minimum_zig_version = "0.16.0",
+        \\    .dependencies = .{
+        \\        .zqlite = .{
+        \\            .url = "https://example.com/zqlite.tar.gz",
+        \\            .hash = "zqlite-1.0.0-abc",
+        \\            .lazy = true,
+        \\        },
+        \\        .@"local-lib" = .{ .path = "libs/local" },
+        \\    },
+        \\    .paths = .{ "build.zig", "build.zig.zon", "src" },
+        \\}
+    ;
+    const manifest = try parseManifest(std.testing.allocator, source);
+    defer manifest.deinit(std.testing.allocator);
+
+    try std.testing.expectEqualStrings("zepplin", manifest.name.?);
+    try std.testing.expectEqualStrings("0.6.5", manifest.version.?);
+    try std.testing.expectEqualStrings("0.16.0", manifest.minimum_zig_version.?);
+    try std.testing.expectEqual(@as(usize, 2), manifest.dependencies.len);
+
+    const zqlite = manifest.dependencies[0];
+    try std.testing.expectEqualStrings("zqlite", zqlite.name);
+    try std.testing.expectEqualStrings("https://example.com/zqlite.tar.gz", zqlite.url.?);
+    try std.testing.expectEqualStrings("zqlite-1.0.0-abc", zqlite.hash.?);
+    try std.testing.expect(zqlite.lazy);
+
+    const local = manifest.dependencies[1];
+    try std.testing.expectEqualStrings("local-lib", local.name);
+    try std.testing.expectEqualStrings("libs/local", local.path.?);
+    try std.testing.expect(local.url == null);
+    try std.testing.expect(!local.lazy);
+}
+
+test "parseManifest accepts a string name and no dependencies" {
+    const manifest = try parseManifest(std.testing.allocator, ".{ .name = \"legacy\", .version = \"1.0.0\" }");
+    defer manifest.deinit(std.testing.allocator);
+
+    try std.testing.expectEqualStrings("legacy", manifest.name.?);
+    try std.testing.expect(manifest.minimum_zig_version == null);
+    try std.testing.expectEqual(@as(usize, 0), manifest.dependencies.len);
+}
+
+test "parseManifest rejects malformed input" {
+    const cases = [_][]const u8{
+        "",
+        "{ .name = \"missing dot\" }",
+        ".{ .name = \"unterminated }",
+        ".{ .version = \"1.0.0\"",
+        ".{ .version = \"1.0.0\" } trailing",
+        ".{ .dependencies = .{ .foo = \"not a struct\" } }",
+        ".{ .1abc = 1 }",
+    };
+    for (cases) |source| {
+        try std.testing.expectError(error.InvalidManifest, parseManifest(std.testing.allocator, source));
+    }
+}
+
+test "parseManifest caps nesting in skipped values" {
+    const allocator = std.testing.allocator;
+
+    // Within the cap: skipped like any other field
+    const shallow = try nestedManifest(allocator, MAX_NESTING);
+    defer allocator.free(shallow);
+    const manifest = try parseManifest(allocator, shallow);
+    defer manifest.deinit(allocator);
+    try std.testing.expectEqualStrings("1.0.0", manifest.version.?);
+
+    const deep = try nestedManifest(allocator, 100_000);
+    defer allocator.free(deep);
+    try std.testing.expectError(error.InvalidManifest, parseManifest(allocator, deep));
+}
+
+// `.{ .version = "1.0.0", .extra = .{.{...}} }` with `levels` containers in .extra
+fn nestedManifest(allocator: std.mem.Allocator, levels: usize) ![]u8 {
+    var source: std.ArrayList(u8) = .empty;
+    errdefer source.deinit(allocator);
+    try source.appendSlice(allocator, ".{ .version = \"1.0.0\", .extra = ");
+    for (0..levels) |_| try source.appendSlice(allocator, ".{");
+    try source.appendNTimes(allocator, '}', levels);
+    try source.appendSlice(allocator, " }");
+    return source.toOwnedSlice(allocator);
+}
@@ -11,6 +11,18 @@ pub const auth = @import("auth/auth.zig");
 pub const storage = @import("storage/storage.zig");
 pub const config = @import("config/toml.zig");
 pub const zigistry = @import("zigistry/client.zig");
+pub const resolver = @import("resolver/resolver.zig");
+pub const trending = @import("trending/trending.zig");
+pub const badge = @import("badge/badge.zig");
+
+// `zig build test` only runs test blocks in files it analyzes, so list them here
+test {
+    _ = @import("resolver/zon.zig");
+    _ = @import("resolver/resolver.zig");
+    _ = @import("trending/trending.zig");
+    _ = @import("email/smtp.zig");
+    _ = @import("badge/badge.zig");
+}
 
 pub fn getVersion() []const u8 {
     return "0.6.5";
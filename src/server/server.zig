@@ -5,14 +5,142 @@ const Database = @import("../database/database.zig").Database;
 const Auth = @import("../auth/auth.zig").Auth;
 const Storage = @import("../storage/storage.zig").Storage;
 const ZigistryClient = @import("../zigistry/client.zig").ZigistryClient;
-const ZiglibsImporter = @import("../tools/ziglibs_import.zig").ZiglibsImporter;
+const resolver = @import("../resolver/resolver.zig");
+const trending = @import("../trending/trending.zig");
+const ecosystem = @import("../tools/ecosystem_import.zig");
+const smtp = @import("../email/smtp.zig");
+const zon = @import("../resolver/zon.zig");
+const badge = @import("../badge/badge.zig");
 
 const ZEPPLIN_VERSION = "0.6.5";
 
+// Personal access token limits
+const MAX_TOKENS_PER_USER = 25;
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+const MAX_TOKEN_NAME_LEN = 64;
+const TOKEN_PREFIX_LEN = 12; // "zpl_" plus 8 hex characters, shown in Settings
+
+// Package short names
+const MAX_ALIAS_LEN = 64;
+
+// Release uploads
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+const UPLOAD_CHUNK_SIZE = 1024 * 1024;
+const UPLOAD_SESSION_TTL = 24 * 60 * 60; // unfinished resumable uploads are dropped after a day
+
+// Package discussions
+const MAX_COMMENT_LEN = 2000;
+const MAX_COMMENT_THREADS_PER_PAGE = 50;
+
+// Sent with every static HTML page. Scripts only load from /js (no inline
+// code or handlers); styles stay 'unsafe-inline' for the docs pages' <style>
+// blocks. Avatars and provider icons come from other https origins.
+const CONTENT_SECURITY_POLICY = "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; " ++
+    "img-src 'self' https: data:; connect-src 'self'; object-src 'none'; base-uri 'self'; " ++
+    "form-action 'self'; frame-ancestors 'none'";
+
+// Browser sessions: the signed session JWT lives in an HttpOnly cookie, and
+// cookie-authenticated requests that change state must echo the session's
+// CSRF token in X-CSRF-Token. Bearer tokens (CLI, CI) don't use either.
+const SESSION_COOKIE = "zepplin_session";
+const SESSION_MAX_AGE = 24 * 60 * 60; // matches the JWT's exp
+const CSRF_HEADER = "X-CSRF-Token";
+
+// Account settings. Linking GitHub or Microsoft runs that provider's normal
+// sign-in; short-lived cookies carry the pending link and the page to return to.
+const LINK_INTENT_COOKIE = "oauth_link";
+const RETURN_TO_COOKIE = "oauth_return";
+const OAUTH_COOKIE_MAX_AGE = 10 * 60;
+const REAUTH_WINDOW = 10 * 60; // deleting an account needs a sign-in at most this old
+const MIN_PASSWORD_LEN = 8;
+const MAX_PASSWORD_LEN = 128;
+const MAX_DISPLAY_NAME_LEN = 64;
+const MAX_EMAIL_LEN = 254;
+const MAX_AVATAR_URL_LEN = 512;
+// Theme preferences the web UI knows (web/js/theme.js)
+const PROFILE_THEMES = [_][]const u8{ "system", "light", "dark", "high-contrast" };
+
+// Watched packages and release notifications. The email digest goes out from
+// `zepplin send-digests` run by cron, never from the serve loop, so a slow
+// SMTP server can't hold up requests.
+const MAX_NOTIFICATIONS_PER_PAGE = 100;
+const MAX_DIGEST_ENTRIES = 50;
+
+// Live activity feed. The serve loop handles one connection at a time, so
+// /api/v1/events can't be held open: each stream sends what's new and ends,
+// and `retry` has EventSource come back with the last id it saw, as often as
+// the home page would poll /api/v1/activity.
+const MAX_ACTIVITY_PER_PAGE = 100;
+const EVENT_RETRY_MS = 15000;
+const DOWNLOAD_MILESTONES = [_]u64{ 100, 1_000, 10_000, 100_000, 1_000_000 };
+
+// README badges. Image proxies such as GitHub's camo keep a badge for
+// max-age, so a new release shows up on them within that long.
+const BADGE_MAX_AGE = 300;
+const MAX_BADGE_LABEL_LEN = 40;
+
 const RouteHandler = *const fn (self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) anyerror!void;
 const StaticHandler = *const fn (self: *Server, stream: std.Io.net.Stream, path: []const u8) anyerror!void;
 const PrefixRoute = struct { prefix: []const u8, handler: RouteHandler };
 
+const SearchSort = enum { relevance, downloads, updated, name };
+
+const SearchHit = struct {
+    pkg: types.PackageMetadata,
+    score: u8,
+
+    fn lessThan(sort: SearchSort, a: SearchHit, b: SearchHit) bool {
+        return switch (sort) {
+            .relevance => a.score > b.score or (a.score == b.score and a.pkg.download_count > b.pkg.download_count),
+            .downloads => a.pkg.download_count > b.pkg.download_count,
+            .updated => a.pkg.updated_at > b.pkg.updated_at,
+            .name => std.ascii.lessThanIgnoreCase(a.pkg.repo orelse a.pkg.name, b.pkg.repo orelse b.pkg.name),
+        };
+    }
+};
+
+// Compares dotted versions numerically ("0.13" < "0.13.1" < "0.14.0"); a leading
+// "v" and pre-release suffixes are ignored
+fn compareVersions(a: []const u8, b: []const u8) std.math.Order {
+    var a_parts = std.mem.splitScalar(u8, std.mem.trimLeft(u8, a, "v"), '.');
+    var b_parts = std.mem.splitScalar(u8, std.mem.trimLeft(u8, b, "v"), '.');
+    while (true) {
+        const a_part = a_parts.next();
+        const b_part = b_parts.next();
+        if (a_part == null and b_part == null) return .eq;
+        const a_num = versionPart(a_part orelse "0");
+        const b_num = versionPart(b_part orelse "0");
+        if (a_num != b_num) return std.math.order(a_num, b_num);
+    }
+}
+
+fn versionPart(part: []const u8) u32 {
+    const end = std.mem.indexOfNone(u8, part, "0123456789") orelse part.len;
+    return std.fmt.parseInt(u32, part[0..end], 10) catch 0;
+}
+
+fn urlDecode(allocator: std.mem.Allocator, encoded: []const u8) ![]u8 {
+    var decoded: std.ArrayList(u8) = .empty;
+    defer decoded.deinit(allocator);
+
+    var i: usize = 0;
+    while (i < encoded.len) {
+        if (encoded[i] == '%' and i + 2 < encoded.len) {
+            const byte = try std.fmt.parseInt(u8, encoded[i + 1 .. i + 3], 16);
+            try decoded.append(allocator, byte);
+            i += 3;
+        } else if (encoded[i] == '+') {
+            try decoded.append(allocator, ' ');
+            i += 1;
+        } else {
+            try decoded.append(allocator, encoded[i]);
+            i += 1;
+        }
+    }
+
+    return decoded.toOwnedSlice(allocator);
+}
+
 const ServerError = error{
     BindFailed,
     InvalidRequest,
@@ -28,6 +156,28 @@ const AuthenticatedUser = struct {
     display_name: []u8,
     avatar_url: []u8,
     provider: []u8,
+    // Set when the request used a personal access token; sessions have every scope
+    token_scopes: ?[]u8 = null,
+    // When the session's sign-in happened (the JWT's iat); 0 for tokens
+    authenticated_at: i64 = 0,
+
+    fn hasScope(self: AuthenticatedUser, scope: types.TokenScope) bool {
+        const scopes = self.token_scopes orelse return true;
+        var iter = std.mem.splitScalar(u8, scopes, ',');
+        while (iter.next()) |name| {
+            if (std.mem.eql(u8, name, @tagName(scope))) return true;
+        }
+        return false;
+    }
+
+    fn deinit(self: AuthenticatedUser, allocator: std.mem.Allocator) void {
+        allocator.free(self.username);
+        allocator.free(self.email);
+        allocator.free(self.display_name);
+        allocator.free(self.avatar_url);
+        allocator.free(self.provider);
+        if (self.token_scopes) |scopes| allocator.free(scopes);
+    }
 };
 
 // Response cache entry
@@ -196,6 +346,17 @@ pub const Server = struct {
     response_cache: std.HashMap([]const u8, CacheEntry, std.hash_map.StringContext, std.hash_map.default_max_load_percentage),
     file_cache: LRUCache,
 
+    // Resumable uploads in progress, keyed by upload id
+    uploads: std.HashMap([]const u8, types.UploadSession, std.hash_map.StringContext, std.hash_map.default_max_load_percentage),
+
+    // The request handleStream is serving, so readRequestBody can read its
+    // body through the same reader that parsed the head
+    http_request: ?*std.http.Server.Request = null,
+
+    // Sends the notification digest; null when SMTP_FROM isn't set
+    mailer: ?smtp.SmtpClient,
+
+
     pub fn init(allocator: std.mem.Allocator, io: std.Io, environ_map: *std.process.Environ.Map, port: u16, data_dir: []const u8) !Server {
         // Helper to get env var with fallback
         const getEnv = struct {
@@ -260,6 +421,23 @@ pub const Server = struct {
         const zigistry_url = getEnv(environ_map, "ZEPPLIN_ZIGISTRY_URL");
         const zigistry = ZigistryClient.init(allocator, io, zigistry_url);
 
+        // Email digests need an SMTP server; without SMTP_FROM notifications stay
+        // in-app. Once it's set, settings the client refuses stop startup rather
+        // than leaving digests quietly off.
+        const mailer: ?smtp.SmtpClient = if (smtp.SmtpConfig.fromEnv(allocator, environ_map)) |config| blk: {
+            std.debug.print("📧 Notification digests go through {s}:{d} when `zepplin send-digests` runs\n", .{ config.host, config.port });
+            break :blk smtp.SmtpClient.init(allocator, io, config);
+        } else |err| switch (err) {
+            error.MissingSmtpFrom => blk: {
+                std.debug.print("📭 Email digests off; set SMTP_FROM to send them\n", .{});
+                break :blk null;
+            },
+            else => {
+                std.debug.print("❌ SMTP_FROM is set, but {s}; see SMTP_* in docs/deployment/ENVIRONMENT.md\n", .{smtp.configErrorMessage(err)});
+                return err;
+            },
+        };
+
         var server = Server{
             .allocator = allocator,
             .io = io,
@@ -274,6 +452,8 @@ pub const Server = struct {
             .static_routes = std.HashMap([]const u8, StaticHandler, std.hash_map.StringContext, std.hash_map.default_max_load_percentage).init(allocator),
             .response_cache = std.HashMap([]const u8, CacheEntry, std.hash_map.StringContext, std.hash_map.default_max_load_percentage).init(allocator),
             .file_cache = LRUCache.init(allocator, 100), // Cache up to 100 files
+            .uploads = std.HashMap([]const u8, types.UploadSession, std.hash_map.StringContext, std.hash_map.default_max_load_percentage).init(allocator),
+            .mailer = mailer,
         };
         
         // Initialize route tables
@@ -291,23 +471,17 @@ pub const Server = struct {
         self.static_routes.deinit();
         self.response_cache.deinit();
         self.file_cache.deinit();
+
+        var upload_iterator = self.uploads.valueIterator();
+        while (upload_iterator.next()) |session| self.freeUploadSession(session.*);
+        self.uploads.deinit();
+
+
+        if (self.mailer) |*mailer| mailer.deinit();
         self.database.deinit();
         self.storage.deinit();
     }
 
-    // Ziglibs integration method
-    pub fn syncZiglibs(self: *Server) !u32 {
-        std.log.info("🔄 Starting Ziglibs sync...", .{});
-        
-        var importer = ZiglibsImporter.init(self.allocator, self.io);
-        defer importer.deinit();
-        
-        const imported_count = try importer.importPackages(&self.database);
-        
-        std.log.info("✅ Ziglibs sync completed: {} packages imported", .{imported_count});
-        return imported_count;
-    }
-    
     fn cleanupCache(self: *Server, cache: *std.HashMap([]const u8, CacheEntry, std.hash_map.StringContext, std.hash_map.default_max_load_percentage)) void {
         var iterator = cache.iterator();
         while (iterator.next()) |entry| {
@@ -325,6 +499,14 @@ pub const Server = struct {
             }
         }.handler);
         
+        // Served from the root so the worker's scope covers the whole site
+        try self.exact_routes.put("/sw.js", struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = path; _ = request; _ = request_allocator;
+                try server.serveStaticFile(stream, "web/sw.js");
+            }
+        }.handler);
+
         try self.exact_routes.put("/health", struct {
             fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
                 _ = path; _ = request; _ = request_allocator;
@@ -388,21 +570,99 @@ pub const Server = struct {
             }
         }.handler);
         
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/stats/downloads", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request; _ = request_allocator;
+                try server.handleDownloadHistoryV1(stream, path);
+            }
+        }.handler });
+
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/trending", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request; _ = request_allocator;
+                try server.handleTrendingV1(stream, path);
+            }
+        }.handler });
+
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/ecosystem/packages", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request; _ = request_allocator;
+                try server.handleEcosystemCatalogV1(stream, path);
+            }
+        }.handler });
+
+        try self.exact_routes.put("/api/v1/packages", struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request; _ = request_allocator;
+                try server.handleListPackagesV1(stream, path);
+            }
+        }.handler);
+
         try self.exact_routes.put("/api/v1/auth/me", struct {
             fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
                 _ = path; _ = request_allocator;
                 try server.handleUserProfile(stream, request);
             }
         }.handler);
+
+        try self.exact_routes.put("/api/v1/auth/tokens", struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = path; _ = request_allocator;
+                try server.handleListTokensV1(stream, request);
+            }
+        }.handler);
+
+        try self.exact_routes.put("/api/v1/account/identities", struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = path; _ = request_allocator;
+                try server.handleListIdentitiesV1(stream, request);
+            }
+        }.handler);
+
+        try self.exact_routes.put("/api/v1/account/watches", struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = path; _ = request_allocator;
+                try server.handleListWatchesV1(stream, request);
+            }
+        }.handler);
         
         // Prefix route matches
         try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/packages/", .handler = struct {
             fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
-                _ = request; _ = request_allocator;
+                _ = request_allocator;
+                if (Server.parseWatchPath(path) != null) return server.handleGetWatchV1(stream, path, request);
                 try server.handlePackageApiV1(stream, path);
             }
         }.handler });
+
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/events", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request_allocator;
+                try server.handleEventsV1(stream, path, request);
+            }
+        }.handler });
+
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/activity", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request; _ = request_allocator;
+                try server.handleListActivityV1(stream, path);
+            }
+        }.handler });
+
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/notifications", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request_allocator;
+                try server.handleListNotificationsV1(stream, path, request);
+            }
+        }.handler });
         
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/packages?", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request; _ = request_allocator;
+                try server.handleListPackagesV1(stream, path);
+            }
+        }.handler });
+
         try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/search", .handler = struct {
             fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
                 _ = request; _ = request_allocator;
@@ -410,6 +670,20 @@ pub const Server = struct {
             }
         }.handler });
         
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/users/", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request; _ = request_allocator;
+                try server.handleUserPackagesV1(stream, path);
+            }
+        }.handler });
+
+        try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/uploads/", .handler = struct {
+            fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
+                _ = request_allocator;
+                try server.handleGetUploadV1(stream, path, request);
+            }
+        }.handler });
+
         try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/resolve/", .handler = struct {
             fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
                 _ = request; _ = request_allocator;
@@ -419,7 +693,8 @@ pub const Server = struct {
         
         try self.prefix_routes.append(self.allocator, .{ .prefix = "/api/v1/comments/", .handler = struct {
             fn handler(server: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
-                try server.handleCommentsApiV1(stream, path, request, request_allocator);
+                _ = request_allocator;
+                try server.handleListCommentsV1(stream, path, request);
             }
         }.handler });
         
@@ -499,7 +774,7 @@ pub const Server = struct {
         var connection_writer = stream.writer(self.io, &send_buffer);
         var http_server: std.http.Server = .init(&connection_reader.interface, &connection_writer.interface);
 
-        const http_request = http_server.receiveHead() catch |err| {
+        var http_request = http_server.receiveHead() catch |err| {
             switch (err) {
                 error.HttpConnectionClosing => return,
                 else => {
@@ -510,9 +785,14 @@ pub const Server = struct {
         };
 
         const method_str = @tagName(http_request.head.method);
-        const path = http_request.head.target;
+        // Reading the body invalidates the head's memory, so handlers get copies
+        const path = try request_allocator.dupe(u8, http_request.head.target);
+        const head = try request_allocator.dupe(u8, http_request.head_buffer);
 
-        try self.routeRequestHttp(stream, &connection_writer, method_str, path, http_request.head_buffer, request_allocator);
+        self.http_request = &http_request;
+        defer self.http_request = null;
+
+        try self.routeRequestHttp(stream, &connection_writer, method_str, path, head, request_allocator);
     }
 
     // New routing function that uses the persistent writer
@@ -582,14 +862,12 @@ pub const Server = struct {
                 try self.handleZigistryTrending(stream, path);
             } else if (std.mem.startsWith(u8, path, "/api/zigistry/browse")) {
                 try self.handleZigistryBrowse(stream, path);
-            } else if (std.mem.startsWith(u8, path, "/api/ziglibs/packages")) {
-                try self.handleZiglibsPackages(stream, path);
-            } else if (std.mem.eql(u8, path, "/api/v1/auth/oidc/microsoft/login")) {
-                try self.handleMicrosoftLogin(stream);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/auth/oidc/microsoft/login")) {
+                try self.handleMicrosoftLogin(stream, path);
             } else if (std.mem.startsWith(u8, path, "/api/v1/auth/oidc/microsoft/callback")) {
                 try self.handleMicrosoftCallback(stream, path, request);
-            } else if (std.mem.eql(u8, path, "/api/v1/auth/oauth/github/login")) {
-                try self.handleGitHubLogin(stream);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/auth/oauth/github/login")) {
+                try self.handleGitHubLogin(stream, path);
             } else if (std.mem.startsWith(u8, path, "/api/v1/auth/oauth/github/callback")) {
                 try self.handleGitHubCallback(stream, path, request);
             } else if (std.mem.endsWith(u8, path, ".wasm")) {
@@ -598,25 +876,9 @@ pub const Server = struct {
                 try self.serveStaticFile(stream, file_path);
             } else if (std.mem.eql(u8, path, "/auth")) {
                 try self.serveStaticFile(stream, "web/auth.html");
-            } else if (std.mem.eql(u8, path, "/publish")) {
-                try self.serveStaticFile(stream, "web/publish.html");
-            } else if (std.mem.eql(u8, path, "/profile")) {
-                try self.serveStaticFile(stream, "web/profile.html");
-            } else if (std.mem.eql(u8, path, "/settings")) {
-                try self.serveStaticFile(stream, "web/settings.html");
-            } else if (std.mem.eql(u8, path, "/packages/my")) {
-                try self.serveStaticFile(stream, "web/my-packages.html");
-            } else if (std.mem.eql(u8, path, "/packages") or std.mem.eql(u8, path, "/browse")) {
-                try self.serveStaticFile(stream, "web/browse.html");
-            } else if (std.mem.startsWith(u8, path, "/packages?")) {
-                try self.serveStaticFile(stream, "web/browse.html");
-            } else if (std.mem.eql(u8, path, "/trending") or std.mem.startsWith(u8, path, "/trending?")) {
-                try self.serveStaticFile(stream, "web/trending.html");
-            } else if (std.mem.eql(u8, path, "/search") or std.mem.startsWith(u8, path, "/search?")) {
-                try self.serveStaticFile(stream, "web/search.html");
-            } else if (std.mem.startsWith(u8, path, "/packages/")) {
-                // Individual package pages - serve browse for now
-                try self.serveStaticFile(stream, "web/browse.html");
+            } else if (isAppRoute(path)) {
+                // Client-side routes: the shell's router in web/js/main.js renders the view
+                try self.serveStaticFile(stream, "web/templates/index.html");
             } else if (std.mem.startsWith(u8, path, "/docs") or
                       std.mem.startsWith(u8, path, "/login") or
                       std.mem.startsWith(u8, path, "/account")) {
@@ -631,24 +893,62 @@ pub const Server = struct {
                 try self.handleLogin(stream);
             } else if (std.mem.eql(u8, path, "/api/v1/auth/logout")) {
                 try self.handleLogout(stream, request);
+            } else if (std.mem.eql(u8, path, "/api/v1/auth/tokens")) {
+                try self.handleCreateTokenV1(stream, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/account/identities/")) {
+                try self.handleStartLinkV1(stream, path, request);
+            } else if (std.mem.eql(u8, path, "/api/v1/resolve")) {
+                try self.handleResolveGraphV1(stream);
+            } else if (std.mem.eql(u8, path, "/api/v1/notifications/read")) {
+                try self.handleMarkNotificationsReadV1(stream, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/comments/")) {
+                try self.handleCreateCommentV1(stream, path, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/packages/") and std.mem.endsWith(u8, path, "/uploads")) {
+                try self.handleCreateUploadV1(stream, path, request);
             } else if (std.mem.startsWith(u8, path, "/api/v1/packages/")) {
-                try self.handlePublishPackageV1(stream, path);
+                try self.handlePublishPackageV1(stream, path, request);
             } else if (std.mem.eql(u8, path, "/api/packages")) {
                 try self.handlePublishPackage(stream);
-            } else if (std.mem.eql(u8, path, "/api/ziglibs/sync")) {
-                try self.handleZiglibsSync(stream, request);
+            } else if (std.mem.eql(u8, path, "/api/v1/ecosystem/import")) {
+                try self.handleEcosystemImportV1(stream, request);
             } else {
                 try self.serve404(stream);
             }
         } else if (std.mem.eql(u8, method, "PUT")) {
             if (std.mem.startsWith(u8, path, "/api/v1/aliases/")) {
-                try self.handleCreateAliasV1(stream, path);
+                try self.handleCreateAliasV1(stream, path, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/uploads/")) {
+                try self.handleUploadChunkV1(stream, path, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/comments/") and std.mem.endsWith(u8, path, "/moderation")) {
+                try self.handleModerateCommentV1(stream, path, request);
+            } else if (std.mem.eql(u8, path, "/api/v1/account/password")) {
+                try self.handleSetPasswordV1(stream, request);
+            } else if (parseWatchPath(path) != null) {
+                try self.handleWatchV1(stream, path, request);
+            } else {
+                try self.serve404(stream);
+            }
+        } else if (std.mem.eql(u8, method, "PATCH")) {
+            if (std.mem.startsWith(u8, path, "/api/v1/comments/")) {
+                try self.handleEditCommentV1(stream, path, request);
+            } else if (std.mem.eql(u8, path, "/api/v1/account/profile")) {
+                try self.handleUpdateProfileV1(stream, request);
             } else {
                 try self.serve404(stream);
             }
         } else if (std.mem.eql(u8, method, "DELETE")) {
-            if (std.mem.startsWith(u8, path, "/api/v1/packages/")) {
-                try self.handleDeletePackageV1(stream, path);
+            if (parseWatchPath(path) != null) {
+                try self.handleUnwatchV1(stream, path, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/packages/")) {
+                try self.handleDeletePackageV1(stream, path, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/auth/tokens/")) {
+                try self.handleRevokeTokenV1(stream, path, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/comments/")) {
+                try self.handleDeleteCommentV1(stream, path, request);
+            } else if (std.mem.eql(u8, path, "/api/v1/account")) {
+                try self.handleDeleteAccountV1(stream, request);
+            } else if (std.mem.startsWith(u8, path, "/api/v1/account/identities/")) {
+                try self.handleUnlinkIdentityV1(stream, path, request);
             } else {
                 try self.serve404(stream);
             }
@@ -662,8 +962,8 @@ pub const Server = struct {
         if (self.file_cache.get(file_path)) |entry| {
             if (!entry.isExpired()) {
                 const response = try std.fmt.allocPrint(self.allocator, 
-                    "HTTP/1.1 200 OK\r\nContent-Type: {s}\r\nContent-Length: {}\r\nCache-Control: public, max-age=3600\r\n\r\n", 
-                    .{ entry.content_type, entry.content.len }
+                    "HTTP/1.1 200 OK\r\nContent-Type: {s}\r\nContent-Length: {}\r\nCache-Control: public, max-age=3600\r\n{s}\r\n", 
+                    .{ entry.content_type, entry.content.len, securityHeaders(entry.content_type) }
                 );
                 defer self.allocator.free(response);
                 
@@ -753,8 +1053,8 @@ pub const Server = struct {
         const content_type = self.getContentType(file_path);
         
         const response = try std.fmt.allocPrint(self.allocator, 
-            "HTTP/1.1 200 OK\r\nContent-Type: {s}\r\nContent-Length: {}\r\nCache-Control: public, max-age=3600\r\n\r\n", 
-            .{ content_type, file_size }
+            "HTTP/1.1 200 OK\r\nContent-Type: {s}\r\nContent-Length: {}\r\nCache-Control: public, max-age=3600\r\n{s}\r\n", 
+            .{ content_type, file_size, securityHeaders(content_type) }
         );
         defer self.allocator.free(response);
 
@@ -765,8 +1065,8 @@ pub const Server = struct {
         const content_type = self.getContentType(file_path);
         
         const response = try std.fmt.allocPrint(self.allocator, 
-            "HTTP/1.1 200 OK\r\nContent-Type: {s}\r\nContent-Length: {}\r\nCache-Control: public, max-age=3600\r\n\r\n", 
-            .{ content_type, content.len }
+            "HTTP/1.1 200 OK\r\nContent-Type: {s}\r\nContent-Length: {}\r\nCache-Control: public, max-age=3600\r\n{s}\r\n", 
+            .{ content_type, content.len, securityHeaders(content_type) }
         );
         defer self.allocator.free(response);
 
@@ -774,6 +1074,14 @@ pub const Server = struct {
         try compat.streamWriteAll(stream, self.io,content);
     }
 
+    // Extra header lines for static responses, each ending in CRLF
+    fn securityHeaders(content_type: []const u8) []const u8 {
+        if (std.mem.eql(u8, content_type, "text/html")) {
+            return "X-Content-Type-Options: nosniff\r\nReferrer-Policy: strict-origin-when-cross-origin\r\nContent-Security-Policy: " ++ CONTENT_SECURITY_POLICY ++ "\r\n";
+        }
+        return "X-Content-Type-Options: nosniff\r\n";
+    }
+
     fn getContentType(self: *Server, file_path: []const u8) []const u8 {
         _ = self;
         
@@ -1067,15 +1375,7 @@ pub const Server = struct {
         if (std.mem.eql(u8, path, "/api/packages")) {
             // List packages
             const packages = try self.database.listPackages(50, 0);
-            defer {
-                for (packages) |pkg| {
-                    self.allocator.free(pkg.name);
-                    if (pkg.description) |desc| self.allocator.free(desc);
-                    if (pkg.author) |author| self.allocator.free(author);
-                    if (pkg.license) |license| self.allocator.free(license);
-                }
-                self.allocator.free(packages);
-            }
+            defer self.database.freePackages(packages);
 
             // Build JSON response
             var json_list = std.array_list.AlignedManaged(u8, null).init(self.allocator);
@@ -1142,18 +1442,7 @@ pub const Server = struct {
         }
 
         const packages = try self.database.searchPackages(query, 20);
-        defer {
-            // Note: Mock database returns static strings, no need to free individual fields
-            // for (packages) |pkg| {
-            //     if (pkg.owner) |o| self.allocator.free(o);
-            //     if (pkg.repo) |r| self.allocator.free(r);
-            //     if (pkg.description) |desc| self.allocator.free(desc);
-            //     if (pkg.latest_version) |version| self.allocator.free(version);
-            //     for (pkg.topics) |topic| self.allocator.free(topic);
-            //     self.allocator.free(pkg.topics);
-            // }
-            self.allocator.free(packages);
-        }
+        defer self.database.freePackages(packages);
 
         // Build JSON response
         var json_list = std.array_list.AlignedManaged(u8, null).init(self.allocator);
@@ -1494,251 +1783,158 @@ pub const Server = struct {
             // GET /api/v1/packages/{owner}/{repo}/tags - list tags (alias for releases)
             try self.handleGetTagsV1(stream, owner, repo);
         } else if (std.mem.eql(u8, action.?, "download")) {
-            const version = parts.next() orelse return self.serve404(stream);
-            // GET /api/v1/packages/{owner}/{repo}/download/{version} - download package
-            try self.handleDownloadPackageV1(stream, owner, repo, version);
+            const version_param = parts.next() orelse return self.serve404(stream);
+            // GET /api/v1/packages/{owner}/{repo}/download/{version}?preview=1 - download package;
+            // preview fetches (the release compare view) aren't counted as downloads
+            const version = std.mem.sliceTo(version_param, '?');
+            const preview = std.mem.indexOf(u8, version_param[version.len..], "preview=1") != null;
+            try self.handleDownloadPackageV1(stream, owner, repo, version, !preview);
+        } else if (std.mem.eql(u8, action.?, "hash")) {
+            // GET /api/v1/packages/{owner}/{repo}/hash/{version} - sha256 of the release archive
+            try self.handlePackageHash(stream, path);
+        } else if (std.mem.eql(u8, action.?, "readme")) {
+            // GET /api/v1/packages/{owner}/{repo}/readme - README from the latest release archive
+            try self.handleGetReadmeV1(stream, owner, repo);
+        } else if (std.mem.eql(u8, action.?, "badge")) {
+            // GET /api/v1/packages/{owner}/{repo}/badge/{version|downloads|zig}.svg?style=&label= - README badge
+            const badge_param = parts.next() orelse return self.serve404(stream);
+            try self.handlePackageBadgeV1(stream, owner, repo, badge_param);
+        } else if (std.mem.eql(u8, std.mem.sliceTo(action.?, '?'), "downloads")) {
+            // GET /api/v1/packages/{owner}/{repo}/downloads?range= - download history by version
+            try self.handlePackageDownloadsV1(stream, owner, repo, path);
         } else {
             try self.serve404(stream);
         }
     }
 
     fn handleGetPackageV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8) !void {
-        const package = try self.database.getPackageGitHub(owner, repo);
-        if (package == null) {
+        const pkg = (try self.database.getPackageGitHub(owner, repo)) orelse {
             try self.serveJsonError(stream, 404, "Package not found");
             return;
-        }
-
-        const pkg = package.?;
-        defer {
-            // Note: Mock database returns static strings, no need to free them
-            // When using real database with allocated strings, uncomment and fix:
-            // if (pkg.owner) |o| self.allocator.free(o);
-            // if (pkg.repo) |r| self.allocator.free(r);
-            // if (pkg.description) |d| self.allocator.free(d);
-            // if (pkg.license) |l| self.allocator.free(l);
-            // if (pkg.homepage) |h| self.allocator.free(h);
-            // if (pkg.github_url) |g| self.allocator.free(g);
-            // for (pkg.topics) |topic| self.allocator.free(topic);
-            // self.allocator.free(pkg.topics);
-        }
-
-        const topics_json = try self.serializeStringArray(pkg.topics);
-        defer self.allocator.free(topics_json);
-
-        const json_response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "owner": "{s}",
-            \\  "repo": "{s}",
-            \\  "full_name": "{s}/{s}",
-            \\  "description": "{s}",
-            \\  "topics": {s},
-            \\  "license": "{s}",
-            \\  "homepage": "{s}",
-            \\  "github_url": "{s}",
-            \\  "stargazers_count": {d},
-            \\  "created_at": "{d}",
-            \\  "updated_at": "{d}",
-            \\  "private": {s}
-            \\}}
-        , .{
-            pkg.owner orelse "",
-            pkg.repo orelse "",
-            pkg.owner orelse "",
-            pkg.repo orelse "",
-            pkg.description orelse "",
-            topics_json,
-            pkg.license orelse "",
-            pkg.homepage orelse "",
-            pkg.github_url orelse "",
-            pkg.github_stars,
-            pkg.created_at,
-            pkg.updated_at,
-            if (pkg.is_private) "true" else "false",
-        });
+        };
+        defer self.database.freePackage(pkg);
+
+        const full_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(full_name);
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .owner = owner,
+            .repo = repo,
+            .full_name = full_name,
+            .description = pkg.description orelse "",
+            .topics = pkg.topics,
+            .license = pkg.license orelse "",
+            .homepage = pkg.homepage orelse "",
+            .github_url = pkg.github_url orelse pkg.repository orelse "",
+            .stargazers_count = pkg.github_stars,
+            .created_at = pkg.created_at,
+            .updated_at = pkg.updated_at,
+            .private = pkg.is_private,
+        }, .{});
         defer self.allocator.free(json_response);
 
         try self.serveJson(stream, 200, json_response);
     }
 
-    fn handleGetReleasesV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8) !void {
-        const releases = try self.database.getReleases(owner, repo);
-        defer {
-            for (releases) |release| {
-                self.allocator.free(release.owner);
-                self.allocator.free(release.repo);
-                self.allocator.free(release.tag_name);
-                if (release.name) |n| self.allocator.free(n);
-                if (release.body) |b| self.allocator.free(b);
-                if (release.tarball_url) |t| self.allocator.free(t);
-                if (release.zipball_url) |z| self.allocator.free(z);
-                if (release.download_url) |d| self.allocator.free(d);
-                if (release.sha256) |s| self.allocator.free(s);
-            }
-            self.allocator.free(releases);
+    // A release as /releases and /releases/{tag} describe it. Archives are
+    // only served as tarballs, from the download endpoint.
+    const ReleaseJson = struct {
+        id: u64,
+        tag_name: []const u8,
+        name: []const u8,
+        body: []const u8,
+        draft: bool,
+        prerelease: bool,
+        security: bool,
+        created_at: i64,
+        published_at: ?i64,
+        tarball_url: []const u8,
+        download_url: []const u8,
+        file_size: u64,
+        sha256: []const u8,
+
+        fn init(arena: std.mem.Allocator, release: types.Release) !ReleaseJson {
+            const download_url = try std.fmt.allocPrint(arena, "/api/v1/packages/{s}/{s}/download/{s}", .{ release.owner, release.repo, release.tag_name });
+            return .{
+                .id = release.id,
+                .tag_name = release.tag_name,
+                .name = release.name orelse release.tag_name,
+                .body = release.body orelse "",
+                .draft = release.draft,
+                .prerelease = release.prerelease,
+                .security = release.security,
+                .created_at = release.created_at,
+                .published_at = release.published_at,
+                .tarball_url = download_url,
+                .download_url = download_url,
+                .file_size = release.file_size,
+                .sha256 = release.sha256 orelse "",
+            };
         }
+    };
 
-        var json_list = std.array_list.AlignedManaged(u8, null).init(self.allocator);
-        defer json_list.deinit();
-
-        try json_list.appendSlice("[");
-        for (releases, 0..) |release, i| {
-            if (i > 0) try json_list.appendSlice(",");
-
-            const release_json = try std.fmt.allocPrint(self.allocator,
-                \\{{
-                \\  "id": {d},
-                \\  "tag_name": "{s}",
-                \\  "name": "{s}",
-                \\  "body": "{s}",
-                \\  "draft": {s},
-                \\  "prerelease": {s},
-                \\  "created_at": "{d}",
-                \\  "published_at": {s},
-                \\  "tarball_url": "{s}",
-                \\  "zipball_url": "{s}",
-                \\  "download_url": "{s}",
-                \\  "file_size": {d},
-                \\  "sha256": "{s}"
-                \\}}
-            , .{
-                release.id,
-                release.tag_name,
-                release.name orelse "",
-                release.body orelse "",
-                if (release.draft) "true" else "false",
-                if (release.prerelease) "true" else "false",
-                release.created_at,
-                if (release.published_at) |p| try std.fmt.allocPrint(self.allocator, "\"{d}\"", .{p}) else "null",
-                release.tarball_url orelse "",
-                release.zipball_url orelse "",
-                release.download_url orelse "",
-                release.file_size,
-                release.sha256 orelse "",
-            });
-            defer self.allocator.free(release_json);
-            if (release.published_at != null) self.allocator.free(try std.fmt.allocPrint(self.allocator, "\"{d}\"", .{release.published_at.?}));
+    fn handleGetReleasesV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8) !void {
+        const releases = try self.database.getReleases(owner, repo);
+        defer self.database.freeReleases(releases);
 
-            try json_list.appendSlice(release_json);
-        }
-        try json_list.appendSlice("]");
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const items = try arena.allocator().alloc(ReleaseJson, releases.len);
+        for (items, releases) |*item, release| item.* = try ReleaseJson.init(arena.allocator(), release);
 
-        const json_response = try json_list.toOwnedSlice();
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, items, .{});
         defer self.allocator.free(json_response);
 
         try self.serveJson(stream, 200, json_response);
     }
 
     fn handleGetReleaseV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8, tag: []const u8) !void {
-        const release = try self.database.getRelease(owner, repo, tag);
-        if (release == null) {
+        const release = (try self.database.getRelease(owner, repo, tag)) orelse {
             try self.serveJsonError(stream, 404, "Release not found");
             return;
-        }
+        };
+        defer self.database.freeRelease(release);
 
-        const rel = release.?;
-        defer {
-            self.allocator.free(rel.owner);
-            self.allocator.free(rel.repo);
-            self.allocator.free(rel.tag_name);
-            if (rel.name) |n| self.allocator.free(n);
-            if (rel.body) |b| self.allocator.free(b);
-            if (rel.tarball_url) |t| self.allocator.free(t);
-            if (rel.zipball_url) |z| self.allocator.free(z);
-            if (rel.download_url) |d| self.allocator.free(d);
-            if (rel.sha256) |s| self.allocator.free(s);
-        }
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
 
-        const json_response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "id": {d},
-            \\  "tag_name": "{s}",
-            \\  "name": "{s}",
-            \\  "body": "{s}",
-            \\  "draft": {s},
-            \\  "prerelease": {s},
-            \\  "created_at": "{d}",
-            \\  "published_at": {s},
-            \\  "tarball_url": "{s}",
-            \\  "zipball_url": "{s}",
-            \\  "download_url": "{s}",
-            \\  "file_size": {d},
-            \\  "sha256": "{s}"
-            \\}}
-        , .{
-            rel.id,
-            rel.tag_name,
-            rel.name orelse "",
-            rel.body orelse "",
-            if (rel.draft) "true" else "false",
-            if (rel.prerelease) "true" else "false",
-            rel.created_at,
-            if (rel.published_at) |p| try std.fmt.allocPrint(self.allocator, "\"{d}\"", .{p}) else "null",
-            rel.tarball_url orelse "",
-            rel.zipball_url orelse "",
-            rel.download_url orelse "",
-            rel.file_size,
-            rel.sha256 orelse "",
-        });
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, try ReleaseJson.init(arena.allocator(), release), .{});
         defer self.allocator.free(json_response);
-        if (rel.published_at != null) self.allocator.free(try std.fmt.allocPrint(self.allocator, "\"{d}\"", .{rel.published_at.?}));
 
         try self.serveJson(stream, 200, json_response);
     }
 
+    // GitHub's tag shape; commit.sha carries the archive's sha256, as there
+    // is no commit behind a published archive
     fn handleGetTagsV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8) !void {
         const releases = try self.database.getReleases(owner, repo);
-        defer {
-            for (releases) |release| {
-                self.allocator.free(release.owner);
-                self.allocator.free(release.repo);
-                self.allocator.free(release.tag_name);
-                if (release.name) |n| self.allocator.free(n);
-                if (release.body) |b| self.allocator.free(b);
-                if (release.tarball_url) |t| self.allocator.free(t);
-                if (release.zipball_url) |z| self.allocator.free(z);
-                if (release.download_url) |d| self.allocator.free(d);
-                if (release.sha256) |s| self.allocator.free(s);
-            }
-            self.allocator.free(releases);
-        }
-
-        var json_list = std.array_list.AlignedManaged(u8, null).init(self.allocator);
-        defer json_list.deinit();
+        defer self.database.freeReleases(releases);
 
-        try json_list.appendSlice("[");
-        for (releases, 0..) |release, i| {
-            if (i > 0) try json_list.appendSlice(",");
+        const TagJson = struct {
+            name: []const u8,
+            tarball_url: []const u8,
+            commit: struct { sha: []const u8, url: []const u8 = "" },
+        };
 
-            const tag_json = try std.fmt.allocPrint(self.allocator,
-                \\{{
-                \\  "name": "{s}",
-                \\  "zipball_url": "{s}",
-                \\  "tarball_url": "{s}",
-                \\  "commit": {{
-                \\    "sha": "{s}",
-                \\    "url": ""
-                \\  }}
-                \\}}
-            , .{
-                release.tag_name,
-                release.zipball_url orelse "",
-                release.tarball_url orelse "",
-                release.sha256 orelse "",
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        var items: std.ArrayList(TagJson) = .empty;
+        for (releases) |release| {
+            if (release.draft) continue;
+            try items.append(arena.allocator(), .{
+                .name = release.tag_name,
+                .tarball_url = try std.fmt.allocPrint(arena.allocator(), "/api/v1/packages/{s}/{s}/download/{s}", .{ owner, repo, release.tag_name }),
+                .commit = .{ .sha = release.sha256 orelse "" },
             });
-            defer self.allocator.free(tag_json);
-
-            try json_list.appendSlice(tag_json);
         }
-        try json_list.appendSlice("]");
 
-        const json_response = try json_list.toOwnedSlice();
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, items.items, .{});
         defer self.allocator.free(json_response);
 
         try self.serveJson(stream, 200, json_response);
     }
 
-    fn handleDownloadPackageV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8, version: []const u8) !void {
+    fn handleDownloadPackageV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8, version: []const u8, count_download: bool) !void {
         // Parse version
         const parsed_version = types.Version.parse(version) catch {
             try self.serveJsonError(stream, 400, "Invalid version format");
@@ -1768,15 +1964,21 @@ pub const Server = struct {
         };
         defer self.allocator.free(package_data);
 
+        const version_str = try parsed_version.toString(self.allocator);
+        defer self.allocator.free(version_str);
+
         // Increment download count (using mock database for now)
-        self.database.incrementDownloadCount(package_name) catch |err| {
-            std.debug.print("Failed to increment download count: {}\n", .{err});
-            // Continue with download even if counter fails
-        };
+        if (count_download) {
+            self.database.incrementDownloadCount(package_name) catch |err| {
+                std.debug.print("Failed to increment download count: {}\n", .{err});
+                // Continue with download even if counter fails
+            };
+            self.database.recordDownload(package_name, version_str, compat.timestamp()) catch |err| {
+                std.debug.print("Failed to record download history: {}\n", .{err});
+            };
+        }
 
         // Generate filename for download
-        const version_str = try parsed_version.toString(self.allocator);
-        defer self.allocator.free(version_str);
         const filename = try std.fmt.allocPrint(self.allocator, "{s}-{s}.zpkg", .{ repo, version_str });
         defer self.allocator.free(filename);
 
@@ -1798,112 +2000,544 @@ pub const Server = struct {
         std.debug.print("📥 Package downloaded: {s}/{s}@{s} ({d} bytes)\n", .{ 
             owner, repo, version, package_data.len 
         });
-    }
-
-    // GET /api/v1/search?q=query&limit=20
-    fn handleSearchApiV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
-        // Parse query parameters
-        var query: []const u8 = "";
-        var limit: u32 = 20;
 
-        if (std.mem.indexOf(u8, path, "?")) |query_start| {
-            const query_string = path[query_start + 1 ..];
-            var params = std.mem.splitSequence(u8, query_string, "&");
+        // After the response, so subscribers aren't written to while the
+        // client waits for its archive
+        if (count_download) self.checkDownloadMilestone(package_name);
+    }
 
+    const BadgeKind = enum { version, downloads, zig };
+
+    // GET /api/v1/packages/{owner}/{repo}/badge/{kind}.svg?style=flat-square&label=release
+    // Unknown packages still get an image ("not found"), so a README shows
+    // that instead of a broken image
+    fn handlePackageBadgeV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8, badge_param: []const u8) !void {
+        const file_name = std.mem.sliceTo(badge_param, '?');
+        const kind_name = if (std.mem.endsWith(u8, file_name, ".svg")) file_name[0 .. file_name.len - 4] else file_name;
+        const kind = std.meta.stringToEnum(BadgeKind, kind_name) orelse return self.serve404(stream);
+
+        var style: badge.Style = .flat;
+        var custom_label: ?[]u8 = null;
+        defer if (custom_label) |label| self.allocator.free(label);
+        if (badge_param.len > file_name.len + 1) {
+            var params = std.mem.splitScalar(u8, badge_param[file_name.len + 1 ..], '&');
             while (params.next()) |param| {
-                if (std.mem.startsWith(u8, param, "q=")) {
-                    query = param[2..];
-                    // URL decode would go here in production
-                } else if (std.mem.startsWith(u8, param, "limit=")) {
-                    limit = std.fmt.parseInt(u32, param[6..], 10) catch 20;
+                if (std.mem.startsWith(u8, param, "style=")) {
+                    style = badge.Style.parse(param[6..]) orelse {
+                        return self.serveJsonError(stream, 400, "style must be flat, flat-square or for-the-badge");
+                    };
+                } else if (std.mem.startsWith(u8, param, "label=") and param.len > 6) {
+                    if (custom_label) |previous| self.allocator.free(previous);
+                    custom_label = null;
+                    const label = urlDecode(self.allocator, param[6..]) catch {
+                        return self.serveJsonError(stream, 400, "label is not valid URL encoding");
+                    };
+                    custom_label = label;
+                    if (label.len > MAX_BADGE_LABEL_LEN or !std.unicode.utf8ValidateSlice(label)) {
+                        return self.serveJsonError(stream, 400, "label must be valid UTF-8 of at most 40 bytes");
+                    }
                 }
             }
         }
 
-        if (query.len == 0) {
-            try self.serveJsonError(stream, 400, "Query parameter 'q' is required");
-            return;
-        }
-
-        const results = try self.database.searchPackages(query, limit);
-        defer {
-            // Note: Mock database returns static strings, no need to free individual fields
-            // When using real database with allocated strings, uncomment and fix:
-            // for (results) |result| {
-            //     if (result.owner) |o| self.allocator.free(o);
-            //     if (result.repo) |r| self.allocator.free(r);
-            //     if (result.description) |d| self.allocator.free(d);
-            //     if (result.latest_version) |v| self.allocator.free(v);
-            //     for (result.topics) |topic| self.allocator.free(topic);
-            //     self.allocator.free(result.topics);
-            // }
-            self.allocator.free(results);
-        }
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(package_name);
+        const known = (try self.database.packageExists(owner, repo)) or self.storage.hasPackage(package_name);
+
+        var message: []const u8 = "not found";
+        var color: []const u8 = badge.Color.grey;
+        var owned_message: ?[]u8 = null;
+        defer if (owned_message) |text| self.allocator.free(text);
+
+        if (known) switch (kind) {
+            .version, .zig => if (try self.latestReleaseTag(owner, repo)) |latest| {
+                defer self.allocator.free(latest.tag);
+
+                if (kind == .version) {
+                    owned_message = try std.fmt.allocPrint(self.allocator, "v{s}", .{std.mem.trimLeft(u8, latest.tag, "v")});
+                    color = if (latest.prerelease) badge.Color.orange else badge.Color.blue;
+                } else if (try self.minimumZigVersion(package_name, latest.tag)) |zig_version| {
+                    defer self.allocator.free(zig_version);
+                    owned_message = try std.fmt.allocPrint(self.allocator, "{s}+", .{zig_version});
+                    color = badge.Color.zig;
+                } else {
+                    message = "unknown";
+                }
+            } else {
+                // Grey either way, like an unknown package
+                message = if (kind == .version) "none" else "unknown";
+            },
+            .downloads => {
+                owned_message = try badge.formatCount(self.allocator, try self.database.getDownloadCount(package_name));
+                color = badge.Color.green;
+            },
+        };
 
-        var json_list = std.array_list.AlignedManaged(u8, null).init(self.allocator);
-        defer json_list.deinit();
+        try self.serveBadge(stream, kind, custom_label, owned_message orelse message, color, style);
+    }
 
-        try json_list.appendSlice("{\"items\":[");
-        for (results, 0..) |result, i| {
-            if (i > 0) try json_list.appendSlice(",");
+    fn serveBadge(self: *Server, stream: std.Io.net.Stream, kind: BadgeKind, custom_label: ?[]const u8, message: []const u8, color: []const u8, style: badge.Style) !void {
+        const default_label = switch (kind) {
+            .version => "zepplin",
+            .downloads => "downloads",
+            .zig => "zig",
+        };
+        const svg = try badge.render(self.allocator, .{ .label = custom_label orelse default_label, .message = message, .color = color }, style);
+        defer self.allocator.free(svg);
+
+        // Served cross-origin into READMEs; the CSP keeps a badge opened
+        // directly from running anything
+        const header = try std.fmt.allocPrint(self.allocator, "HTTP/1.1 200 OK\r\n" ++
+            "Content-Type: image/svg+xml; charset=utf-8\r\n" ++
+            "Cache-Control: public, max-age={d}, s-maxage={d}\r\n" ++
+            "Content-Security-Policy: default-src 'none'; style-src 'unsafe-inline'\r\n" ++
+            "X-Content-Type-Options: nosniff\r\n" ++
+            "Access-Control-Allow-Origin: *\r\n" ++
+            "Content-Length: {d}\r\n\r\n", .{ BADGE_MAX_AGE, BADGE_MAX_AGE, svg.len });
+        defer self.allocator.free(header);
 
-            const topics_json = try self.serializeStringArray(result.topics);
-            defer self.allocator.free(topics_json);
+        try compat.streamWriteAll(stream, self.io, header);
+        try compat.streamWriteAll(stream, self.io, svg);
+    }
 
-            const result_json = try std.fmt.allocPrint(self.allocator,
-                \\{{
-                \\  "full_name": "{s}/{s}",
-                \\  "owner": "{s}",
-                \\  "name": "{s}",
-                \\  "description": "{s}",
-                \\  "topics": {s},
-                \\  "stargazers_count": {d},
-                \\  "download_count": {d},
-                \\  "latest_version": "{s}",
-                \\  "updated_at": "{d}"
-                \\}}
-            , .{
-                result.owner orelse "",
-                result.repo orelse "",
-                result.owner orelse "",
-                result.repo orelse "",
-                result.description orelse "",
-                topics_json,
-                result.github_stars,
-                result.download_count,
-                result.latest_version orelse "",
-                result.updated_at,
-            });
-            defer self.allocator.free(result_json);
+    const LatestRelease = struct { tag: []u8, prerelease: bool };
 
-            try json_list.appendSlice(result_json);
+    // Highest non-draft release, preferring stable ones over prereleases; the
+    // tag is the caller's to free
+    fn latestReleaseTag(self: *Server, owner: []const u8, repo: []const u8) !?LatestRelease {
+        const releases = try self.database.getReleases(owner, repo);
+        defer self.database.freeReleases(releases);
+
+        var best: ?types.Release = null;
+        for (releases) |release| {
+            if (release.draft) continue;
+            if (best) |current| {
+                if (current.prerelease == release.prerelease) {
+                    if (compareVersions(release.tag_name, current.tag_name) != .gt) continue;
+                } else if (release.prerelease) {
+                    continue;
+                }
+            }
+            best = release;
         }
-        try json_list.appendSlice("],\"total_count\":");
-        const formatted = try std.fmt.allocPrint(self.allocator, "{}", .{results.len});
-        defer self.allocator.free(formatted);
-        try json_list.appendSlice(formatted);
-        try json_list.appendSlice("}");
-
-        const json_response = try json_list.toOwnedSlice();
-        defer self.allocator.free(json_response);
 
-        try self.serveJson(stream, 200, json_response);
+        const release = best orelse return null;
+        return .{ .tag = try self.allocator.dupe(u8, release.tag_name), .prerelease = release.prerelease };
     }
 
-    // GET /api/v1/resolve/{short_name}
-    fn handleResolveApiV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
-        const prefix = "/api/v1/resolve/";
-        if (!std.mem.startsWith(u8, path, prefix)) {
-            return self.serve404(stream);
-        }
+    // Points the package listing at the latest release, and its
+    // minimum_zig_version, after one is published or deleted; a failure only
+    // leaves the listing stale
+    fn refreshPackageVersion(self: *Server, owner: []const u8, repo: []const u8) void {
+        const package_name = std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo }) catch return;
+        defer self.allocator.free(package_name);
 
-        const short_name = path[prefix.len..];
-        if (short_name.len == 0) {
-            try self.serveJsonError(stream, 400, "Short name is required");
+        const latest = self.latestReleaseTag(owner, repo) catch |err| {
+            std.debug.print("Failed to find the latest release of {s}: {}\n", .{ package_name, err });
             return;
-        }
+        };
+        defer if (latest) |release| self.allocator.free(release.tag);
 
-        const alias = try self.database.resolveAlias(short_name);
+        const zig_version = if (latest) |release| self.minimumZigVersion(package_name, release.tag) catch null else null;
+        defer if (zig_version) |text| self.allocator.free(text);
+
+        self.database.setPackageVersion(package_name, if (latest) |release| release.tag else "0.0.0", zig_version) catch |err| {
+            std.debug.print("Failed to update the version of {s}: {}\n", .{ package_name, err });
+        };
+    }
+
+    // minimum_zig_version from the build.zig.zon in a stored release archive;
+    // null when the archive, the manifest or the field is missing
+    fn minimumZigVersion(self: *Server, package_name: []const u8, tag: []const u8) !?[]u8 {
+        const version = types.Version.parse(std.mem.trimLeft(u8, tag, "v")) catch return null;
+        const package_data = self.storage.retrievePackage(package_name, version) catch return null;
+        defer self.allocator.free(package_data);
+
+        const manifest_names = [_][]const u8{"build.zig.zon"};
+        const source = (self.storage.readPackageFile(package_data, &manifest_names) catch return null) orelse return null;
+        defer self.allocator.free(source);
+
+        const manifest = zon.parseManifest(self.allocator, source) catch |err| switch (err) {
+            error.InvalidManifest => return null,
+            else => |e| return e,
+        };
+        defer manifest.deinit(self.allocator);
+
+        const zig_version = manifest.minimum_zig_version orelse return null;
+        return try self.allocator.dupe(u8, zig_version);
+    }
+
+    // GET /api/v1/packages/{owner}/{repo}/readme
+    fn handleGetReadmeV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8) !void {
+        const releases = try self.database.getReleases(owner, repo);
+        defer self.database.freeReleases(releases);
+
+        // Releases are returned newest first; drafts aren't shown
+        const newest = for (releases) |release| {
+            if (!release.draft) break release;
+        } else {
+            try self.serveJsonError(stream, 404, "Package has no releases");
+            return;
+        };
+
+        // Tags may carry a leading "v"
+        const tag = std.mem.trimLeft(u8, newest.tag_name, "v");
+        const version = types.Version.parse(tag) catch {
+            try self.serveJsonError(stream, 404, "README not found");
+            return;
+        };
+
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(package_name);
+
+        const package_data = self.storage.retrievePackage(package_name, version) catch {
+            try self.serveJsonError(stream, 404, "Package archive not found");
+            return;
+        };
+        defer self.allocator.free(package_data);
+
+        const readme_names = [_][]const u8{ "README.md", "readme.md", "Readme.md", "README.markdown", "README" };
+        const readme = self.storage.readPackageFile(package_data, &readme_names) catch |err| {
+            std.debug.print("Failed to read README from {s}@{s}: {}\n", .{ package_name, tag, err });
+            try self.serveJsonError(stream, 500, "Failed to read package archive");
+            return;
+        } orelse {
+            try self.serveJsonError(stream, 404, "README not found");
+            return;
+        };
+        defer self.allocator.free(readme);
+
+        const response_header = try std.fmt.allocPrint(self.allocator,
+            "HTTP/1.1 200 OK\r\n" ++
+            "Content-Type: text/markdown; charset=utf-8\r\n" ++
+            "Content-Length: {d}\r\n" ++
+            "Access-Control-Allow-Origin: *\r\n" ++
+            "\r\n",
+            .{readme.len}
+        );
+        defer self.allocator.free(response_header);
+
+        try compat.streamWriteAll(stream, self.io, response_header);
+        try compat.streamWriteAll(stream, self.io, readme);
+    }
+
+    // GET /api/v1/search?q=query&limit=20
+    // GET /api/v1/search?q=&category=&license=&min_zig=&has_releases=&sort=&page=&per_page=
+    // sort is relevance (default), downloads, updated or name. Facet counts cover
+    // every package matching q before the filters, so the UI can show what each
+    // filter option holds.
+    fn handleSearchApiV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+        var query: []const u8 = "";
+        var category: []const u8 = "";
+        var license: []const u8 = "";
+        var min_zig: []const u8 = "";
+        var has_releases = false;
+        var sort: SearchSort = .relevance;
+        var page: usize = 1;
+        var per_page: usize = 20;
+
+        var decoded_values = std.array_list.AlignedManaged([]u8, null).init(self.allocator);
+        defer {
+            for (decoded_values.items) |value| self.allocator.free(value);
+            decoded_values.deinit();
+        }
+
+        if (std.mem.indexOf(u8, path, "?")) |query_start| {
+            var params = std.mem.splitSequence(u8, path[query_start + 1 ..], "&");
+            while (params.next()) |param| {
+                const eq = std.mem.indexOfScalar(u8, param, '=') orelse continue;
+                const key = param[0..eq];
+                const value = urlDecode(self.allocator, param[eq + 1 ..]) catch continue;
+                try decoded_values.append(value);
+
+                if (std.mem.eql(u8, key, "q")) {
+                    query = value;
+                } else if (std.mem.eql(u8, key, "category")) {
+                    category = value;
+                } else if (std.mem.eql(u8, key, "license")) {
+                    license = value;
+                } else if (std.mem.eql(u8, key, "min_zig")) {
+                    min_zig = value;
+                } else if (std.mem.eql(u8, key, "has_releases")) {
+                    has_releases = std.mem.eql(u8, value, "true") or std.mem.eql(u8, value, "1");
+                } else if (std.mem.eql(u8, key, "sort")) {
+                    sort = std.meta.stringToEnum(SearchSort, value) orelse .relevance;
+                } else if (std.mem.eql(u8, key, "page")) {
+                    page = std.fmt.parseInt(usize, value, 10) catch 1;
+                } else if (std.mem.eql(u8, key, "per_page") or std.mem.eql(u8, key, "limit")) {
+                    per_page = std.fmt.parseInt(usize, value, 10) catch 20;
+                }
+            }
+        }
+        page = @max(page, 1);
+        per_page = @min(@max(per_page, 1), 100);
+
+        if (query.len == 0) {
+            try self.serveJsonError(stream, 400, "Query parameter 'q' is required");
+            return;
+        }
+
+        // Filtering, ranking and paging happen here, so fetch a wide window
+        const results = try self.database.searchPackages(query, 500);
+        defer self.database.freePackages(results);
+
+        var category_counts = std.StringArrayHashMap(usize).init(self.allocator);
+        defer category_counts.deinit();
+        var license_counts = std.StringArrayHashMap(usize).init(self.allocator);
+        defer license_counts.deinit();
+        var zig_counts = std.StringArrayHashMap(usize).init(self.allocator);
+        defer zig_counts.deinit();
+
+        var hits = std.array_list.AlignedManaged(SearchHit, null).init(self.allocator);
+        defer hits.deinit();
+
+        for (results) |pkg| {
+            for (pkg.topics) |topic| {
+                const entry = try category_counts.getOrPutValue(topic, 0);
+                entry.value_ptr.* += 1;
+            }
+            if (pkg.license) |pkg_license| {
+                const entry = try license_counts.getOrPutValue(pkg_license, 0);
+                entry.value_ptr.* += 1;
+            }
+            if (pkg.minimum_zig_version) |zig_version| {
+                const entry = try zig_counts.getOrPutValue(zig_version, 0);
+                entry.value_ptr.* += 1;
+            }
+
+            if (category.len > 0 and !packageHasTag(pkg, category)) continue;
+            if (license.len > 0 and !(pkg.license != null and std.ascii.eqlIgnoreCase(pkg.license.?, license))) continue;
+            if (min_zig.len > 0) {
+                // Keep packages that build on the chosen Zig version
+                const required = pkg.minimum_zig_version orelse continue;
+                if (compareVersions(required, min_zig) == .gt) continue;
+            }
+            if (has_releases and pkg.latest_version == null) continue;
+
+            try hits.append(.{ .pkg = pkg, .score = relevanceScore(pkg, query) });
+        }
+
+        std.mem.sort(SearchHit, hits.items, sort, SearchHit.lessThan);
+
+        const start = @min((page - 1) * per_page, hits.items.len);
+        const page_hits = hits.items[start..@min(start + per_page, hits.items.len)];
+
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const items = try arena.allocator().alloc(PackageJson, page_hits.len);
+        for (items, page_hits) |*item, hit| item.* = try self.packageJson(arena.allocator(), hit.pkg);
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .items = items,
+            .total_count = hits.items.len,
+            .page = page,
+            .per_page = per_page,
+            .facets = .{
+                .categories = try facetCounts(arena.allocator(), &category_counts),
+                .licenses = try facetCounts(arena.allocator(), &license_counts),
+                .zig_versions = try facetCounts(arena.allocator(), &zig_counts),
+            },
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    const Facet = struct { value: []const u8, count: usize };
+
+    // One facet's options, most common first
+    fn facetCounts(arena: std.mem.Allocator, counts: *std.StringArrayHashMap(usize)) ![]Facet {
+        const SortContext = struct {
+            values: []const usize,
+            pub fn lessThan(ctx: @This(), a: usize, b: usize) bool {
+                return ctx.values[a] > ctx.values[b];
+            }
+        };
+        counts.sort(SortContext{ .values = counts.values() });
+
+        const facets = try arena.alloc(Facet, counts.count());
+        for (facets, counts.keys(), counts.values()) |*facet, value, count| facet.* = .{ .value = value, .count = count };
+        return facets;
+    }
+
+    // Exact name matches first, then prefixes, then names containing the query;
+    // description-only matches score zero
+    fn relevanceScore(pkg: types.PackageMetadata, query: []const u8) u8 {
+        const name = pkg.repo orelse pkg.name;
+        if (std.ascii.eqlIgnoreCase(name, query)) return 3;
+        if (name.len >= query.len and std.ascii.eqlIgnoreCase(name[0..query.len], query)) return 2;
+        if (std.ascii.indexOfIgnoreCase(name, query) != null) return 1;
+        return 0;
+    }
+
+    // GET /api/v1/packages?limit=&offset=&category=&featured=
+    // Same item shape as search. Featured lists are ordered by downloads; a
+    // category matches a package topic.
+    fn handleListPackagesV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+        var limit: usize = 20;
+        var offset: usize = 0;
+        var category: []const u8 = "";
+        var featured = false;
+
+        if (std.mem.indexOf(u8, path, "?")) |query_start| {
+            var params = std.mem.splitSequence(u8, path[query_start + 1 ..], "&");
+            while (params.next()) |param| {
+                if (std.mem.startsWith(u8, param, "limit=")) {
+                    limit = std.fmt.parseInt(usize, param[6..], 10) catch 20;
+                } else if (std.mem.startsWith(u8, param, "offset=")) {
+                    offset = std.fmt.parseInt(usize, param[7..], 10) catch 0;
+                } else if (std.mem.startsWith(u8, param, "category=")) {
+                    category = param[9..];
+                } else if (std.mem.eql(u8, param, "featured=true")) {
+                    featured = true;
+                }
+            }
+        }
+        limit = @min(@max(limit, 1), 100);
+
+        // Filtering and ranking happen here, so fetch a wider window first
+        const filtered = category.len > 0 or featured;
+        const packages = try self.database.listPackages(if (filtered) 500 else limit, if (filtered) 0 else offset);
+        defer self.database.freePackages(packages);
+
+        var matches = std.array_list.AlignedManaged(types.PackageMetadata, null).init(self.allocator);
+        defer matches.deinit();
+        for (packages) |pkg| {
+            if (category.len > 0 and !packageHasTag(pkg, category)) continue;
+            try matches.append(pkg);
+        }
+        if (featured) {
+            std.mem.sort(types.PackageMetadata, matches.items, {}, struct {
+                fn lessThan(_: void, a: types.PackageMetadata, b: types.PackageMetadata) bool {
+                    return a.download_count > b.download_count;
+                }
+            }.lessThan);
+        }
+
+        const start = if (filtered) @min(offset, matches.items.len) else 0;
+        const page = matches.items[start..@min(start + limit, matches.items.len)];
+
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const items = try arena.allocator().alloc(PackageJson, page.len);
+        for (items, page) |*item, pkg| item.* = try self.packageJson(arena.allocator(), pkg);
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .items = items,
+            .total_count = if (filtered) matches.items.len else try self.database.getTotalPackages(),
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // A package as listings and search results describe it
+    const PackageJson = struct {
+        full_name: []const u8,
+        owner: []const u8,
+        name: []const u8,
+        description: []const u8,
+        topics: []const []const u8,
+        license: []const u8,
+        minimum_zig_version: []const u8,
+        stargazers_count: u32,
+        download_count: u64,
+        comment_count: u64,
+        latest_version: []const u8,
+        has_releases: bool,
+        created_at: i64,
+        updated_at: i64,
+    };
+
+    fn packageJson(self: *Server, arena: std.mem.Allocator, pkg: types.PackageMetadata) !PackageJson {
+        const owner = packageOwner(pkg);
+        const repo = packageRepo(pkg);
+        return .{
+            .full_name = try std.fmt.allocPrint(arena, "{s}/{s}", .{ owner, repo }),
+            .owner = owner,
+            .name = repo,
+            .description = pkg.description orelse "",
+            .topics = pkg.topics,
+            .license = pkg.license orelse "",
+            .minimum_zig_version = pkg.minimum_zig_version orelse "",
+            .stargazers_count = pkg.github_stars,
+            .download_count = pkg.download_count,
+            .comment_count = self.commentCount(owner, repo),
+            .latest_version = pkg.latest_version orelse "",
+            .has_releases = pkg.latest_version != null,
+            .created_at = pkg.created_at,
+            .updated_at = pkg.updated_at,
+        };
+    }
+
+    // GET /api/v1/users/{username}/packages
+    // Packages a user maintains, most recently updated first, with their combined downloads
+    fn handleUserPackagesV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+        const path_end = std.mem.indexOfScalar(u8, path, '?') orelse path.len;
+        var parts = std.mem.splitScalar(u8, path["/api/v1/users/".len..path_end], '/');
+        const username = parts.next() orelse "";
+        const action = parts.next() orelse "";
+        if (username.len == 0 or !std.mem.eql(u8, action, "packages") or parts.next() != null) {
+            return self.serveJsonError(stream, 404, "Not Found. Use /api/v1/users/{username}/packages");
+        }
+
+        const packages = try self.database.listMaintainedPackages(username);
+        defer self.database.freePackages(packages);
+
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const items = try arena.allocator().alloc(PackageJson, packages.len);
+        var total_downloads: u64 = 0;
+        for (items, packages) |*item, pkg| {
+            item.* = try self.packageJson(arena.allocator(), pkg);
+            total_downloads += pkg.download_count;
+        }
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .items = items,
+            .total_count = items.len,
+            .total_downloads = total_downloads,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // Published packages are named "owner/repo"; Zigistry imports carry the
+    // parts separately, and older rows only have an author
+    fn packageOwner(pkg: types.PackageMetadata) []const u8 {
+        if (pkg.owner) |owner| return owner;
+        if (std.mem.indexOfScalar(u8, pkg.name, '/')) |slash| return pkg.name[0..slash];
+        return pkg.author orelse "";
+    }
+
+    fn packageRepo(pkg: types.PackageMetadata) []const u8 {
+        if (pkg.repo) |repo| return repo;
+        if (std.mem.indexOfScalar(u8, pkg.name, '/')) |slash| return pkg.name[slash + 1 ..];
+        return pkg.name;
+    }
+
+    fn packageHasTag(pkg: types.PackageMetadata, tag: []const u8) bool {
+        for (pkg.topics) |topic| {
+            if (std.ascii.eqlIgnoreCase(topic, tag)) return true;
+        }
+        return false;
+    }
+
+    // GET /api/v1/resolve/{short_name}
+    fn handleResolveApiV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+        const prefix = "/api/v1/resolve/";
+        if (!std.mem.startsWith(u8, path, prefix)) {
+            return self.serve404(stream);
+        }
+
+        const short_name = path[prefix.len..];
+        if (short_name.len == 0) {
+            try self.serveJsonError(stream, 400, "Short name is required");
+            return;
+        }
+
+        const alias = try self.database.resolveAlias(short_name);
         if (alias == null) {
             try self.serveJsonError(stream, 404, "Alias not found");
             return;
@@ -1940,45 +2574,87 @@ pub const Server = struct {
         try self.serveJson(stream, 200, json_response);
     }
 
-    // GET /api/v1/registry/config
-    fn handleRegistryConfigV1(self: *Server, stream: std.Io.net.Stream) !void {
-        const registry_name = try self.database.getRegistryConfig("registry_name") orelse try self.allocator.dupe(u8, "Zepplin Registry");
-        defer self.allocator.free(registry_name);
+    // POST /api/v1/resolve
+    // {"package": "owner/repo", "version": "1.2.0"} resolves a published release
+    // (the latest when version is omitted); {"manifest": "<build.zig.zon>"}
+    // resolves a manifest that hasn't been published. Returns the transitive
+    // dependency graph as nodes and edges.
+    fn handleResolveGraphV1(self: *Server, stream: std.Io.net.Stream) !void {
+        var buffer: [32768]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
+
+        var graph_resolver = resolver.Resolver.init(self.allocator, &self.database, &self.storage);
+        defer graph_resolver.deinit();
+
+        const graph = if (fields.get("manifest")) |manifest| switch (manifest) {
+            .string => |source| graph_resolver.resolveManifest(source),
+            else => return self.serveJsonError(stream, 400, "manifest must be a string"),
+        } else if (fields.get("package")) |package| blk: {
+            const full_name = switch (package) {
+                .string => |value| value,
+                else => return self.serveJsonError(stream, 400, "package must be \"owner/repo\""),
+            };
+            const slash = std.mem.indexOfScalar(u8, full_name, '/') orelse {
+                return self.serveJsonError(stream, 400, "package must be \"owner/repo\"");
+            };
+            const version: ?[]const u8 = switch (fields.get("version") orelse .null) {
+                .string => |value| value,
+                else => null,
+            };
+            break :blk graph_resolver.resolveRelease(full_name[0..slash], full_name[slash + 1 ..], version);
+        } else {
+            return self.serveJsonError(stream, 400, "Send either package or manifest");
+        };
 
-        const registry_url = try self.database.getRegistryConfig("registry_url") orelse try self.allocator.dupe(u8, "http://localhost:8080");
-        defer self.allocator.free(registry_url);
+        const result = graph catch |err| switch (err) {
+            error.PackageNotFound => return self.serveJsonError(stream, 404, "Package not found"),
+            error.ReleaseNotFound => return self.serveJsonError(stream, 404, "Release not found"),
+            error.InvalidManifest => return self.serveJsonError(stream, 400, "build.zig.zon could not be parsed"),
+            else => |e| return e,
+        };
 
-        const api_version = try self.database.getRegistryConfig("api_version") orelse try self.allocator.dupe(u8, "v1");
-        defer self.allocator.free(api_version);
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, result, .{});
+        defer self.allocator.free(json_response);
 
-        const allow_public_publish = try self.database.getRegistryConfig("allow_public_publish") orelse try self.allocator.dupe(u8, "1");
-        defer self.allocator.free(allow_public_publish);
+        try self.serveJson(stream, 200, json_response);
+    }
 
-        const json_response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "name": "{s}",
-            \\  "url": "{s}",
-            \\  "api_version": "{s}",
-            \\  "version": "{s}",
-            \\  "allow_public_publish": {s},
-            \\  "github_compatible": true,
-            \\  "features": [
-            \\    "packages",
-            \\    "releases",
-            \\    "aliases",
-            \\    "search",
-            \\    "download_stats",
-            \\    "comments",
-            \\    "oauth"
-            \\  ]
-            \\}}
-        , .{
-            registry_name,
-            registry_url,
-            api_version,
-            ZEPPLIN_VERSION,
-            if (std.mem.eql(u8, allow_public_publish, "1")) "true" else "false",
-        });
+    // GET /api/v1/registry/config
+    fn handleRegistryConfigV1(self: *Server, stream: std.Io.net.Stream) !void {
+        // The public URL is the one OAuth redirects and the session cookie
+        // already use, so the setup snippets match what sign-in sends users to
+        const base_url = self.environ_map.get("REDIRECT_BASE_URL") orelse "http://localhost:8888";
+
+        // Local accounts always work; OAuth providers only when their client is configured
+        var auth_providers: [3][]const u8 = undefined;
+        var provider_count: usize = 0;
+        auth_providers[provider_count] = "local";
+        provider_count += 1;
+        if (self.environ_map.get("GITHUB_CLIENT_ID") != null) {
+            auth_providers[provider_count] = "github";
+            provider_count += 1;
+        }
+        if (self.environ_map.get("AZURE_CLIENT_ID") != null) {
+            auth_providers[provider_count] = "microsoft";
+            provider_count += 1;
+        }
+
+        const features = [_][]const u8{ "packages", "releases", "aliases", "search", "download_stats", "comments", "oauth", "tokens", "ecosystem_import" };
+
+        const result = .{
+            .name = self.environ_map.get("ZEPPLIN_REGISTRY_NAME") orelse "Zepplin Registry",
+            .url = std.mem.trimRight(u8, base_url, "/"),
+            .api_version = "v1",
+            .version = ZEPPLIN_VERSION,
+            .allow_public_publish = true,
+            .github_compatible = true,
+            .features = features[0..],
+            .auth_providers = auth_providers[0..provider_count],
+        };
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, result, .{});
         defer self.allocator.free(json_response);
 
         try self.serveJson(stream, 200, json_response);
@@ -2004,7 +2680,10 @@ pub const Server = struct {
     }
 
     // POST /api/v1/packages/{owner}/{repo}/releases
-    fn handlePublishPackageV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+    fn handlePublishPackageV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request_head: []const u8) !void {
+        const user = (try self.requireScope(stream, request_head, .publish)) orelse return;
+        defer user.deinit(self.allocator);
+
         // Parse path to extract owner and repo
         const prefix = "/api/v1/packages/";
         if (!std.mem.startsWith(u8, path, prefix)) {
@@ -2021,61 +2700,47 @@ pub const Server = struct {
             try self.serveJsonError(stream, 400, "Invalid endpoint. Use /api/v1/packages/{owner}/{repo}/releases");
             return;
         }
+        if (!(try self.mayPublish(user.username, owner, repo))) {
+            return self.serveJsonError(stream, 403, "Only the package maintainer can publish releases");
+        }
 
-        // Read the full request (heap allocated to avoid stack overflow)
-        const max_upload_size = 50 * 1024 * 1024; // 50MB max upload
-        const buffer = self.allocator.alloc(u8, max_upload_size) catch {
-            try self.serveJsonError(stream, 500, "Server out of memory");
-            return;
-        };
-        defer self.allocator.free(buffer);
-
-        var read_buf: [8192]u8 = undefined;
-        var reader = stream.reader(self.io, &read_buf);
-        const bytes_read = reader.interface.readSliceShort(buffer) catch 0;
-        const request = buffer[0..bytes_read];
-
-        // Find the body after headers
-        const header_end = std.mem.indexOf(u8, request, "\r\n\r\n") orelse {
-            try self.serveJsonError(stream, 400, "Invalid request format");
-            return;
-        };
-        const headers = request[0..header_end];
-        const body = request[header_end + 4..];
-
-        // Parse multipart form data
-        const upload_data = self.parseMultipartUpload(headers, body) catch |err| switch (err) {
-            error.InvalidMultipart => {
-                try self.serveJsonError(stream, 400, "Invalid multipart form data");
-                return;
-            },
-            error.MissingFile => {
-                try self.serveJsonError(stream, 400, "Package file is required");
-                return;
-            },
-            error.MissingTagName => {
-                try self.serveJsonError(stream, 400, "tag_name is required");
-                return;
-            },
-            else => return err,
-        };
+        // Releases arrive either as one multipart request or, from the resumable
+        // flow, as JSON naming a completed upload session
+        const is_json = if (headerValue(request_head, "Content-Type")) |content_type|
+            std.mem.startsWith(u8, content_type, "application/json")
+        else
+            false;
+        const upload_data = (if (is_json)
+            try self.readUploadSessionRelease(stream, owner, repo, user)
+        else
+            try self.readMultipartRelease(stream, request_head)) orelse return;
         defer self.freeUploadData(upload_data);
 
-        // Validate owner/repo match path
-        if (!std.mem.eql(u8, owner, upload_data.owner) or !std.mem.eql(u8, repo, upload_data.repo)) {
+        // Validate owner/repo match path (the form fields are optional)
+        if ((upload_data.owner.len > 0 and !std.mem.eql(u8, owner, upload_data.owner)) or
+            (upload_data.repo.len > 0 and !std.mem.eql(u8, repo, upload_data.repo)))
+        {
             try self.serveJsonError(stream, 400, "Owner/repo mismatch between path and form data");
             return;
         }
 
         // Create package metadata
         const version = types.Version.parse(upload_data.tag_name) catch {
-            try self.serveJsonError(stream, 400, "Invalid version format. Use semantic versioning (e.g., 1.0.0)");
+            try self.serveJsonError(stream, 400, "Invalid version format. Use semantic versioning (e.g., 1.0.0 or 1.0.0-rc.1)");
             return;
         };
 
         const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
         defer self.allocator.free(package_name);
 
+        // storePackage would silently overwrite the archive behind an existing checksum
+        if (try self.hasRelease(owner, repo, version)) {
+            const message = try std.fmt.allocPrint(self.allocator, "Release {s} already exists for {s}/{s}", .{ upload_data.tag_name, owner, repo });
+            defer self.allocator.free(message);
+            try self.serveJsonError(stream, 409, message);
+            return;
+        }
+
         const metadata = types.PackageMetadata{
             .name = package_name,
             .version = version,
@@ -2090,6 +2755,9 @@ pub const Server = struct {
         };
         defer if (metadata.repository) |r| self.allocator.free(r);
 
+        // Any earlier release, even a deleted one, leaves the package directory
+        const first_release = !self.storage.hasPackage(package_name);
+
         // Store package
         const package_file = self.storage.storePackage(metadata, upload_data.file_data) catch |err| switch (err) {
             error.PathAlreadyExists => {
@@ -2107,84 +2775,503 @@ pub const Server = struct {
             self.allocator.free(package_file.file_path);
         }
 
-        // Create download URL
-        const download_url = try std.fmt.allocPrint(self.allocator, 
-            "/api/v1/packages/{s}/{s}/download/{s}", 
-            .{ owner, repo, upload_data.tag_name }
-        );
-        defer self.allocator.free(download_url);
+        if (upload_data.upload_id) |upload_id| self.removeUpload(upload_id);
 
-        // Return success response
-        const json_response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "id": {d},
-            \\  "tag_name": "{s}",
-            \\  "name": "{s}",
-            \\  "body": "{s}",
-            \\  "draft": {s},
-            \\  "prerelease": {s},
-            \\  "created_at": {d},
-            \\  "published_at": {d},
-            \\  "download_url": "{s}",
-            \\  "file_size": {d},
-            \\  "sha256": "{s}"
-            \\}}
-        , .{
-            compat.timestamp(), // Using timestamp as ID for now
-            upload_data.tag_name,
-            upload_data.name orelse upload_data.tag_name,
-            upload_data.body orelse "",
-            if (upload_data.draft) "true" else "false",
-            if (upload_data.prerelease) "true" else "false",
-            compat.timestamp(),
-            compat.timestamp(),
-            download_url,
-            package_file.file_size,
-            package_file.checksum,
-        });
+        const now = compat.timestamp();
+        var release = types.Release{
+            .id = 0,
+            .owner = owner,
+            .repo = repo,
+            .tag_name = upload_data.tag_name,
+            .name = upload_data.name orelse upload_data.tag_name,
+            .body = upload_data.body,
+            .draft = upload_data.draft,
+            .prerelease = upload_data.prerelease,
+            .security = upload_data.security,
+            .created_at = now,
+            .published_at = now,
+            .file_size = package_file.file_size,
+            .sha256 = package_file.checksum,
+        };
+        release.id = self.database.addRelease(release) catch |err| {
+            // Without its row the archive can't be listed or deleted
+            std.debug.print("Failed to record release {s}@{s}: {}\n", .{ package_name, upload_data.tag_name, err });
+            self.storage.deletePackage(package_name, version) catch {};
+            try self.serveJsonError(stream, 500, "Failed to record release");
+            return;
+        };
+        self.refreshPackageVersion(owner, repo);
+
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, try ReleaseJson.init(arena.allocator(), release), .{});
         defer self.allocator.free(json_response);
 
         std.debug.print("📦 Package uploaded: {s}/{s}@{s} ({d} bytes)\n", .{ 
             owner, repo, upload_data.tag_name, package_file.file_size 
         });
 
+        // Drafts aren't listed or installable, so they don't notify anyone
+        if (!upload_data.draft) {
+            self.notifyWatchers(package_name, upload_data.tag_name, types.ReleaseKind.of(version, upload_data.security), user.username) catch |err| {
+                std.debug.print("Error notifying watchers of {s}: {}\n", .{ package_name, err });
+            };
+            self.recordActivity(.{
+                .kind = if (first_release) .package else .release,
+                .package_name = package_name,
+                .version = upload_data.tag_name,
+                .created_at = compat.timestamp(),
+            });
+        }
+
         try self.serveJson(stream, 201, json_response);
     }
 
-    // PUT /api/v1/aliases/{short_name}
-    fn handleCreateAliasV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
-        const prefix = "/api/v1/aliases/";
-        if (!std.mem.startsWith(u8, path, prefix)) {
-            return self.serve404(stream);
-        }
-
-        const short_name = path[prefix.len..];
-        if (short_name.len == 0) {
-            try self.serveJsonError(stream, 400, "Short name is required");
-            return;
-        }
+    // Single-request publish: the whole archive in one multipart body
+    fn readMultipartRelease(self: *Server, stream: std.Io.net.Stream, request_head: []const u8) !?types.UploadData {
+        // Heap allocated to avoid stack overflow
+        const buffer = self.allocator.alloc(u8, MAX_UPLOAD_SIZE) catch {
+            try self.serveJsonError(stream, 500, "Server out of memory");
+            return null;
+        };
+        defer self.allocator.free(buffer);
 
-        // TODO: Parse JSON body to extract owner/repo
-        // For now, return a placeholder response
-        const json_response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "message": "Alias creation endpoint - implementation in progress",
-            \\  "short_name": "{s}",
-            \\  "status": "placeholder"
-            \\}}
-        , .{short_name});
-        defer self.allocator.free(json_response);
+        const body = self.readRequestBody(buffer);
 
-        try self.serveJson(stream, 501, json_response);
+        return self.parseMultipartUpload(request_head, body) catch |err| switch (err) {
+            error.InvalidMultipart => {
+                try self.serveJsonError(stream, 400, "Invalid multipart form data");
+                return null;
+            },
+            error.MissingFile => {
+                try self.serveJsonError(stream, 400, "Package file is required");
+                return null;
+            },
+            error.MissingTagName => {
+                try self.serveJsonError(stream, 400, "tag_name is required");
+                return null;
+            },
+            else => return err,
+        };
     }
 
-    // DELETE /api/v1/packages/{owner}/{repo}/releases/{tag}
-    fn handleDeletePackageV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
-        // Parse path
-        const prefix = "/api/v1/packages/";
-        if (!std.mem.startsWith(u8, path, prefix)) {
-            return self.serve404(stream);
-        }
+    // Resumable publish: {"tag_name", "name", "body", "draft", "prerelease", "security", "upload_id"}
+    // naming a finished upload, whose chunks are assembled and checked against
+    // the sha256 declared when the upload started
+    fn readUploadSessionRelease(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8, user: AuthenticatedUser) !?types.UploadData {
+        var buffer: [16384]u8 = undefined;
+        const body = self.readRequestBody(&buffer);
+
+        const parsed = std.json.parseFromSlice(std.json.Value, self.allocator, body, .{}) catch {
+            try self.serveJsonError(stream, 400, "Invalid JSON");
+            return null;
+        };
+        defer parsed.deinit();
+        if (parsed.value != .object) {
+            try self.serveJsonError(stream, 400, "Invalid JSON");
+            return null;
+        }
+        const fields = parsed.value.object;
+
+        const stringField = struct {
+            fn get(object: std.json.ObjectMap, key: []const u8) ?[]const u8 {
+                return switch (object.get(key) orelse .null) {
+                    .string => |value| value,
+                    else => null,
+                };
+            }
+        }.get;
+        const boolField = struct {
+            fn get(object: std.json.ObjectMap, key: []const u8) bool {
+                return switch (object.get(key) orelse .null) {
+                    .bool => |value| value,
+                    else => false,
+                };
+            }
+        }.get;
+
+        const tag_name = stringField(fields, "tag_name") orelse {
+            try self.serveJsonError(stream, 400, "tag_name is required");
+            return null;
+        };
+        const upload_id = stringField(fields, "upload_id") orelse {
+            try self.serveJsonError(stream, 400, "upload_id is required");
+            return null;
+        };
+
+        const session = self.findUpload(upload_id, user) orelse {
+            try self.serveJsonError(stream, 404, "Upload not found or expired");
+            return null;
+        };
+        if (!std.mem.eql(u8, session.owner, owner) or !std.mem.eql(u8, session.repo, repo)) {
+            try self.serveJsonError(stream, 400, "Upload belongs to a different package");
+            return null;
+        }
+        if (!session.isComplete()) {
+            const message = try std.fmt.allocPrint(self.allocator, "Upload is incomplete ({d} of {d} bytes received)", .{ session.received, session.size });
+            defer self.allocator.free(message);
+            try self.serveJsonError(stream, 409, message);
+            return null;
+        }
+
+        const chunk_count = (session.size + session.chunk_size - 1) / session.chunk_size;
+        const file_data = self.storage.assembleUpload(session.id, chunk_count, session.size) catch |err| {
+            std.debug.print("Upload assembly error: {}\n", .{err});
+            self.removeUpload(upload_id);
+            try self.serveJsonError(stream, 400, "Upload is missing chunks; start the upload again");
+            return null;
+        };
+        errdefer self.allocator.free(file_data);
+
+        var digest: [32]u8 = undefined;
+        std.crypto.hash.sha2.Sha256.hash(file_data, &digest, .{});
+        const checksum = std.fmt.bytesToHex(digest, .lower);
+        if (!std.mem.eql(u8, &checksum, &session.sha256)) {
+            self.allocator.free(file_data);
+            self.removeUpload(upload_id);
+            try self.serveJsonError(stream, 400, "Uploaded file does not match its sha256; start the upload again");
+            return null;
+        }
+
+        return types.UploadData{
+            .owner = try self.allocator.dupe(u8, owner),
+            .repo = try self.allocator.dupe(u8, repo),
+            .tag_name = try self.allocator.dupe(u8, tag_name),
+            .name = if (stringField(fields, "name")) |name| try self.allocator.dupe(u8, name) else null,
+            .body = if (stringField(fields, "body")) |text| try self.allocator.dupe(u8, text) else null,
+            .draft = boolField(fields, "draft"),
+            .prerelease = boolField(fields, "prerelease"),
+            .security = boolField(fields, "security"),
+            .file_data = file_data,
+            .filename = try self.allocator.dupe(u8, session.filename),
+            .content_type = try self.allocator.dupe(u8, "application/gzip"),
+            .upload_id = try self.allocator.dupe(u8, upload_id),
+        };
+    }
+
+    // POST /api/v1/packages/{owner}/{repo}/uploads
+    // Starts a resumable upload: {"filename", "size", "sha256"}
+    fn handleCreateUploadV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .publish)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const prefix = "/api/v1/packages/";
+        var parts = std.mem.splitScalar(u8, path[prefix.len..], '/');
+        const owner = parts.next() orelse return self.serve404(stream);
+        const repo = parts.next() orelse return self.serve404(stream);
+        if (owner.len == 0 or repo.len == 0) return self.serve404(stream);
+        if (!(try self.mayPublish(user.username, owner, repo))) {
+            return self.serveJsonError(stream, 403, "Only the package maintainer can publish releases");
+        }
+
+        var buffer: [4096]u8 = undefined;
+        const body = self.readRequestBody(&buffer);
+
+        const parsed = std.json.parseFromSlice(std.json.Value, self.allocator, body, .{}) catch {
+            return self.serveJsonError(stream, 400, "Invalid JSON");
+        };
+        defer parsed.deinit();
+        if (parsed.value != .object) return self.serveJsonError(stream, 400, "Invalid JSON");
+        const fields = parsed.value.object;
+
+        // The filename is echoed back unescaped, so keep it to plain archive names
+        const filename = switch (fields.get("filename") orelse .null) {
+            .string => |value| value,
+            else => "",
+        };
+        if (filename.len == 0 or filename.len > 128 or
+            !(std.mem.endsWith(u8, filename, ".tar.gz") or std.mem.endsWith(u8, filename, ".tgz")))
+        {
+            return self.serveJsonError(stream, 400, "filename must be a .tar.gz or .tgz archive name");
+        }
+        for (filename) |c| {
+            if (!std.ascii.isAlphanumeric(c) and c != '.' and c != '-' and c != '_') {
+                return self.serveJsonError(stream, 400, "filename may only contain letters, digits, '.', '-' and '_'");
+            }
+        }
+
+        const size: u64 = switch (fields.get("size") orelse .null) {
+            .integer => |value| if (value > 0 and value <= MAX_UPLOAD_SIZE) @intCast(value) else {
+                return self.serveJsonError(stream, 400, "size must be between 1 byte and 50MB");
+            },
+            else => return self.serveJsonError(stream, 400, "size must be between 1 byte and 50MB"),
+        };
+
+        const declared_sha256 = switch (fields.get("sha256") orelse .null) {
+            .string => |value| value,
+            else => "",
+        };
+        var sha256: [64]u8 = undefined;
+        if (declared_sha256.len != sha256.len) {
+            return self.serveJsonError(stream, 400, "sha256 must be 64 hex characters");
+        }
+        for (declared_sha256, 0..) |c, i| {
+            if (!std.ascii.isHex(c)) return self.serveJsonError(stream, 400, "sha256 must be 64 hex characters");
+            sha256[i] = std.ascii.toLower(c);
+        }
+
+        const now = compat.timestamp();
+        self.pruneUploads(now);
+
+        var id_bytes: [16]u8 = undefined;
+        compat.cryptoRandomBytes(&id_bytes);
+        const id_hex = std.fmt.bytesToHex(id_bytes, .lower);
+
+        const session = types.UploadSession{
+            .id = try self.allocator.dupe(u8, &id_hex),
+            .owner = try self.allocator.dupe(u8, owner),
+            .repo = try self.allocator.dupe(u8, repo),
+            .user_id = user.user_id,
+            .filename = try self.allocator.dupe(u8, filename),
+            .size = size,
+            .sha256 = sha256,
+            .chunk_size = UPLOAD_CHUNK_SIZE,
+            .created_at = now,
+        };
+        try self.uploads.put(session.id, session);
+
+        const json_response = try self.uploadSessionJson(session);
+        defer self.allocator.free(json_response);
+        try self.serveJson(stream, 201, json_response);
+    }
+
+    // GET /api/v1/uploads/{id} - how much of an upload the server has, for resuming
+    fn handleGetUploadV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .publish)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const upload_id = path["/api/v1/uploads/".len..];
+        const session = self.findUpload(upload_id, user) orelse {
+            return self.serveJsonError(stream, 404, "Upload not found or expired");
+        };
+
+        const json_response = try self.uploadSessionJson(session.*);
+        defer self.allocator.free(json_response);
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // PUT /api/v1/uploads/{id}
+    // Body is the raw chunk; "Content-Range: bytes {start}-{end}/{size}" places it.
+    // Chunks must arrive in order, each chunk_size bytes except the last.
+    fn handleUploadChunkV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .publish)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const upload_id = path["/api/v1/uploads/".len..];
+        const session = self.findUpload(upload_id, user) orelse {
+            return self.serveJsonError(stream, 404, "Upload not found or expired");
+        };
+
+        const range = parseContentRange(headerValue(request, "Content-Range") orelse "") orelse {
+            return self.serveJsonError(stream, 400, "Content-Range: bytes {start}-{end}/{size} is required");
+        };
+        if (range.total != session.size) {
+            return self.serveJsonError(stream, 400, "Content-Range size does not match the upload size");
+        }
+        if (range.start != session.received) {
+            const message = try std.fmt.allocPrint(self.allocator, "Expected the chunk starting at byte {d}", .{session.received});
+            defer self.allocator.free(message);
+            return self.serveJsonError(stream, 409, message);
+        }
+        const expected_len = @min(session.chunk_size, session.size - range.start);
+        if (range.end - range.start + 1 != expected_len) {
+            return self.serveJsonError(stream, 400, "Chunks must be chunk_size bytes, except the last");
+        }
+
+        // One byte spare, so a body longer than Content-Range shows up as a mismatch
+        const buffer = self.allocator.alloc(u8, expected_len + 1) catch {
+            return self.serveJsonError(stream, 500, "Server out of memory");
+        };
+        defer self.allocator.free(buffer);
+
+        const body = self.readRequestBody(buffer);
+        if (body.len != expected_len) {
+            return self.serveJsonError(stream, 400, "Chunk length does not match Content-Range");
+        }
+
+        self.storage.storeUploadChunk(session.id, range.start / session.chunk_size, body) catch |err| {
+            std.debug.print("Upload chunk error: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to store chunk");
+        };
+        session.received += body.len;
+
+        const json_response = try self.uploadSessionJson(session.*);
+        defer self.allocator.free(json_response);
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // Sessions are private to whoever started them; anyone else gets a 404
+    fn findUpload(self: *Server, upload_id: []const u8, user: AuthenticatedUser) ?*types.UploadSession {
+        const session = self.uploads.getPtr(upload_id) orelse return null;
+        if (session.isExpired(compat.timestamp(), UPLOAD_SESSION_TTL)) {
+            self.removeUpload(upload_id);
+            return null;
+        }
+        if (session.user_id != user.user_id) return null;
+        return session;
+    }
+
+    fn removeUpload(self: *Server, upload_id: []const u8) void {
+        const entry = self.uploads.fetchRemove(upload_id) orelse return;
+        self.storage.deleteUpload(entry.value.id);
+        self.freeUploadSession(entry.value);
+    }
+
+    fn pruneUploads(self: *Server, now: i64) void {
+        var expired = std.array_list.AlignedManaged([]const u8, null).init(self.allocator);
+        defer expired.deinit();
+
+        var iterator = self.uploads.valueIterator();
+        while (iterator.next()) |session| {
+            if (session.isExpired(now, UPLOAD_SESSION_TTL)) expired.append(session.id) catch break;
+        }
+        for (expired.items) |upload_id| self.removeUpload(upload_id);
+    }
+
+    fn freeUploadSession(self: *Server, session: types.UploadSession) void {
+        self.allocator.free(session.id);
+        self.allocator.free(session.owner);
+        self.allocator.free(session.repo);
+        self.allocator.free(session.filename);
+    }
+
+    fn uploadSessionJson(self: *Server, session: types.UploadSession) ![]u8 {
+        return std.fmt.allocPrint(self.allocator,
+            \\{{
+            \\  "upload_id": "{s}",
+            \\  "owner": "{s}",
+            \\  "repo": "{s}",
+            \\  "filename": "{s}",
+            \\  "size": {d},
+            \\  "sha256": "{s}",
+            \\  "chunk_size": {d},
+            \\  "received": {d},
+            \\  "complete": {s},
+            \\  "expires_at": {d}
+            \\}}
+        , .{
+            session.id,
+            session.owner,
+            session.repo,
+            session.filename,
+            session.size,
+            session.sha256,
+            session.chunk_size,
+            session.received,
+            if (session.isComplete()) "true" else "false",
+            session.created_at + UPLOAD_SESSION_TTL,
+        });
+    }
+
+    // PUT /api/v1/aliases/{short_name} {"owner": ..., "repo": ...}
+    // Points a short name at a package the caller maintains; a name already
+    // held by someone else's package is a 409
+    fn handleCreateAliasV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .alias)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const prefix = "/api/v1/aliases/";
+        if (!std.mem.startsWith(u8, path, prefix)) {
+            return self.serve404(stream);
+        }
+
+        const short_name = path[prefix.len..];
+        if (short_name.len == 0) {
+            try self.serveJsonError(stream, 400, "Short name is required");
+            return;
+        }
+        if (!isValidAliasName(short_name)) {
+            return self.serveJsonError(stream, 400, "Short names are up to 64 lowercase letters, digits, '-' or '_', starting with a letter or digit");
+        }
+
+        var buffer: [4096]u8 = undefined;
+        const body = self.readRequestBody(&buffer);
+
+        const parsed = std.json.parseFromSlice(std.json.Value, self.allocator, body, .{}) catch {
+            return self.serveJsonError(stream, 400, "Invalid JSON");
+        };
+        defer parsed.deinit();
+        if (parsed.value != .object) return self.serveJsonError(stream, 400, "Invalid JSON");
+        const fields = parsed.value.object;
+
+        const owner = switch (fields.get("owner") orelse .null) {
+            .string => |value| value,
+            else => "",
+        };
+        const repo = switch (fields.get("repo") orelse .null) {
+            .string => |value| value,
+            else => "",
+        };
+        if (owner.len == 0 or repo.len == 0) {
+            return self.serveJsonError(stream, 400, "owner and repo are required");
+        }
+
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(package_name);
+        if (!self.storage.hasPackage(package_name) and !(try self.database.packageExists(owner, repo))) {
+            return self.serveJsonError(stream, 404, "Package not found");
+        }
+        if (!(try self.maintainsPackage(user.username, owner, repo))) {
+            return self.serveJsonError(stream, 403, "Only the package maintainer can create aliases for it");
+        }
+
+        var created = true;
+        if (try self.database.resolveAlias(short_name)) |existing| {
+            defer {
+                self.allocator.free(existing.short_name);
+                self.allocator.free(existing.owner);
+                self.allocator.free(existing.repo);
+                if (existing.created_by) |c| self.allocator.free(c);
+            }
+            // Moving a name between two of the caller's own packages is allowed
+            if (!(try self.maintainsPackage(user.username, existing.owner, existing.repo))) {
+                return self.serveJsonError(stream, 409, "That short name is already taken");
+            }
+            created = false;
+        }
+
+        const now = compat.timestamp();
+        try self.database.setAlias(.{
+            .short_name = short_name,
+            .owner = owner,
+            .repo = repo,
+            .created_at = now,
+            .created_by = user.username,
+        });
+        std.log.info("Alias {s} -> {s} set by {s}", .{ short_name, package_name, user.username });
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .short_name = short_name,
+            .full_name = package_name,
+            .owner = owner,
+            .repo = repo,
+            .created_at = now,
+            .created_by = user.username,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, if (created) 201 else 200, json_response);
+    }
+
+    fn isValidAliasName(name: []const u8) bool {
+        if (name.len == 0 or name.len > MAX_ALIAS_LEN) return false;
+        if (name[0] == '-' or name[0] == '_') return false;
+        for (name) |c| {
+            if (!std.ascii.isLower(c) and !std.ascii.isDigit(c) and c != '-' and c != '_') return false;
+        }
+        return true;
+    }
+
+    // DELETE /api/v1/packages/{owner}/{repo}/releases/{tag}
+    fn handleDeletePackageV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .yank)) orelse return;
+        defer user.deinit(self.allocator);
+
+        // Parse path
+        const prefix = "/api/v1/packages/";
+        if (!std.mem.startsWith(u8, path, prefix)) {
+            return self.serve404(stream);
+        }
 
         const path_after_prefix = path[prefix.len..];
         var parts = std.mem.splitSequence(u8, path_after_prefix, "/");
@@ -2198,19 +3285,44 @@ pub const Server = struct {
             return;
         }
 
-        // TODO: Implement release deletion
-        const json_response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "message": "Package deletion endpoint - implementation in progress",
-            \\  "owner": "{s}",
-            \\  "repo": "{s}",
-            \\  "tag": "{s}",
-            \\  "status": "placeholder"
-            \\}}
-        , .{ owner, repo, tag.? });
+        if (parts.next() != null) return self.serve404(stream);
+        if (!(try self.maintainsPackage(user.username, owner, repo))) {
+            return self.serveJsonError(stream, 403, "Only the package maintainer can delete releases");
+        }
+        const version = types.Version.parse(tag.?) catch {
+            return self.serveJsonError(stream, 400, "Invalid version format");
+        };
+
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(package_name);
+
+        const release = (try self.database.getRelease(owner, repo, tag.?)) orelse {
+            return self.serveJsonError(stream, 404, "Release not found");
+        };
+        self.database.freeRelease(release);
+
+        self.database.deleteRelease(owner, repo, tag.?) catch |err| {
+            std.log.err("Failed to delete {s}@{s}: {}", .{ package_name, tag.?, err });
+            return self.serveJsonError(stream, 500, "Failed to delete release");
+        };
+        // The row is gone, so the release is; an archive left behind is only disk space
+        self.storage.deletePackage(package_name, version) catch |err| switch (err) {
+            error.FileNotFound => {},
+            else => std.log.err("Failed to delete the archive of {s}@{s}: {}", .{ package_name, tag.?, err }),
+        };
+        self.refreshPackageVersion(owner, repo);
+        std.log.info("Release {s}@{s} deleted by {s}", .{ package_name, tag.?, user.username });
+
+        self.recordActivity(.{ .kind = .delete, .package_name = package_name, .version = tag.?, .created_at = compat.timestamp() });
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .message = "Release deleted",
+            .package = package_name,
+            .tag = tag.?,
+        }, .{});
         defer self.allocator.free(json_response);
 
-        try self.serveJson(stream, 501, json_response);
+        try self.serveJson(stream, 200, json_response);
     }
 
     // Simple health check endpoint for Docker/nginx
@@ -2221,18 +3333,26 @@ pub const Server = struct {
 
     // Helper methods
     fn serveJson(self: *Server, stream: std.Io.net.Stream, status_code: u16, json_content: []const u8) !void {
+        try self.serveJsonWithHeaders(stream, status_code, "", json_content);
+    }
+
+    // extra_headers is zero or more complete header lines, each ending in CRLF
+    fn serveJsonWithHeaders(self: *Server, stream: std.Io.net.Stream, status_code: u16, extra_headers: []const u8, json_content: []const u8) !void {
         const status_text = switch (status_code) {
             200 => "OK",
             201 => "Created",
             400 => "Bad Request",
             401 => "Unauthorized",
+            403 => "Forbidden",
             404 => "Not Found",
+            409 => "Conflict",
             500 => "Internal Server Error",
             501 => "Not Implemented",
+            502 => "Bad Gateway",
             else => "Unknown",
         };
 
-        const response = try std.fmt.allocPrint(self.allocator, "HTTP/1.1 {d} {s}\r\nContent-Type: application/json\r\nAccess-Control-Allow-Origin: *\r\nContent-Length: {d}\r\n\r\n{s}", .{ status_code, status_text, json_content.len, json_content });
+        const response = try std.fmt.allocPrint(self.allocator, "HTTP/1.1 {d} {s}\r\nContent-Type: application/json\r\nAccess-Control-Allow-Origin: *\r\n{s}Content-Length: {d}\r\n\r\n{s}", .{ status_code, status_text, extra_headers, json_content.len, json_content });
         defer self.allocator.free(response);
 
         try compat.streamWriteAll(stream, self.io,response);
@@ -2268,6 +3388,244 @@ pub const Server = struct {
         try self.serveJson(stream, 200, json_response);
     }
 
+    // GET /api/v1/trending?period=week|month|all&limit=
+    fn handleTrendingV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+        var period: trending.Period = .week;
+        var limit: usize = 20;
+        if (std.mem.indexOf(u8, path, "?")) |query_start| {
+            var params = std.mem.splitSequence(u8, path[query_start + 1 ..], "&");
+            while (params.next()) |param| {
+                if (std.mem.startsWith(u8, param, "period=")) {
+                    period = std.meta.stringToEnum(trending.Period, param[7..]) orelse {
+                        return self.serveJsonError(stream, 400, "period must be one of week, month, all");
+                    };
+                } else if (std.mem.startsWith(u8, param, "limit=")) {
+                    limit = std.fmt.parseInt(usize, param[6..], 10) catch 20;
+                }
+            }
+        }
+        limit = @min(@max(limit, 1), 50);
+
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+
+        const now = compat.timestamp();
+        const entries = try trending.rank(arena.allocator(), &self.database, period, now, limit);
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .period = @tagName(period),
+            .generated_at = now,
+            .packages = entries,
+            .total = entries.len,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    const DownloadRange = struct {
+        name: []const u8,
+        days: i64,
+        period: types.DownloadPeriod,
+
+        // Bucket starts covering the range, ending with the current bucket
+        fn bounds(self: DownloadRange, now: i64) struct { from: i64, to: i64 } {
+            return .{
+                .from = self.period.bucketStart(now - (self.days - 1) * std.time.s_per_day),
+                .to = self.period.bucketStart(now),
+            };
+        }
+    };
+
+    const download_ranges = [_]DownloadRange{
+        .{ .name = "7d", .days = 7, .period = .day },
+        .{ .name = "30d", .days = 30, .period = .day },
+        .{ .name = "90d", .days = 90, .period = .day },
+        .{ .name = "1y", .days = 365, .period = .week },
+    };
+
+    // `range=` from the query string; 30d when absent, null when unknown
+    fn downloadRange(path: []const u8) ?DownloadRange {
+        var name: []const u8 = "30d";
+        if (std.mem.indexOf(u8, path, "?")) |query_start| {
+            var params = std.mem.splitSequence(u8, path[query_start + 1 ..], "&");
+            while (params.next()) |param| {
+                if (std.mem.startsWith(u8, param, "range=")) name = param[6..];
+            }
+        }
+        for (download_ranges) |range| {
+            if (std.mem.eql(u8, range.name, name)) return range;
+        }
+        return null;
+    }
+
+    const DownloadPoint = struct {
+        bucket: i64,
+        count: u64,
+    };
+
+    // GET /api/v1/stats/downloads?range=
+    fn handleDownloadHistoryV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+        const range = downloadRange(path) orelse {
+            return self.serveJsonError(stream, 400, "range must be one of 7d, 30d, 90d, 1y");
+        };
+        const bounds = range.bounds(compat.timestamp());
+
+        const history = try self.database.getDownloadHistory(null, range.period, bounds.from);
+        defer self.database.freeDownloadHistory(history);
+        const top_packages = try self.database.getTopDownloads(range.period, bounds.from, 10);
+        defer self.database.freePackageCounts(top_packages);
+
+        const series = try self.allocator.alloc(DownloadPoint, history.len);
+        defer self.allocator.free(series);
+        var total: u64 = 0;
+        for (history, series) |entry, *point| {
+            point.* = .{ .bucket = entry.bucket, .count = entry.count };
+            total += entry.count;
+        }
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .range = range.name,
+            .interval = @tagName(range.period),
+            .from = bounds.from,
+            .to = bounds.to,
+            .total = total,
+            .series = series,
+            .top_packages = top_packages,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // GET /api/v1/packages/{owner}/{repo}/downloads?range=
+    fn handlePackageDownloadsV1(self: *Server, stream: std.Io.net.Stream, owner: []const u8, repo: []const u8, path: []const u8) !void {
+        const range = downloadRange(path) orelse {
+            return self.serveJsonError(stream, 400, "range must be one of 7d, 30d, 90d, 1y");
+        };
+        if (!(try self.database.packageExists(owner, repo))) {
+            return self.serveJsonError(stream, 404, "Package not found");
+        }
+        const bounds = range.bounds(compat.timestamp());
+
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(package_name);
+        const history = try self.database.getDownloadHistory(package_name, range.period, bounds.from);
+        defer self.database.freeDownloadHistory(history);
+
+        const VersionHistory = struct {
+            version: []const u8,
+            total: u64 = 0,
+            series: std.ArrayList(DownloadPoint) = .empty,
+
+            pub fn jsonStringify(self_: @This(), jw: anytype) !void {
+                try jw.write(.{ .version = self_.version, .total = self_.total, .series = self_.series.items });
+            }
+        };
+
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const arena_allocator = arena.allocator();
+
+        var versions: std.ArrayList(VersionHistory) = .empty;
+        var total: u64 = 0;
+        for (history) |entry| {
+            const index = for (versions.items, 0..) |existing, i| {
+                if (std.mem.eql(u8, existing.version, entry.version)) break i;
+            } else blk: {
+                try versions.append(arena_allocator, .{ .version = entry.version });
+                break :blk versions.items.len - 1;
+            };
+            const version = &versions.items[index];
+            try version.series.append(arena_allocator, .{ .bucket = entry.bucket, .count = entry.count });
+            version.total += entry.count;
+            total += entry.count;
+        }
+
+        // Busiest versions first
+        std.mem.sort(VersionHistory, versions.items, {}, struct {
+            fn lessThan(_: void, a: VersionHistory, b: VersionHistory) bool {
+                return a.total > b.total;
+            }
+        }.lessThan);
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .package = package_name,
+            .range = range.name,
+            .interval = @tagName(range.period),
+            .from = bounds.from,
+            .to = bounds.to,
+            .total = total,
+            .versions = versions.items,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // Reads the request body into buffer: exactly Content-Length bytes (or the
+    // chunked body), truncated to buffer.len. Bytes that arrived with the head
+    // are already in the connection reader, so this goes through it rather
+    // than the raw stream. The body can only be read once per request.
+    fn readRequestBody(self: *Server, buffer: []u8) []const u8 {
+        const request = self.http_request orelse return buffer[0..0];
+        self.http_request = null;
+
+        var transfer_buffer: [4096]u8 = undefined;
+        const body_reader = request.readerExpectContinue(&transfer_buffer) catch return buffer[0..0];
+        const bytes_read = body_reader.readSliceShort(buffer) catch 0;
+        return buffer[0..bytes_read];
+    }
+
+    // Value of a request header, matched case-insensitively
+    fn headerValue(request: []const u8, name: []const u8) ?[]const u8 {
+        var lines = std.mem.splitSequence(u8, request, "\r\n");
+        _ = lines.next(); // request line
+        while (lines.next()) |line| {
+            if (line.len == 0) break;
+            const colon = std.mem.indexOfScalar(u8, line, ':') orelse continue;
+            if (std.ascii.eqlIgnoreCase(line[0..colon], name)) {
+                return std.mem.trim(u8, line[colon + 1 ..], " \t");
+            }
+        }
+        return null;
+    }
+
+    fn cookieValue(request: []const u8, name: []const u8) ?[]const u8 {
+        const header = headerValue(request, "Cookie") orelse return null;
+        var cookies = std.mem.splitScalar(u8, header, ';');
+        while (cookies.next()) |cookie| {
+            const pair = std.mem.trim(u8, cookie, " ");
+            const eq = std.mem.indexOfScalar(u8, pair, '=') orelse continue;
+            if (std.mem.eql(u8, pair[0..eq], name)) return pair[eq + 1 ..];
+        }
+        return null;
+    }
+
+    fn requestMethod(request: []const u8) []const u8 {
+        const end = std.mem.indexOfScalar(u8, request, ' ') orelse request.len;
+        return request[0..end];
+    }
+
+    const ContentRange = struct { start: u64, end: u64, total: u64 };
+
+    // "bytes 0-1048575/5242880"
+    fn parseContentRange(value: []const u8) ?ContentRange {
+        const unit = "bytes ";
+        if (!std.mem.startsWith(u8, value, unit)) return null;
+        const dash = std.mem.indexOfScalar(u8, value, '-') orelse return null;
+        const slash = std.mem.indexOfScalar(u8, value, '/') orelse return null;
+        if (dash < unit.len or slash < dash) return null;
+
+        const range = ContentRange{
+            .start = std.fmt.parseInt(u64, value[unit.len..dash], 10) catch return null,
+            .end = std.fmt.parseInt(u64, value[dash + 1 .. slash], 10) catch return null,
+            .total = std.fmt.parseInt(u64, value[slash + 1 ..], 10) catch return null,
+        };
+        if (range.end < range.start or range.end >= range.total) return null;
+        return range;
+    }
+
     fn serializeStringArray(self: *Server, strings: [][]const u8) ![]u8 {
         var json = std.array_list.AlignedManaged(u8, null).init(self.allocator);
         defer json.deinit();
@@ -2286,17 +3644,7 @@ pub const Server = struct {
 
     fn handleRegister(self: *Server, stream: std.Io.net.Stream) !void {
         var buffer: [8192]u8 = undefined;
-        var read_buf: [4096]u8 = undefined;
-        var reader = stream.reader(self.io, &read_buf);
-        const bytes_read = reader.interface.readSliceShort(&buffer) catch 0;
-        const request = buffer[0..bytes_read];
-        
-        // Find the body after headers
-        const header_end = std.mem.indexOf(u8, request, "\r\n\r\n") orelse {
-            try self.serveJsonError(stream, 400, "Invalid request");
-            return;
-        };
-        const body = request[header_end + 4..];
+        const body = self.readRequestBody(&buffer);
         
         // Simple JSON parsing for username, email, and password
         var username: ?[]const u8 = null;
@@ -2363,48 +3711,159 @@ pub const Server = struct {
         try self.serveJson(stream, 201, json_response);
     }
     
+    // POST /api/v1/auth/login {"username": "...", "password": "..."}
     fn handleLogin(self: *Server, stream: std.Io.net.Stream) !void {
-        // TODO: Implement proper login after User type is defined
-        try self.serveJsonError(stream, 501, "Login not implemented yet");
-    }
+        var buffer: [8192]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
 
-    // Login disabled - will be re-implemented when User type is added
+        const username = switch (fields.get("username") orelse .null) {
+            .string => |value| value,
+            else => return self.serveJsonError(stream, 400, "Missing required fields: username, password"),
+        };
+        const password = switch (fields.get("password") orelse .null) {
+            .string => |value| value,
+            else => return self.serveJsonError(stream, 400, "Missing required fields: username, password"),
+        };
 
-    fn validateAuthToken(self: *Server, request: []const u8) !?AuthenticatedUser {
-        // Debug: print request headers (first 500 chars)
-        std.debug.print("AUTH DEBUG request ({} bytes):\n{s}\n---END---\n", .{request.len, request[0..@min(request.len, 500)]});
+        const credentials = (try self.database.getUserCredentials(username)) orelse {
+            return self.serveJsonError(stream, 401, "Invalid username or password");
+        };
+        defer self.database.freeUserCredentials(credentials);
 
-        // Extract Authorization header (case-insensitive search)
-        var auth_header_start: ?usize = std.mem.indexOf(u8, request, "Authorization: ");
-        if (auth_header_start == null) {
-            auth_header_start = std.mem.indexOf(u8, request, "authorization: ");
-        }
+        // Accounts created by a GitHub or Microsoft sign-in have no password until one is set
+        if (!credentials.hasPassword()) return self.serveJsonError(stream, 401, "Invalid username or password");
 
-        if (auth_header_start == null) {
-            std.debug.print("AUTH: No Authorization header found (checked both cases)\n", .{});
-            return null;
-        }
-        const auth_start = auth_header_start.?;
-        const auth_line_end = std.mem.indexOf(u8, request[auth_start..], "\r\n") orelse {
-            std.debug.print("AUTH: No line end after Authorization header\n", .{});
-            return null;
+        const valid = self.auth.verifyPassword(password, credentials.password_hash) catch false;
+        if (!valid) return self.serveJsonError(stream, 401, "Invalid username or password");
+
+        var auth_system = unified_auth.UnifiedAuthSystem.init(self.allocator, self.io, self.environ_map) catch {
+            return self.serveJsonError(stream, 500, "Authentication system not configured");
         };
-        const auth_header = request[auth_start + 15..auth_start + auth_line_end];
-        std.debug.print("AUTH: Header found: {s}\n", .{auth_header[0..@min(auth_header.len, 50)]});
+        defer auth_system.deinit();
 
-        // Extract Bearer token
-        const token = Auth.extractBearerToken(auth_header) orelse {
-            std.debug.print("AUTH: No Bearer token in header\n", .{});
-            return null;
+        const now = compat.timestamp();
+        const session_token = auth_system.createJWT(.{
+            .id = @intCast(credentials.user_id),
+            .username = credentials.username,
+            .email = credentials.email,
+            .display_name = null,
+            .avatar_url = null,
+            .primary_provider = .local,
+            .linked_accounts = &.{},
+            .api_token = null,
+            .created_at = now,
+            .updated_at = now,
+        }) catch {
+            return self.serveJsonError(stream, 500, "Failed to create session token");
+        };
+        defer self.allocator.free(session_token);
+
+        const cookie = try self.sessionCookie(session_token, SESSION_MAX_AGE);
+        defer self.allocator.free(cookie);
+        const headers = try std.fmt.allocPrint(self.allocator, "Set-Cookie: {s}\r\n", .{cookie});
+        defer self.allocator.free(headers);
+
+        const csrf_token = self.csrfToken(session_token);
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .username = credentials.username,
+            .csrf_token = @as([]const u8, &csrf_token),
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJsonWithHeaders(stream, 200, headers, json_response);
+    }
+
+    // "zepplin_session=...; ..." for a Set-Cookie header; an empty value with
+    // max_age 0 clears the cookie. Secure is added when the registry's public
+    // URL is https, so plain-http local development still works.
+    fn sessionCookie(self: *Server, value: []const u8, max_age: i64) ![]u8 {
+        const base_url = self.environ_map.get("REDIRECT_BASE_URL") orelse "";
+        const secure = std.mem.startsWith(u8, base_url, "https://");
+        return std.fmt.allocPrint(self.allocator, "{s}={s}; Path=/; Max-Age={d}; HttpOnly; SameSite=Lax{s}", .{
+            SESSION_COOKIE,
+            value,
+            max_age,
+            if (secure) "; Secure" else "",
+        });
+    }
+
+    fn jwtSecret(self: *Server) []const u8 {
+        return self.environ_map.get("JWT_SECRET") orelse "default_secret_change_in_production";
+    }
+
+    // An HMAC of the session token: nothing to store server-side, and it
+    // changes with every new session
+    fn csrfToken(self: *Server, session_token: []const u8) [64]u8 {
+        var hmac = std.crypto.auth.hmac.sha2.HmacSha256.init(self.jwtSecret());
+        hmac.update("csrf:");
+        hmac.update(session_token);
+        var mac: [32]u8 = undefined;
+        hmac.final(&mac);
+        return std.fmt.bytesToHex(mac, .lower);
+    }
+
+    // Cookies ride along on cross-site requests, so a cookie-authenticated
+    // request that changes state must also prove it came from our own pages.
+    // A Bearer header can't be attached cross-site, so those requests pass.
+    fn csrfValid(self: *Server, request: []const u8) bool {
+        if (headerValue(request, "Authorization") != null) return true;
+        const method = requestMethod(request);
+        if (std.mem.eql(u8, method, "GET") or std.mem.eql(u8, method, "HEAD") or std.mem.eql(u8, method, "OPTIONS")) return true;
+
+        const session_token = cookieValue(request, SESSION_COOKIE) orelse return true;
+        const provided = headerValue(request, CSRF_HEADER) orelse return false;
+        const expected = self.csrfToken(session_token);
+        if (provided.len != expected.len) return false;
+        return std.crypto.timing_safe.eql([64]u8, provided[0..64].*, expected);
+    }
+
+    // Bearer tokens (personal access tokens, JWTs, legacy API tokens) take
+    // precedence; browsers are signed in through the session cookie
+    fn validateAuthToken(self: *Server, request: []const u8) !?AuthenticatedUser {
+        var user = if (headerValue(request, "Authorization")) |auth_header| blk: {
+            const token = Auth.extractBearerToken(auth_header) orelse return null;
+            break :blk (try self.validateBearerToken(token)) orelse return null;
+        } else blk: {
+            const session_token = cookieValue(request, SESSION_COOKIE) orelse return null;
+            break :blk (try self.validateJWTToken(session_token)) orelse return null;
+        };
+
+        self.applyProfile(&user) catch |err| {
+            std.debug.print("Failed to load profile: {}\n", .{err});
         };
-        std.debug.print("AUTH: Token length={} dots=", .{token.len});
+        return user;
+    }
+
+    // Profile fields saved in Settings replace what the session or token was issued with
+    fn applyProfile(self: *Server, user: *AuthenticatedUser) !void {
+        const profile = (try self.database.getProfile(user.username)) orelse return;
+        defer self.database.freeProfile(profile);
+
+        const overrides = [_]struct { field: *[]u8, value: []const u8 }{
+            .{ .field = &user.display_name, .value = profile.display_name },
+            .{ .field = &user.email, .value = profile.email },
+            .{ .field = &user.avatar_url, .value = profile.avatar_url },
+        };
+        for (overrides) |override| {
+            if (override.value.len == 0) continue;
+            const value = try self.allocator.dupe(u8, override.value);
+            self.allocator.free(override.field.*);
+            override.field.* = value;
+        }
+    }
+
+    fn validateBearerToken(self: *Server, token: []const u8) !?AuthenticatedUser {
+        if (std.mem.startsWith(u8, token, Auth.personal_token_prefix)) {
+            return self.validatePersonalToken(token);
+        }
 
         // Check if this is a JWT (has two dots separating three parts)
         var dot_count: usize = 0;
         for (token) |c| {
             if (c == '.') dot_count += 1;
         }
-        std.debug.print("{}\n", .{dot_count});
 
         if (dot_count == 2) {
             // This is a JWT from OAuth - validate and parse it
@@ -2432,6 +3891,31 @@ pub const Server = struct {
         };
     }
 
+    // Personal access tokens are looked up by hash; each successful use is
+    // recorded so Settings can show when a token was last used
+    fn validatePersonalToken(self: *Server, token: []const u8) !?AuthenticatedUser {
+        const token_hash = Auth.hashPersonalToken(token);
+        const api_token = (try self.database.findApiToken(&token_hash)) orelse return null;
+        defer self.database.freeApiToken(api_token);
+
+        const now = compat.timestamp();
+        if (api_token.isExpired(now)) return null;
+
+        self.database.touchApiToken(api_token.id, now) catch |err| {
+            std.debug.print("Failed to record token use: {}\n", .{err});
+        };
+
+        return AuthenticatedUser{
+            .username = try self.allocator.dupe(u8, api_token.username),
+            .user_id = api_token.user_id,
+            .email = try self.allocator.dupe(u8, api_token.email),
+            .display_name = try self.allocator.dupe(u8, api_token.display_name),
+            .avatar_url = try self.allocator.dupe(u8, api_token.avatar_url),
+            .provider = try self.allocator.dupe(u8, api_token.provider),
+            .token_scopes = try self.allocator.dupe(u8, api_token.scopes),
+        };
+    }
+
     fn validateJWTToken(self: *Server, token: []const u8) !?AuthenticatedUser {
         // Split JWT into parts: header.payload.signature
         var parts = std.mem.splitSequence(u8, token, ".");
@@ -2439,8 +3923,7 @@ pub const Server = struct {
         const payload_b64 = parts.next() orelse return null;
         const signature_b64 = parts.next() orelse return null;
 
-        // Get JWT secret from environment
-        const jwt_secret = self.environ_map.get("JWT_SECRET") orelse "default_secret_change_in_production";
+        const jwt_secret = self.jwtSecret();
 
         // Verify signature - signing input is "header.payload"
         const signing_input = try std.fmt.allocPrint(self.allocator, "{s}.{s}", .{
@@ -2457,15 +3940,9 @@ pub const Server = struct {
         var exp_buf: [64]u8 = undefined;
         const expected_encoded = std.base64.url_safe_no_pad.Encoder.encode(&exp_buf, &expected_signature);
 
-        if (!std.mem.eql(u8, signature_b64, expected_encoded)) {
-            std.debug.print("JWT validation failed:\n  secret_len={}\n  expected={s}\n  actual={s}\n", .{
-                jwt_secret.len,
-                expected_encoded,
-                signature_b64,
-            });
-            return null;
-        }
-        std.debug.print("JWT validation successful for token\n", .{});
+        // Never log the expected signature: it would let anyone with log
+        // access forge a session for this payload
+        if (!std.mem.eql(u8, signature_b64, expected_encoded)) return null;
 
         // Decode payload
         const decoder = std.base64.url_safe_no_pad.Decoder;
@@ -2474,6 +3951,13 @@ pub const Server = struct {
         defer self.allocator.free(payload);
         decoder.decode(payload, payload_b64) catch return null;
 
+        // A deleted account's sessions still carry a valid signature
+        if (self.extractJsonString(payload, "username")) |name| {
+            if (try self.database.sessionsRevokedAt(name)) |revoked_at| {
+                if ((self.extractJsonInt(payload, "iat") orelse 0) <= revoked_at) return null;
+            }
+        }
+
         // Parse JSON payload to extract user data
         // Look for: "sub", "username", "email", "display_name", "avatar_url", "provider", "exp"
         var user_id: i64 = 0;
@@ -2483,6 +3967,7 @@ pub const Server = struct {
         var avatar_url: []u8 = try self.allocator.dupe(u8, "");
         var provider: []u8 = try self.allocator.dupe(u8, "oauth");
         var exp: i64 = 0;
+        var iat: i64 = 0;
 
         // Simple JSON parsing (field by field)
         if (self.extractJsonString(payload, "username")) |val| {
@@ -2511,6 +3996,9 @@ pub const Server = struct {
         if (self.extractJsonInt(payload, "exp")) |val| {
             exp = val;
         }
+        if (self.extractJsonInt(payload, "iat")) |val| {
+            iat = val;
+        }
 
         // Check expiration
         const now = compat.timestamp();
@@ -2531,6 +4019,7 @@ pub const Server = struct {
             .display_name = display_name,
             .avatar_url = avatar_url,
             .provider = provider,
+            .authenticated_at = iat,
         };
     }
 
@@ -2611,22 +4100,58 @@ pub const Server = struct {
             try self.serveJsonError(stream, 401, "Authentication required");
             return null;
         }
+
+        if (!self.csrfValid(request)) {
+            user.?.deinit(self.allocator);
+            try self.serveJsonError(stream, 403, "Missing or invalid CSRF token");
+            return null;
+        }
         
         return user;
     }
     
+    // Like requireAuth, but a personal access token must also carry the scope
+    fn requireScope(self: *Server, stream: std.Io.net.Stream, request: []const u8, scope: types.TokenScope) !?AuthenticatedUser {
+        const user = (try self.requireAuth(stream, request)) orelse return null;
+        if (!user.hasScope(scope)) {
+            user.deinit(self.allocator);
+            const message = try std.fmt.allocPrint(self.allocator, "Token is missing the '{s}' scope", .{@tagName(scope)});
+            defer self.allocator.free(message);
+            try self.serveJsonError(stream, 403, message);
+            return null;
+        }
+        return user;
+    }
+
+    // Token management needs a signed-in session, so a leaked token can't mint more
+    fn requireSession(self: *Server, stream: std.Io.net.Stream, request: []const u8) !?AuthenticatedUser {
+        const user = (try self.requireAuth(stream, request)) orelse return null;
+        if (user.token_scopes != null) {
+            user.deinit(self.allocator);
+            try self.serveJsonError(stream, 403, "API tokens cannot be managed with an API token");
+            return null;
+        }
+        return user;
+    }
+
+    // Sessions are stateless JWTs, so logging out clears the cookie. It still
+    // needs the CSRF token, or any site could sign visitors out.
     fn handleLogout(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
-        // For now, logout is just a client-side operation since we're using stateless JWT-like tokens
-        // In a full implementation, you might want to maintain a blacklist of revoked tokens
-        _ = request; // Suppress unused parameter warning
-        
-        const json_response = 
+        if (!self.csrfValid(request)) {
+            return self.serveJsonError(stream, 403, "Missing or invalid CSRF token");
+        }
+
+        const cookie = try self.sessionCookie("", 0);
+        defer self.allocator.free(cookie);
+        const headers = try std.fmt.allocPrint(self.allocator, "Set-Cookie: {s}\r\n", .{cookie});
+        defer self.allocator.free(headers);
+
+        const json_response =
             \\{
             \\  "message": "Logged out successfully"
             \\}
         ;
-        
-        try self.serveJson(stream, 200, json_response);
+        try self.serveJsonWithHeaders(stream, 200, headers, json_response);
     }
     
     fn handleUserProfile(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
@@ -2634,251 +4159,1256 @@ pub const Server = struct {
         if (user == null) return; // Error already sent by requireAuth
         
         const u = user.?;
-        defer self.allocator.free(u.username);
-        defer self.allocator.free(u.email);
-        defer self.allocator.free(u.display_name);
-        defer self.allocator.free(u.avatar_url);
-        defer self.allocator.free(u.provider);
-        
-        // Return full user profile info
-        const json_response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "user_id": {},
-            \\  "username": "{s}",
-            \\  "email": "{s}",
-            \\  "display_name": "{s}",
-            \\  "avatar_url": "{s}",
-            \\  "provider": "{s}",
-            \\  "authenticated": true
-            \\}}
-        , .{ u.user_id, u.username, u.email, u.display_name, u.avatar_url, u.provider });
+        defer u.deinit(self.allocator);
+
+        // Token scopes are listed for API tokens; null for browser sessions
+        var scope_names: std.ArrayList([]const u8) = .empty;
+        defer scope_names.deinit(self.allocator);
+        if (u.token_scopes) |scopes| {
+            var iter = std.mem.splitScalar(u8, scopes, ',');
+            while (iter.next()) |name| {
+                if (name.len > 0) try scope_names.append(self.allocator, name);
+            }
+        }
+
+        // Browser sessions get the CSRF token their writes must carry
+        var csrf_token: ?[64]u8 = null;
+        if (headerValue(request, "Authorization") == null) {
+            if (cookieValue(request, SESSION_COOKIE)) |session_token| csrf_token = self.csrfToken(session_token);
+        }
+
+        // The theme picked in Settings, so it follows the user between browsers,
+        // and the digest setting
+        const profile = self.database.getProfile(u.username) catch null;
+        defer if (profile) |p| self.database.freeProfile(p);
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .user_id = u.user_id,
+            .username = u.username,
+            .email = u.email,
+            .display_name = u.display_name,
+            .avatar_url = u.avatar_url,
+            .provider = u.provider,
+            .theme = if (profile) |p| p.theme else "",
+            .email_digest = if (profile) |p| p.email_digest else "",
+            .token_scopes = if (u.token_scopes != null) @as(?[]const []const u8, scope_names.items) else null,
+            .csrf_token = if (csrf_token) |*token| @as(?[]const u8, token) else null,
+            .is_admin = self.isAdmin(u.username),
+            .authenticated = true,
+        }, .{});
         defer self.allocator.free(json_response);
         
         try self.serveJson(stream, 200, json_response);
     }
 
-    // Multipart form data parser
-    fn parseMultipartUpload(self: *Server, headers: []const u8, body: []const u8) !types.UploadData {
-        // Extract boundary from Content-Type header
-        const boundary = self.extractBoundary(headers) orelse return error.InvalidMultipart;
-        defer self.allocator.free(boundary);
+    // GET /api/v1/auth/tokens
+    fn handleListTokensV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
 
-        var upload_data = types.UploadData{
-            .owner = "",
-            .repo = "",
-            .tag_name = "",
-            .name = null,
-            .body = null,
-            .draft = false,
-            .prerelease = false,
-            .file_data = "",
-            .filename = "",
-            .content_type = "",
+        const tokens = self.database.listApiTokens(user.user_id) catch |err| {
+            std.debug.print("Error listing API tokens: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to list API tokens");
         };
+        defer {
+            for (tokens) |token| self.database.freeApiToken(token);
+            self.allocator.free(tokens);
+        }
 
-        // Split body by boundary
-        const boundary_delimiter = try std.fmt.allocPrint(self.allocator, "--{s}", .{boundary});
-        defer self.allocator.free(boundary_delimiter);
+        var json_list = std.array_list.AlignedManaged(u8, null).init(self.allocator);
+        defer json_list.deinit();
 
-        var parts = std.mem.splitSequence(u8, body, boundary_delimiter);
-        _ = parts.next(); // Skip first empty part
+        try json_list.appendSlice("{\"tokens\":[");
+        for (tokens, 0..) |token, i| {
+            if (i > 0) try json_list.append(',');
+            const token_json = try self.apiTokenJson(token, null);
+            defer self.allocator.free(token_json);
+            try json_list.appendSlice(token_json);
+        }
+        try json_list.appendSlice("]}");
 
-        var has_file = false;
-        var has_tag_name = false;
+        try self.serveJson(stream, 200, json_list.items);
+    }
 
-        while (parts.next()) |part| {
-            if (part.len < 4) continue; // Skip empty or too small parts
+    // POST /api/v1/auth/tokens {"name": ..., "scopes": [...], "expires_in_days": n | null}
+    // The only response that contains the secret; afterwards just its prefix is shown
+    fn handleCreateTokenV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
 
-            // Skip end boundary
-            if (std.mem.startsWith(u8, part, "--")) break;
+        var buffer: [8192]u8 = undefined;
+        const body = self.readRequestBody(&buffer);
 
-            // Find headers and content separator
-            const content_start = std.mem.indexOf(u8, part, "\r\n\r\n") orelse continue;
-            const part_headers = part[0..content_start];
-            const content = std.mem.trim(u8, part[content_start + 4..], "\r\n");
+        const parsed = std.json.parseFromSlice(std.json.Value, self.allocator, body, .{}) catch {
+            return self.serveJsonError(stream, 400, "Invalid JSON");
+        };
+        defer parsed.deinit();
+        if (parsed.value != .object) return self.serveJsonError(stream, 400, "Invalid JSON");
+        const fields = parsed.value.object;
+
+        // Names are echoed into JSON unescaped, so keep them to plain text
+        const name = switch (fields.get("name") orelse .null) {
+            .string => |value| std.mem.trim(u8, value, " \t"),
+            else => "",
+        };
+        if (name.len == 0 or name.len > MAX_TOKEN_NAME_LEN) {
+            return self.serveJsonError(stream, 400, "Token name is required (at most 64 characters)");
+        }
+        for (name) |c| {
+            if (c < 0x20 or c == '"' or c == '\\') {
+                return self.serveJsonError(stream, 400, "Token name may not contain quotes, backslashes or control characters");
+            }
+        }
 
-            // Parse Content-Disposition header
-            if (std.mem.indexOf(u8, part_headers, "Content-Disposition:")) |_| {
-                if (std.mem.indexOf(u8, part_headers, "name=\"owner\"")) |_| {
-                    upload_data.owner = try self.allocator.dupe(u8, content);
-                } else if (std.mem.indexOf(u8, part_headers, "name=\"repo\"")) |_| {
-                    upload_data.repo = try self.allocator.dupe(u8, content);
-                } else if (std.mem.indexOf(u8, part_headers, "name=\"tag_name\"")) |_| {
-                    upload_data.tag_name = try self.allocator.dupe(u8, content);
-                    has_tag_name = true;
-                } else if (std.mem.indexOf(u8, part_headers, "name=\"name\"")) |_| {
-                    upload_data.name = try self.allocator.dupe(u8, content);
-                } else if (std.mem.indexOf(u8, part_headers, "name=\"body\"")) |_| {
-                    upload_data.body = try self.allocator.dupe(u8, content);
-                } else if (std.mem.indexOf(u8, part_headers, "name=\"draft\"")) |_| {
-                    upload_data.draft = std.mem.eql(u8, content, "true");
-                } else if (std.mem.indexOf(u8, part_headers, "name=\"prerelease\"")) |_| {
-                    upload_data.prerelease = std.mem.eql(u8, content, "true");
-                } else if (std.mem.indexOf(u8, part_headers, "name=\"file\"")) |_| {
-                    // Extract filename
-                    if (std.mem.indexOf(u8, part_headers, "filename=\"")) |filename_start| {
-                        const filename_content_start = filename_start + 10;
-                        if (std.mem.indexOf(u8, part_headers[filename_content_start..], "\"")) |filename_end| {
-                            upload_data.filename = try self.allocator.dupe(u8, part_headers[filename_content_start..filename_content_start + filename_end]);
-                        }
-                    }
-                    
-                    // Extract content type
-                    if (std.mem.indexOf(u8, part_headers, "Content-Type: ")) |ct_start| {
-                        const ct_content_start = ct_start + 14;
-                        if (std.mem.indexOf(u8, part_headers[ct_content_start..], "\r\n")) |ct_end| {
-                            upload_data.content_type = try self.allocator.dupe(u8, part_headers[ct_content_start..ct_content_start + ct_end]);
-                        }
-                    }
-                    
-                    upload_data.file_data = try self.allocator.dupe(u8, content);
-                    has_file = true;
-                }
+        var scopes = std.EnumSet(types.TokenScope).initEmpty();
+        const scope_values: []const std.json.Value = switch (fields.get("scopes") orelse .null) {
+            .array => |array| array.items,
+            else => &.{},
+        };
+        for (scope_values) |value| {
+            const scope = if (value == .string) types.TokenScope.parse(value.string) else null;
+            if (scope == null) {
+                return self.serveJsonError(stream, 400, "Unknown scope. Use publish, yank, alias or comment");
             }
+            scopes.insert(scope.?);
+        }
+        if (scopes.count() == 0) {
+            return self.serveJsonError(stream, 400, "Select at least one scope");
         }
 
-        if (!has_file) return error.MissingFile;
-        if (!has_tag_name) return error.MissingTagName;
+        const now = compat.timestamp();
+        const expires_at: ?i64 = switch (fields.get("expires_in_days") orelse .null) {
+            .null => null,
+            .integer => |days| if (days >= 1 and days <= MAX_TOKEN_LIFETIME_DAYS) now + days * 86400 else {
+                return self.serveJsonError(stream, 400, "expires_in_days must be between 1 and 365, or null for no expiry");
+            },
+            else => return self.serveJsonError(stream, 400, "expires_in_days must be between 1 and 365, or null for no expiry"),
+        };
 
-        return upload_data;
+        const existing = try self.database.listApiTokens(user.user_id);
+        defer {
+            for (existing) |token| self.database.freeApiToken(token);
+            self.allocator.free(existing);
+        }
+        if (existing.len >= MAX_TOKENS_PER_USER) {
+            return self.serveJsonError(stream, 409, "Token limit reached (25). Revoke a token you no longer use first");
+        }
+
+        var scope_names = std.array_list.AlignedManaged(u8, null).init(self.allocator);
+        defer scope_names.deinit();
+        var scope_iter = scopes.iterator();
+        while (scope_iter.next()) |scope| {
+            if (scope_names.items.len > 0) try scope_names.append(',');
+            try scope_names.appendSlice(@tagName(scope));
+        }
+
+        const secret = try self.auth.generatePersonalToken();
+        defer self.allocator.free(secret);
+        const token_hash = Auth.hashPersonalToken(secret);
+
+        var token = types.ApiToken{
+            .id = 0,
+            .user_id = user.user_id,
+            .username = user.username,
+            .email = user.email,
+            .display_name = user.display_name,
+            .avatar_url = user.avatar_url,
+            .provider = user.provider,
+            .name = name,
+            .scopes = scope_names.items,
+            .token_prefix = secret[0..TOKEN_PREFIX_LEN],
+            .created_at = now,
+            .expires_at = expires_at,
+        };
+        token.id = self.database.createApiToken(token, &token_hash) catch |err| {
+            std.debug.print("Error creating API token: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to create API token");
+        };
+
+        const json_response = try self.apiTokenJson(token, secret);
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 201, json_response);
     }
 
-    fn extractBoundary(self: *Server, headers: []const u8) ?[]u8 {
-        // Find Content-Type header with boundary
-        const content_type_start = std.mem.indexOf(u8, headers, "Content-Type: multipart/form-data") orelse return null;
-        const boundary_start = std.mem.indexOf(u8, headers[content_type_start..], "boundary=") orelse return null;
-        const boundary_value_start = content_type_start + boundary_start + 9;
-        
-        // Find end of boundary (either \r\n or end of headers)
-        const line_end = std.mem.indexOf(u8, headers[boundary_value_start..], "\r\n") orelse headers.len - boundary_value_start;
-        const boundary_value = headers[boundary_value_start..boundary_value_start + line_end];
-        
-        return self.allocator.dupe(u8, boundary_value) catch null;
+    // DELETE /api/v1/auth/tokens/{id}
+    fn handleRevokeTokenV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const id = std.fmt.parseInt(u64, path["/api/v1/auth/tokens/".len..], 10) catch {
+            return self.serveJsonError(stream, 400, "Invalid token id");
+        };
+
+        const revoked = self.database.revokeApiToken(id, user.user_id) catch |err| {
+            std.debug.print("Error revoking API token: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to revoke API token");
+        };
+        if (!revoked) return self.serveJsonError(stream, 404, "Token not found");
+
+        try self.serveJson(stream, 200, "{\"message\": \"Token revoked\"}");
     }
 
-    fn freeUploadData(self: *Server, upload_data: types.UploadData) void {
-        if (upload_data.owner.len > 0) self.allocator.free(upload_data.owner);
-        if (upload_data.repo.len > 0) self.allocator.free(upload_data.repo);
-        if (upload_data.tag_name.len > 0) self.allocator.free(upload_data.tag_name);
-        if (upload_data.name) |name| self.allocator.free(name);
-        if (upload_data.body) |body| self.allocator.free(body);
-        if (upload_data.file_data.len > 0) self.allocator.free(upload_data.file_data);
-        if (upload_data.filename.len > 0) self.allocator.free(upload_data.filename);
-        if (upload_data.content_type.len > 0) self.allocator.free(upload_data.content_type);
+    fn apiTokenJson(self: *Server, token: types.ApiToken, secret: ?[]const u8) ![]u8 {
+        const scopes_json = try self.serializeScopes(token.scopes);
+        defer self.allocator.free(scopes_json);
+
+        var expires_buf: [24]u8 = undefined;
+        var last_used_buf: [24]u8 = undefined;
+        const expires_at = if (token.expires_at) |value| try std.fmt.bufPrint(&expires_buf, "{d}", .{value}) else "null";
+        const last_used_at = if (token.last_used_at) |value| try std.fmt.bufPrint(&last_used_buf, "{d}", .{value}) else "null";
+
+        return std.fmt.allocPrint(self.allocator,
+            \\{{"id":{d},"name":"{s}","scopes":{s},"token_prefix":"{s}","created_at":{d},"expires_at":{s},"last_used_at":{s}{s}{s}{s}}}
+        , .{
+            token.id,
+            token.name,
+            scopes_json,
+            token.token_prefix,
+            token.created_at,
+            expires_at,
+            last_used_at,
+            if (secret != null) ",\"token\":\"" else "",
+            secret orelse "",
+            if (secret != null) "\"" else "",
+        });
     }
 
-    // Ziglibs API handlers
-    fn handleZiglibsSync(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
-        // Check authentication
-        const user = try self.requireAuth(stream, request);
-        if (user == null) return; // Error already sent by requireAuth
-        
-        const u = user.?;
-        defer self.allocator.free(u.username);
-        
-        std.log.info("🔄 Starting Ziglibs sync requested by user: {s}", .{u.username});
-        
-        const imported_count = self.syncZiglibs() catch |err| {
-            std.log.err("Failed to sync Ziglibs: {}", .{err});
-            try self.serveJsonError(stream, 500, "Failed to sync Ziglibs packages");
-            return;
-        };
-        
-        const response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "success": true,
-            \\  "imported_count": {},
-            \\  "message": "Successfully imported {} Ziglibs packages"
-            \\}}
-        , .{ imported_count, imported_count });
-        defer self.allocator.free(response);
-        
-        try self.serveJson(stream, 200, response);
+    // "publish,yank" -> ["publish","yank"]
+    fn serializeScopes(self: *Server, scopes: []const u8) ![]u8 {
+        var names = std.array_list.AlignedManaged([]const u8, null).init(self.allocator);
+        defer names.deinit();
+        var iter = std.mem.splitScalar(u8, scopes, ',');
+        while (iter.next()) |name| {
+            if (name.len > 0) try names.append(name);
+        }
+        return self.serializeStringArray(names.items);
     }
 
-    fn handleZiglibsPackages(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
-        // Parse query parameters for pagination
-        var limit: ?usize = 50;
-        var offset: ?usize = 0;
-        
-        if (std.mem.indexOf(u8, path, "?")) |query_start| {
-            const query = path[query_start + 1..];
-            var params = std.mem.splitScalar(u8, query, '&');
-            
-            while (params.next()) |param| {
-                if (std.mem.startsWith(u8, param, "limit=")) {
-                    limit = std.fmt.parseInt(usize, param[6..], 10) catch 50;
-                } else if (std.mem.startsWith(u8, param, "offset=")) {
-                    offset = std.fmt.parseInt(usize, param[7..], 10) catch 0;
-                }
-            }
+    // Account settings
+
+    // The registry account behind a session. Sessions issued before OAuth
+    // sign-ins created accounts carry the provider's user id instead of an
+    // account id, and get null.
+    fn accountFor(self: *Server, user: AuthenticatedUser) !?types.UserCredentials {
+        const account = (try self.database.getUserCredentials(user.username)) orelse return null;
+        if (account.user_id != user.user_id) {
+            self.database.freeUserCredentials(account);
+            return null;
         }
-        
-        const packages = self.database.listZiglibsPackages(limit, offset) catch |err| {
-            std.log.err("Failed to list Ziglibs packages: {}", .{err});
-            try self.serveJsonError(stream, 500, "Failed to fetch Ziglibs packages");
-            return;
+        return account;
+    }
+
+    fn requireAccount(self: *Server, stream: std.Io.net.Stream, user: AuthenticatedUser) !?types.UserCredentials {
+        return (try self.accountFor(user)) orelse {
+            try self.serveJsonError(stream, 409, "This session isn't tied to a registry account. Sign out and sign in again");
+            return null;
         };
-        defer {
-            // Note: Mock database returns static strings, no need to free individual fields
-            // for (packages) |pkg| {
-            //     if (pkg.owner) |o| self.allocator.free(o);
-            //     if (pkg.repo) |r| self.allocator.free(r);
-            //     if (pkg.description) |desc| self.allocator.free(desc);
-            //     if (pkg.license) |license| self.allocator.free(license);
-            //     if (pkg.homepage) |homepage| self.allocator.free(homepage);
-            //     if (pkg.github_url) |url| self.allocator.free(url);
-            // }
-            self.allocator.free(packages);
+    }
+
+    const LinkableProvider = struct { name: []const u8, login_path: []const u8, env_var: []const u8 };
+    const linkable_providers = [_]LinkableProvider{
+        .{ .name = "github", .login_path = "/api/v1/auth/oauth/github/login", .env_var = "GITHUB_CLIENT_ID" },
+        .{ .name = "microsoft", .login_path = "/api/v1/auth/oidc/microsoft/login", .env_var = "AZURE_CLIENT_ID" },
+    };
+
+    // Providers that can be linked are the ones this registry has credentials for
+    fn linkableProvider(self: *Server, name: []const u8) ?LinkableProvider {
+        for (linkable_providers) |provider| {
+            if (std.mem.eql(u8, provider.name, name) and self.environ_map.get(provider.env_var) != null) return provider;
         }
-        
-        const total_count = self.database.countZiglibsPackages() catch 0;
-        
-        // Build JSON response
-        var json_packages = std.array_list.AlignedManaged(u8, null).init(self.allocator);
-        defer json_packages.deinit();
-        
-        try json_packages.appendSlice("[");
-        for (packages, 0..) |pkg, i| {
-            if (i > 0) try json_packages.appendSlice(",");
-            
-            const pkg_json = try std.fmt.allocPrint(self.allocator,
-                \\{{
-                \\  "owner": "{s}",
-                \\  "repo": "{s}",
-                \\  "description": "{s}",
-                \\  "license": "{s}",
-                \\  "homepage": "{s}",
-                \\  "github_url": "{s}",
-                \\  "github_stars": {},
-                \\  "source": "ziglibs"
-                \\}}
-            , .{
-                pkg.owner orelse "",
-                pkg.repo orelse "",
-                pkg.description orelse "",
-                pkg.license orelse "",
-                pkg.homepage orelse "",
-                pkg.github_url orelse "",
-                pkg.github_stars,
+        return null;
+    }
+
+    // GET /api/v1/account/identities
+    // How the account can sign in (its password, if set, and linked GitHub and
+    // Microsoft identities) and which providers this registry offers
+    fn handleListIdentitiesV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        const identities = try self.database.listIdentities(account.username);
+        defer {
+            for (identities) |identity| self.database.freeIdentity(identity);
+            self.allocator.free(identities);
+        }
+
+        var providers = std.array_list.AlignedManaged([]const u8, null).init(self.allocator);
+        defer providers.deinit();
+        for (linkable_providers) |provider| {
+            if (self.linkableProvider(provider.name) != null) try providers.append(provider.name);
+        }
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .username = account.username,
+            .has_password = account.hasPassword(),
+            .identities = identities,
+            .providers = providers.items,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // POST /api/v1/account/identities/{provider}
+    // Starts a link: marks it pending and returns the provider's sign-in URL
+    // for the browser to follow. Only this CSRF-checked request can start a
+    // link, so another site can't attach its own identity to the account.
+    fn handleStartLinkV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        const provider = self.linkableProvider(path["/api/v1/account/identities/".len..]) orelse {
+            return self.serveJsonError(stream, 404, "Unknown or unconfigured sign-in provider");
+        };
+
+        const headers = try std.fmt.allocPrint(self.allocator, "Set-Cookie: " ++ LINK_INTENT_COOKIE ++ "={s}; HttpOnly; SameSite=Lax; Path=/; Max-Age={d}\r\n", .{ provider.name, OAUTH_COOKIE_MAX_AGE });
+        defer self.allocator.free(headers);
+        const authorization_url = try std.fmt.allocPrint(self.allocator, "{s}?link=1", .{provider.login_path});
+        defer self.allocator.free(authorization_url);
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{ .authorization_url = authorization_url }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJsonWithHeaders(stream, 200, headers, json_response);
+    }
+
+    // DELETE /api/v1/account/identities/{provider}
+    // "local" removes the password. The last way to sign in can't be removed.
+    fn handleUnlinkIdentityV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        const provider = path["/api/v1/account/identities/".len..];
+        const identities = try self.database.listIdentities(account.username);
+        defer {
+            for (identities) |identity| self.database.freeIdentity(identity);
+            self.allocator.free(identities);
+        }
+
+        const is_local = std.mem.eql(u8, provider, "local");
+        var linked = is_local and account.hasPassword();
+        for (identities) |identity| {
+            if (std.mem.eql(u8, identity.provider, provider)) linked = true;
+        }
+        if (!linked) return self.serveJsonError(stream, 404, "That sign-in method isn't linked to your account");
+
+        const methods = identities.len + @intFromBool(account.hasPassword());
+        if (methods <= 1) {
+            return self.serveJsonError(stream, 409, "This is the only way left to sign in. Link another account or set a password first");
+        }
+
+        if (is_local) {
+            try self.database.setPasswordHash(account.username, "");
+        } else {
+            _ = try self.database.removeIdentity(account.username, provider);
+        }
+
+        try self.serveJson(stream, 200, "{\"message\": \"Sign-in method removed\"}");
+    }
+
+    // PUT /api/v1/account/password {"password": "...", "current_password": "..."}
+    // Adds password sign-in to an account that has none, or changes the
+    // password, which needs the current one
+    fn handleSetPasswordV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        var buffer: [8192]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
+
+        const password = switch (fields.get("password") orelse .null) {
+            .string => |value| value,
+            else => return self.serveJsonError(stream, 400, "Missing required field: password"),
+        };
+        if (password.len < MIN_PASSWORD_LEN or password.len > MAX_PASSWORD_LEN) {
+            return self.serveJsonError(stream, 400, "Password must be 8 to 128 characters");
+        }
+
+        if (account.hasPassword()) {
+            const current_password = switch (fields.get("current_password") orelse .null) {
+                .string => |value| value,
+                else => return self.serveJsonError(stream, 400, "Enter your current password to change it"),
+            };
+            const valid = self.auth.verifyPassword(current_password, account.password_hash) catch false;
+            if (!valid) return self.serveJsonError(stream, 403, "Current password is incorrect");
+        }
+
+        const password_hash = try self.auth.hashPassword(password);
+        defer self.allocator.free(password_hash);
+        try self.database.setPasswordHash(account.username, password_hash);
+
+        try self.serveJson(stream, 200, "{\"message\": \"Password saved\"}");
+    }
+
+    // Profile responses are serialized with Stringify, so quotes and
+    // backslashes are fine; control characters are still refused
+    fn profileFieldError(key: []const u8, value: []const u8) ?[]const u8 {
+        if (value.len == 0) return null;
+        for (value) |c| {
+            if (c < 0x20) return "Profile fields may not contain control characters";
+        }
+        if (std.mem.eql(u8, key, "display_name")) {
+            if (value.len > MAX_DISPLAY_NAME_LEN) return "Display name is too long (max 64 characters)";
+        } else if (std.mem.eql(u8, key, "email")) {
+            if (value.len > MAX_EMAIL_LEN or std.mem.indexOfScalar(u8, value, '@') == null or std.mem.indexOfScalar(u8, value, ' ') != null) {
+                return "Enter a valid email address";
+            }
+        } else if (std.mem.eql(u8, key, "avatar_url")) {
+            if (value.len > MAX_AVATAR_URL_LEN or !std.mem.startsWith(u8, value, "https://")) {
+                return "Avatar URL must be an https:// URL (max 512 characters)";
+            }
+        } else if (std.mem.eql(u8, key, "theme")) {
+            for (PROFILE_THEMES) |theme| {
+                if (std.mem.eql(u8, value, theme)) return null;
+            }
+            return "Theme must be system, light, dark or high-contrast";
+        } else if (std.mem.eql(u8, key, "email_digest")) {
+            if (types.DigestFrequency.parse(value) == null) return "Email digest must be off, daily or weekly";
+        }
+        return null;
+    }
+
+    // PATCH /api/v1/account/profile {"display_name": "...", "email": "...", "avatar_url": "...", "theme": "dark", "email_digest": "daily"}
+    // Fields left out are kept; an empty string falls back to the sign-in provider's
+    // value, for the theme to whatever the browser has, and turns the digest off
+    fn handleUpdateProfileV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        var buffer: [8192]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
+
+        const stored = try self.database.getProfile(account.username);
+        defer if (stored) |profile| self.database.freeProfile(profile);
+        var profile = stored orelse types.Profile{};
+
+        const profile_fields = [_]struct { key: []const u8, value: *[]const u8 }{
+            .{ .key = "display_name", .value = &profile.display_name },
+            .{ .key = "email", .value = &profile.email },
+            .{ .key = "avatar_url", .value = &profile.avatar_url },
+            .{ .key = "theme", .value = &profile.theme },
+            .{ .key = "email_digest", .value = &profile.email_digest },
+        };
+        for (profile_fields) |field| {
+            const value = switch (fields.get(field.key) orelse continue) {
+                .string => |text| std.mem.trim(u8, text, " \t"),
+                .null => "",
+                else => return self.serveJsonError(stream, 400, "Profile fields must be strings"),
+            };
+            if (profileFieldError(field.key, value)) |message| return self.serveJsonError(stream, 400, message);
+            field.value.* = value;
+        }
+        profile.updated_at = compat.timestamp();
+
+        self.database.saveProfile(account.username, profile) catch |err| {
+            std.debug.print("Error saving profile: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to save profile");
+        };
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .display_name = profile.display_name,
+            .email = profile.email,
+            .avatar_url = profile.avatar_url,
+            .theme = profile.theme,
+            .email_digest = profile.email_digest,
+            .updated_at = profile.updated_at,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // DELETE /api/v1/account {"packages": "transfer", "transfer_to": "alice"}
+    // Needs a sign-in from the last few minutes, so an unattended or stolen
+    // session can't delete the account. Packages the account maintains go to
+    // transfer_to, or are left without a maintainer with "packages": "orphan".
+    fn handleDeleteAccountV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireSession(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        if (compat.timestamp() - user.authenticated_at > REAUTH_WINDOW) {
+            return self.serveJsonError(stream, 403, "Sign in again to confirm it's you, then delete the account within 10 minutes");
+        }
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        var buffer: [8192]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
+
+        const mode = switch (fields.get("packages") orelse .null) {
+            .string => |value| value,
+            else => "",
+        };
+        const orphan = std.mem.eql(u8, mode, "orphan");
+        if (!orphan and !std.mem.eql(u8, mode, "transfer")) {
+            return self.serveJsonError(stream, 400, "Choose what happens to your packages: transfer or orphan");
+        }
+
+        const recipient: ?types.UserCredentials = if (orphan) null else blk: {
+            const transfer_to = switch (fields.get("transfer_to") orelse .null) {
+                .string => |value| std.mem.trim(u8, value, " \t"),
+                else => "",
+            };
+            if (transfer_to.len == 0) return self.serveJsonError(stream, 400, "Name the account to transfer your packages to");
+            if (std.ascii.eqlIgnoreCase(transfer_to, account.username)) {
+                return self.serveJsonError(stream, 400, "Transfer your packages to a different account");
+            }
+            break :blk (try self.database.getUserCredentials(transfer_to)) orelse {
+                return self.serveJsonError(stream, 404, "No account with that username");
+            };
+        };
+        defer if (recipient) |r| self.database.freeUserCredentials(r);
+        const maintainer = if (recipient) |r| r.username else "";
+
+        const packages = try self.database.listMaintainedPackages(account.username);
+        defer self.database.freePackages(packages);
+
+        var handed_over: std.ArrayList([]const u8) = .empty;
+        defer handed_over.deinit(self.allocator);
+        for (packages) |pkg| try handed_over.append(self.allocator, pkg.name);
+
+        // The handover, the deletes and the session revocation commit together
+        self.database.deleteAccount(account.username, handed_over.items, maintainer, compat.timestamp()) catch |err| {
+            std.debug.print("Error deleting account: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to delete account");
+        };
+
+        const cookie = try self.sessionCookie("", 0);
+        defer self.allocator.free(cookie);
+        const headers = try std.fmt.allocPrint(self.allocator, "Set-Cookie: {s}\r\n", .{cookie});
+        defer self.allocator.free(headers);
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .message = "Account deleted",
+            .packages = handed_over.items.len,
+            .transferred_to = @as(?[]const u8, if (recipient) |r| r.username else null),
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJsonWithHeaders(stream, 200, headers, json_response);
+    }
+
+    const WatchTarget = struct { owner: []const u8, repo: []const u8 };
+
+    // /api/v1/packages/{owner}/{repo}/watch
+    fn parseWatchPath(path: []const u8) ?WatchTarget {
+        const prefix = "/api/v1/packages/";
+        if (!std.mem.startsWith(u8, path, prefix)) return null;
+        const path_only = if (std.mem.indexOfScalar(u8, path, '?')) |q| path[0..q] else path;
+
+        var parts = std.mem.splitScalar(u8, path_only[prefix.len..], '/');
+        const target = WatchTarget{
+            .owner = parts.next() orelse return null,
+            .repo = parts.next() orelse return null,
+        };
+        const action = parts.next() orelse return null;
+        if (target.owner.len == 0 or target.repo.len == 0 or !std.mem.eql(u8, action, "watch")) return null;
+        if (parts.next() != null) return null;
+        return target;
+    }
+
+    // {"watching": true, "level": "major", "watchers": 12}; level is null when not watching
+    fn serveWatch(self: *Server, stream: std.Io.net.Stream, package_name: []const u8, level: ?[]const u8) !void {
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .watching = level != null,
+            .level = level,
+            .watchers = try self.database.countWatchers(package_name),
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // GET /api/v1/packages/{owner}/{repo}/watch
+    fn handleGetWatchV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const target = parseWatchPath(path) orelse return self.serve404(stream);
+        const user = (try self.requireAuth(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ target.owner, target.repo });
+        defer self.allocator.free(package_name);
+
+        const level = try self.database.getWatch(account.username, package_name);
+        defer if (level) |value| self.allocator.free(value);
+
+        try self.serveWatch(stream, package_name, level);
+    }
+
+    // PUT /api/v1/packages/{owner}/{repo}/watch {"level": "all" | "major" | "security"}
+    // Starts watching, or changes the level; level defaults to all
+    fn handleWatchV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const target = parseWatchPath(path) orelse return self.serve404(stream);
+        const user = (try self.requireAuth(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        var buffer: [4096]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+
+        const level: types.WatchLevel = switch (parsed.value.object.get("level") orelse .null) {
+            .null => .all,
+            .string => |name| types.WatchLevel.parse(name) orelse {
+                return self.serveJsonError(stream, 400, "level must be all, major or security");
+            },
+            else => return self.serveJsonError(stream, 400, "level must be all, major or security"),
+        };
+
+        if (!(try self.database.packageExists(target.owner, target.repo))) {
+            return self.serveJsonError(stream, 404, "Package not found");
+        }
+
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ target.owner, target.repo });
+        defer self.allocator.free(package_name);
+
+        self.database.setWatch(account.username, package_name, level) catch |err| {
+            std.debug.print("Error saving watch: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to watch package");
+        };
+
+        try self.serveWatch(stream, package_name, @tagName(level));
+    }
+
+    // DELETE /api/v1/packages/{owner}/{repo}/watch
+    // Stops watching; notifications already received are kept
+    fn handleUnwatchV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const target = parseWatchPath(path) orelse return self.serve404(stream);
+        const user = (try self.requireAuth(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ target.owner, target.repo });
+        defer self.allocator.free(package_name);
+
+        if (!(try self.database.removeWatch(account.username, package_name))) {
+            return self.serveJsonError(stream, 404, "You aren't watching this package");
+        }
+
+        try self.serveWatch(stream, package_name, null);
+    }
+
+    // GET /api/v1/account/watches
+    fn handleListWatchesV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireAuth(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        const watches = try self.database.listWatches(account.username);
+        defer {
+            for (watches) |watch| self.database.freeWatch(watch);
+            self.allocator.free(watches);
+        }
+
+        const WatchJson = struct { package: []const u8, level: []const u8, created_at: i64 };
+        const items = try self.allocator.alloc(WatchJson, watches.len);
+        defer self.allocator.free(items);
+        for (watches, items) |watch, *item| {
+            item.* = .{ .package = watch.package_name, .level = watch.level, .created_at = watch.created_at };
+        }
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{ .watches = items }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // GET /api/v1/notifications?unread=true&limit=50
+    // Newest first, with the unread count; limit=0 returns just the count
+    fn handleListNotificationsV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const path_only = if (std.mem.indexOfScalar(u8, path, '?')) |q| path[0..q] else path;
+        if (!std.mem.eql(u8, path_only, "/api/v1/notifications")) return self.serve404(stream);
+
+        const user = (try self.requireAuth(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        var unread_only = false;
+        var limit: usize = 50;
+        if (std.mem.indexOfScalar(u8, path, '?')) |query_start| {
+            var params = std.mem.splitScalar(u8, path[query_start + 1 ..], '&');
+            while (params.next()) |param| {
+                if (std.mem.startsWith(u8, param, "unread=")) {
+                    unread_only = std.mem.eql(u8, param[7..], "true") or std.mem.eql(u8, param[7..], "1");
+                } else if (std.mem.startsWith(u8, param, "limit=")) {
+                    limit = std.fmt.parseInt(usize, param[6..], 10) catch 50;
+                }
+            }
+        }
+        limit = @min(limit, MAX_NOTIFICATIONS_PER_PAGE);
+
+        const notifications = if (limit == 0)
+            try self.allocator.alloc(types.Notification, 0)
+        else
+            try self.database.listNotifications(account.username, unread_only, limit);
+        defer {
+            for (notifications) |notification| self.database.freeNotification(notification);
+            self.allocator.free(notifications);
+        }
+
+        const NotificationJson = struct { id: u64, package: []const u8, version: []const u8, kind: []const u8, created_at: i64, read: bool };
+        const items = try self.allocator.alloc(NotificationJson, notifications.len);
+        defer self.allocator.free(items);
+        for (notifications, items) |notification, *item| {
+            item.* = .{
+                .id = notification.id,
+                .package = notification.package_name,
+                .version = notification.version,
+                .kind = notification.kind,
+                .created_at = notification.created_at,
+                .read = notification.read_at != null,
+            };
+        }
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .unread_count = try self.database.countUnreadNotifications(account.username),
+            .notifications = items,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // POST /api/v1/notifications/read {"ids": [12, 13]} or {"all": true}
+    fn handleMarkNotificationsReadV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireAuth(stream, request)) orelse return;
+        defer user.deinit(self.allocator);
+        const account = (try self.requireAccount(stream, user)) orelse return;
+        defer self.database.freeUserCredentials(account);
+
+        var buffer: [8192]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
+
+        const all = switch (fields.get("all") orelse .null) {
+            .bool => |value| value,
+            else => false,
+        };
+
+        var ids = std.array_list.AlignedManaged(u64, null).init(self.allocator);
+        defer ids.deinit();
+        if (!all) {
+            const list = switch (fields.get("ids") orelse .null) {
+                .array => |array| array,
+                else => return self.serveJsonError(stream, 400, "Send the ids to mark as read, or all: true"),
+            };
+            for (list.items) |item| {
+                switch (item) {
+                    .integer => |id| if (id > 0) try ids.append(@intCast(id)),
+                    else => return self.serveJsonError(stream, 400, "ids must be notification ids"),
+                }
+            }
+        }
+
+        self.database.markNotificationsRead(account.username, if (all) null else ids.items, compat.timestamp()) catch |err| {
+            std.debug.print("Error marking notifications read: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to mark notifications as read");
+        };
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .unread_count = try self.database.countUnreadNotifications(account.username),
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // Records a notification for everyone watching the package at a level that
+    // includes this release, except whoever published it
+    fn notifyWatchers(self: *Server, package_name: []const u8, tag_name: []const u8, kind: types.ReleaseKind, publisher: []const u8) !void {
+        const watchers = try self.database.listWatchers(package_name);
+        defer {
+            for (watchers) |watch| self.database.freeWatch(watch);
+            self.allocator.free(watchers);
+        }
+
+        const now = compat.timestamp();
+        for (watchers) |watch| {
+            const level = types.WatchLevel.parse(watch.level) orelse continue;
+            if (!level.includes(kind) or std.ascii.eqlIgnoreCase(watch.username, publisher)) continue;
+            try self.database.addNotification(.{
+                .username = watch.username,
+                .package_name = package_name,
+                .version = tag_name,
+                .kind = kind.name(),
+                .created_at = now,
             });
-            defer self.allocator.free(pkg_json);
-            
-            try json_packages.appendSlice(pkg_json);
         }
-        try json_packages.appendSlice("]");
+    }
+
+    /// Emails every digest subscriber whose daily or weekly interval has passed
+    /// the unread notifications no digest has included yet. Returns how many
+    /// digests went out; failures are logged and retried on the next run.
+    pub fn sendDueDigests(self: *Server, now: i64) usize {
+        const mailer = if (self.mailer) |*client| client else return 0;
+
+        const usernames = self.database.listDigestSubscribers() catch |err| {
+            std.debug.print("Error listing digest subscribers: {}\n", .{err});
+            return 0;
+        };
+        defer {
+            for (usernames) |username| self.allocator.free(username);
+            self.allocator.free(usernames);
+        }
+
+        var sent: usize = 0;
+        for (usernames) |username| {
+            const delivered = self.sendDigest(mailer, username, now) catch |err| {
+                std.debug.print("Error sending digest to {s}: {}\n", .{ username, err });
+                continue;
+            };
+            if (delivered) sent += 1;
+        }
+        return sent;
+    }
+
+    // Returns false when nothing was due
+    fn sendDigest(self: *Server, mailer: *smtp.SmtpClient, username: []const u8, now: i64) !bool {
+        var profile = (try self.database.getProfile(username)) orelse return false;
+        defer self.database.freeProfile(profile);
+        const frequency = types.DigestFrequency.parse(profile.email_digest) orelse return false;
+        const interval = frequency.interval() orelse return false;
+        if (now - profile.digest_sent_at < interval) return false;
+
+        const to = (try self.digestAddress(username, profile)) orelse return false;
+        defer self.allocator.free(to);
+
+        const notifications = try self.database.listUnemailedNotifications(username);
+        defer {
+            for (notifications) |notification| self.database.freeNotification(notification);
+            self.allocator.free(notifications);
+        }
+        if (notifications.len == 0) return false;
+
+        // Oldest first; anything past the cap goes out with the next digest
+        const included = notifications[0..@min(notifications.len, MAX_DIGEST_ENTRIES)];
+        const entries = try self.allocator.alloc(smtp.DigestEntry, included.len);
+        defer self.allocator.free(entries);
+        for (included, entries) |notification, *entry| {
+            entry.* = .{ .package_name = notification.package_name, .version = notification.version, .kind = notification.kind };
+        }
+
+        const base_url = self.environ_map.get("REDIRECT_BASE_URL") orelse "http://localhost:8888";
+        try mailer.sendNotificationDigest(to, username, entries, base_url);
+
+        try self.database.markNotificationsEmailed(username, included[included.len - 1].id, now);
+        profile.digest_sent_at = now;
+        try self.database.saveProfile(username, profile);
+        return true;
+    }
+
+    // The email from Settings, else the one the account registered with, else
+    // one from a linked sign-in
+    fn digestAddress(self: *Server, username: []const u8, profile: types.Profile) !?[]u8 {
+        if (profile.email.len > 0) return try self.allocator.dupe(u8, profile.email);
+
+        if (try self.database.getUserCredentials(username)) |account| {
+            defer self.database.freeUserCredentials(account);
+            if (account.email.len > 0) return try self.allocator.dupe(u8, account.email);
+        }
+
+        const identities = try self.database.listIdentities(username);
+        defer {
+            for (identities) |identity| self.database.freeIdentity(identity);
+            self.allocator.free(identities);
+        }
+        for (identities) |identity| {
+            if (identity.email.len > 0) return try self.allocator.dupe(u8, identity.email);
+        }
+        return null;
+    }
+
+    // GET /api/v1/events?since=42
+    // Server-Sent Events: `activity` events for new packages, releases,
+    // deletions and download milestones after `since` (or Last-Event-ID, which
+    // EventSource sends when it reconnects), a `ready` event whose id is the
+    // one to resume from, and a `stats` event with the home page counters.
+    // The stream then ends; `retry` sets when the client reconnects.
+    fn handleEventsV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const path_only = if (std.mem.indexOfScalar(u8, path, '?')) |q| path[0..q] else path;
+        if (!std.mem.eql(u8, path_only, "/api/v1/events")) return self.serve404(stream);
+
+        var since: ?u64 = null;
+        if (std.mem.indexOfScalar(u8, path, '?')) |query_start| {
+            var params = std.mem.splitScalar(u8, path[query_start + 1 ..], '&');
+            while (params.next()) |param| {
+                if (std.mem.startsWith(u8, param, "since=")) since = std.fmt.parseInt(u64, param[6..], 10) catch null;
+            }
+        }
+        if (headerValue(request, "Last-Event-ID")) |value| {
+            if (std.fmt.parseInt(u64, value, 10)) |last_id| {
+                since = @max(since orelse 0, last_id);
+            } else |_| {}
+        }
+
+        var events: std.Io.Writer.Allocating = .init(self.allocator);
+        defer events.deinit();
+        const writer = &events.writer;
+        try writer.print("retry: {d}\n\n", .{EVENT_RETRY_MS});
+
+        var cursor = since orelse try self.database.latestActivityId();
+        if (since) |after_id| {
+            const missed = try self.database.listActivity(after_id, MAX_ACTIVITY_PER_PAGE);
+            defer {
+                for (missed) |activity| self.database.freeActivity(activity);
+                self.allocator.free(missed);
+            }
+            for (missed) |activity| {
+                try writer.print("id: {d}\nevent: activity\ndata: ", .{activity.id});
+                try std.json.Stringify.value(ActivityJson.from(activity), .{}, writer);
+                try writer.writeAll("\n\n");
+                cursor = activity.id;
+            }
+        }
+
+        try writer.print("id: {d}\nevent: ready\ndata: {{\"last_id\":{d}}}\n\n", .{ cursor, cursor });
+        try writer.writeAll("event: stats\ndata: ");
+        try std.json.Stringify.value(try self.database.getDownloadStats(), .{}, writer);
+        try writer.writeAll("\n\n");
+
+        // X-Accel-Buffering stops nginx holding the events back; the shipped
+        // configs also turn proxy buffering off for this path
+        const head = try std.fmt.allocPrint(self.allocator, "HTTP/1.1 200 OK\r\n" ++
+            "Content-Type: text/event-stream\r\n" ++
+            "Cache-Control: no-cache\r\n" ++
+            "X-Accel-Buffering: no\r\n" ++
+            "Access-Control-Allow-Origin: *\r\n" ++
+            "Connection: close\r\n" ++
+            "Content-Length: {d}\r\n\r\n", .{events.written().len});
+        defer self.allocator.free(head);
+
+        try compat.streamWriteAll(stream, self.io, head);
+        try compat.streamWriteAll(stream, self.io, events.written());
+    }
+
+    // GET /api/v1/activity?since=42&limit=20
+    // Oldest first after `since`, else the latest `limit` entries, with the
+    // home page counters. For clients without EventSource; pollers pass back
+    // last_id as `since`.
+    fn handleListActivityV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+        const path_only = if (std.mem.indexOfScalar(u8, path, '?')) |q| path[0..q] else path;
+        if (!std.mem.eql(u8, path_only, "/api/v1/activity")) return self.serve404(stream);
+
+        var since: ?u64 = null;
+        var limit: usize = 20;
+        if (std.mem.indexOfScalar(u8, path, '?')) |query_start| {
+            var params = std.mem.splitScalar(u8, path[query_start + 1 ..], '&');
+            while (params.next()) |param| {
+                if (std.mem.startsWith(u8, param, "since=")) {
+                    since = std.fmt.parseInt(u64, param[6..], 10) catch null;
+                } else if (std.mem.startsWith(u8, param, "limit=")) {
+                    limit = std.fmt.parseInt(usize, param[6..], 10) catch 20;
+                }
+            }
+        }
+        limit = @min(@max(limit, 1), MAX_ACTIVITY_PER_PAGE);
+
+        const activities = try self.database.listActivity(since, limit);
+        defer {
+            for (activities) |activity| self.database.freeActivity(activity);
+            self.allocator.free(activities);
+        }
+
+        const items = try self.allocator.alloc(ActivityJson, activities.len);
+        defer self.allocator.free(items);
+        for (activities, items) |activity, *item| item.* = ActivityJson.from(activity);
+
+        const last_id = if (activities.len > 0)
+            activities[activities.len - 1].id
+        else
+            since orelse try self.database.latestActivityId();
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .events = items,
+            .last_id = last_id,
+            .stats = try self.database.getDownloadStats(),
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    const ActivityJson = struct {
+        id: u64,
+        kind: []const u8,
+        package: []const u8,
+        version: []const u8,
+        value: u64,
+        created_at: i64,
+
+        fn from(activity: types.Activity) ActivityJson {
+            return .{
+                .id = activity.id,
+                .kind = @tagName(activity.kind),
+                .package = activity.package_name,
+                .version = activity.version,
+                .value = activity.value,
+                .created_at = activity.created_at,
+            };
+        }
+    };
+
+    // Stores an activity entry for /api/v1/events and /api/v1/activity. A
+    // failure is logged rather than failing the publish, delete or download
+    // that caused it.
+    fn recordActivity(self: *Server, activity: types.Activity) void {
+        _ = self.database.addActivity(activity) catch |err| {
+            std.log.warn("Failed to record {s} activity for {s}: {}", .{ @tagName(activity.kind), activity.package_name, err });
+        };
+    }
+
+    // Called after each counted download; milestones become activity
+    fn checkDownloadMilestone(self: *Server, package_name: []const u8) void {
+        const count = self.database.getDownloadCount(package_name) catch |err| {
+            std.log.warn("Failed to read download count for {s}: {}", .{ package_name, err });
+            return;
+        };
+        if (std.mem.indexOfScalar(u64, &DOWNLOAD_MILESTONES, count) != null) {
+            self.recordActivity(.{ .kind = .milestone, .package_name = package_name, .value = count, .created_at = compat.timestamp() });
+        }
+    }
+
+    // Multipart form data parser
+    fn parseMultipartUpload(self: *Server, headers: []const u8, body: []const u8) !types.UploadData {
+        // Extract boundary from Content-Type header
+        const boundary = self.extractBoundary(headers) orelse return error.InvalidMultipart;
+        defer self.allocator.free(boundary);
+
+        var upload_data = types.UploadData{
+            .owner = "",
+            .repo = "",
+            .tag_name = "",
+            .name = null,
+            .body = null,
+            .draft = false,
+            .prerelease = false,
+            .file_data = "",
+            .filename = "",
+            .content_type = "",
+        };
+
+        // Split body by boundary
+        const boundary_delimiter = try std.fmt.allocPrint(self.allocator, "--{s}", .{boundary});
+        defer self.allocator.free(boundary_delimiter);
+
+        var parts = std.mem.splitSequence(u8, body, boundary_delimiter);
+        _ = parts.next(); // Skip first empty part
+
+        var has_file = false;
+        var has_tag_name = false;
+
+        while (parts.next()) |part| {
+            if (part.len < 4) continue; // Skip empty or too small parts
+
+            // Skip end boundary
+            if (std.mem.startsWith(u8, part, "--")) break;
+
+            // Find headers and content separator
+            const content_start = std.mem.indexOf(u8, part, "\r\n\r\n") orelse continue;
+            const part_headers = part[0..content_start];
+            const content = std.mem.trim(u8, part[content_start + 4..], "\r\n");
+
+            // Parse Content-Disposition header
+            if (std.mem.indexOf(u8, part_headers, "Content-Disposition:")) |_| {
+                if (std.mem.indexOf(u8, part_headers, "name=\"owner\"")) |_| {
+                    upload_data.owner = try self.allocator.dupe(u8, content);
+                } else if (std.mem.indexOf(u8, part_headers, "name=\"repo\"")) |_| {
+                    upload_data.repo = try self.allocator.dupe(u8, content);
+                } else if (std.mem.indexOf(u8, part_headers, "name=\"tag_name\"")) |_| {
+                    upload_data.tag_name = try self.allocator.dupe(u8, content);
+                    has_tag_name = true;
+                } else if (std.mem.indexOf(u8, part_headers, "name=\"name\"")) |_| {
+                    upload_data.name = try self.allocator.dupe(u8, content);
+                } else if (std.mem.indexOf(u8, part_headers, "name=\"body\"")) |_| {
+                    upload_data.body = try self.allocator.dupe(u8, content);
+                } else if (std.mem.indexOf(u8, part_headers, "name=\"draft\"")) |_| {
+                    upload_data.draft = std.mem.eql(u8, content, "true");
+                } else if (std.mem.indexOf(u8, part_headers, "name=\"prerelease\"")) |_| {
+                    upload_data.prerelease = std.mem.eql(u8, content, "true");
+                } else if (std.mem.indexOf(u8, part_headers, "name=\"security\"")) |_| {
+                    upload_data.security = std.mem.eql(u8, content, "true");
+                } else if (std.mem.indexOf(u8, part_headers, "name=\"file\"")) |_| {
+                    // Extract filename
+                    if (std.mem.indexOf(u8, part_headers, "filename=\"")) |filename_start| {
+                        const filename_content_start = filename_start + 10;
+                        if (std.mem.indexOf(u8, part_headers[filename_content_start..], "\"")) |filename_end| {
+                            upload_data.filename = try self.allocator.dupe(u8, part_headers[filename_content_start..filename_content_start + filename_end]);
+                        }
+                    }
+                    
+                    // Extract content type
+                    if (std.mem.indexOf(u8, part_headers, "Content-Type: ")) |ct_start| {
+                        const ct_content_start = ct_start + 14;
+                        if (std.mem.indexOf(u8, part_headers[ct_content_start..], "\r\n")) |ct_end| {
+                            upload_data.content_type = try self.allocator.dupe(u8, part_headers[ct_content_start..ct_content_start + ct_end]);
+                        }
+                    }
+                    
+                    upload_data.file_data = try self.allocator.dupe(u8, content);
+                    has_file = true;
+                }
+            }
+        }
+
+        if (!has_file) return error.MissingFile;
+        if (!has_tag_name) return error.MissingTagName;
+
+        return upload_data;
+    }
+
+    fn extractBoundary(self: *Server, headers: []const u8) ?[]u8 {
+        // Find Content-Type header with boundary
+        const content_type_start = std.mem.indexOf(u8, headers, "Content-Type: multipart/form-data") orelse return null;
+        const boundary_start = std.mem.indexOf(u8, headers[content_type_start..], "boundary=") orelse return null;
+        const boundary_value_start = content_type_start + boundary_start + 9;
         
-        const response = try std.fmt.allocPrint(self.allocator,
-            \\{{
-            \\  "packages": {s},
-            \\  "total_count": {},
-            \\  "limit": {},
-            \\  "offset": {}
-            \\}}
-        , .{ json_packages.items, total_count, limit orelse 50, offset orelse 0 });
-        defer self.allocator.free(response);
+        // Find end of boundary (either \r\n or end of headers)
+        const line_end = std.mem.indexOf(u8, headers[boundary_value_start..], "\r\n") orelse headers.len - boundary_value_start;
+        const boundary_value = headers[boundary_value_start..boundary_value_start + line_end];
         
-        try self.serveJson(stream, 200, response);
+        return self.allocator.dupe(u8, boundary_value) catch null;
+    }
+
+    fn freeUploadData(self: *Server, upload_data: types.UploadData) void {
+        if (upload_data.owner.len > 0) self.allocator.free(upload_data.owner);
+        if (upload_data.repo.len > 0) self.allocator.free(upload_data.repo);
+        if (upload_data.tag_name.len > 0) self.allocator.free(upload_data.tag_name);
+        if (upload_data.name) |name| self.allocator.free(name);
+        if (upload_data.body) |body| self.allocator.free(body);
+        if (upload_data.file_data.len > 0) self.allocator.free(upload_data.file_data);
+        if (upload_data.filename.len > 0) self.allocator.free(upload_data.filename);
+        if (upload_data.content_type.len > 0) self.allocator.free(upload_data.content_type);
+        if (upload_data.upload_id) |upload_id| self.allocator.free(upload_id);
+    }
+
+    // GET /api/v1/ecosystem/packages?source=zigistry&q=&category=&limit=&offset=
+    // Upstream catalog for the import screen; each entry says whether it's already here
+    fn handleEcosystemCatalogV1(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+        const allocator = arena.allocator();
+
+        var source: ecosystem.Source = .zigistry;
+        var query: []const u8 = "";
+        var category: ?[]const u8 = null;
+        var limit: usize = 30;
+        var offset: usize = 0;
+        if (std.mem.indexOf(u8, path, "?")) |query_start| {
+            var params = std.mem.splitSequence(u8, path[query_start + 1 ..], "&");
+            while (params.next()) |param| {
+                const eq = std.mem.indexOfScalar(u8, param, '=') orelse continue;
+                const key = param[0..eq];
+                const value = urlDecode(allocator, param[eq + 1 ..]) catch continue;
+
+                if (std.mem.eql(u8, key, "source")) {
+                    source = std.meta.stringToEnum(ecosystem.Source, value) orelse {
+                        return self.serveJsonError(stream, 400, "source must be zigistry");
+                    };
+                } else if (std.mem.eql(u8, key, "q")) {
+                    query = std.mem.trim(u8, value, " ");
+                } else if (std.mem.eql(u8, key, "category")) {
+                    if (value.len > 0 and !std.mem.eql(u8, value, "all")) category = value;
+                } else if (std.mem.eql(u8, key, "limit")) {
+                    limit = std.fmt.parseInt(usize, value, 10) catch 30;
+                } else if (std.mem.eql(u8, key, "offset")) {
+                    offset = std.fmt.parseInt(usize, value, 10) catch 0;
+                }
+            }
+        }
+        limit = @min(@max(limit, 1), 100);
+
+        var importer = ecosystem.EcosystemImporter.init(allocator, self.io, &self.zigistry, &self.database);
+        const result = importer.catalog(source, query, category, limit, offset) catch |err| {
+            std.log.err("Failed to list {s} packages: {}", .{ @tagName(source), err });
+            return self.serveJsonError(stream, 502, "Couldn't reach the upstream catalog");
+        };
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .source = @tagName(source),
+            .packages = result.packages,
+            .total = result.total,
+            .limit = limit,
+            .offset = offset,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, 200, json_response);
+    }
+
+    // POST /api/v1/ecosystem/import {"source": "zigistry", "package": "owner/repo"}
+    // Mirrors one upstream package; the import screen calls it once per selected
+    // package so it can show progress as it goes. Admins only: an import claims
+    // the owner/repo name
+    fn handleEcosystemImportV1(self: *Server, stream: std.Io.net.Stream, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .publish)) orelse return;
+        defer user.deinit(self.allocator);
+        if (!self.isAdmin(user.username)) {
+            return self.serveJsonError(stream, 403, "Only registry admins can import packages");
+        }
+
+        var buffer: [4096]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
+
+        const source: ecosystem.Source = switch (fields.get("source") orelse .null) {
+            .string => |value| std.meta.stringToEnum(ecosystem.Source, value) orelse {
+                return self.serveJsonError(stream, 400, "source must be zigistry");
+            },
+            else => return self.serveJsonError(stream, 400, "source must be zigistry"),
+        };
+        const full_name = switch (fields.get("package") orelse .null) {
+            .string => |value| value,
+            else => return self.serveJsonError(stream, 400, "package must be \"owner/repo\""),
+        };
+        if (std.mem.indexOfScalar(u8, full_name, '/') == null) {
+            return self.serveJsonError(stream, 400, "package must be \"owner/repo\"");
+        }
+
+        var arena = std.heap.ArenaAllocator.init(self.allocator);
+        defer arena.deinit();
+
+        var importer = ecosystem.EcosystemImporter.init(arena.allocator(), self.io, &self.zigistry, &self.database);
+        const result = importer.importPackage(source, full_name) catch |err| switch (err) {
+            error.NotFound => return self.serveJsonError(stream, 404, "Package not found upstream"),
+            else => {
+                std.log.err("Failed to import {s} from {s}: {}", .{ full_name, @tagName(source), err });
+                return self.serveJsonError(stream, 500, "Failed to import package");
+            },
+        };
+        std.log.info("Ecosystem import of {s} requested by {s}: {s}", .{ full_name, user.username, @tagName(result.status) });
+        if (result.status == .imported) {
+            self.recordActivity(.{ .kind = .package, .package_name = result.package.full_name, .created_at = compat.timestamp() });
+        }
+
+        const json_response = try std.json.Stringify.valueAlloc(self.allocator, .{
+            .status = @tagName(result.status),
+            .package = result.package,
+        }, .{});
+        defer self.allocator.free(json_response);
+
+        try self.serveJson(stream, if (result.status == .imported) 201 else 200, json_response);
     }
 
     // build.zig.zon integration endpoints
@@ -2936,6 +5466,14 @@ pub const Server = struct {
         
         const package_name = path[name_start..tarball_pos];
         const version = path[tarball_pos + tarball_marker.len..];
+
+        // Registry packages (owner/repo) are served from storage, the same
+        // bytes as /api/v1/packages/{owner}/{repo}/download/{version}
+        if (std.mem.indexOfScalar(u8, package_name, '/')) |slash| {
+            const version_str = std.mem.sliceTo(version, '?');
+            const preview = std.mem.indexOf(u8, version[version_str.len..], "preview=1") != null;
+            return self.handleDownloadPackageV1(stream, package_name[0..slash], package_name[slash + 1 ..], std.mem.trimLeft(u8, version_str, "v"), !preview);
+        }
         
         // For now, redirect to a mock tarball URL
         const redirect_url = try std.fmt.allocPrint(self.allocator,
@@ -2956,25 +5494,37 @@ pub const Server = struct {
         try compat.streamWriteAll(stream, self.io, response);
     }
     
+    // GET /api/packages/{owner}/{repo}/hash/{version} - sha256 of the stored
+    // release archive as lowercase hex, computed from the bytes /download serves
     fn handlePackageHash(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
-        // Parse /api/packages/{name}/hash/{version}
-        const prefix = "/api/packages/";
+        // Parse /api/packages/{name}/hash/{version} or the /api/v1 equivalent
+        const prefix = "/packages/";
         const hash_marker = "/hash/";
-        
-        const name_start = prefix.len;
+
+        const name_start = (std.mem.indexOf(u8, path, prefix) orelse return self.serveJsonError(stream, 404, "Not Found")) + prefix.len;
         const hash_pos = std.mem.indexOf(u8, path, hash_marker) orelse {
             return self.serveJsonError(stream, 404, "Not Found");
         };
-        
+
         const package_name = path[name_start..hash_pos];
-        const version = path[hash_pos + hash_marker.len..];
-        
-        _ = package_name;
-        _ = version;
-        
-        // For now, return a mock hash
-        const hash = "1220" ++ "abcdef0123456789" ** 4; // Mock SHA256 hash in hex
-        
+        const version_param = std.mem.sliceTo(path[hash_pos + hash_marker.len ..], '?');
+        const version = types.Version.parse(std.mem.trimLeft(u8, version_param, "v")) catch {
+            return self.serveJsonError(stream, 400, "Invalid version format");
+        };
+
+        if (!self.storage.packageExists(package_name, version)) {
+            return self.serveJsonError(stream, 404, "Package not found");
+        }
+        const package_data = self.storage.retrievePackage(package_name, version) catch |err| {
+            std.debug.print("Storage retrieval error: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to retrieve package");
+        };
+        defer self.allocator.free(package_data);
+
+        var digest: [32]u8 = undefined;
+        std.crypto.hash.sha2.Sha256.hash(package_data, &digest, .{});
+        const hash = std.fmt.bytesToHex(digest, .lower);
+
         const response = try std.fmt.allocPrint(self.allocator,
             "HTTP/1.1 200 OK\r\n" ++
             "Content-Type: text/plain\r\n" ++
@@ -2982,10 +5532,10 @@ pub const Server = struct {
             "Access-Control-Allow-Origin: *\r\n" ++
             "\r\n" ++
             "{s}",
-            .{ hash.len, hash }
+            .{ hash.len, &hash }
         );
         defer self.allocator.free(response);
-        
+
         try compat.streamWriteAll(stream, self.io, response);
     }
     
@@ -3024,7 +5574,7 @@ pub const Server = struct {
     // OAuth/OIDC Authentication Handlers
     const unified_auth = @import("../auth/unified_auth.zig");
     
-    fn handleMicrosoftLogin(self: *Server, stream: std.Io.net.Stream) !void {
+    fn handleMicrosoftLogin(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
         // Initialize unified auth system
         var auth_system = unified_auth.UnifiedAuthSystem.init(self.allocator, self.io, self.environ_map) catch {
             return self.serveJsonError(stream, 500, "Authentication system not configured");
@@ -3037,12 +5587,16 @@ pub const Server = struct {
         };
         defer self.allocator.free(auth_url);
         
+        const cookies = try self.oauthLoginCookies(path);
+        defer self.allocator.free(cookies);
+
         // Redirect to Microsoft OAuth (no additional state needed, OIDC client handles it)
         const redirect_response = try std.fmt.allocPrint(self.allocator,
             "HTTP/1.1 302 Found\r\n" ++
             "Location: {s}\r\n" ++
+            "{s}" ++
             "\r\n",
-            .{auth_url}
+            .{ auth_url, cookies }
         );
         defer self.allocator.free(redirect_response);
         
@@ -3050,8 +5604,6 @@ pub const Server = struct {
     }
     
     fn handleMicrosoftCallback(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
-        _ = request; // Microsoft OIDC doesn't need cookie-based state validation
-        
         // Parse the authorization code from query parameters
         const query_start = std.mem.indexOf(u8, path, "?") orelse {
             return self.serveJsonError(stream, 400, "Missing authorization code");
@@ -3107,54 +5659,172 @@ pub const Server = struct {
             self.allocator.free(user.email);
             if (user.display_name) |dn| self.allocator.free(dn);
             if (user.avatar_url) |au| self.allocator.free(au);
+            if (user.provider_id) |id| self.allocator.free(id);
         }
         
-        // Create JWT token
-        const jwt_token = auth_system.createJWT(user) catch {
+        try self.finishOAuth(stream, request, &auth_system, user);
+    }
+    
+    // Ends an OAuth callback: sets the session cookie (when signing in), drops
+    // the one-time OAuth cookies and sends the browser back to the app, which
+    // loads the profile from /api/v1/auth/me
+    fn redirectWithSession(self: *Server, stream: std.Io.net.Stream, session_token: ?[]const u8, location: []const u8) !void {
+        var session_header: []u8 = try self.allocator.dupe(u8, "");
+        defer self.allocator.free(session_header);
+        if (session_token) |token| {
+            const cookie = try self.sessionCookie(token, SESSION_MAX_AGE);
+            defer self.allocator.free(cookie);
+            self.allocator.free(session_header);
+            session_header = try std.fmt.allocPrint(self.allocator, "Set-Cookie: {s}\r\n", .{cookie});
+        }
+
+        const response = try std.fmt.allocPrint(self.allocator,
+            "HTTP/1.1 302 Found\r\n" ++
+            "Location: {s}\r\n" ++
+            "{s}" ++
+            "Set-Cookie: oauth_state=; HttpOnly; Path=/; Max-Age=0\r\n" ++
+            "Set-Cookie: " ++ LINK_INTENT_COOKIE ++ "=; HttpOnly; Path=/; Max-Age=0\r\n" ++
+            "Set-Cookie: " ++ RETURN_TO_COOKIE ++ "=; HttpOnly; Path=/; Max-Age=0\r\n" ++
+            "Content-Length: 0\r\n" ++
+            "\r\n",
+            .{ location, session_header }
+        );
+        defer self.allocator.free(response);
+
+        try compat.streamWriteAll(stream, self.io, response);
+    }
+
+    // Set-Cookie lines for an OAuth login URL. ?return_to=/settings brings the
+    // browser back to that page afterwards (same-site paths only). A pending
+    // link from Settings survives only when the URL says ?link=1, so a plain
+    // sign-in never attaches an identity by accident.
+    fn oauthLoginCookies(self: *Server, path: []const u8) ![]u8 {
+        var return_to: ?[]u8 = null;
+        defer if (return_to) |value| self.allocator.free(value);
+        var linking = false;
+
+        if (std.mem.indexOfScalar(u8, path, '?')) |query_start| {
+            var params = std.mem.splitScalar(u8, path[query_start + 1 ..], '&');
+            while (params.next()) |param| {
+                if (std.mem.startsWith(u8, param, "return_to=") and return_to == null) {
+                    return_to = urlDecode(self.allocator, param["return_to=".len..]) catch null;
+                } else if (std.mem.eql(u8, param, "link=1")) {
+                    linking = true;
+                }
+            }
+        }
+
+        const location = if (return_to) |value| (if (isSafeReturnPath(value)) value else "") else "";
+        return std.fmt.allocPrint(self.allocator, "Set-Cookie: " ++ RETURN_TO_COOKIE ++ "={s}; HttpOnly; SameSite=Lax; Path=/; Max-Age={d}\r\n{s}", .{
+            location,
+            @as(i64, if (location.len > 0) OAUTH_COOKIE_MAX_AGE else 0),
+            if (linking) "" else "Set-Cookie: " ++ LINK_INTENT_COOKIE ++ "=; HttpOnly; Path=/; Max-Age=0\r\n",
+        });
+    }
+
+    // A path on this site, safe to put in a Location header and a cookie
+    fn isSafeReturnPath(path: []const u8) bool {
+        if (path.len == 0 or path.len > 256 or path[0] != '/') return false;
+        if (path.len > 1 and (path[1] == '/' or path[1] == '\\')) return false;
+        for (path) |c| {
+            if (!std.ascii.isAlphanumeric(c) and std.mem.indexOfScalar(u8, "/-_.?=&", c) == null) return false;
+        }
+        return true;
+    }
+
+    // Both OAuth callbacks end here. With a pending link for this provider
+    // (from POST /api/v1/account/identities/{provider}) the identity is added
+    // to the signed-in account. Otherwise it signs in to the account it is
+    // linked to; a first sign-in creates an account named after the login.
+    fn finishOAuth(self: *Server, stream: std.Io.net.Stream, request: []const u8, auth_system: *unified_auth.UnifiedAuthSystem, oauth_user: unified_auth.UnifiedUser) !void {
+        const provider = @tagName(oauth_user.primary_provider);
+        const provider_id = oauth_user.provider_id orelse {
+            return self.serveJsonError(stream, 502, "The sign-in provider did not return a user id");
+        };
+
+        if (cookieValue(request, LINK_INTENT_COOKIE)) |intent| {
+            if (std.mem.eql(u8, intent, provider)) return self.linkIdentity(stream, request, oauth_user);
+        }
+
+        var account: types.UserCredentials = undefined;
+        if (try self.database.findIdentity(provider, provider_id)) |identity| {
+            defer self.database.freeIdentity(identity);
+            account = (try self.database.getUserCredentials(identity.username)) orelse {
+                return self.serveJsonError(stream, 500, "The account for this sign-in no longer exists");
+            };
+        } else {
+            if (try self.database.userExists(oauth_user.username)) {
+                const message = try std.fmt.allocPrint(self.allocator, "An account named {s} already exists. Sign in to it and link this account from Settings", .{oauth_user.username});
+                defer self.allocator.free(message);
+                return self.serveJsonError(stream, 409, message);
+            }
+            _ = try self.database.createAccount(oauth_user.username);
+            try self.database.addIdentity(.{
+                .username = oauth_user.username,
+                .provider = provider,
+                .provider_id = provider_id,
+                .email = oauth_user.email,
+                .display_name = oauth_user.display_name orelse oauth_user.username,
+                .linked_at = compat.timestamp(),
+            });
+            account = (try self.database.getUserCredentials(oauth_user.username)) orelse {
+                return self.serveJsonError(stream, 500, "Failed to create account");
+            };
+        }
+        defer self.database.freeUserCredentials(account);
+
+        var session_user = oauth_user;
+        session_user.id = @intCast(account.user_id);
+        session_user.username = account.username;
+        const session_token = auth_system.createJWT(session_user) catch {
             return self.serveJsonError(stream, 500, "Failed to create session token");
         };
-        defer self.allocator.free(jwt_token);
-        
-        // Redirect to success page with token
-        const success_response = try std.fmt.allocPrint(self.allocator,
-            \\HTTP/1.1 200 OK
-            \\Content-Type: text/html
-            \\Set-Cookie: zepplin_token={s}; HttpOnly; Path=/; Max-Age=86400
-            \\
-            \\<!DOCTYPE html>
-            \\<html><head><title>Login Success</title></head>
-            \\<body>
-            \\<h2>Login Successful!</h2>
-            \\<p>Welcome, {s}! You can close this window.</p>
-            \\<script>
-            \\var token = '{s}';
-            \\console.log('OAuth callback - Setting token, length:', token.length);
-            \\localStorage.setItem('zepplin_token', token);
-            \\localStorage.setItem('zepplin_username', '{s}');
-            \\localStorage.setItem('zepplin_display_name', '{s}');
-            \\localStorage.setItem('zepplin_avatar_url', '{s}');
-            \\localStorage.setItem('zepplin_email', '{s}');
-            \\console.log('Stored token check:', localStorage.getItem('zepplin_token')?.substring(0, 20));
-            \\setTimeout(() => window.location.href = '/', 2000);
-            \\</script>
-            \\</body></html>
-        ,
-            .{ 
-                jwt_token, 
-                user.display_name orelse user.username, 
-                jwt_token, 
-                user.username,
-                user.display_name orelse user.username,
-                user.avatar_url orelse "",
-                user.email
+        defer self.allocator.free(session_token);
+
+        const return_to = cookieValue(request, RETURN_TO_COOKIE) orelse "/";
+        try self.redirectWithSession(stream, session_token, if (isSafeReturnPath(return_to)) return_to else "/");
+    }
+
+    // The session stays as it is; Settings shows the new identity
+    fn linkIdentity(self: *Server, stream: std.Io.net.Stream, request: []const u8, oauth_user: unified_auth.UnifiedUser) !void {
+        const provider = @tagName(oauth_user.primary_provider);
+        const provider_id = oauth_user.provider_id.?;
+
+        const session_token = cookieValue(request, SESSION_COOKIE) orelse {
+            return self.serveJsonError(stream, 401, "Sign in before linking another account");
+        };
+        const user = (try self.validateJWTToken(session_token)) orelse {
+            return self.serveJsonError(stream, 401, "Your session has expired. Sign in again to link another account");
+        };
+        defer user.deinit(self.allocator);
+
+        const account = (try self.accountFor(user)) orelse {
+            return self.serveJsonError(stream, 409, "Sign out and sign in again before linking accounts");
+        };
+        defer self.database.freeUserCredentials(account);
+
+        if (try self.database.findIdentity(provider, provider_id)) |identity| {
+            defer self.database.freeIdentity(identity);
+            if (!std.mem.eql(u8, identity.username, account.username)) {
+                return self.serveJsonError(stream, 409, "That account is already linked to another Zepplin account");
             }
-        );
-        defer self.allocator.free(success_response);
-        
-        try compat.streamWriteAll(stream, self.io, success_response);
+        } else {
+            try self.database.addIdentity(.{
+                .username = account.username,
+                .provider = provider,
+                .provider_id = provider_id,
+                .email = oauth_user.email,
+                .display_name = oauth_user.display_name orelse oauth_user.username,
+                .linked_at = compat.timestamp(),
+            });
+        }
+
+        const location = try std.fmt.allocPrint(self.allocator, "/settings?linked={s}", .{provider});
+        defer self.allocator.free(location);
+        try self.redirectWithSession(stream, null, location);
     }
-    
-    fn handleGitHubLogin(self: *Server, stream: std.Io.net.Stream) !void {
+
+    fn handleGitHubLogin(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
         // Initialize unified auth system
         var auth_system = unified_auth.UnifiedAuthSystem.init(self.allocator, self.io, self.environ_map) catch {
             return self.serveJsonError(stream, 500, "Authentication system not configured");
@@ -3173,13 +5843,17 @@ pub const Server = struct {
         const state = try std.fmt.allocPrint(self.allocator, "{s}", .{std.fmt.bytesToHex(&state_bytes, .lower)});
         defer self.allocator.free(state);
         
+        const cookies = try self.oauthLoginCookies(path);
+        defer self.allocator.free(cookies);
+
         // Redirect to GitHub OAuth
         const redirect_response = try std.fmt.allocPrint(self.allocator,
             "HTTP/1.1 302 Found\r\n" ++
             "Location: {s}&state={s}\r\n" ++
-            "Set-Cookie: oauth_state={s}; HttpOnly; Path=/; Max-Age=600\r\n" ++
+            "Set-Cookie: oauth_state={s}; HttpOnly; SameSite=Lax; Path=/; Max-Age=600\r\n" ++
+            "{s}" ++
             "\r\n",
-            .{ auth_url, state, state }
+            .{ auth_url, state, state, cookies }
         );
         defer self.allocator.free(redirect_response);
         
@@ -3219,37 +5893,17 @@ pub const Server = struct {
             return self.serveJsonError(stream, 400, "Missing authorization code");
         };
         
-        // Validate state parameter for CSRF protection
-        if (state) |provided_state| {
-            // Extract state from cookie
-            const cookie_start = std.mem.indexOf(u8, request, "Cookie: ");
-            if (cookie_start == null) {
-                // For debugging: if no cookies are sent, skip state validation
-                // This is not secure for production but helps with testing
-                std.log.warn("No cookies found in request, skipping state validation for GitHub OAuth", .{});
-            } else {
-                const cookie_line_end = std.mem.indexOf(u8, request[cookie_start.?..], "\r\n") orelse {
-                    return self.serveJsonError(stream, 400, "Invalid cookie header");
-                };
-                const cookie_line = request[cookie_start.? + 8..cookie_start.? + cookie_line_end];
-                
-                // Look for oauth_state cookie
-                const state_cookie_start = std.mem.indexOf(u8, cookie_line, "oauth_state=") orelse {
-                    std.log.warn("oauth_state cookie not found in: {s}", .{cookie_line});
-                    return self.serveJsonError(stream, 400, "Missing OAuth state cookie");
-                };
-                const state_value_start = state_cookie_start + 12;
-                const remainder = cookie_line[state_value_start..];
-                const semicolon_pos = std.mem.indexOf(u8, remainder, ";");
-                const state_value_end = semicolon_pos orelse remainder.len;
-                const expected_state = remainder[0..state_value_end];
-                
-                if (!std.mem.eql(u8, provided_state, expected_state)) {
-                    return self.serveJsonError(stream, 400, "Invalid OAuth state parameter - possible CSRF attack");
-                }
-            }
-        } else {
+        // Validate state parameter for CSRF protection: it must match the
+        // cookie handleGitHubLogin set, or someone else's code could sign the
+        // browser into their account
+        const provided_state = state orelse {
             return self.serveJsonError(stream, 400, "Missing OAuth state parameter");
+        };
+        const expected_state = cookieValue(request, "oauth_state") orelse {
+            return self.serveJsonError(stream, 400, "Missing OAuth state cookie");
+        };
+        if (!std.mem.eql(u8, provided_state, expected_state)) {
+            return self.serveJsonError(stream, 400, "Invalid OAuth state parameter - possible CSRF attack");
         }
         
         // Initialize unified auth system
@@ -3267,346 +5921,483 @@ pub const Server = struct {
             self.allocator.free(user.email);
             if (user.display_name) |dn| self.allocator.free(dn);
             if (user.avatar_url) |au| self.allocator.free(au);
+            if (user.provider_id) |id| self.allocator.free(id);
         }
         
-        // Create JWT token
-        const jwt_token = auth_system.createJWT(user) catch {
-            return self.serveJsonError(stream, 500, "Failed to create session token");
-        };
-        defer self.allocator.free(jwt_token);
-        
-        // Redirect to success page with token
-        const success_response = try std.fmt.allocPrint(self.allocator,
-            \\HTTP/1.1 200 OK
-            \\Content-Type: text/html
-            \\Set-Cookie: zepplin_token={s}; HttpOnly; Path=/; Max-Age=86400
-            \\
-            \\<!DOCTYPE html>
-            \\<html><head><title>Login Success</title></head>
-            \\<body>
-            \\<h2>Login Successful!</h2>
-            \\<p>Welcome, {s}! You can close this window.</p>
-            \\<script>
-            \\var token = '{s}';
-            \\console.log('OAuth callback - Setting token, length:', token.length);
-            \\localStorage.setItem('zepplin_token', token);
-            \\localStorage.setItem('zepplin_username', '{s}');
-            \\localStorage.setItem('zepplin_display_name', '{s}');
-            \\localStorage.setItem('zepplin_avatar_url', '{s}');
-            \\localStorage.setItem('zepplin_email', '{s}');
-            \\console.log('Stored token check:', localStorage.getItem('zepplin_token')?.substring(0, 20));
-            \\setTimeout(() => window.location.href = '/', 2000);
-            \\</script>
-            \\</body></html>
-        ,
-            .{ 
-                jwt_token, 
-                user.display_name orelse user.username, 
-                jwt_token, 
-                user.username,
-                user.display_name orelse user.username,
-                user.avatar_url orelse "",
-                user.email
-            }
-        );
-        defer self.allocator.free(success_response);
-        
-        try compat.streamWriteAll(stream, self.io, success_response);
+        try self.finishOAuth(stream, request, &auth_system, user);
     }
     
     // Comment API handlers
-    fn handleCommentsApiV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8, request_allocator: std.mem.Allocator) !void {
-        _ = request_allocator;
-        
-        // Parse HTTP method
-        const method_end = std.mem.indexOf(u8, request, " ") orelse return self.serveJsonError(stream, 400, "Invalid request");
-        const method = request[0..method_end];
-        
-        if (std.mem.eql(u8, method, "GET")) {
-            // GET /api/v1/comments/{owner}/{repo}
-            const path_parts = std.mem.splitSequence(u8, path[18..], "/"); // Skip "/api/v1/comments/"
-            var parts_iter = path_parts;
-            
-            const owner = parts_iter.next() orelse return self.serveJsonError(stream, 400, "Missing owner");
-            const repo = parts_iter.next() orelse return self.serveJsonError(stream, 400, "Missing repo");
-            
-            const package_id = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
-            defer self.allocator.free(package_id);
-            
-            const comments = self.database.getCommentsForPackage(package_id) catch |err| {
-                std.debug.print("Error getting comments: {}\n", .{err});
-                return self.serveJsonError(stream, 500, "Failed to get comments");
-            };
-            defer self.allocator.free(comments);
-            
-            // Convert comments to JSON using simple string formatting
-            var json_parts = std.array_list.AlignedManaged([]const u8, null).init(self.allocator);
-            defer json_parts.deinit();
-            
-            try json_parts.append("{\"comments\":[");
-            
-            for (comments, 0..) |comment, i| {
-                if (i > 0) try json_parts.append(",");
-                
-                const comment_json = try std.fmt.allocPrint(self.allocator,
-                    "{{\"id\":{},\"package_id\":\"{s}\",\"user_id\":{},\"username\":\"{s}\",\"display_name\":\"{s}\",\"content\":\"{s}\",\"created_at\":{},\"updated_at\":{},\"parent_id\":{}}}",
-                    .{
-                        comment.id,
-                        comment.package_id,
-                        comment.user_id,
-                        comment.username,
-                        comment.display_name orelse "",
-                        comment.content,
-                        comment.created_at,
-                        comment.updated_at,
-                        comment.parent_id orelse 0
-                    });
-                defer self.allocator.free(comment_json);
-                
-                try json_parts.append(try self.allocator.dupe(u8, comment_json));
-            }
-            
-            try json_parts.append("]}");
-            
-            const json_response = try std.mem.join(self.allocator, "", json_parts.items);
-            defer self.allocator.free(json_response);
-            
-            // Free individual parts (skip the first and last static strings)
-            for (json_parts.items, 0..) |part, i| {
-                // Free allocated comment JSON strings, but not the static parts
-                if (i > 0 and i < json_parts.items.len - 1 and !std.mem.eql(u8, part, ",")) {
-                    self.allocator.free(part);
-                }
-            }
-            
-            try self.serveJson(stream, 200, json_response);
-            
-        } else if (std.mem.eql(u8, method, "POST")) {
-            // POST /api/v1/comments/{owner}/{repo}
-            const user = try self.requireAuth(stream, request);
-            if (user == null) return;
-            
-            const u = user.?;
-            defer self.allocator.free(u.username);
-            defer self.allocator.free(u.email);
-            defer self.allocator.free(u.display_name);
-            defer self.allocator.free(u.avatar_url);
-            defer self.allocator.free(u.provider);
-            
-            const path_parts = std.mem.splitSequence(u8, path[18..], "/"); // Skip "/api/v1/comments/"
-            var parts_iter = path_parts;
-            
-            const owner = parts_iter.next() orelse return self.serveJsonError(stream, 400, "Missing owner");
-            const repo = parts_iter.next() orelse return self.serveJsonError(stream, 400, "Missing repo");
-            
-            // Extract JSON body from request
-            const body_start = std.mem.indexOf(u8, request, "\r\n\r\n") orelse return self.serveJsonError(stream, 400, "No request body");
-            const body = request[body_start + 4..];
-            
-            // Simple JSON parsing for content field with better error handling
-            const content_start = std.mem.indexOf(u8, body, "\"content\":\"") orelse {
-                return self.serveJsonError(stream, 400, "Missing 'content' field in request body");
-            };
-            const content_value_start = content_start + 11;
-            
-            // Look for the closing quote, handling potential escaping
-            var content_end: usize = 0;
-            var i = content_value_start;
-            while (i < body.len) {
-                if (body[i] == '"' and (i == content_value_start or body[i-1] != '\\')) {
-                    content_end = i - content_value_start;
-                    break;
+    const CommentTarget = struct {
+        owner: []const u8,
+        repo: []const u8,
+        id: ?u64 = null,
+        action: ?[]const u8 = null,
+    };
+
+    // /api/v1/comments/{owner}/{repo}[/{id}[/{action}]]
+    fn parseCommentPath(path: []const u8) ?CommentTarget {
+        const prefix = "/api/v1/comments/";
+        if (!std.mem.startsWith(u8, path, prefix)) return null;
+        const path_only = if (std.mem.indexOfScalar(u8, path, '?')) |q| path[0..q] else path;
+
+        var parts = std.mem.splitScalar(u8, path_only[prefix.len..], '/');
+        var target = CommentTarget{
+            .owner = parts.next() orelse return null,
+            .repo = parts.next() orelse return null,
+        };
+        if (target.owner.len == 0 or target.repo.len == 0) return null;
+        if (parts.next()) |id| target.id = std.fmt.parseInt(u64, id, 10) catch return null;
+        target.action = parts.next();
+        if (parts.next() != null) return null;
+        return target;
+    }
+
+    // Registry admins are the accounts listed, comma-separated, in ZEPPLIN_ADMINS
+    fn isAdmin(self: *Server, username: []const u8) bool {
+        const admins = self.environ_map.get("ZEPPLIN_ADMINS") orelse return false;
+        var names = std.mem.splitScalar(u8, admins, ',');
+        while (names.next()) |name| {
+            if (std.ascii.eqlIgnoreCase(std.mem.trim(u8, name, " "), username)) return true;
+        }
+        return false;
+    }
+
+    // The maintainer of owner/repo is the account named after the owner,
+    // unless the package was transferred or orphaned when that account was deleted
+    fn maintainsPackage(self: *Server, username: []const u8, owner: []const u8, repo: []const u8) !bool {
+        const package_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
+        defer self.allocator.free(package_name);
+
+        if (try self.database.getPackageMaintainer(package_name)) |maintainer| {
+            defer self.allocator.free(maintainer);
+            return maintainer.len > 0 and std.ascii.eqlIgnoreCase(username, maintainer);
+        }
+        return std.ascii.eqlIgnoreCase(username, owner);
+    }
+
+    // Publishing, a package's first release included, is for its maintainer,
+    // so nobody can claim a name under someone else's account. Accounts don't
+    // record organization membership; an organization publishes from the
+    // account named after it
+    fn mayPublish(self: *Server, username: []const u8, owner: []const u8, repo: []const u8) !bool {
+        return self.maintainsPackage(username, owner, repo);
+    }
+
+    // Whether a release of this version is recorded; "v1.0.0" and "1.0.0"
+    // share an archive, so either tag counts
+    fn hasRelease(self: *Server, owner: []const u8, repo: []const u8, version: types.Version) !bool {
+        const releases = try self.database.getReleases(owner, repo);
+        defer self.database.freeReleases(releases);
+
+        for (releases) |release| {
+            const existing = types.Version.parse(release.tag_name) catch continue;
+            if (existing.major != version.major or existing.minor != version.minor or existing.patch != version.patch) continue;
+            if (std.mem.eql(u8, existing.pre orelse "", version.pre orelse "")) return true;
+        }
+        return false;
+    }
+
+    fn commentContentError(content: []const u8) ?[]const u8 {
+        if (content.len == 0) return "Comment content cannot be empty";
+        if (content.len > MAX_COMMENT_LEN) return "Comment content too long (max 2000 characters)";
+        if (!std.unicode.utf8ValidateSlice(content)) return "Comment content must be valid UTF-8";
+        // Basic sanitization - reject comments with suspicious content
+        if (std.mem.indexOf(u8, content, "<script") != null or
+            std.mem.indexOf(u8, content, "javascript:") != null)
+        {
+            return "Comment content contains forbidden elements";
+        }
+        return null;
+    }
+
+    // Visible non-deleted comments on a package, for package cards
+    fn commentCount(self: *Server, owner: []const u8, repo: []const u8) u64 {
+        var buf: [256]u8 = undefined;
+        const package_id = std.fmt.bufPrint(&buf, "{s}/{s}", .{ owner, repo }) catch return 0;
+        return self.database.countComments(package_id) catch 0;
+    }
+
+    // Comment bodies are free-form Markdown, so unlike most fields they are
+    // JSON-escaped rather than restricted to plain text. `redacted` blanks the
+    // author and text of deleted comments, and of hidden ones for non-maintainers.
+    fn commentJson(self: *Server, comment: types.Comment, redacted: bool) ![]u8 {
+        const username = try std.json.Stringify.valueAlloc(self.allocator, if (redacted) "" else comment.username, .{});
+        defer self.allocator.free(username);
+        const display_name = try std.json.Stringify.valueAlloc(self.allocator, if (redacted) null else comment.display_name, .{});
+        defer self.allocator.free(display_name);
+        const content = try std.json.Stringify.valueAlloc(self.allocator, if (redacted) "" else comment.content, .{});
+        defer self.allocator.free(content);
+
+        var parent_buf: [24]u8 = undefined;
+        const parent_id = if (comment.parent_id) |p| try std.fmt.bufPrint(&parent_buf, "{d}", .{p}) else "null";
+
+        return std.fmt.allocPrint(self.allocator,
+            \\{{"id":{d},"parent_id":{s},"username":{s},"display_name":{s},"content":{s},"created_at":{d},"updated_at":{d},"edited":{s},"deleted":{s},"hidden":{s},"pinned":{s}}}
+        , .{
+            comment.id,
+            parent_id,
+            username,
+            display_name,
+            content,
+            comment.created_at,
+            comment.updated_at,
+            if (!comment.is_deleted and comment.updated_at > comment.created_at) "true" else "false",
+            if (comment.is_deleted) "true" else "false",
+            if (comment.is_hidden) "true" else "false",
+            if (comment.is_pinned) "true" else "false",
+        });
+    }
+
+    // GET /api/v1/comments/{owner}/{repo}?page=&per_page=
+    // Pages through top-level threads, pinned first then newest; each thread
+    // comes with all of its replies. Deleted comments, and hidden ones for
+    // anyone but the maintainer, are dropped unless replies hang off them, in
+    // which case they stay as redacted placeholders.
+    fn handleListCommentsV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const target = parseCommentPath(path) orelse {
+            return self.serveJsonError(stream, 400, "Invalid endpoint. Use GET /api/v1/comments/{owner}/{repo}");
+        };
+        if (target.id != null) return self.serve404(stream);
+
+        var page: usize = 1;
+        var per_page: usize = 20;
+        if (std.mem.indexOfScalar(u8, path, '?')) |query_start| {
+            var params = std.mem.splitScalar(u8, path[query_start + 1 ..], '&');
+            while (params.next()) |param| {
+                const eq = std.mem.indexOfScalar(u8, param, '=') orelse continue;
+                const key = param[0..eq];
+                const value = param[eq + 1 ..];
+                if (std.mem.eql(u8, key, "page")) {
+                    page = std.fmt.parseInt(usize, value, 10) catch 1;
+                } else if (std.mem.eql(u8, key, "per_page")) {
+                    per_page = std.fmt.parseInt(usize, value, 10) catch 20;
                 }
-                i += 1;
-            }
-            
-            if (content_end == 0) {
-                return self.serveJsonError(stream, 400, "Malformed JSON: unterminated content string");
-            }
-            
-            const content = body[content_value_start..content_value_start + content_end];
-            
-            // Validate content
-            if (content.len == 0) {
-                return self.serveJsonError(stream, 400, "Comment content cannot be empty");
             }
-            if (content.len > 2000) {
-                return self.serveJsonError(stream, 400, "Comment content too long (max 2000 characters)");
+        }
+        page = @max(page, 1);
+        per_page = @min(@max(per_page, 1), MAX_COMMENT_THREADS_PER_PAGE);
+
+        // Reading is public; a signed-in maintainer additionally sees hidden comments
+        var can_moderate = false;
+        if (self.validateAuthToken(request) catch null) |user| {
+            defer user.deinit(self.allocator);
+            can_moderate = self.maintainsPackage(user.username, target.owner, target.repo) catch false;
+        }
+
+        const package_id = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ target.owner, target.repo });
+        defer self.allocator.free(package_id);
+
+        const comments = self.database.getCommentsForPackage(package_id) catch |err| {
+            std.debug.print("Error getting comments: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to get comments");
+        };
+        defer {
+            for (comments) |comment| self.database.freeComment(comment);
+            self.allocator.free(comments);
+        }
+
+        const keep = try self.allocator.alloc(bool, comments.len);
+        defer self.allocator.free(keep);
+        const thread = try self.allocator.alloc(usize, comments.len);
+        defer self.allocator.free(thread);
+
+        var index_by_id = std.AutoHashMap(u64, usize).init(self.allocator);
+        defer index_by_id.deinit();
+
+        var visible_count: usize = 0;
+        for (comments, 0..) |comment, i| {
+            try index_by_id.put(comment.id, i);
+            keep[i] = !comment.is_deleted and (!comment.is_hidden or can_moderate);
+            if (keep[i]) visible_count += 1;
+            // Comments come oldest first, so a parent is always indexed before its replies
+            const parent = if (comment.parent_id) |p| index_by_id.get(p) else null;
+            thread[i] = if (parent) |p| thread[p] else i;
+        }
+
+        // Walk backwards so a kept reply keeps every ancestor up to its thread root
+        var remaining = comments.len;
+        while (remaining > 0) {
+            remaining -= 1;
+            if (!keep[remaining]) continue;
+            if (comments[remaining].parent_id) |p| {
+                if (index_by_id.get(p)) |parent| keep[parent] = true;
             }
-            
-            // Basic sanitization - reject comments with suspicious content
-            if (std.mem.indexOf(u8, content, "<script") != null or 
-               std.mem.indexOf(u8, content, "javascript:") != null) {
-                return self.serveJsonError(stream, 400, "Comment content contains forbidden elements");
+        }
+
+        var roots = std.array_list.AlignedManaged(usize, null).init(self.allocator);
+        defer roots.deinit();
+        for (comments, 0..) |_, index| {
+            if (keep[index] and thread[index] == index) try roots.append(index);
+        }
+
+        std.mem.sort(usize, roots.items, comments, struct {
+            fn lessThan(all: []types.Comment, a: usize, b: usize) bool {
+                if (all[a].is_pinned != all[b].is_pinned) return all[a].is_pinned;
+                if (all[a].created_at != all[b].created_at) return all[a].created_at > all[b].created_at;
+                return all[a].id > all[b].id;
             }
-            
-            const package_id = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ owner, repo });
-            defer self.allocator.free(package_id);
-            
-            const comment_request = types.CommentRequest{
-                .package_id = package_id,
-                .content = content,
-                .parent_id = null, // TODO: Support for replies
-            };
-            
-            const comment_id = self.database.addComment(comment_request, @intCast(u.user_id), u.username, u.display_name) catch |err| {
-                std.debug.print("Error adding comment: {}\n", .{err});
-                return self.serveJsonError(stream, 500, "Failed to add comment");
-            };
-            
-            const json_response = try std.fmt.allocPrint(self.allocator,
-                "{{\"success\":true,\"comment_id\":{},\"message\":\"Comment added successfully\"}}",
-                .{comment_id}
-            );
-            defer self.allocator.free(json_response);
-            
-            try self.serveJson(stream, 201, json_response);
-            
-        } else {
-            return self.serveJsonError(stream, 405, "Method not allowed");
+        }.lessThan);
+
+        const start = @min((page - 1) * per_page, roots.items.len);
+        const page_roots = roots.items[start..@min(start + per_page, roots.items.len)];
+
+        const on_page = try self.allocator.alloc(bool, comments.len);
+        defer self.allocator.free(on_page);
+        @memset(on_page, false);
+        for (page_roots) |root| on_page[root] = true;
+
+        var json_list = std.array_list.AlignedManaged(u8, null).init(self.allocator);
+        defer json_list.deinit();
+
+        // Thread roots in page order, then their replies oldest first
+        try json_list.appendSlice("{\"comments\":[");
+        var written: usize = 0;
+        for (page_roots) |root| {
+            if (written > 0) try json_list.appendSlice(",");
+            const comment = comments[root];
+            const comment_json = try self.commentJson(comment, comment.is_deleted or (comment.is_hidden and !can_moderate));
+            defer self.allocator.free(comment_json);
+            try json_list.appendSlice(comment_json);
+            written += 1;
         }
+        for (comments, 0..) |comment, index| {
+            if (!keep[index] or thread[index] == index or !on_page[thread[index]]) continue;
+            if (written > 0) try json_list.appendSlice(",");
+            const comment_json = try self.commentJson(comment, comment.is_deleted or (comment.is_hidden and !can_moderate));
+            defer self.allocator.free(comment_json);
+            try json_list.appendSlice(comment_json);
+            written += 1;
+        }
+
+        const summary = try std.fmt.allocPrint(self.allocator, "],\"total_threads\":{d},\"comment_count\":{d},\"page\":{d},\"per_page\":{d},\"can_moderate\":{s}}}", .{ roots.items.len, visible_count, page, per_page, if (can_moderate) "true" else "false" });
+        defer self.allocator.free(summary);
+        try json_list.appendSlice(summary);
+
+        try self.serveJson(stream, 200, json_list.items);
     }
-    
+
+    // Loads comment `target.id` and checks it belongs to owner/repo; serves a
+    // 404 and returns null otherwise. Deleted comments count as missing.
+    fn findPackageComment(self: *Server, stream: std.Io.net.Stream, target: CommentTarget) !?types.Comment {
+        const id = target.id orelse {
+            try self.serveJsonError(stream, 400, "Comment id is required");
+            return null;
+        };
+        const comment = (self.database.getComment(id) catch |err| {
+            std.debug.print("Error loading comment: {}\n", .{err});
+            try self.serveJsonError(stream, 500, "Failed to load comment");
+            return null;
+        }) orelse {
+            try self.serveJsonError(stream, 404, "Comment not found");
+            return null;
+        };
+
+        var buf: [256]u8 = undefined;
+        const package_id = std.fmt.bufPrint(&buf, "{s}/{s}", .{ target.owner, target.repo }) catch "";
+        if (comment.is_deleted or !std.mem.eql(u8, comment.package_id, package_id)) {
+            self.database.freeComment(comment);
+            try self.serveJsonError(stream, 404, "Comment not found");
+            return null;
+        }
+        return comment;
+    }
+
+    // Serves the current state of a comment after a change
+    fn serveComment(self: *Server, stream: std.Io.net.Stream, status_code: u16, comment_id: u64) !void {
+        const comment = (self.database.getComment(comment_id) catch null) orelse {
+            return self.serveJsonError(stream, 500, "Failed to load comment");
+        };
+        defer self.database.freeComment(comment);
+
+        const comment_json = try self.commentJson(comment, comment.is_deleted);
+        defer self.allocator.free(comment_json);
+        try self.serveJson(stream, status_code, comment_json);
+    }
+
+    // Parses a JSON object body; serves a 400 and returns null when it isn't one
+    fn readJsonObjectBody(self: *Server, stream: std.Io.net.Stream, buffer: []u8) !?std.json.Parsed(std.json.Value) {
+        const body = self.readRequestBody(buffer);
+        const parsed = std.json.parseFromSlice(std.json.Value, self.allocator, body, .{}) catch {
+            try self.serveJsonError(stream, 400, "Invalid JSON");
+            return null;
+        };
+        if (parsed.value != .object) {
+            parsed.deinit();
+            try self.serveJsonError(stream, 400, "Invalid JSON");
+            return null;
+        }
+        return parsed;
+    }
+
+    // POST /api/v1/comments/{owner}/{repo} {"content": "...", "parent_id": 12}
+    fn handleCreateCommentV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .comment)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const target = parseCommentPath(path) orelse {
+            return self.serveJsonError(stream, 400, "Invalid endpoint. Use POST /api/v1/comments/{owner}/{repo}");
+        };
+        if (target.id != null) return self.serve404(stream);
+
+        var buffer: [8192]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
+
+        const content = switch (fields.get("content") orelse .null) {
+            .string => |value| std.mem.trim(u8, value, " \t\r\n"),
+            else => "",
+        };
+        if (commentContentError(content)) |message| return self.serveJsonError(stream, 400, message);
+
+        const parent_id: ?u64 = switch (fields.get("parent_id") orelse .null) {
+            .null => null,
+            .integer => |value| if (value > 0) @as(u64, @intCast(value)) else {
+                return self.serveJsonError(stream, 400, "parent_id must be a comment id");
+            },
+            else => return self.serveJsonError(stream, 400, "parent_id must be a comment id"),
+        };
+
+        if (parent_id) |id| {
+            var parent_target = target;
+            parent_target.id = id;
+            const parent = (try self.findPackageComment(stream, parent_target)) orelse return;
+            self.database.freeComment(parent);
+        }
+
+        const package_id = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ target.owner, target.repo });
+        defer self.allocator.free(package_id);
+
+        const comment_request = types.CommentRequest{
+            .package_id = package_id,
+            .content = content,
+            .parent_id = parent_id,
+        };
+
+        const comment_id = self.database.addComment(comment_request, @intCast(user.user_id), user.username, user.display_name) catch |err| {
+            std.debug.print("Error adding comment: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to add comment");
+        };
+
+        try self.serveComment(stream, 201, comment_id);
+    }
+
+    // PATCH /api/v1/comments/{owner}/{repo}/{id} {"content": "..."}; authors only
+    fn handleEditCommentV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .comment)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const target = parseCommentPath(path) orelse return self.serve404(stream);
+        if (target.action != null) return self.serve404(stream);
+
+        const comment = (try self.findPackageComment(stream, target)) orelse return;
+        defer self.database.freeComment(comment);
+        if (comment.user_id != @as(u64, @intCast(user.user_id))) {
+            return self.serveJsonError(stream, 403, "You can only edit your own comments");
+        }
+
+        var buffer: [8192]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+
+        const content = switch (parsed.value.object.get("content") orelse .null) {
+            .string => |value| std.mem.trim(u8, value, " \t\r\n"),
+            else => "",
+        };
+        if (commentContentError(content)) |message| return self.serveJsonError(stream, 400, message);
+
+        const updated = self.database.updateComment(comment.id, comment.user_id, content) catch |err| {
+            std.debug.print("Error updating comment: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to update comment");
+        };
+        if (!updated) return self.serveJsonError(stream, 404, "Comment not found");
+
+        try self.serveComment(stream, 200, comment.id);
+    }
+
+    // DELETE /api/v1/comments/{owner}/{repo}/{id}; authors only
+    fn handleDeleteCommentV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .comment)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const target = parseCommentPath(path) orelse return self.serve404(stream);
+        if (target.action != null) return self.serve404(stream);
+
+        const comment = (try self.findPackageComment(stream, target)) orelse return;
+        defer self.database.freeComment(comment);
+        if (comment.user_id != @as(u64, @intCast(user.user_id))) {
+            return self.serveJsonError(stream, 403, "You can only delete your own comments");
+        }
+
+        const deleted = self.database.deleteComment(comment.id, comment.user_id) catch |err| {
+            std.debug.print("Error deleting comment: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to delete comment");
+        };
+        if (!deleted) return self.serveJsonError(stream, 404, "Comment not found");
+
+        try self.serveJson(stream, 200, "{\"message\": \"Comment deleted\"}");
+    }
+
+    // PUT /api/v1/comments/{owner}/{repo}/{id}/moderation {"hidden": true, "pinned": false}
+    // Either flag may be left out. Only top-level comments can be pinned.
+    fn handleModerateCommentV1(self: *Server, stream: std.Io.net.Stream, path: []const u8, request: []const u8) !void {
+        const user = (try self.requireScope(stream, request, .comment)) orelse return;
+        defer user.deinit(self.allocator);
+
+        const target = parseCommentPath(path) orelse return self.serve404(stream);
+        if (!(try self.maintainsPackage(user.username, target.owner, target.repo))) {
+            return self.serveJsonError(stream, 403, "Only the package maintainer can moderate comments");
+        }
+
+        const comment = (try self.findPackageComment(stream, target)) orelse return;
+        defer self.database.freeComment(comment);
+
+        var buffer: [1024]u8 = undefined;
+        const parsed = (try self.readJsonObjectBody(stream, &buffer)) orelse return;
+        defer parsed.deinit();
+        const fields = parsed.value.object;
+
+        const hidden: ?bool = switch (fields.get("hidden") orelse .null) {
+            .null => null,
+            .bool => |value| value,
+            else => return self.serveJsonError(stream, 400, "hidden must be true or false"),
+        };
+        const pinned: ?bool = switch (fields.get("pinned") orelse .null) {
+            .null => null,
+            .bool => |value| value,
+            else => return self.serveJsonError(stream, 400, "pinned must be true or false"),
+        };
+        if (hidden == null and pinned == null) {
+            return self.serveJsonError(stream, 400, "Set hidden or pinned");
+        }
+        if (pinned == true and comment.parent_id != null) {
+            return self.serveJsonError(stream, 400, "Only top-level comments can be pinned");
+        }
+
+        self.database.moderateComment(comment.id, hidden, pinned) catch |err| {
+            std.debug.print("Error moderating comment: {}\n", .{err});
+            return self.serveJsonError(stream, 500, "Failed to moderate comment");
+        };
+
+        try self.serveComment(stream, 200, comment.id);
+    }
+
+    // Paths rendered by the client-side router. Each one serves the app shell so
+    // deep links and reloads land on the right view.
+    fn isAppRoute(path: []const u8) bool {
+        const path_only = if (std.mem.indexOfScalar(u8, path, '?')) |q| path[0..q] else path;
+        const app_routes = [_][]const u8{ "/packages", "/browse", "/search", "/trending", "/publish", "/profile", "/settings", "/dependencies", "/stats", "/import", "/notifications" };
+        for (app_routes) |route| {
+            if (std.mem.eql(u8, path_only, route)) return true;
+        }
+        return std.mem.startsWith(u8, path_only, "/packages/");
+    }
+
     fn handlePackagePage(self: *Server, stream: std.Io.net.Stream, path: []const u8) !void {
-        // Parse package path: /packages/{owner}/{repo}
-        const path_after_packages = path[10..]; // Skip "/packages/"
-        var path_parts = std.mem.splitSequence(u8, path_after_packages, "/");
-        
-        const owner = path_parts.next() orelse return self.serveJsonError(stream, 400, "Missing owner");
-        const repo = path_parts.next() orelse return self.serveJsonError(stream, 400, "Missing repo");
-        
-        // For now, serve a simple HTML page - in production this would be templated
-        const package_html = try std.fmt.allocPrint(self.allocator,
-            \\<!DOCTYPE html>
-            \\<html lang="en">
-            \\<head>
-            \\    <meta charset="UTF-8">
-            \\    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            \\    <title>{s}/{s} - Zepplin Registry</title>
-            \\    <link rel="stylesheet" href="/css/style.css">
-            \\</head>
-            \\<body>
-            \\    <header class="header">
-            \\        <div class="container">
-            \\            <div class="header-content">
-            \\                <div class="logo">
-            \\                    <img src="/images/zepplin-logo.svg" alt="Zepplin" class="logo-img">
-            \\                </div>
-            \\                <nav class="nav">
-            \\                    <a href="/" class="nav-link">Home</a>
-            \\                    <a href="/packages" class="nav-link">Browse</a>
-            \\                    <a href="/trending" class="nav-link">Trending</a>
-            \\                    <a href="/docs" class="nav-link">Docs</a>
-            \\                    <div id="auth-nav"></div>
-            \\                </nav>
-            \\            </div>
-            \\        </div>
-            \\    </header>
-            \\    <div class="container" style="margin-top: 2rem;">
-            \\        <h1>{s}/{s}</h1>
-            \\        <p>Package details would go here...</p>
-            \\        
-            \\        <div id="comments-section" style="margin-top: 3rem;">
-            \\            <h2>Comments</h2>
-            \\            <div id="comments-list"></div>
-            \\            <div id="comment-form" style="margin-top: 2rem; display: none;">
-            \\                <textarea id="comment-content" placeholder="Add a comment..." rows="4" style="width: 100%%; padding: 0.5rem;"></textarea>
-            \\                <br><br>
-            \\                <button id="submit-comment" style="background: var(--lightning-400); color: var(--bg-primary); padding: 0.5rem 1rem; border: none; border-radius: 0.25rem; cursor: pointer;">Post Comment</button>
-            \\            </div>
-            \\        </div>
-            \\    </div>
-            \\    
-            \\    <script src="/js/main.js"></script>
-            \\    <script>
-            \\        const packageId = '{s}/{s}';
-            \\        
-            \\        async function loadComments() {{
-            \\            try {{
-            \\                const response = await fetch(`/api/v1/comments/${{packageId}}`);
-            \\                const data = await response.json();
-            \\                const commentsList = document.getElementById('comments-list');
-            \\                
-            \\                if (data.comments && data.comments.length > 0) {{
-            \\                    commentsList.innerHTML = data.comments.map(comment => `
-            \\                        <div style="border: 1px solid var(--border-subtle); padding: 1rem; margin-bottom: 1rem; border-radius: 0.5rem;">
-            \\                            <div style="font-weight: 600; color: var(--lightning-400);">${{comment.display_name || comment.username}}</div>
-            \\                            <div style="font-size: 0.875rem; color: var(--text-muted); margin-bottom: 0.5rem;">
-            \\                                ${{new Date(comment.created_at * 1000).toLocaleString()}}
-            \\                            </div>
-            \\                            <div>${{comment.content}}</div>
-            \\                        </div>
-            \\                    `).join('');
-            \\                }} else {{
-            \\                    commentsList.innerHTML = '<p style="color: var(--text-muted);">No comments yet. Be the first to comment!</p>';
-            \\                }}
-            \\            }} catch (error) {{
-            \\                console.error('Failed to load comments:', error);
-            \\            }}
-            \\        }}
-            \\        
-            \\        function checkAuth() {{
-            \\            const token = localStorage.getItem('zepplin_token');
-            \\            const commentForm = document.getElementById('comment-form');
-            \\            if (token) {{
-            \\                commentForm.style.display = 'block';
-            \\            }}
-            \\        }}
-            \\        
-            \\        async function submitComment() {{
-            \\            const content = document.getElementById('comment-content').value.trim();
-            \\            const token = localStorage.getItem('zepplin_token');
-            \\            
-            \\            if (!content) {{
-            \\                alert('Please enter a comment');
-            \\                return;
-            \\            }}
-            \\            
-            \\            try {{
-            \\                const response = await fetch(`/api/v1/comments/${{packageId}}`, {{
-            \\                    method: 'POST',
-            \\                    headers: {{
-            \\                        'Content-Type': 'application/json',
-            \\                        'Authorization': `Bearer ${{token}}`
-            \\                    }},
-            \\                    body: JSON.stringify({{ content }})
-            \\                }});
-            \\                
-            \\                if (response.ok) {{
-            \\                    document.getElementById('comment-content').value = '';
-            \\                    loadComments();
-            \\                }} else {{
-            \\                    const error = await response.text();
-            \\                    alert('Failed to post comment: ' + error);
-            \\                }}
-            \\            }} catch (error) {{
-            \\                console.error('Failed to submit comment:', error);
-            \\                alert('Failed to post comment');
-            \\            }}
-            \\        }}
-            \\        
-            \\        document.addEventListener('DOMContentLoaded', () => {{
-            \\            loadComments();
-            \\            checkAuth();
-            \\            
-            \\            document.getElementById('submit-comment').addEventListener('click', submitComment);
-            \\        }});
-            \\    </script>
-            \\</body>
-            \\</html>
-        , .{ owner, repo, owner, repo, owner, repo });
-        defer self.allocator.free(package_html);
-        
-        const response = try std.fmt.allocPrint(self.allocator,
-            "HTTP/1.1 200 OK\r\n" ++
-            "Content-Type: text/html\r\n" ++
-            "Content-Length: {d}\r\n" ++
-            "\r\n" ++
-            "{s}",
-            .{ package_html.len, package_html }
-        );
-        defer self.allocator.free(response);
-        
-        try compat.streamWriteAll(stream, self.io, response);
+        // /packages/my and /packages/{owner}/{repo} are views of the single-page app;
+        // the router in web/js/main.js picks the view and loads its data from /api/v1
+        _ = path;
+        try self.serveStaticFile(stream, "web/templates/index.html");
     }
 };
@@ -173,6 +173,16 @@ pub const Storage = struct {
         return true;
     }
 
+    /// Whether any release of the package has been stored. The package's
+    /// directory outlives deleted releases, so this stays true once it was.
+    pub fn hasPackage(self: *Storage, name: []const u8) bool {
+        const package_dir = std.Io.Dir.path.join(self.allocator, &.{ self.storage_path, "packages", name }) catch return false;
+        defer self.allocator.free(package_dir);
+
+        std.Io.Dir.cwd().access(self.io, package_dir, .{}) catch return false;
+        return true;
+    }
+
     pub fn deletePackage(self: *Storage, name: []const u8, version: types.Version) !void {
         const version_str = try version.toString(self.allocator);
         defer self.allocator.free(version_str);
@@ -186,6 +196,60 @@ pub const Storage = struct {
         };
     }
 
+    // Resumable uploads: each chunk is its own file under uploads/{id}/, so a
+    // retried chunk simply overwrites the earlier attempt
+    pub fn storeUploadChunk(self: *Storage, upload_id: []const u8, index: u64, data: []const u8) !void {
+        var dir_buffer: [512]u8 = undefined;
+        const upload_dir = try std.fmt.bufPrint(&dir_buffer, "{s}/uploads/{s}", .{ self.storage_path, upload_id });
+        std.Io.Dir.cwd().createDirPath(self.io, upload_dir) catch {};
+
+        var path_buffer: [640]u8 = undefined;
+        const chunk_path = try std.fmt.bufPrint(&path_buffer, "{s}/{d}.chunk", .{ upload_dir, index });
+
+        const file = try std.Io.Dir.cwd().createFile(self.io, chunk_path, .{});
+        defer file.close(self.io);
+        var write_buf: [8192]u8 = undefined;
+        var writer = file.writer(self.io, &write_buf);
+        try writer.interface.writeAll(data);
+        try writer.interface.flush();
+    }
+
+    /// Concatenates chunks 0..chunk_count into one buffer owned by the caller.
+    pub fn assembleUpload(self: *Storage, upload_id: []const u8, chunk_count: u64, total_size: u64) ![]u8 {
+        const contents = try self.allocator.alloc(u8, total_size);
+        errdefer self.allocator.free(contents);
+
+        var offset: usize = 0;
+        var index: u64 = 0;
+        while (index < chunk_count) : (index += 1) {
+            var path_buffer: [640]u8 = undefined;
+            const chunk_path = try std.fmt.bufPrint(&path_buffer, "{s}/uploads/{s}/{d}.chunk", .{ self.storage_path, upload_id, index });
+
+            const file = std.Io.Dir.cwd().openFile(self.io, chunk_path, .{}) catch |err| switch (err) {
+                error.FileNotFound => return StorageError.FileNotFound,
+                else => return err,
+            };
+            defer file.close(self.io);
+
+            const chunk_size = (try file.stat(self.io)).size;
+            if (offset + chunk_size > contents.len) return StorageError.InvalidPackage;
+
+            var read_buf: [8192]u8 = undefined;
+            var reader = file.reader(self.io, &read_buf);
+            try reader.interface.readSliceAll(contents[offset .. offset + chunk_size]);
+            offset += chunk_size;
+        }
+
+        if (offset != contents.len) return StorageError.InvalidPackage;
+        return contents;
+    }
+
+    pub fn deleteUpload(self: *Storage, upload_id: []const u8) void {
+        var dir_buffer: [512]u8 = undefined;
+        const upload_dir = std.fmt.bufPrint(&dir_buffer, "{s}/uploads/{s}", .{ self.storage_path, upload_id }) catch return;
+        std.Io.Dir.cwd().deleteTree(self.io, upload_dir) catch {};
+    }
+
     pub fn compressPackage(self: *Storage, source_dir: []const u8) ![]u8 {
         // Create tar archive from directory contents
         var tar_data: std.ArrayList(u8) = .empty;
@@ -328,7 +392,58 @@ pub const Storage = struct {
         // Create destination directory
         std.Io.Dir.cwd().createDirPath(self.io, dest_dir) catch {};
 
-        // Decompress gzip
+        const tar_data = try self.decompressGzip(compressed_data);
+        defer self.allocator.free(tar_data);
+
+        // Extract tar contents
+        try self.extractTar(tar_data, dest_dir);
+    }
+
+    /// Read a single file out of a stored package archive without extracting it to disk.
+    /// Matches `names` against entries at the archive root or one directory deep
+    /// (GitHub-style `repo-1.0.0/README.md`). Returns null when no entry matches.
+    pub fn readPackageFile(self: *Storage, compressed_data: []const u8, names: []const []const u8) !?[]u8 {
+        const tar_data = try self.decompressGzip(compressed_data);
+        defer self.allocator.free(tar_data);
+
+        var offset: usize = 0;
+        while (offset + 512 <= tar_data.len) {
+            const header = tar_data[offset .. offset + 512];
+            if (std.mem.allEqual(u8, header, 0)) break;
+
+            const name_end = std.mem.indexOfScalar(u8, header[0..100], 0) orelse 100;
+            const entry_name = header[0..name_end];
+
+            var size: u64 = 0;
+            for (header[124..135]) |c| {
+                if (c >= '0' and c <= '7') {
+                    size = size * 8 + (c - '0');
+                }
+            }
+
+            const type_flag = header[156];
+            offset += 512;
+            if (offset + size > tar_data.len) return StorageError.ExtractionError;
+
+            if (type_flag == '0' or type_flag == 0) {
+                const depth = std.mem.count(u8, entry_name, "/");
+                const base_name = std.fs.path.basename(entry_name);
+                if (depth <= 1) {
+                    for (names) |wanted| {
+                        if (std.mem.eql(u8, base_name, wanted)) {
+                            return try self.allocator.dupe(u8, tar_data[offset .. offset + size]);
+                        }
+                    }
+                }
+            }
+
+            offset += ((size + 511) / 512) * 512;
+        }
+
+        return null;
+    }
+
+    fn decompressGzip(self: *Storage, compressed_data: []const u8) ![]u8 {
         if (compressed_data.len < 10) {
             return StorageError.CompressionError;
         }
@@ -377,7 +492,7 @@ pub const Storage = struct {
         const deflate_data = compressed_data[header_end .. compressed_data.len - 8];
 
         var tar_data: std.ArrayList(u8) = .empty;
-        defer tar_data.deinit(self.allocator);
+        errdefer tar_data.deinit(self.allocator);
 
         var fbs = std.io.fixedBufferStream(deflate_data);
         var decompressor = std.compress.deflate.decompressor(.raw, fbs.reader());
@@ -392,8 +507,7 @@ pub const Storage = struct {
             try tar_data.appendSlice(self.allocator, buf[0..read]);
         }
 
-        // Extract tar contents
-        try self.extractTar(tar_data.items, dest_dir);
+        return tar_data.toOwnedSlice(self.allocator);
     }
 
     fn extractTar(self: *Storage, tar_data: []const u8, dest_dir: []const u8) !void {
@@ -0,0 +1,182 @@
+//! Mirrors packages from the public Zig ecosystem into the registry. Lists
+//! the upstream Zigistry catalog for browsing, and imports one package at a
+//! time, so the caller can report progress per package.
+//! Imported packages carry the upstream metadata; they have no releases until
+//! one is published here.
+
+const std = @import("std");
+const compat = @import("../common/compat.zig");
+const ZigistryClient = @import("../zigistry/client.zig").ZigistryClient;
+const Database = @import("../database/database.zig").Database;
+
+pub const ImportError = error{
+    /// The package isn't in the upstream catalog
+    NotFound,
+};
+
+// Zigistry is the only upstream catalog the importer reads
+pub const Source = enum {
+    zigistry,
+};
+
+pub const Entry = struct {
+    source: Source,
+    full_name: []const u8,
+    owner: []const u8,
+    repo: []const u8,
+    description: []const u8,
+    license: ?[]const u8,
+    github_url: ?[]const u8,
+    github_stars: u32,
+    /// Zigistry's ranking score, when it has one
+    zigistry_score: ?f32,
+    topics: []const []const u8,
+    /// Whether the registry already has a package by this name
+    imported: bool,
+};
+
+pub const Catalog = struct {
+    packages: []Entry,
+    total: usize,
+};
+
+pub const Status = enum {
+    imported,
+    /// Already in the registry; left untouched
+    exists,
+};
+
+pub const Result = struct {
+    package: Entry,
+    status: Status,
+};
+
+pub const EcosystemImporter = struct {
+    allocator: std.mem.Allocator,
+    io: std.Io,
+    zigistry: *ZigistryClient,
+    database: *Database,
+
+    /// Everything returned is allocated from `allocator`; pass an arena.
+    pub fn init(allocator: std.mem.Allocator, io: std.Io, zigistry: *ZigistryClient, database: *Database) EcosystemImporter {
+        return .{
+            .allocator = allocator,
+            .io = io,
+            .zigistry = zigistry,
+            .database = database,
+        };
+    }
+
+    /// Upstream packages matching `query` (name or description), or in
+    /// `category` when there's no query. Zigistry ranks and limits its own
+    /// results, so a page is cut from the first `offset + limit` of them.
+    pub fn catalog(self: *EcosystemImporter, source: Source, query: []const u8, category: ?[]const u8, limit: usize, offset: usize) !Catalog {
+        const entries = switch (source) {
+            .zigistry => try self.zigistryEntries(query, category, offset + limit),
+        };
+
+        var matches: std.ArrayList(Entry) = .empty;
+        for (entries) |entry| {
+            // An entry without an owner can't be mirrored
+            if (entry.owner.len == 0) continue;
+            try matches.append(self.allocator, entry);
+        }
+
+        const start = @min(offset, matches.items.len);
+        const page = matches.items[start..@min(start + limit, matches.items.len)];
+        for (page) |*entry| entry.imported = try self.database.packageExists(entry.owner, entry.repo);
+        return .{ .packages = page, .total = matches.items.len };
+    }
+
+    /// Looks `full_name` ("owner/repo") up in the upstream catalog and adds it
+    /// to the registry unless a package by that name is already there.
+    pub fn importPackage(self: *EcosystemImporter, source: Source, full_name: []const u8) !Result {
+        const slash = std.mem.indexOfScalar(u8, full_name, '/') orelse return ImportError.NotFound;
+        const candidates = switch (source) {
+            .zigistry => try self.zigistryEntries(full_name[slash + 1 ..], null, 50),
+        };
+        const entry = for (candidates) |candidate| {
+            if (std.ascii.eqlIgnoreCase(candidate.full_name, full_name)) break candidate;
+        } else return ImportError.NotFound;
+
+        if (try self.database.packageExists(entry.owner, entry.repo)) {
+            var existing = entry;
+            existing.imported = true;
+            return .{ .package = existing, .status = .exists };
+        }
+
+        const now = compat.timestamp();
+        try self.database.addPackageGitHub(.{
+            .owner = entry.owner,
+            .repo = entry.repo,
+            .description = entry.description,
+            .topics = entry.topics,
+            .license = entry.license,
+            .homepage = entry.github_url,
+            .github_url = entry.github_url,
+            .github_stars = entry.github_stars,
+            .created_at = now,
+            .updated_at = now,
+        });
+        std.log.info("Mirrored {s} from {s}", .{ entry.full_name, @tagName(source) });
+
+        var imported = entry;
+        imported.imported = true;
+        return .{ .package = imported, .status = .imported };
+    }
+
+    fn zigistryEntries(self: *EcosystemImporter, query: []const u8, category: ?[]const u8, limit: usize) ![]Entry {
+        const packages = if (query.len > 0)
+            try self.zigistry.searchPackages(query, limit)
+        else
+            try self.zigistry.getTrending(category, limit);
+        defer {
+            for (packages) |*pkg| pkg.deinit(self.zigistry.allocator);
+            self.zigistry.allocator.free(packages);
+        }
+
+        const entries = try self.allocator.alloc(Entry, packages.len);
+        for (packages, entries) |pkg, *entry| {
+            const name = githubName(pkg.github_url) orelse splitName(pkg.name);
+            const topics = try self.allocator.alloc([]const u8, pkg.topics.len);
+            for (pkg.topics, topics) |topic, *copy| copy.* = try self.allocator.dupe(u8, topic);
+
+            entry.* = .{
+                .source = .zigistry,
+                .full_name = try std.fmt.allocPrint(self.allocator, "{s}/{s}", .{ name.owner, name.repo }),
+                .owner = try self.allocator.dupe(u8, name.owner),
+                .repo = try self.allocator.dupe(u8, name.repo),
+                .description = try self.allocator.dupe(u8, pkg.description orelse ""),
+                .license = if (pkg.license) |license| try self.allocator.dupe(u8, license) else null,
+                .github_url = try self.allocator.dupe(u8, pkg.github_url),
+                .github_stars = pkg.github_stars,
+                .zigistry_score = pkg.zigistry_score,
+                .topics = topics,
+                .imported = false,
+            };
+        }
+        return entries;
+    }
+};
+
+const Name = struct { owner: []const u8, repo: []const u8 };
+
+// "https://github.com/owner/repo(.git)(/)" -> owner, repo
+fn githubName(url: []const u8) ?Name {
+    const prefix = "https://github.com/";
+    if (!std.mem.startsWith(u8, url, prefix)) return null;
+    const path = std.mem.trimRight(u8, url[prefix.len..], "/");
+    const slash = std.mem.indexOfScalar(u8, path, '/') orelse return null;
+    const repo = path[slash + 1 ..];
+    if (slash == 0 or repo.len == 0 or std.mem.indexOfScalar(u8, repo, '/') != null) return null;
+    return .{
+        .owner = path[0..slash],
+        .repo = if (std.mem.endsWith(u8, repo, ".git")) repo[0 .. repo.len - 4] else repo,
+    };
+}
+
+// Zigistry names without a GitHub URL; bare names get an empty owner
+fn splitName(name: []const u8) Name {
+    const slash = std.mem.indexOfScalar(u8, name, '/') orelse return .{ .owner = "", .repo = name };
+    return .{ .owner = name[0..slash], .repo = name[slash + 1 ..] };
+}
@@ -0,0 +1,306 @@
+//! Trending ranks computed by the registry. A package's score for a period
+//! comes from its activity in that window: download velocity (downloads per
+//! day, scaled by how much they grew against the window before), releases
+//! published and comments posted. Ranking the window that ended one step
+//! earlier gives each entry its movement.
+
+const std = @import("std");
+const types = @import("../common/types.zig");
+const Database = @import("../database/database.zig").Database;
+
+const day = std.time.s_per_day;
+
+// Added to ln(1 + downloads per day): a release weighs about as much as a
+// few extra downloads a day, a comment a fraction of that
+const RELEASE_WEIGHT = 1.5;
+const COMMENT_WEIGHT = 0.25;
+// Bounds on the growth factor, so a package going from 0 to 3 downloads
+// doesn't outrank one with steady heavy use
+const MIN_GROWTH = 0.5;
+const MAX_GROWTH = 2.0;
+// Candidates come from the first page of the package listing
+const MAX_PACKAGES = 500;
+
+pub const Period = enum {
+    week,
+    month,
+    all,
+
+    // Scoring window in days; all-time covers everything recorded
+    fn days(self: Period) ?i64 {
+        return switch (self) {
+            .week => 7,
+            .month => 30,
+            .all => null,
+        };
+    }
+
+    // How much earlier the ranking used for movement ends
+    fn step(self: Period) i64 {
+        return (self.days() orelse 7) * day;
+    }
+
+    fn sparkline(self: Period) struct { period: types.DownloadPeriod, buckets: i64 } {
+        return switch (self) {
+            .week => .{ .period = .day, .buckets = 7 },
+            .month => .{ .period = .day, .buckets = 30 },
+            .all => .{ .period = .week, .buckets = 52 },
+        };
+    }
+};
+
+pub const Signals = struct {
+    downloads: u64 = 0,
+    previous_downloads: u64 = 0,
+    releases: u64 = 0,
+    comments: u64 = 0,
+};
+
+pub const Entry = struct {
+    full_name: []const u8,
+    owner: []const u8,
+    name: []const u8,
+    description: []const u8,
+    latest_version: []const u8,
+    download_count: u64,
+    source: []const u8 = "local",
+    rank: usize,
+    /// Rank one step earlier; null when the package wasn't ranked then
+    previous_rank: ?usize,
+    score: f64,
+    /// Percent change in downloads against the previous window; null for
+    /// all-time and when there were no downloads before
+    trend_score: ?i64,
+    downloads: u64,
+    releases: u64,
+    comments: u64,
+    /// Downloads per day (per week for all-time), oldest first
+    sparkline: []const u64,
+};
+
+pub fn score(signals: Signals, period: Period) f64 {
+    const downloads: f64 = @floatFromInt(signals.downloads);
+    const releases: f64 = @floatFromInt(signals.releases);
+    const comments: f64 = @floatFromInt(signals.comments);
+
+    // All-time velocity is averaged over a nominal year
+    const days: f64 = @floatFromInt(period.days() orelse 365);
+    var velocity = @log(1 + downloads / days);
+    if (period != .all) {
+        const previous: f64 = @floatFromInt(signals.previous_downloads);
+        velocity *= std.math.clamp(@sqrt((downloads + 1) / (previous + 1)), MIN_GROWTH, MAX_GROWTH);
+    }
+    return velocity + RELEASE_WEIGHT * releases + COMMENT_WEIGHT * comments;
+}
+
+/// The `limit` best scoring packages for `period` as of `now`. Packages with
+/// no activity in the window are left out. Everything returned is allocated
+/// from `arena`.
+pub fn rank(arena: std.mem.Allocator, database: *Database, period: Period, now: i64, limit: usize) ![]Entry {
+    const packages = try database.listPackages(MAX_PACKAGES, 0);
+    defer database.freePackages(packages);
+
+    const current = try scoreWindow(arena, database, packages, period, now);
+    const earlier = try scoreWindow(arena, database, packages, period, now - period.step());
+
+    const entries = try arena.alloc(Entry, @min(limit, current.len));
+    for (entries, current[0..entries.len], 1..) |*entry, scored, position| {
+        const pkg = packages[scored.index];
+        const signals = scored.signals;
+
+        const previous_rank: ?usize = for (earlier, 1..) |other, earlier_position| {
+            if (other.index == scored.index) break earlier_position;
+        } else null;
+        const trend_score: ?i64 = if (period == .all or signals.previous_downloads == 0) null else blk: {
+            const downloads: f64 = @floatFromInt(signals.downloads);
+            const previous: f64 = @floatFromInt(signals.previous_downloads);
+            break :blk @intFromFloat(@round((downloads - previous) / previous * 100));
+        };
+
+        entry.* = .{
+            .full_name = scored.full_name,
+            .owner = try arena.dupe(u8, packageOwner(pkg)),
+            .name = try arena.dupe(u8, packageRepo(pkg)),
+            .description = try arena.dupe(u8, pkg.description orelse ""),
+            .latest_version = if (pkg.latest_version) |version| try arena.dupe(u8, version) else try pkg.version.toString(arena),
+            .download_count = pkg.download_count,
+            .rank = position,
+            .previous_rank = previous_rank,
+            .score = scored.score,
+            .trend_score = trend_score,
+            .downloads = signals.downloads,
+            .releases = signals.releases,
+            .comments = signals.comments,
+            .sparkline = try sparkline(arena, database, scored.full_name, period, now),
+        };
+    }
+    return entries;
+}
+
+const Scored = struct {
+    index: usize,
+    full_name: []const u8,
+    signals: Signals,
+    score: f64,
+};
+
+// Packages with activity in the window ending at `end`, best first
+fn scoreWindow(arena: std.mem.Allocator, database: *Database, packages: []const types.PackageMetadata, period: Period, end: i64) ![]Scored {
+    const start: i64 = if (period.days()) |days| end - days * day else 0;
+    // All-time has no previous window; [0, 0) matches nothing
+    const previous_start: i64 = if (period.days()) |days| start - days * day else 0;
+
+    const downloads = try database.getDownloadTotals(start, end);
+    defer database.freePackageCounts(downloads);
+    const previous_downloads = try database.getDownloadTotals(previous_start, start);
+    defer database.freePackageCounts(previous_downloads);
+    const comments = try database.getCommentTotals(start, end);
+    defer database.freePackageCounts(comments);
+    const releases = try database.getReleaseTotals(start, end);
+    defer database.freePackageCounts(releases);
+
+    var scored: std.ArrayList(Scored) = .empty;
+    for (packages, 0..) |pkg, index| {
+        const owner = packageOwner(pkg);
+        const repo = packageRepo(pkg);
+        const full_name = try std.fmt.allocPrint(arena, "{s}/{s}", .{ owner, repo });
+
+        const signals = Signals{
+            .downloads = countFor(downloads, full_name),
+            .previous_downloads = countFor(previous_downloads, full_name),
+            .releases = countFor(releases, full_name),
+            .comments = countFor(comments, full_name),
+        };
+        if (signals.downloads == 0 and signals.releases == 0 and signals.comments == 0) continue;
+
+        try scored.append(arena, .{
+            .index = index,
+            .full_name = full_name,
+            .signals = signals,
+            .score = score(signals, period),
+        });
+    }
+
+    std.mem.sort(Scored, scored.items, {}, struct {
+        fn lessThan(_: void, a: Scored, b: Scored) bool {
+            return a.score > b.score;
+        }
+    }.lessThan);
+    return scored.items;
+}
+
+fn countFor(counts: []const types.PackageCount, full_name: []const u8) u64 {
+    for (counts) |entry| {
+        if (std.mem.eql(u8, entry.package, full_name)) return entry.count;
+    }
+    return 0;
+}
+
+// Zero-filled downloads per bucket, ending with the bucket containing `now`
+fn sparkline(arena: std.mem.Allocator, database: *Database, full_name: []const u8, period: Period, now: i64) ![]u64 {
+    const shape = period.sparkline();
+    const bucket_seconds: i64 = switch (shape.period) {
+        .day => day,
+        .week => 7 * day,
+    };
+    const first = shape.period.bucketStart(now) - (shape.buckets - 1) * bucket_seconds;
+
+    const history = try database.getDownloadHistory(full_name, shape.period, first);
+    defer database.freeDownloadHistory(history);
+
+    const values = try arena.alloc(u64, @intCast(shape.buckets));
+    @memset(values, 0);
+    for (history) |entry| {
+        const index = @divFloor(entry.bucket - first, bucket_seconds);
+        if (index >= 0 and index < shape.buckets) values[@intCast(index)] += entry.count;
+    }
+    return values;
+}
+
+// Same owner/repo split as the package listing
+fn packageOwner(pkg: types.PackageMetadata) []const u8 {
+    if (pkg.owner) |owner| return owner;
+    if (std.mem.indexOfScalar(u8, pkg.name, '/')) |slash| return pkg.name[0..slash];
+    return pkg.author orelse "";
+}
+
+fn packageRepo(pkg: types.PackageMetadata) []const u8 {
+    if (pkg.repo) |repo| return repo;
+    if (std.mem.indexOfScalar(u8, pkg.name, '/')) |slash| return pkg.name[slash + 1 ..];
+    return pkg.name;
+}
+
+test "score weighs releases and comments on top of download velocity" {
+    const tolerance = 1e-9;
+    try std.testing.expectEqual(@as(f64, 0), score(.{}, .week));
+    try std.testing.expectApproxEqAbs(RELEASE_WEIGHT, score(.{ .releases = 1 }, .week), tolerance);
+    try std.testing.expectApproxEqAbs(4 * COMMENT_WEIGHT, score(.{ .comments = 4 }, .month), tolerance);
+    // 70 downloads over a week, the same as the week before: growth factor 1
+    try std.testing.expectApproxEqAbs(@log(11.0), score(.{ .downloads = 70, .previous_downloads = 70 }, .week), tolerance);
+}
+
+test "score clamps download growth" {
+    const tolerance = 1e-9;
+    // From nothing to 70 downloads a week: capped at MAX_GROWTH
+    try std.testing.expectApproxEqAbs(MAX_GROWTH * @log(11.0), score(.{ .downloads = 70 }, .week), tolerance);
+    // A collapse from 700 to 7: floored at MIN_GROWTH
+    try std.testing.expectApproxEqAbs(MIN_GROWTH * @log(2.0), score(.{ .downloads = 7, .previous_downloads = 700 }, .week), tolerance);
+    // All-time has no previous window and averages over a year
+    try std.testing.expectApproxEqAbs(@log(2.0), score(.{ .downloads = 365, .previous_downloads = 1 }, .all), tolerance);
+}
+
+test "score ranks heavy steady use above a small spike" {
+    const steady = score(.{ .downloads = 3000, .previous_downloads = 3000 }, .month);
+    const spike = score(.{ .downloads = 3 }, .month);
+    try std.testing.expect(steady > spike);
+}
+
+test "countFor matches the full package name" {
+    const counts = [_]types.PackageCount{
+        .{ .package = "cktech/zepplin", .count = 12 },
+        .{ .package = "cktech/zepplin-cli", .count = 3 },
+    };
+    try std.testing.expectEqual(@as(u64, 12), countFor(&counts, "cktech/zepplin"));
+    try std.testing.expectEqual(@as(u64, 3), countFor(&counts, "cktech/zepplin-cli"));
+    try std.testing.expectEqual(@as(u64, 0), countFor(&counts, "cktech/zep"));
+}
+
+test "rank counts the non-draft releases published in the window" {
+    var database = try Database.init(std.testing.allocator, ":memory:");
+    defer database.deinit();
+
+    const now: i64 = 1_700_000_000;
+    const releases = [_]struct { owner: []const u8, tag: []const u8, age_days: i64, draft: bool }{
+        .{ .owner = "cktech", .tag = "v0.5.0", .age_days = 20, .draft = false },
+        .{ .owner = "cktech", .tag = "v0.6.0", .age_days = 2, .draft = false },
+        .{ .owner = "cktech", .tag = "v0.6.1", .age_days = 3, .draft = false },
+        .{ .owner = "cktech", .tag = "v0.7.0", .age_days = 1, .draft = true },
+        .{ .owner = "quiet", .tag = "v1.0.0", .age_days = 40, .draft = false },
+    };
+    for (releases) |release| {
+        const published_at = now - release.age_days * day;
+        _ = try database.addRelease(.{
+            .id = 0,
+            .owner = release.owner,
+            .repo = "zepplin",
+            .tag_name = release.tag,
+            .draft = release.draft,
+            .created_at = published_at,
+            .published_at = published_at,
+        });
+    }
+
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+
+    const week = try rank(arena.allocator(), &database, .week, now, 10);
+    try std.testing.expectEqual(@as(usize, 1), week.len);
+    try std.testing.expectEqualStrings("cktech/zepplin", week[0].full_name);
+    try std.testing.expectEqual(@as(u64, 2), week[0].releases);
+    try std.testing.expectEqual(@as(?usize, null), week[0].previous_rank);
+
+    const all = try rank(arena.allocator(), &database, .all, now, 10);
+    try std.testing.expectEqual(@as(usize, 2), all.len);
+    try std.testing.expectEqual(@as(u64, 3), all[0].releases);
+    try std.testing.expectEqual(@as(u64, 1), all[1].releases);
+}
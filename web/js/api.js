@@ -0,0 +1,728 @@
+// Zepplin Registry - API client
+// Single entry point for /api/v1: sends the session's CSRF token on writes,
+// normalizes response shapes, turns serveJsonError bodies into typed errors,
+// retries idempotent GETs, cancels superseded requests and reports expired
+// sessions in one place. The browser session itself is an HttpOnly cookie the
+// page never sees.
+
+class ZepplinApiError extends Error {
+    constructor(message, { status = 0, documentationUrl = null, body = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.documentationUrl = documentationUrl;
+        this.body = body;
+    }
+
+    // Server bodies look like {"message": ..., "documentation_url": ...}; some
+    // older handlers use {"error": ...}
+    static fromResponse(status, body) {
+        const message = (body && (body.message || body.error)) || `Request failed with status ${status}`;
+        const options = { status, documentationUrl: body?.documentation_url || null, body };
+
+        if (status === 400 || status === 422) return new ZepplinValidationError(message, options);
+        if (status === 401) return new ZepplinAuthError(message, options);
+        if (status === 403) return new ZepplinForbiddenError(message, options);
+        if (status === 404) return new ZepplinNotFoundError(message, options);
+        if (status === 409) return new ZepplinConflictError(message, options);
+        if (status === 429) return new ZepplinRateLimitError(message, options);
+        if (status === 501) return new ZepplinNotImplementedError(message, options);
+        if (status >= 500) return new ZepplinServerError(message, options);
+        return new ZepplinApiError(message, options);
+    }
+}
+
+class ZepplinValidationError extends ZepplinApiError {}
+class ZepplinAuthError extends ZepplinApiError {}
+class ZepplinForbiddenError extends ZepplinApiError {}
+class ZepplinNotFoundError extends ZepplinApiError {}
+class ZepplinConflictError extends ZepplinApiError {}
+class ZepplinRateLimitError extends ZepplinApiError {}
+class ZepplinNotImplementedError extends ZepplinApiError {}
+class ZepplinServerError extends ZepplinApiError {}
+class ZepplinNetworkError extends ZepplinApiError {}
+
+// Thrown when a request is superseded or cancelled; callers usually ignore it
+class ZepplinAbortError extends ZepplinApiError {}
+
+class ZepplinApiClient {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl ?? window.location.origin;
+        // Scripts outside the browser session can still pass a Bearer token
+        this.getToken = options.getToken || (() => null);
+        this.csrfToken = null;
+        this.onUnauthorized = options.onUnauthorized || null;
+        this.retries = options.retries ?? 2;
+        this.retryDelay = options.retryDelay ?? 300;
+
+        this.cache = new Map();
+        this.inflight = new Map();
+    }
+
+    // Core request. Options:
+    //   query      - object appended as a query string (null/undefined skipped)
+    //   json       - body serialized as JSON
+    //   body       - raw body (FormData, Blob, string)
+    //   key        - requests sharing a key cancel the previous one still in flight
+    //   signal     - external AbortSignal
+    //   maxAge     - GET only: reuse a cached response younger than this (ms)
+    //   responseType - 'json' (default), 'text' or 'response'
+    //   handleUnauthorized - set false to skip the global 401 handler
+    async request(method, path, options = {}) {
+        const url = this.buildUrl(path, options.query);
+        const isIdempotent = method === 'GET' || method === 'HEAD';
+        const cacheKey = `${options.responseType || 'json'} ${url}`;
+
+        if (isIdempotent && options.maxAge) {
+            const cached = this.cache.get(cacheKey);
+            if (cached && Date.now() - cached.time < options.maxAge) {
+                return cached.data;
+            }
+        }
+
+        const controller = new AbortController();
+        if (options.key) {
+            this.inflight.get(options.key)?.abort();
+            this.inflight.set(options.key, controller);
+        }
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+
+        const headers = { ...(options.headers || {}) };
+        this.addAuthHeaders(headers, method);
+
+        let body = options.body;
+        if (options.json !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(options.json);
+        }
+
+        const attempts = isIdempotent ? this.retries + 1 : 1;
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const data = await this.send(method, url, { headers, body, signal: controller.signal }, options);
+                    if (isIdempotent && options.maxAge) {
+                        this.cache.set(cacheKey, { data, time: Date.now() });
+                    }
+                    return data;
+                } catch (error) {
+                    // Aborting while the body is still streaming rejects with a DOMException
+                    if (controller.signal.aborted) throw new ZepplinAbortError('Request cancelled');
+                    if (error instanceof ZepplinAuthError && options.handleUnauthorized !== false) {
+                        this.onUnauthorized?.(error);
+                    }
+                    if (attempt + 1 >= attempts || !this.isRetryable(error)) throw error;
+                    await this.sleep(this.backoff(attempt), controller.signal);
+                }
+            }
+        } finally {
+            if (options.key && this.inflight.get(options.key) === controller) {
+                this.inflight.delete(options.key);
+            }
+        }
+    }
+
+    async send(method, url, init, options) {
+        let response;
+        try {
+            response = await fetch(url, { method, ...init });
+        } catch (error) {
+            if (init.signal.aborted) throw new ZepplinAbortError('Request cancelled');
+            throw new ZepplinNetworkError(error.message || 'Network request failed');
+        }
+
+        if (!response.ok) {
+            const errorBody = await response.json().catch(() => null);
+            throw ZepplinApiError.fromResponse(response.status, errorBody);
+        }
+
+        if (options.responseType === 'response') return response;
+        if (options.responseType === 'text') return response.text();
+        if (response.status === 204) return null;
+        return response.json();
+    }
+
+    // fetch() can't report upload progress, so bodies that need a progress bar
+    // go through XMLHttpRequest; errors map to the same typed errors as send()
+    upload(method, path, { body, headers = {}, signal, onProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(method, this.buildUrl(path));
+
+            const allHeaders = { ...headers };
+            this.addAuthHeaders(allHeaders, method);
+            Object.entries(allHeaders).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+            const parse = () => {
+                try {
+                    return xhr.responseText ? JSON.parse(xhr.responseText) : null;
+                } catch (error) {
+                    return null;
+                }
+            };
+
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) onProgress?.(e.loaded, e.total);
+            };
+            xhr.onload = () => {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(parse());
+                    return;
+                }
+                const error = ZepplinApiError.fromResponse(xhr.status, parse());
+                if (error instanceof ZepplinAuthError) this.onUnauthorized?.(error);
+                reject(error);
+            };
+            xhr.onerror = () => reject(new ZepplinNetworkError('Network request failed'));
+            xhr.onabort = () => reject(new ZepplinAbortError('Request cancelled'));
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(new ZepplinAbortError('Request cancelled'));
+                    return;
+                }
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+            xhr.send(body);
+        });
+    }
+
+    addAuthHeaders(headers, method) {
+        const token = this.getToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        if (this.csrfToken && method !== 'GET' && method !== 'HEAD') headers['X-CSRF-Token'] = this.csrfToken;
+    }
+
+    isRetryable(error) {
+        return error instanceof ZepplinNetworkError ||
+            error instanceof ZepplinRateLimitError ||
+            (error instanceof ZepplinServerError && error.status !== 501);
+    }
+
+    // Exponential backoff with jitter: ~300ms, ~600ms, ~1200ms...
+    backoff(attempt) {
+        const base = this.retryDelay * Math.pow(2, attempt);
+        return base + Math.random() * base * 0.25;
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new ZepplinAbortError('Request cancelled'));
+            }, { once: true });
+        });
+    }
+
+    buildUrl(path, query) {
+        const url = new URL(path, this.baseUrl);
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(key, value);
+            }
+        });
+        return url.toString();
+    }
+
+    get(path, options) {
+        return this.request('GET', path, options);
+    }
+
+    post(path, options) {
+        return this.request('POST', path, options);
+    }
+
+    put(path, options) {
+        return this.request('PUT', path, options);
+    }
+
+    patch(path, options) {
+        return this.request('PATCH', path, options);
+    }
+
+    delete(path, options) {
+        return this.request('DELETE', path, options);
+    }
+
+    cancel(key) {
+        this.inflight.get(key)?.abort();
+        this.inflight.delete(key);
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    packagePath(owner, repo, ...rest) {
+        return ['/api/v1/packages', owner, repo, ...rest].map((part, i) => i === 0 ? part : encodeURIComponent(part)).join('/');
+    }
+
+    commentsPath(owner, repo, ...rest) {
+        return ['/api/v1/comments', owner, repo, ...rest].map((part, i) => i === 0 ? part : encodeURIComponent(part)).join('/');
+    }
+
+    // Response normalization
+
+    // Search results, listings and package info all describe packages with
+    // slightly different field names; views get one shape
+    normalizePackage(pkg) {
+        const [fullOwner, fullRepo] = (pkg.full_name || '').split('/');
+        const owner = pkg.owner || fullOwner || '';
+        const repo = pkg.repo || fullRepo || pkg.name || '';
+        return {
+            ...pkg,
+            owner,
+            repo,
+            full_name: owner && repo ? `${owner}/${repo}` : (pkg.full_name || pkg.name || ''),
+            description: pkg.description || '',
+            topics: Array.isArray(pkg.topics) ? pkg.topics : [],
+            download_count: Number(pkg.download_count ?? pkg.downloads ?? 0),
+            stargazers_count: Number(pkg.stargazers_count ?? pkg.stars ?? 0),
+            comment_count: Number(pkg.comment_count ?? 0),
+            latest_version: pkg.latest_version || pkg.version || ''
+        };
+    }
+
+    normalizePackageList(data) {
+        const items = Array.isArray(data) ? data : (data?.packages || data?.items || []);
+        return {
+            packages: items.map(pkg => this.normalizePackage(pkg)),
+            total: data?.total_count ?? data?.total ?? items.length
+        };
+    }
+
+    normalizeRelease(release) {
+        return {
+            ...release,
+            version: String(release.tag_name || '').replace(/^v/, ''),
+            draft: Boolean(release.draft),
+            prerelease: Boolean(release.prerelease),
+            sha256: release.sha256 || ''
+        };
+    }
+
+    // Endpoints
+
+    getHealth(options) {
+        return this.get('/api/v1/health', options);
+    }
+
+    getRegistryConfig(options) {
+        return this.get('/api/v1/registry/config', { maxAge: 300000, ...options });
+    }
+
+    async getStats(options) {
+        const stats = await this.get('/api/v1/stats', { maxAge: 60000, ...options });
+        return {
+            ...stats,
+            total_packages: Number(stats.total_packages ?? 0),
+            total_downloads: Number(stats.total_downloads ?? 0),
+            downloads_today: Number(stats.downloads_today ?? 0),
+            active_maintainers: Number(stats.active_maintainers ?? 0)
+        };
+    }
+
+    // Registry activity after `since` (oldest first), or the latest `limit`
+    // entries without it. lastId is what to pass as `since` next time.
+    async getActivity({ since, limit } = {}, options) {
+        const data = await this.get('/api/v1/activity', { query: { since, limit }, ...options });
+        return {
+            events: data?.events || [],
+            lastId: Number(data?.last_id ?? 0),
+            stats: data?.stats || null
+        };
+    }
+
+    // Server-Sent Events of the same activity, for EventSource
+    eventsUrl(since) {
+        return this.buildUrl('/api/v1/events', { since });
+    }
+
+    // Registry-wide downloads per bucket for range '7d', '30d', '90d' or '1y'
+    getDownloadHistory(range, options) {
+        return this.get('/api/v1/stats/downloads', { query: { range }, key: 'downloads', maxAge: 60000, ...options });
+    }
+
+    getPackageDownloads(owner, repo, range, options) {
+        return this.get(this.packagePath(owner, repo, 'downloads'), { query: { range }, key: 'downloads', maxAge: 60000, ...options });
+    }
+
+    async listPackages({ featured, category, limit } = {}, options) {
+        const data = await this.get('/api/v1/packages', {
+            query: { featured: featured ? 'true' : null, category: category === 'all' ? null : category, limit },
+            maxAge: 60000,
+            ...options
+        });
+        return this.normalizePackageList(data);
+    }
+
+    async getUserPackages(username, options) {
+        const data = await this.get(`/api/v1/users/${encodeURIComponent(username)}/packages`, options);
+        return {
+            ...this.normalizePackageList(data),
+            totalDownloads: Number(data?.total_downloads ?? 0)
+        };
+    }
+
+    async getPackage(owner, repo, options) {
+        return this.normalizePackage(await this.get(this.packagePath(owner, repo), { maxAge: 60000, ...options }));
+    }
+
+    async getReleases(owner, repo, options) {
+        const releases = await this.get(this.packagePath(owner, repo, 'releases'), { maxAge: 60000, ...options });
+        return (Array.isArray(releases) ? releases : []).map(release => this.normalizeRelease(release));
+    }
+
+    async getRelease(owner, repo, tag, options) {
+        return this.normalizeRelease(await this.get(this.packagePath(owner, repo, 'releases', tag), options));
+    }
+
+    async getTags(owner, repo, options) {
+        const tags = await this.get(this.packagePath(owner, repo, 'tags'), { maxAge: 60000, ...options });
+        return Array.isArray(tags) ? tags : [];
+    }
+
+    getReadme(owner, repo, options) {
+        return this.get(this.packagePath(owner, repo, 'readme'), { responseType: 'text', maxAge: 60000, ...options });
+    }
+
+    // Downloads are plain links so the browser streams the archive itself
+    downloadUrl(owner, repo, version) {
+        return this.packagePath(owner, repo, 'download', String(version).replace(/^v/, ''));
+    }
+
+    // Absolute URL of a README badge; kind is 'version', 'downloads' or 'zig'.
+    // flat is the server's default style, so it's left out of the URL.
+    badgeUrl(owner, repo, kind, { style, label } = {}) {
+        return this.buildUrl(this.packagePath(owner, repo, 'badge', `${kind}.svg`), {
+            style: style === 'flat' ? null : style,
+            label
+        });
+    }
+
+    // Fetches a release archive as a Blob for reading in the browser. preview=1
+    // keeps these fetches out of the package's download counts. onProgress(loaded,
+    // total) is called as the body streams in; total is 0 without a Content-Length.
+    async downloadArchive(owner, repo, version, { onProgress, ...options } = {}) {
+        const response = await this.get(this.downloadUrl(owner, repo, version), {
+            query: { preview: 1 },
+            responseType: 'response',
+            ...options
+        });
+        if (!onProgress || !response.body) return response.blob();
+
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            onProgress(loaded, total);
+        }
+        return new Blob(chunks);
+    }
+
+    // Lowercase hex sha256 of the archive the registry stores for a release
+    async getArchiveHash(owner, repo, version, options) {
+        const hash = await this.get(this.packagePath(owner, repo, 'hash', String(version).replace(/^v/, '')), {
+            responseType: 'text',
+            maxAge: 60000,
+            ...options
+        });
+        return hash.trim().toLowerCase();
+    }
+
+    // Takes multipart FormData with the archive, or a plain object naming a
+    // finished upload session ({ tag_name, ..., upload_id }). onProgress only
+    // applies to FormData, which is the request carrying the file.
+    async publishRelease(owner, repo, release, { onProgress, ...options } = {}) {
+        const path = this.packagePath(owner, repo, 'releases');
+        const published = release instanceof FormData
+            ? await this.upload('POST', path, { body: release, signal: options.signal, onProgress })
+            : await this.post(path, { json: release, ...options });
+        this.clearCache();
+        return this.normalizeRelease(published);
+    }
+
+    // Resumable uploads: start a session, PUT the file in chunk_size pieces
+    // (in order, from `received`), then publish with the session's upload_id
+    createUpload(owner, repo, { filename, size, sha256 }, options) {
+        return this.post(this.packagePath(owner, repo, 'uploads'), { json: { filename, size, sha256 }, ...options });
+    }
+
+    getUpload(uploadId, options) {
+        return this.get(`/api/v1/uploads/${encodeURIComponent(uploadId)}`, options);
+    }
+
+    uploadChunk(uploadId, chunk, start, totalSize, { signal, onProgress } = {}) {
+        return this.upload('PUT', `/api/v1/uploads/${encodeURIComponent(uploadId)}`, {
+            body: chunk,
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${start + chunk.size - 1}/${totalSize}`
+            },
+            signal,
+            onProgress
+        });
+    }
+
+    async deleteRelease(owner, repo, tag, options) {
+        const result = await this.delete(this.packagePath(owner, repo, 'releases', tag), options);
+        this.clearCache();
+        return result;
+    }
+
+    // Filters mirror the search view's URL state; facets count what each filter
+    // option would match for this query
+    async search(query, { page, perPage, sort, category, license, minZig, hasReleases } = {}, options) {
+        const data = await this.get('/api/v1/search', {
+            query: {
+                q: query,
+                page: page > 1 ? page : null,
+                per_page: perPage,
+                sort: sort && sort !== 'relevance' ? sort : null,
+                category,
+                license,
+                min_zig: minZig,
+                has_releases: hasReleases ? 'true' : null
+            },
+            key: 'search',
+            maxAge: 30000,
+            ...options
+        });
+        const facets = data?.facets || {};
+        return {
+            ...this.normalizePackageList(data),
+            page: data?.page ?? 1,
+            perPage: data?.per_page ?? perPage ?? 20,
+            facets: {
+                categories: facets.categories || [],
+                licenses: facets.licenses || [],
+                zigVersions: facets.zig_versions || []
+            }
+        };
+    }
+
+    // Transitive dependency graph ({ root, nodes, edges, truncated }) of a
+    // release, the latest one when version is empty
+    resolveDependencies(owner, repo, version, options) {
+        return this.post('/api/v1/resolve', {
+            json: { package: `${owner}/${repo}`, version: version || null },
+            key: 'resolve',
+            ...options
+        });
+    }
+
+    // Same graph for an unpublished build.zig.zon
+    resolveManifest(manifest, options) {
+        return this.post('/api/v1/resolve', { json: { manifest }, key: 'resolve', ...options });
+    }
+
+    resolveAlias(shortName, options) {
+        return this.get(`/api/v1/resolve/${encodeURIComponent(shortName)}`, options);
+    }
+
+    async createAlias(shortName, { owner, repo }, options) {
+        const alias = await this.put(`/api/v1/aliases/${encodeURIComponent(shortName)}`, { json: { owner, repo }, ...options });
+        this.clearCache();
+        return alias;
+    }
+
+    // One page of top-level threads, each followed by all of its replies.
+    // Deleted (and, for non-maintainers, hidden) comments that still have
+    // replies come back as placeholders with empty content.
+    async getComments(owner, repo, { page, perPage } = {}, options) {
+        const data = await this.get(this.commentsPath(owner, repo), {
+            query: { page: page > 1 ? page : null, per_page: perPage },
+            ...options
+        });
+        return {
+            comments: data?.comments || [],
+            totalThreads: data?.total_threads ?? 0,
+            commentCount: data?.comment_count ?? 0,
+            page: data?.page ?? 1,
+            perPage: data?.per_page ?? perPage ?? 20,
+            canModerate: Boolean(data?.can_moderate)
+        };
+    }
+
+    async postComment(owner, repo, content, { parentId = null } = {}, options) {
+        const comment = await this.post(this.commentsPath(owner, repo), { json: { content, parent_id: parentId }, ...options });
+        this.clearCache();
+        return comment;
+    }
+
+    editComment(owner, repo, id, content, options) {
+        return this.patch(this.commentsPath(owner, repo, id), { json: { content }, ...options });
+    }
+
+    async deleteComment(owner, repo, id, options) {
+        const result = await this.delete(this.commentsPath(owner, repo, id), options);
+        this.clearCache();
+        return result;
+    }
+
+    // Maintainers only; pass hidden and/or pinned
+    async moderateComment(owner, repo, id, { hidden, pinned }, options) {
+        const comment = await this.put(this.commentsPath(owner, repo, id, 'moderation'), { json: { hidden, pinned }, ...options });
+        this.clearCache();
+        return comment;
+    }
+
+    // Ranked from this registry's downloads, releases and comments; period is
+    // 'week', 'month' or 'all'
+    async getTrending({ period, limit } = {}, options) {
+        const data = await this.get('/api/v1/trending', { query: { period, limit }, key: 'trending', maxAge: 300000, ...options });
+        return {
+            ...this.normalizePackageList(data),
+            period: data?.period || period,
+            generatedAt: data?.generated_at ?? null
+        };
+    }
+
+    // Zigistry's ecosystem-wide ranking, used to fill out a sparse local list
+    async getZigistryTrending({ period, limit } = {}, options) {
+        const data = await this.get('/api/zigistry/trending', { query: { period, limit }, key: 'zigistry-trending', maxAge: 300000, ...options });
+        return this.normalizePackageList(data);
+    }
+
+    // Upstream catalog for the import screen; source is 'zigistry'. Entries
+    // carry `imported` when this registry already has them.
+    async getEcosystemPackages({ source, q, category, limit, offset } = {}, options) {
+        const data = await this.get('/api/v1/ecosystem/packages', {
+            query: { source, q: q || null, category: category || null, limit, offset: offset || null },
+            key: 'ecosystem',
+            maxAge: 60000,
+            ...options
+        });
+        return { ...this.normalizePackageList(data), source: data?.source || source };
+    }
+
+    // Mirrors one upstream package; resolves to { status: 'imported' | 'exists', package }
+    async importEcosystemPackage(source, fullName, options) {
+        const result = await this.post('/api/v1/ecosystem/import', { json: { source, package: fullName }, ...options });
+        this.clearCache();
+        return result;
+    }
+
+    // Also picks up the CSRF token of the cookie session
+    async getCurrentUser(options) {
+        const user = await this.get('/api/v1/auth/me', options);
+        this.csrfToken = user?.csrf_token || null;
+        return user;
+    }
+
+    // Personal access tokens. The secret is only in createToken's response;
+    // listings carry just its prefix.
+    async listTokens(options) {
+        const data = await this.get('/api/v1/auth/tokens', options);
+        return data?.tokens || [];
+    }
+
+    createToken({ name, scopes, expiresInDays = null }, options) {
+        return this.post('/api/v1/auth/tokens', { json: { name, scopes, expires_in_days: expiresInDays }, ...options });
+    }
+
+    revokeToken(id, options) {
+        return this.delete(`/api/v1/auth/tokens/${encodeURIComponent(id)}`, options);
+    }
+
+    // Account settings: sign-in methods, profile and deletion
+    getIdentities(options) {
+        return this.get('/api/v1/account/identities', options);
+    }
+
+    // Resolves with { authorization_url } for the browser to follow
+    startLink(provider, options) {
+        return this.post(`/api/v1/account/identities/${encodeURIComponent(provider)}`, options);
+    }
+
+    // "local" removes the password
+    unlinkIdentity(provider, options) {
+        return this.delete(`/api/v1/account/identities/${encodeURIComponent(provider)}`, options);
+    }
+
+    setPassword(password, currentPassword = null, options) {
+        return this.put('/api/v1/account/password', { json: { password, current_password: currentPassword }, ...options });
+    }
+
+    // Fields left undefined aren't sent, so the server keeps them. emailDigest
+    // is 'off', 'daily' or 'weekly'.
+    updateProfile({ displayName, email, avatarUrl, theme, emailDigest }, options) {
+        return this.patch('/api/v1/account/profile', {
+            json: { display_name: displayName, email, avatar_url: avatarUrl, theme, email_digest: emailDigest },
+            ...options
+        });
+    }
+
+    // Watching packages: level is 'all', 'major' or 'security'. Each call
+    // resolves with { watching, level, watchers }.
+    getWatch(owner, repo, options) {
+        return this.get(this.packagePath(owner, repo, 'watch'), options);
+    }
+
+    watchPackage(owner, repo, level, options) {
+        return this.put(this.packagePath(owner, repo, 'watch'), { json: { level }, ...options });
+    }
+
+    unwatchPackage(owner, repo, options) {
+        return this.delete(this.packagePath(owner, repo, 'watch'), options);
+    }
+
+    async listWatches(options) {
+        const data = await this.get('/api/v1/account/watches', options);
+        return data?.watches || [];
+    }
+
+    // Release notifications, newest first, with { unread_count }; limit 0
+    // fetches just the count
+    async getNotifications({ unread = false, limit } = {}, options) {
+        const data = await this.get('/api/v1/notifications', { query: { unread: unread ? 'true' : null, limit }, ...options });
+        return {
+            unreadCount: Number(data?.unread_count ?? 0),
+            notifications: data?.notifications || []
+        };
+    }
+
+    // ids is a list of notification ids, or 'all'; resolves with the new unread count
+    async markNotificationsRead(ids, options) {
+        const json = ids === 'all' ? { all: true } : { ids };
+        const data = await this.post('/api/v1/notifications/read', { json, ...options });
+        return Number(data?.unread_count ?? 0);
+    }
+
+    // packages is 'transfer' (to transferTo) or 'orphan'; needs a recent sign-in
+    async deleteAccount({ packages, transferTo = null }, options) {
+        try {
+            return await this.delete('/api/v1/account', { json: { packages, transfer_to: transferTo }, ...options });
+        } finally {
+            this.clearCache();
+        }
+    }
+
+    // Sets the session cookie; the response carries the session's CSRF token
+    async login(username, password, options) {
+        const session = await this.post('/api/v1/auth/login', { json: { username, password }, handleUnauthorized: false, ...options });
+        this.csrfToken = session?.csrf_token || null;
+        return session;
+    }
+
+    register({ username, email, password }, options) {
+        return this.post('/api/v1/auth/register', { json: { username, email, password }, ...options });
+    }
+
+    async logout(options) {
+        try {
+            return await this.post('/api/v1/auth/logout', { handleUnauthorized: false, ...options });
+        } finally {
+            this.csrfToken = null;
+        }
+    }
+}
@@ -0,0 +1,122 @@
+// Zepplin Registry - Archive reader
+// Unpacks .tar.gz package archives in the browser: gunzip through
+// DecompressionStream, then walk the tar headers. Understands ustar prefixes,
+// GNU long names and pax path records, which is what `git archive` and
+// GitHub tarballs produce.
+
+class ZepplinArchiveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZepplinArchiveError';
+    }
+}
+
+class ZepplinArchive {
+    static async fromBlob(blob) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new ZepplinArchiveError('This browser cannot read .tar.gz archives');
+        }
+
+        let tar;
+        try {
+            const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+            tar = new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            throw new ZepplinArchiveError('The file is not a valid gzip archive');
+        }
+        return new ZepplinArchive(ZepplinArchive.parseTar(tar));
+    }
+
+    static parseTar(tar) {
+        const decoder = new TextDecoder();
+        const text = (start, length) => {
+            const bytes = tar.subarray(start, start + length);
+            const end = bytes.indexOf(0);
+            return decoder.decode(end === -1 ? bytes : bytes.subarray(0, end));
+        };
+        const octal = (start, length) => parseInt(text(start, length).trim() || '0', 8);
+
+        const entries = [];
+        let longName = null;
+        let paxPath = null;
+        let offset = 0;
+
+        while (offset + 512 <= tar.length) {
+            const header = offset;
+            // Two zero blocks end the archive; one is enough to stop
+            if (tar[header] === 0) break;
+
+            const size = octal(header + 124, 12);
+            const type = String.fromCharCode(tar[header + 156] || 48);
+            const dataStart = header + 512;
+            if (Number.isNaN(size) || dataStart + size > tar.length) {
+                throw new ZepplinArchiveError('The archive is truncated or not a tar file');
+            }
+            const data = tar.subarray(dataStart, dataStart + size);
+            offset = dataStart + Math.ceil(size / 512) * 512;
+
+            if (type === 'L') {
+                longName = decoder.decode(data).replace(/\0+$/, '');
+                continue;
+            }
+            if (type === 'x') {
+                paxPath = ZepplinArchive.paxRecord(decoder.decode(data), 'path');
+                continue;
+            }
+            if (type === 'g') continue;
+
+            const prefix = text(header + 257, 6).startsWith('ustar') ? text(header + 345, 155) : '';
+            const headerName = text(header, 100);
+            const name = paxPath || longName || (prefix ? `${prefix}/${headerName}` : headerName);
+            longName = null;
+            paxPath = null;
+
+            entries.push({
+                path: name.replace(/^\.\//, ''),
+                type: type === '5' ? 'directory' : (type === '2' ? 'symlink' : 'file'),
+                size,
+                mode: octal(header + 100, 8),
+                data
+            });
+        }
+
+        return entries;
+    }
+
+    // pax records are "<length> <key>=<value>\n"
+    static paxRecord(records, key) {
+        for (const record of records.split('\n')) {
+            const match = /^\d+ ([^=]+)=(.*)$/.exec(record);
+            if (match && match[1] === key) return match[2];
+        }
+        return null;
+    }
+
+    constructor(entries) {
+        this.entries = entries;
+        this.files = entries.filter(entry => entry.type === 'file');
+    }
+
+    // GitHub and `git archive --prefix` wrap everything in one top-level directory
+    get root() {
+        const first = this.files[0]?.path.split('/')[0];
+        if (!first || !this.files.every(file => file.path.startsWith(`${first}/`))) return '';
+        return `${first}/`;
+    }
+
+    find(path) {
+        return this.files.find(file => file.path === path) ||
+            this.files.find(file => file.path === `${this.root}${path}`) ||
+            null;
+    }
+
+    text(entry) {
+        return new TextDecoder().decode(entry.data);
+    }
+
+    // Parsed build.zig.zon, or null when the archive has none
+    manifest() {
+        const entry = this.find('build.zig.zon');
+        return entry ? ZepplinZon.parse(this.text(entry)) : null;
+    }
+}
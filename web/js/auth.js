@@ -0,0 +1,87 @@
+// Zepplin Registry - Sign-in page
+// Login and registration forms for /auth. Kept out of auth.html so the page
+// runs under the same script-src 'self' policy as the app.
+
+const api = new ZepplinApiClient();
+const messageDiv = document.getElementById('message');
+const loginCard = document.getElementById('loginCard');
+const registerCard = document.getElementById('registerCard');
+
+function showMessage(content, type) {
+    ZepplinHtml.render(messageDiv, html`<div class="message ${type}">${content}</div>`);
+    if (type === 'success') {
+        setTimeout(() => ZepplinHtml.clear(messageDiv), 8000);
+    }
+}
+
+function showRegister() {
+    loginCard.style.display = 'none';
+    registerCard.style.display = 'block';
+    ZepplinHtml.clear(messageDiv);
+}
+
+function showLogin() {
+    registerCard.style.display = 'none';
+    loginCard.style.display = 'block';
+    ZepplinHtml.clear(messageDiv);
+}
+
+document.querySelectorAll('[data-show]').forEach(link => {
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        if (link.dataset.show === 'register') {
+            showRegister();
+        } else {
+            showLogin();
+        }
+    });
+});
+
+document.getElementById('registerForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const username = document.getElementById('reg-username').value;
+    const email = document.getElementById('reg-email').value;
+    const password = document.getElementById('reg-password').value;
+
+    try {
+        const data = await api.register({ username, email, password });
+        showMessage(html`Account created! Your API token:<div class="token-display">${data.token}</div>`, 'success');
+        document.getElementById('registerForm').reset();
+    } catch (error) {
+        showMessage(error instanceof ZepplinNetworkError
+            ? 'Network error: ' + error.message
+            : error.message || 'Registration failed', 'error');
+    }
+});
+
+document.getElementById('loginForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const username = document.getElementById('login-username').value;
+    const password = document.getElementById('login-password').value;
+
+    try {
+        // The server sets the session cookie; nothing to store here
+        await api.login(username, password);
+        showMessage('Welcome back! Redirecting...', 'success');
+        setTimeout(() => window.location.href = '/', 1000);
+    } catch (error) {
+        showMessage(error instanceof ZepplinNetworkError
+            ? 'Network error: ' + error.message
+            : error.message || 'Login failed', 'error');
+    }
+});
+
+// OAuth providers redirect back here with ?error=...&error_description=...
+const urlParams = new URLSearchParams(window.location.search);
+if (urlParams.get('error')) {
+    showMessage('Authentication failed: ' + (urlParams.get('error_description') || urlParams.get('error')), 'error');
+} else {
+    // Check if already logged in
+    api.getCurrentUser({ handleUnauthorized: false })
+        .then(user => {
+            showMessage(html`Already signed in as ${user.display_name || user.username}. <a href="/" class="message-link">Go to home</a>`, 'success');
+        })
+        .catch(() => {});
+}
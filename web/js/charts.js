@@ -0,0 +1,113 @@
+// Zepplin Registry - Charts
+// Line and bar charts, and sparklines for lists, drawn as plain SVG. Charts
+// use a fixed viewBox and stretch to their container; each point and bar
+// carries a <title> with its value. Series colours come from the
+// .chart-series-N classes in views.css.
+
+class ZepplinChart {
+    static WIDTH = 720;
+    static HEIGHT = 240;
+    static MARGIN = { top: 16, right: 20, bottom: 32, left: 56 };
+    static COLORS = 6;
+    static MAX_X_LABELS = 8;
+    static Y_TICKS = 4;
+
+    // labels: one per x position; series: [{ name, values }] with one value per label
+    static line({ labels, series, label, format = String }) {
+        const chart = new ZepplinChart(labels, Math.max(0, ...series.flatMap(entry => entry.values)), format);
+        const x = i => labels.length < 2 ? chart.left + chart.width / 2 : chart.left + (i / (labels.length - 1)) * chart.width;
+
+        return html`
+            <svg class="chart chart-line" viewBox="0 0 ${ZepplinChart.WIDTH} ${ZepplinChart.HEIGHT}" role="img" aria-label="${label}">
+                ${chart.axes(x)}
+                ${series.map((entry, index) => html`
+                    <g class="chart-series chart-series-${index % ZepplinChart.COLORS}">
+                        <polyline points="${entry.values.map((value, i) => `${x(i)},${chart.y(value)}`).join(' ')}"></polyline>
+                        ${entry.values.map((value, i) => html`
+                            <circle cx="${x(i)}" cy="${chart.y(value)}" r="3"><title>${labels[i]}: ${entry.name} ${format(value)}</title></circle>
+                        `)}
+                    </g>
+                `)}
+            </svg>
+        `;
+    }
+
+    static bar({ labels, values, label, format = String }) {
+        const chart = new ZepplinChart(labels, Math.max(0, ...values), format);
+        const slot = chart.width / Math.max(1, labels.length);
+        const barWidth = Math.max(1, slot * 0.7);
+        const x = i => chart.left + slot * i + slot / 2;
+
+        return html`
+            <svg class="chart chart-bar" viewBox="0 0 ${ZepplinChart.WIDTH} ${ZepplinChart.HEIGHT}" role="img" aria-label="${label}">
+                ${chart.axes(x)}
+                <g class="chart-series chart-series-0">
+                    ${values.map((value, i) => html`
+                        <rect x="${x(i) - barWidth / 2}" y="${chart.y(value)}" width="${barWidth}" height="${chart.bottom - chart.y(value)}"><title>${labels[i]}: ${format(value)}</title></rect>
+                    `)}
+                </g>
+            </svg>
+        `;
+    }
+
+    // Axis-free trend line for lists; the label carries the numbers
+    static sparkline(values, { label, width = 120, height = 32 } = {}) {
+        const max = Math.max(1, ...values);
+        const x = i => values.length < 2 ? width / 2 : 2 + (i / (values.length - 1)) * (width - 4);
+        const y = value => height - 2 - (value / max) * (height - 4);
+
+        return html`
+            <svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${label}">
+                <polyline points="${values.map((value, i) => `${x(i)},${y(value)}`).join(' ')}"></polyline>
+            </svg>
+        `;
+    }
+
+    static legend(names) {
+        return html`
+            <ul class="chart-legend">
+                ${names.map((name, index) => html`<li><span class="chart-swatch chart-series-${index % ZepplinChart.COLORS}"></span>${name}</li>`)}
+            </ul>
+        `;
+    }
+
+    constructor(labels, max, format) {
+        const { WIDTH, HEIGHT, MARGIN, Y_TICKS } = ZepplinChart;
+        this.labels = labels;
+        this.format = format;
+        this.left = MARGIN.left;
+        this.width = WIDTH - MARGIN.left - MARGIN.right;
+        this.bottom = HEIGHT - MARGIN.bottom;
+        this.height = this.bottom - MARGIN.top;
+        this.step = ZepplinChart.niceStep(max / Y_TICKS);
+        this.max = this.step * Y_TICKS;
+    }
+
+    // Whole-number tick spacing of 1, 2 or 5 times a power of ten
+    static niceStep(raw) {
+        if (raw <= 1) return 1;
+        const power = 10 ** Math.floor(Math.log10(raw));
+        return [1, 2, 5, 10].map(m => m * power).find(step => step >= raw);
+    }
+
+    y(value) {
+        return this.bottom - (value / this.max) * this.height;
+    }
+
+    axes(x) {
+        const ticks = Array.from({ length: ZepplinChart.Y_TICKS + 1 }, (_, i) => i * this.step);
+        const every = Math.ceil(this.labels.length / ZepplinChart.MAX_X_LABELS);
+
+        return html`
+            <g class="chart-axis">
+                ${ticks.map(tick => html`
+                    <line class="chart-grid" x1="${this.left}" x2="${this.left + this.width}" y1="${this.y(tick)}" y2="${this.y(tick)}"></line>
+                    <text x="${this.left - 8}" y="${this.y(tick) + 4}" text-anchor="end">${this.format(tick)}</text>
+                `)}
+                ${this.labels.map((label, i) => i % every === 0 && html`
+                    <text x="${x(i)}" y="${ZepplinChart.HEIGHT - 10}" text-anchor="middle">${label}</text>
+                `)}
+            </g>
+        `;
+    }
+}
@@ -0,0 +1,246 @@
+// Zepplin Registry - Command palette
+// Ctrl+K (Cmd+K on macOS) opens a dialog that jumps to pages, runs actions and
+// finds packages. The input is a combobox like the search box: arrow keys move
+// through the results, Enter runs the active one, Escape closes the dialog and
+// returns focus to wherever it was before.
+
+class ZepplinCommandPalette {
+    // `auth` entries need a session, `admin` ones a registry admin's, `guest`
+    // entries only show without one
+    static PAGES = [
+        { label: 'Home', href: '/' },
+        { label: 'Browse packages', href: '/packages' },
+        { label: 'Trending', href: '/trending' },
+        { label: 'Download stats', href: '/stats' },
+        { label: 'Dependency explorer', href: '/dependencies' },
+        { label: 'Documentation', href: '/docs' },
+        { label: 'Getting started', href: '/docs/getting-started' },
+        { label: 'API reference', href: '/docs/api' },
+        { label: 'My profile', href: '/profile', auth: true },
+        { label: 'My packages', href: '/packages/my', auth: true },
+        { label: 'Notifications', href: '/notifications', auth: true },
+        { label: 'Settings', href: '/settings', auth: true }
+    ];
+
+    static ACTIONS = [
+        { label: 'Publish a package', href: '/publish' },
+        { label: 'Import from ecosystem', href: '/import', auth: true, admin: true },
+        { label: 'Sign in', href: '/auth', guest: true },
+        { label: 'Log out', run: app => app.logout(), auth: true }
+    ];
+
+    static SEARCH_LIMIT = 5;
+
+    constructor(app) {
+        this.app = app;
+        this.items = [];
+        this.activeIndex = -1;
+        this.returnFocus = null;
+        this.searchController = null;
+
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'command-palette';
+        this.dialog.hidden = true;
+        ZepplinHtml.render(this.dialog, html`
+            <div class="command-palette-backdrop"></div>
+            <div class="command-palette-panel" role="dialog" aria-modal="true" aria-label="Command palette">
+                <input type="text" class="command-palette-input" placeholder="Jump to a package, page or action..."
+                    role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="command-palette-list"
+                    aria-label="Command" autocomplete="off" spellcheck="false">
+                <div class="command-palette-list" id="command-palette-list" role="listbox" aria-label="Results"></div>
+                <div class="command-palette-hint" aria-hidden="true">
+                    <kbd>↑</kbd><kbd>↓</kbd> to move, <kbd>Enter</kbd> to open, <kbd>Esc</kbd> to close
+                </div>
+            </div>
+        `);
+        document.body.appendChild(this.dialog);
+
+        this.input = this.dialog.querySelector('.command-palette-input');
+        this.list = this.dialog.querySelector('.command-palette-list');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('input', app.debounce(() => this.searchPackages(), 200));
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.dialog.querySelector('.command-palette-backdrop').addEventListener('click', () => this.close());
+        // mousedown keeps focus in the input, like the search box suggestions
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            this.run(this.items[Number(option.dataset.index)]);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key?.toLowerCase() !== 'k' || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+            e.preventDefault();
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+
+        this.addNavButton();
+    }
+
+    // A visible way in for pointer and touch users; it lands in the mobile drawer too
+    addNavButton() {
+        const nav = document.querySelector('.header .nav');
+        if (!nav) return;
+
+        const mac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'nav-link command-palette-btn';
+        button.setAttribute('aria-keyshortcuts', 'Control+K Meta+K');
+        ZepplinHtml.render(button, html`Search <kbd aria-hidden="true">${mac ? '⌘' : 'Ctrl'} K</kbd>`);
+        button.addEventListener('click', () => {
+            this.app.closeMobileNav();
+            this.open();
+        });
+        nav.insertBefore(button, document.getElementById('auth-nav'));
+    }
+
+    get isOpen() {
+        return !this.dialog.hidden;
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        this.returnFocus = document.activeElement;
+        this.app.closeProfileMenu();
+        this.dialog.hidden = false;
+        document.body.classList.add('command-palette-open');
+        this.input.value = '';
+        this.update();
+        this.input.focus();
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen) return;
+
+        this.searchController?.abort();
+        this.dialog.hidden = true;
+        document.body.classList.remove('command-palette-open');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        if (restoreFocus && this.returnFocus?.isConnected) this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+
+    // Pages and actions filter as you type; package matches are appended once
+    // the debounced search comes back
+    update(packages = []) {
+        const query = this.input.value.trim().toLowerCase();
+        const signedIn = Boolean(this.app.currentUser);
+        const admin = Boolean(this.app.currentUser?.is_admin);
+        const visible = entry => (!entry.auth || signedIn) && (!entry.admin || admin) && (!entry.guest || !signedIn);
+        const matches = entry => !query || entry.label.toLowerCase().includes(query);
+
+        const items = [
+            ...packages.map(pkg => ({ group: 'Packages', label: this.app.packageFullName(pkg), detail: pkg.description, pkg })),
+            ...ZepplinCommandPalette.PAGES.filter(visible).filter(matches).map(entry => ({ group: 'Pages', ...entry })),
+            ...ZepplinCommandPalette.ACTIONS.filter(visible).filter(matches).map(entry => ({ group: 'Actions', ...entry }))
+        ];
+        if (query) {
+            items.push({ group: 'Actions', label: `Search packages for “${this.input.value.trim()}”`, search: this.input.value.trim() });
+        }
+
+        this.render(items);
+    }
+
+    async searchPackages() {
+        const query = this.input.value.trim();
+        if (!this.isOpen || query.length < 2) return;
+
+        this.searchController?.abort();
+        this.searchController = new AbortController();
+        try {
+            const { packages } = await this.app.api.search(query, { perPage: ZepplinCommandPalette.SEARCH_LIMIT }, {
+                signal: this.searchController.signal,
+                key: 'command-palette'
+            });
+            if (!this.isOpen || this.input.value.trim() !== query) return;
+            this.update(packages);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            // Pages and actions still work; the packages group just stays empty
+            console.error('Command palette search failed:', error);
+        }
+    }
+
+    render(items) {
+        this.items = items;
+        this.activeIndex = -1;
+
+        const optionId = (index) => `command-palette-option-${index}`;
+        const groups = [...new Set(items.map(item => item.group))];
+
+        ZepplinHtml.render(this.list, html`
+            ${items.length === 0 ? html`<div class="command-palette-empty">No matches</div>` : ''}
+            ${groups.map(group => html`
+                <div class="command-palette-group" role="group" aria-label="${group}">
+                    <div class="command-palette-heading" aria-hidden="true">${group}</div>
+                    ${items.map((item, index) => item.group !== group ? '' : html`
+                        <div class="command-palette-option" id="${optionId(index)}" role="option" aria-selected="false" data-index="${index}">
+                            <span class="command-palette-label">${item.label}</span>
+                            ${item.detail ? html`<span class="command-palette-detail">${item.detail}</span>` : ''}
+                        </div>
+                    `)}
+                </div>
+            `)}
+        `);
+
+        this.input.setAttribute('aria-expanded', String(items.length > 0));
+        this.input.removeAttribute('aria-activedescendant');
+        if (items.length > 0) this.setActive(0);
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.items.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.items.length) % this.items.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.run(this.items[this.activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            // The input is the dialog's only stop, so Tab has nowhere to go
+            e.preventDefault();
+        }
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('[data-index]').forEach(option => {
+            const active = Number(option.dataset.index) === index;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+    }
+
+    run(item) {
+        if (!item) return;
+
+        // The destination takes focus, so don't send it back to the old page
+        this.close({ restoreFocus: Boolean(item.run) });
+        if (item.pkg) {
+            this.app.selectPackage(item.label);
+        } else if (item.search !== undefined) {
+            this.app.performSearch(item.search);
+        } else if (item.run) {
+            item.run(this.app);
+        } else {
+            this.app.navigate(item.href);
+        }
+    }
+}
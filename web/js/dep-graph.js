@@ -0,0 +1,322 @@
+// Zepplin Registry - Dependency graph
+// Lays out the graph from POST /api/v1/resolve and draws it as SVG: one column
+// per dependency depth, each column ordered by where its parents sit so edges
+// stay short, edges labelled with the version the parent asked for. Packages
+// that appear at several versions are duplicates; versions that can't be
+// satisfied together (different major, or different minor below 1.0), refs
+// with no matching release and unknown registry packages are conflicts.
+
+class ZepplinDependencyGraph {
+    static NODE_WIDTH = 180;
+    static NODE_HEIGHT = 48;
+    static COLUMN_GAP = 110;
+    static ROW_GAP = 28;
+    static PADDING = 24;
+
+    static STATUS_LABELS = {
+        root: 'Root',
+        resolved: 'Resolved from the registry',
+        missing_version: 'No release matches the requested version',
+        not_found: 'Not in this registry',
+        external: 'Outside the registry (not followed)',
+        path: 'Local path dependency'
+    };
+
+    constructor({ root, nodes = [], edges = [], truncated = false }) {
+        this.rootId = root;
+        this.nodes = nodes.map(node => ({
+            ...node,
+            fullName: node.owner && node.repo ? `${node.owner}/${node.repo}` : null
+        }));
+        this.edges = edges;
+        this.truncated = Boolean(truncated);
+        this.byId = new Map(this.nodes.map(node => [node.id, node]));
+
+        this.analyze();
+        this.layout();
+    }
+
+    analyze() {
+        const versions = new Map();
+        for (const node of this.nodes) {
+            if (!node.fullName || !node.version) continue;
+            if (!versions.has(node.fullName)) versions.set(node.fullName, new Set());
+            versions.get(node.fullName).add(String(node.version).replace(/^v/, ''));
+        }
+
+        this.duplicates = [];
+        this.conflicts = [];
+        for (const [fullName, set] of versions) {
+            if (set.size < 2) continue;
+            const list = [...set].sort(ZepplinDependencyGraph.compareVersions);
+            this.duplicates.push({ package: fullName, versions: list });
+            if (!ZepplinDependencyGraph.compatible(list)) {
+                this.conflicts.push({ package: fullName, versions: list, reason: 'Incompatible versions are required' });
+            }
+        }
+
+        for (const node of this.nodes) {
+            if (node.status === 'missing_version') {
+                this.conflicts.push({ package: node.fullName, versions: [node.version || 'latest'], reason: 'No release matches the requested version' });
+            } else if (node.status === 'not_found') {
+                this.conflicts.push({ package: node.fullName, versions: [], reason: 'The package is not in this registry' });
+            }
+        }
+
+        const duplicated = new Set(this.duplicates.map(entry => entry.package));
+        const conflicted = new Set(this.conflicts.map(entry => entry.package));
+        for (const node of this.nodes) {
+            node.duplicate = duplicated.has(node.fullName);
+            node.conflict = conflicted.has(node.fullName);
+        }
+    }
+
+    // All versions must share a major (or, below 1.0, a minor) to be interchangeable
+    static compatible(versions) {
+        const series = new Set(versions.map(version => {
+            const [major = '0', minor = '0'] = version.split(/[.+-]/);
+            return major === '0' ? `0.${minor}` : major;
+        }));
+        return series.size === 1;
+    }
+
+    static compareVersions(a, b) {
+        const pa = a.split(/[.+-]/).map(part => parseInt(part, 10) || 0);
+        const pb = b.split(/[.+-]/).map(part => parseInt(part, 10) || 0);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+        }
+        return 0;
+    }
+
+    layout() {
+        const { NODE_WIDTH, NODE_HEIGHT, COLUMN_GAP, ROW_GAP, PADDING } = ZepplinDependencyGraph;
+
+        const columns = [];
+        for (const node of this.nodes) {
+            const depth = Number(node.depth) || 0;
+            (columns[depth] ||= []).push(node);
+        }
+
+        // Order each column by the average row of its parents (barycenter),
+        // which removes most crossings in dependency trees
+        const row = new Map();
+        const parents = new Map();
+        for (const edge of this.edges) {
+            if (!parents.has(edge.to)) parents.set(edge.to, []);
+            parents.get(edge.to).push(edge.from);
+        }
+        columns.forEach((column = [], depth) => {
+            if (depth > 0) {
+                const weight = node => {
+                    const rows = (parents.get(node.id) || []).filter(id => row.has(id)).map(id => row.get(id));
+                    return rows.length ? rows.reduce((a, b) => a + b, 0) / rows.length : Infinity;
+                };
+                column.sort((a, b) => weight(a) - weight(b) || a.name.localeCompare(b.name));
+            }
+            column.forEach((node, i) => row.set(node.id, i));
+        });
+
+        const tallest = Math.max(1, ...columns.map(column => column?.length || 0));
+        this.height = PADDING * 2 + tallest * NODE_HEIGHT + (tallest - 1) * ROW_GAP;
+        this.width = PADDING * 2 + columns.length * NODE_WIDTH + Math.max(0, columns.length - 1) * COLUMN_GAP;
+
+        columns.forEach((column = [], depth) => {
+            const columnHeight = column.length * NODE_HEIGHT + (column.length - 1) * ROW_GAP;
+            const top = (this.height - columnHeight) / 2;
+            column.forEach((node, i) => {
+                node.x = PADDING + depth * (NODE_WIDTH + COLUMN_GAP);
+                node.y = top + i * (NODE_HEIGHT + ROW_GAP);
+            });
+        });
+    }
+
+    render() {
+        const { NODE_WIDTH, NODE_HEIGHT } = ZepplinDependencyGraph;
+
+        return html`
+            <svg class="dep-graph-svg" tabindex="0" role="group" aria-label="Dependency graph. Drag to pan, scroll or use + and - to zoom.">
+                <defs>
+                    <marker id="dep-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                    </marker>
+                </defs>
+                <g class="dep-graph-viewport">
+                    ${this.edges.map(edge => this.renderEdge(edge))}
+                    ${this.nodes.map(node => html`
+                        <g class="${this.nodeClass(node)}" data-id="${node.id}" transform="translate(${node.x} ${node.y})" tabindex="0" role="button" aria-label="${this.describe(node)}">
+                            <title>${this.describe(node)}</title>
+                            <rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="6"></rect>
+                            <text class="dep-node-name" x="12" y="20">${ZepplinDependencyGraph.truncate(node.name, 22)}</text>
+                            <text class="dep-node-version" x="12" y="37">${node.version ? `v${String(node.version).replace(/^v/, '')}` : ZepplinDependencyGraph.STATUS_LABELS[node.status]?.split(' (')[0]}</text>
+                        </g>
+                    `)}
+                </g>
+            </svg>
+        `;
+    }
+
+    renderEdge(edge) {
+        const { NODE_WIDTH, NODE_HEIGHT } = ZepplinDependencyGraph;
+        const from = this.byId.get(edge.from);
+        const to = this.byId.get(edge.to);
+        if (!from || !to) return '';
+
+        const x1 = from.x + NODE_WIDTH;
+        const y1 = from.y + NODE_HEIGHT / 2;
+        const x2 = to.x;
+        const y2 = to.y + NODE_HEIGHT / 2;
+        const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+        const path = `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+
+        const classes = ['dep-edge'];
+        if (to.conflict) classes.push('is-conflict');
+        else if (to.duplicate) classes.push('is-duplicate');
+        if (edge.lazy) classes.push('is-lazy');
+
+        return html`
+            <g class="${classes.join(' ')}" data-from="${edge.from}" data-to="${edge.to}">
+                <path d="${path}" marker-end="url(#dep-arrow)"></path>
+                ${edge.requested ? html`<text class="dep-edge-label" x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2 - 6}" text-anchor="middle">${edge.requested}</text>` : ''}
+            </g>
+        `;
+    }
+
+    nodeClass(node) {
+        const classes = ['dep-node', `status-${node.status}`];
+        if (node.conflict) classes.push('is-conflict');
+        else if (node.duplicate) classes.push('is-duplicate');
+        return classes.join(' ');
+    }
+
+    describe(node) {
+        const name = node.fullName || node.name;
+        const version = node.version ? ` ${String(node.version).replace(/^v/, '')}` : '';
+        return `${name}${version}: ${ZepplinDependencyGraph.STATUS_LABELS[node.status] || node.status}`;
+    }
+
+    static truncate(text, length) {
+        const value = String(text ?? '');
+        return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+    }
+
+    incoming(id) {
+        return this.edges.filter(edge => edge.to === id);
+    }
+
+    outgoing(id) {
+        return this.edges.filter(edge => edge.from === id);
+    }
+
+    // Highlights a node with its edges and dims everything else; null clears
+    highlight(svg, id) {
+        svg.classList.toggle('has-selection', Boolean(id));
+        svg.querySelectorAll('.dep-node').forEach(el => {
+            el.classList.toggle('is-selected', el.dataset.id === id);
+        });
+        svg.querySelectorAll('.dep-edge').forEach(el => {
+            el.classList.toggle('is-active', el.dataset.from === id || el.dataset.to === id);
+        });
+    }
+}
+
+// Zoom and pan for an SVG drawing: wheel or +/- to zoom around the pointer or
+// the centre, drag or arrow keys to pan, 0 to fit the drawing to the frame.
+class ZepplinPanZoom {
+    static MIN_SCALE = 0.2;
+    static MAX_SCALE = 3;
+
+    constructor(svg, content, { width, height }) {
+        this.svg = svg;
+        this.content = content;
+        this.width = width;
+        this.height = height;
+        this.x = 0;
+        this.y = 0;
+        this.scale = 1;
+        this.drag = null;
+
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = this.point(e);
+            this.zoom(e.deltaY < 0 ? 1.15 : 1 / 1.15, point);
+        }, { passive: false });
+
+        svg.addEventListener('pointerdown', (e) => {
+            // Nodes take clicks; only the background starts a pan
+            if (e.button !== 0 || e.target.closest('.dep-node')) return;
+            this.drag = { pointerX: e.clientX, pointerY: e.clientY, x: this.x, y: this.y };
+            svg.setPointerCapture?.(e.pointerId);
+            svg.classList.add('is-panning');
+        });
+        svg.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            this.x = this.drag.x + e.clientX - this.drag.pointerX;
+            this.y = this.drag.y + e.clientY - this.drag.pointerY;
+            this.apply();
+        });
+        const endDrag = () => {
+            this.drag = null;
+            svg.classList.remove('is-panning');
+        };
+        svg.addEventListener('pointerup', endDrag);
+        svg.addEventListener('pointercancel', endDrag);
+
+        svg.addEventListener('keydown', (e) => {
+            const step = 40;
+            const actions = {
+                '+': () => this.zoom(1.25),
+                '=': () => this.zoom(1.25),
+                '-': () => this.zoom(1 / 1.25),
+                '0': () => this.fit(),
+                ArrowLeft: () => this.pan(step, 0),
+                ArrowRight: () => this.pan(-step, 0),
+                ArrowUp: () => this.pan(0, step),
+                ArrowDown: () => this.pan(0, -step)
+            };
+            // Arrow keys on a focused node belong to the node
+            if (e.target !== svg && e.key.startsWith('Arrow')) return;
+            if (!actions[e.key]) return;
+            e.preventDefault();
+            actions[e.key]();
+        });
+    }
+
+    // Pointer position in the SVG's own coordinates
+    point(e) {
+        const rect = this.svg.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    zoom(factor, around) {
+        const rect = this.svg.getBoundingClientRect();
+        const center = around || { x: rect.width / 2, y: rect.height / 2 };
+        const scale = Math.min(ZepplinPanZoom.MAX_SCALE, Math.max(ZepplinPanZoom.MIN_SCALE, this.scale * factor));
+        // Keep the point under the cursor fixed
+        this.x = center.x - (center.x - this.x) * (scale / this.scale);
+        this.y = center.y - (center.y - this.y) * (scale / this.scale);
+        this.scale = scale;
+        this.apply();
+    }
+
+    pan(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.apply();
+    }
+
+    fit() {
+        const rect = this.svg.getBoundingClientRect();
+        const frameWidth = rect.width || this.width;
+        const frameHeight = rect.height || this.height;
+        this.scale = Math.min(1, frameWidth / this.width, frameHeight / this.height);
+        this.scale = Math.max(ZepplinPanZoom.MIN_SCALE, this.scale);
+        this.x = (frameWidth - this.width * this.scale) / 2;
+        this.y = (frameHeight - this.height * this.scale) / 2;
+        this.apply();
+    }
+
+    apply() {
+        this.content.setAttribute('transform', `translate(${this.x} ${this.y}) scale(${this.scale})`);
+    }
+}
@@ -0,0 +1,163 @@
+// Zepplin Registry - Line diff
+// Myers' O(ND) diff over lines, grouped into unified-diff hunks. Runs in the
+// release compare worker, so it has no DOM dependencies. Files whose edit
+// distance passes maxEdits are reported as too large instead of diffed.
+
+class ZepplinDiff {
+    static CONTEXT = 3;
+    static MAX_EDITS = 4000;
+
+    static splitLines(text) {
+        if (text === '') return [];
+        const lines = text.split(/\r?\n/);
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    }
+
+    // Unified hunks between two texts, or null when the edit distance is too large
+    static diff(oldText, newText, { context = ZepplinDiff.CONTEXT, maxEdits = ZepplinDiff.MAX_EDITS } = {}) {
+        const ops = ZepplinDiff.diffLines(ZepplinDiff.splitLines(oldText), ZepplinDiff.splitLines(newText), maxEdits);
+        if (!ops) return null;
+
+        const additions = ops.filter(op => op.type === '+').length;
+        const deletions = ops.filter(op => op.type === '-').length;
+        return { hunks: ZepplinDiff.hunks(ops, context), additions, deletions };
+    }
+
+    // Edit script as [{ type: ' ' | '-' | '+', text, oldNo, newNo }], or null past maxEdits
+    static diffLines(a, b, maxEdits = ZepplinDiff.MAX_EDITS) {
+        // Common prefix and suffix don't need the O(ND) search
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const middle = ZepplinDiff.myers(a.slice(start, endA), b.slice(start, endB), maxEdits);
+        if (!middle) return null;
+
+        const ops = [];
+        for (let i = 0; i < start; i++) ops.push({ type: ' ', text: a[i], oldNo: i + 1, newNo: i + 1 });
+        for (const op of middle) {
+            ops.push({
+                type: op.type,
+                text: op.text,
+                oldNo: op.oldNo == null ? null : op.oldNo + start + 1,
+                newNo: op.newNo == null ? null : op.newNo + start + 1
+            });
+        }
+        for (let i = endA, j = endB; i < a.length; i++, j++) {
+            ops.push({ type: ' ', text: a[i], oldNo: i + 1, newNo: j + 1 });
+        }
+        return ops;
+    }
+
+    // Forward greedy search keeping a copy of the frontier at each edit count,
+    // then a walk back through the copies to recover the edit script
+    static myers(a, b, maxEdits) {
+        const n = a.length;
+        const m = b.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+
+        let found = -1;
+        for (let d = 0; d <= max && found === -1; d++) {
+            if (d > maxEdits) return null;
+            trace.push(v.slice(offset - d, offset + d + 1));
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = d;
+                    break;
+                }
+            }
+        }
+
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = found; d >= 0; d--) {
+            const frontier = trace[d];
+            const at = (k) => frontier[k + d];
+            const k = x - y;
+            let prevX = 0;
+            let prevY = 0;
+            if (d > 0) {
+                const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+                prevX = at(prevK);
+                prevY = prevX - prevK;
+            }
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+                ops.push({ type: ' ', text: a[x], oldNo: x, newNo: y });
+            }
+            if (d > 0) {
+                if (x === prevX) ops.push({ type: '+', text: b[prevY], oldNo: null, newNo: prevY });
+                else ops.push({ type: '-', text: a[prevX], oldNo: prevX, newNo: null });
+            }
+            x = prevX;
+            y = prevY;
+        }
+        return ops.reverse();
+    }
+
+    // Groups changed lines with `context` lines around them; nearby changes share a hunk
+    static hunks(ops, context = ZepplinDiff.CONTEXT) {
+        const hunks = [];
+        let current = null;
+        let lastChange = -Infinity;
+
+        ops.forEach((op, index) => {
+            if (op.type === ' ') return;
+            const from = Math.max(0, index - context);
+            if (current && from <= lastChange + context + 1) {
+                current.end = index;
+            } else {
+                if (current) hunks.push(current);
+                current = { start: from, end: index };
+            }
+            lastChange = index;
+        });
+        if (current) hunks.push(current);
+
+        return hunks.map(({ start, end }) => {
+            const lines = ops.slice(start, Math.min(ops.length, end + context + 1));
+            const oldLines = lines.filter(line => line.type !== '+');
+            const newLines = lines.filter(line => line.type !== '-');
+            return {
+                oldStart: oldLines[0]?.oldNo ?? ZepplinDiff.lineBefore(ops, start, 'oldNo'),
+                oldLines: oldLines.length,
+                newStart: newLines[0]?.newNo ?? ZepplinDiff.lineBefore(ops, start, 'newNo'),
+                newLines: newLines.length,
+                lines
+            };
+        });
+    }
+
+    // A hunk with no lines on one side starts after the last line before it, as in `diff -u`
+    static lineBefore(ops, index, key) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (ops[i][key] != null) return ops[i][key];
+        }
+        return 0;
+    }
+
+    // NUL bytes in the first 8 KiB mark a file as binary, like git does
+    static isBinary(bytes) {
+        return bytes.subarray(0, 8000).includes(0);
+    }
+}
@@ -0,0 +1,64 @@
+// Zepplin Registry - Syntax highlighting
+// A small line-at-a-time highlighter for the languages found in package
+// archives: Zig and ZON, C headers and sources, shell scripts and JSON.
+// Tokens become <span class="hl-..."> around escaped text; anything
+// unrecognised is left plain. Block comments that span lines aren't tracked,
+// which is fine for diffs and file views where lines are shown out of context.
+
+const ZepplinHighlight = {
+    KEYWORDS: {
+        zig: 'addrspace align allowzero and anyframe anytype asm break callconv catch comptime const continue defer else enum errdefer error export extern fn for if inline linksection noalias noinline nosuspend opaque or orelse packed pub resume return struct suspend switch test threadlocal try union unreachable usingnamespace var volatile while true false null undefined',
+        c: 'auto break case char const continue default do double else enum extern float for goto if inline int long register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while bool true false NULL',
+        shell: 'if then else elif fi case esac for while until do done in function return local export set unset exit echo',
+        json: 'true false null'
+    },
+
+    EXTENSIONS: {
+        zig: 'zig', zon: 'zig', c: 'c', h: 'c', cc: 'c', cpp: 'c', hpp: 'c',
+        sh: 'shell', bash: 'shell', json: 'json'
+    },
+
+    // Alternatives are tried in order at each position; the group name is the token class
+    PATTERNS: {
+        zig: /(?<comment>\/\/.*)|(?<string>\\\\.*|"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?)|(?<builtin>@[A-Za-z_]\w*)|(?<number>\b(?:0x[\da-fA-F_]+|0o[0-7_]+|0b[01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)\b)|(?<word>\b[A-Za-z_]\w*\b)/g,
+        c: /(?<comment>\/\/.*|\/\*.*?(?:\*\/|$))|(?<builtin>^\s*#\s*\w+)|(?<string>"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?)|(?<number>\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?)[uUlLfF]*\b)|(?<word>\b[A-Za-z_]\w*\b)/g,
+        shell: /(?<comment>(?:^|\s)#.*)|(?<string>"(?:[^"\\]|\\.)*"?|'[^']*'?)|(?<builtin>\$\{?\w+\}?)|(?<number>\b\d+\b)|(?<word>\b[A-Za-z_][\w-]*\b)/g,
+        json: /(?<string>"(?:[^"\\]|\\.)*"?)|(?<number>-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b)|(?<word>\b[a-z]+\b)/g
+    },
+
+    keywordSets: new Map(),
+
+    // Language for a file path, or null when it isn't one we highlight
+    languageFor(path) {
+        const name = String(path || '').split('/').pop().toLowerCase();
+        const ext = name.includes('.') ? name.split('.').pop() : '';
+        return ZepplinHighlight.EXTENSIONS[ext] || null;
+    },
+
+    keywords(language) {
+        if (!ZepplinHighlight.keywordSets.has(language)) {
+            ZepplinHighlight.keywordSets.set(language, new Set(ZepplinHighlight.KEYWORDS[language].split(' ')));
+        }
+        return ZepplinHighlight.keywordSets.get(language);
+    },
+
+    // One line of source as SafeHtml
+    line(text, language) {
+        const pattern = ZepplinHighlight.PATTERNS[language];
+        if (!pattern) return html`${text}`;
+
+        const keywords = ZepplinHighlight.keywords(language);
+        let markup = '';
+        let last = 0;
+        for (const match of text.matchAll(pattern)) {
+            const [kind, token] = Object.entries(match.groups).find(([, value]) => value !== undefined);
+            if (kind === 'word' && !keywords.has(token)) continue;
+
+            markup += ZepplinHtml.escape(text.slice(last, match.index));
+            markup += `<span class="hl-${kind === 'word' ? 'keyword' : kind}">${ZepplinHtml.escape(token)}</span>`;
+            last = match.index + token.length;
+        }
+        markup += ZepplinHtml.escape(text.slice(last));
+        return ZepplinHtml.raw(markup);
+    }
+};
@@ -0,0 +1,99 @@
+// Zepplin Registry - Safe HTML rendering
+// All markup the frontend inserts goes through the `html` tagged template and
+// ZepplinHtml.render(). Interpolated values are escaped unless they are already
+// SafeHtml (another `html` result, or the output of a sanitizing renderer such
+// as ZepplinMarkdown). Values in URL attributes (href, src, ...) must use an
+// allowed scheme, and interpolating into inline event handlers throws, so
+// listeners are attached in code and the pages run under a script-src 'self'
+// Content-Security-Policy.
+
+class ZepplinSafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const ZepplinHtml = {
+    // Attribute name right before the interpolation, e.g. `<a href="${url}">`
+    URL_ATTRIBUTE: /\s(?:href|src|action|formaction|poster|xlink:href)\s*=\s*["']?$/i,
+    EVENT_ATTRIBUTE: /\son[a-z]+\s*=\s*["']?$/i,
+
+    html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, i) => {
+            markup += ZepplinHtml.interpolate(value, strings[i]) + strings[i + 1];
+        });
+        return new ZepplinSafeHtml(markup);
+    },
+
+    interpolate(value, before) {
+        if (ZepplinHtml.EVENT_ATTRIBUTE.test(before)) {
+            throw new TypeError('Inline event handlers are not allowed; attach listeners with addEventListener');
+        }
+        if (ZepplinHtml.URL_ATTRIBUTE.test(before)) {
+            return ZepplinHtml.escape(ZepplinHtml.safeUrl(value) ?? '#');
+        }
+        return ZepplinHtml.fragment(value);
+    },
+
+    // null, undefined and false render nothing, so `${cond && html`...`}` works
+    fragment(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof ZepplinSafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => ZepplinHtml.fragment(item)).join('');
+        return ZepplinHtml.escape(value);
+    },
+
+    // Trusted markup only: static strings or the output of a sanitizer
+    raw(markup) {
+        return new ZepplinSafeHtml(String(markup ?? ''));
+    },
+
+    // Also escapes quotes so the result is safe inside attribute values
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // http(s), mailto and same-origin relative URLs; null for anything else
+    // (javascript:, data:, vbscript:, protocol-relative //host). Browsers drop
+    // whitespace and control characters when reading a scheme, so the check
+    // does too.
+    safeUrl(value) {
+        const url = String(value ?? '').trim();
+        const normalized = url.replace(/[\u0000- ]/g, '');
+        if (!normalized) return null;
+        if (/^(https?|mailto):/i.test(normalized)) return url;
+        if (normalized.startsWith('//') || normalized.startsWith('/\\')) return null;
+        if (/^[a-z][a-z0-9+.-]*:/i.test(normalized)) return null;
+        return url;
+    },
+
+    // Replaces an element's content with an `html` result or a DOM node.
+    // Plain strings are refused so nothing bypasses escaping by accident.
+    render(element, content) {
+        if (content instanceof Node) {
+            element.replaceChildren(content);
+        } else if (content instanceof ZepplinSafeHtml) {
+            element.innerHTML = content.markup;
+        } else {
+            throw new TypeError('ZepplinHtml.render() takes html`...` output or a DOM node');
+        }
+        return element;
+    },
+
+    clear(element) {
+        element.replaceChildren();
+        return element;
+    }
+};
+
+const html = ZepplinHtml.html;
@@ -1,141 +1,122 @@
 // Zepplin Registry Frontend - v0.5.0
 // Lightning-fast package registry for Zig
+// Single-page app: ZepplinApp owns auth and shared state, ZepplinRouter renders
+// the views in web/js/views/ into the shell's #app-view outlet.
 
 class ZepplinApp {
+    static HEALTH_CHECK_INTERVAL = 60000;
+    static NOTIFICATION_POLL_INTERVAL = 60000;
+    static LEGACY_AUTH_KEYS = ['zepplin_token', 'zepplin_username', 'zepplin_display_name', 'zepplin_avatar_url', 'zepplin_email'];
+    static THEME_ICONS = { system: '◐', light: '☀', dark: '☾', 'high-contrast': '◑' };
+
     constructor() {
         this.apiBaseUrl = window.location.origin;
+        // One client for every view; its response cache survives navigation
+        this.api = new ZepplinApiClient({
+            baseUrl: this.apiBaseUrl,
+            onUnauthorized: () => this.handleSessionExpired()
+        });
+        this.currentUser = null;
+        this.authReady = Promise.resolve(null);
+        this.unreadNotifications = 0;
         this.init();
     }
 
     async init() {
-        this.setupEventListeners();
-        await this.loadInitialData();
-        await this.setupAuth();
-        this.hideLoadingApp();
-    }
-
-    setupEventListeners() {
-        // Search functionality
-        const searchInput = document.getElementById('package-search');
-        const searchBtn = document.querySelector('.search-btn');
-        
-        if (searchInput) {
-            searchInput.addEventListener('input', this.debounce((e) => {
-                this.handleSearchInput(e.target.value);
-            }, 300));
-            
-            searchInput.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    this.performSearch(e.target.value);
-                }
-            });
-        }
-
-        if (searchBtn) {
-            searchBtn.addEventListener('click', () => {
-                const query = searchInput?.value || '';
-                this.performSearch(query);
-            });
+        // Docs pages load main.js for the header only; just the shell has a view outlet
+        const outlet = document.getElementById('app-view');
+        if (outlet) {
+            this.router = new ZepplinRouter(this, outlet);
+            this.registerRoutes();
         }
-
-        // Dynamic loading for sections
-        this.setupIntersectionObserver();
-        
-        // Mobile navigation
         this.setupMobileNav();
-    }
+        this.setupSkipLinks();
+        this.commandPalette = new ZepplinCommandPalette(this);
+        this.setupThemeToggle();
+        this.setupConnectivity();
 
-    async loadInitialData() {
-        try {
-            // Load stats
-            await this.loadStats();
-            
-            // Load featured packages
-            await this.loadFeaturedPackages();
-            
-            // Update last updated time
-            this.updateLastUpdated();
-        } catch (error) {
-            console.error('Failed to load initial data:', error);
-            this.showError('Failed to load registry data');
-        }
+        // Views that need the user await authReady; the nav renders once it settles
+        this.authReady = this.setupAuth();
+        if (this.router) await this.router.start();
+        this.hideLoadingApp();
     }
 
-    async loadStats() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/v1/stats`);
-            if (!response.ok) throw new Error('Failed to fetch stats');
-            
-            const stats = await response.json();
-            this.updateStatsDisplay(stats);
-        } catch (error) {
-            console.error('Failed to load stats:', error);
-            // Show fallback stats
-            this.updateStatsDisplay({
-                total_packages: '1,247',
-                total_downloads: '45.2K',
-                active_maintainers: 89,
-                zig_version: '0.16.0'
-            });
-        }
+    registerRoutes() {
+        this.router
+            .add('/', HomeView, { nav: '/' })
+            .add('/packages', BrowseView, { nav: '/packages' })
+            .add('/browse', BrowseView, { nav: '/packages' })
+            .add('/packages/my', MyPackagesView)
+            .add('/packages/:owner/:repo', PackageView, { nav: '/packages' })
+            .add('/packages/:owner/:repo/dependencies', DependenciesView, { nav: '/packages' })
+            .add('/dependencies', DependenciesView)
+            .add('/packages/:owner/:repo/stats', StatsView, { nav: '/packages' })
+            .add('/packages/:owner/:repo/compare', ReleaseCompareView, { nav: '/packages' })
+            .add('/packages/:owner/:repo/files', ArchiveBrowserView, { nav: '/packages' })
+            .add('/stats', StatsView)
+            .add('/search', SearchView)
+            .add('/trending', TrendingView, { nav: '/trending' })
+            .add('/publish', PublishView)
+            .add('/import', EcosystemImportView)
+            .add('/profile', ProfileView)
+            .add('/notifications', NotificationsView)
+            .add('/settings', SettingsView);
     }
 
-    updateStatsDisplay(stats) {
-        const elements = {
-            'total-packages': this.formatNumber(stats.total_packages),
-            'total-downloads': this.formatNumber(stats.total_downloads),
-            'active-maintainers': this.formatNumber(stats.active_maintainers),
-            'zig-version': stats.zig_version || '0.16.0'
-        };
-
-        Object.entries(elements).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                this.animateNumber(element, value);
-            }
-        });
-    }
-
-    async loadFeaturedPackages() {
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/v1/packages?featured=true&limit=6`);
-            const packages = response.ok ? await response.json() : [];
-            
-            this.displayPackages(packages.packages || packages || [], 'featured-packages');
-        } catch (error) {
-            console.error('Failed to load featured packages:', error);
-            this.displayMockPackages('featured-packages');
+    navigate(url, options) {
+        // Pages outside the app (docs, auth) get a full load, as their links do
+        if (!this.router || !this.router.match(new URL(url, window.location.origin).pathname)) {
+            window.location.href = url;
+            return;
         }
+        return this.router.navigate(url, options);
     }
 
-    displayPackages(packages, containerId) {
-        const container = document.getElementById(containerId);
+    // Accepts a container element or its id
+    displayPackages(packages, target) {
+        const container = typeof target === 'string' ? document.getElementById(target) : target;
         if (!container) return;
 
         if (packages.length === 0) {
-            container.innerHTML = this.createEmptyState('No packages found');
+            ZepplinHtml.render(container, this.createEmptyState('No packages found'));
             return;
         }
 
-        container.innerHTML = packages.map(pkg => this.createPackageCard(pkg)).join('');
+        ZepplinHtml.render(container, html`${packages.map(pkg => this.createPackageCard(pkg))}`);
+        this.bindPackageCards(container);
     }
 
-    createPackageCard(pkg) {
+    // Whole card navigates to the package detail page
+    bindPackageCards(container) {
+        container.querySelectorAll('.package-card[data-href]').forEach(card => {
+            card.addEventListener('click', (e) => {
+                if (e.target.closest('a')) return;
+                this.navigate(card.dataset.href);
+            });
+        });
+    }
+
+    // options.highlight: query terms to mark in the name and description
+    createPackageCard(pkg, { highlight = [] } = {}) {
         const downloads = this.formatNumber(pkg.download_count || pkg.downloads || 0);
-        const version = pkg.latest_version || pkg.version || '1.0.0';
+        // Unknown versions and dates are left out rather than guessed
+        const version = pkg.latest_version || pkg.version;
         const description = pkg.description || 'No description available';
-        const name = pkg.name || 'unknown';
-        const updated = this.formatDate(pkg.updated_at || pkg.last_updated || new Date());
+        const name = this.packageFullName(pkg) || 'unknown';
+        const href = this.packagePath(pkg);
+        const updatedAt = pkg.updated_at || pkg.last_updated;
+        const updated = updatedAt && updatedAt !== '0' ? this.formatDate(updatedAt) : null;
 
-        return `
-            <div class="package-card" data-package="${name}">
+        return html`
+            <div class="package-card" data-package="${name}" ${href ? html`data-href="${href}"` : ''}>
                 <div class="package-header">
-                    <div class="package-name">${this.escapeHtml(name)}</div>
-                    <div class="package-version">v${this.escapeHtml(version)}</div>
+                    ${href
+                        ? html`<a class="package-name" href="${href}">${this.highlightTerms(name, highlight)}</a>`
+                        : html`<div class="package-name">${this.highlightTerms(name, highlight)}</div>`}
+                    ${version ? html`<div class="package-version">v${version}</div>` : ''}
                 </div>
                 <div class="package-description">
-                    ${this.escapeHtml(description)}
+                    ${this.highlightTerms(description, highlight)}
                 </div>
                 <div class="package-meta">
                     <div class="package-downloads">
@@ -146,83 +127,87 @@ class ZepplinApp {
                         </svg>
                         ${downloads}
                     </div>
+                    ${pkg.comment_count ? html`
+                    <div class="package-comments" title="${this.formatNumber(pkg.comment_count)} comment${pkg.comment_count === 1 ? '' : 's'}">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                        </svg>
+                        ${this.formatNumber(pkg.comment_count)}
+                    </div>` : ''}
+                    ${updated ? html`
                     <div class="package-updated">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <circle cx="12" cy="12" r="10"></circle>
                             <polyline points="12,6 12,12 16,14"></polyline>
                         </svg>
                         ${updated}
-                    </div>
+                    </div>` : ''}
                 </div>
             </div>
         `;
     }
 
-    displayMockPackages(containerId) {
-        const mockPackages = [
-            { name: 'zig-json', version: '2.1.0', description: 'Fast JSON parser and serializer for Zig', downloads: 15420, updated_at: '2024-06-28' },
-            { name: 'zig-http', version: '1.3.2', description: 'HTTP client and server library', downloads: 8932, updated_at: '2024-06-25' },
-            { name: 'zig-crypto', version: '0.9.1', description: 'Cryptographic primitives and utilities', downloads: 6781, updated_at: '2024-06-22' },
-            { name: 'zig-cli', version: '1.1.0', description: 'Command-line argument parsing library', downloads: 12103, updated_at: '2024-06-20' },
-            { name: 'zig-allocator', version: '2.0.3', description: 'Advanced memory allocation strategies', downloads: 9654, updated_at: '2024-06-18' },
-            { name: 'zig-datetime', version: '1.4.1', description: 'Date and time manipulation utilities', downloads: 5432, updated_at: '2024-06-15' }
-        ];
-        
-        this.displayPackages(mockPackages, containerId);
+    selectPackage(packageName) {
+        const [owner, repo] = packageName.split('/');
+        this.navigate(repo
+            ? `/packages/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`
+            : `/search?q=${encodeURIComponent(packageName)}`);
     }
 
-    async handleSearchInput(query) {
-        if (query.length < 2) {
-            this.hideSuggestions();
-            return;
-        }
+    // "owner/repo" for any of the package shapes the API returns
+    packageFullName(pkg) {
+        if (pkg.full_name) return pkg.full_name;
+        if (pkg.owner && (pkg.repo || pkg.name)) return `${pkg.owner}/${pkg.repo || pkg.name}`;
+        return pkg.name || '';
+    }
 
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/api/v1/search?q=${encodeURIComponent(query)}&limit=5`);
-            const results = response.ok ? await response.json() : { packages: [] };
-            
-            this.showSuggestions(results.packages || results || []);
-        } catch (error) {
-            console.error('Search failed:', error);
-            this.hideSuggestions();
-        }
+    packagePath(pkg) {
+        const [owner, repo] = this.packageFullName(pkg).split('/');
+        if (!owner || !repo) return null;
+        return `/packages/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
     }
 
-    showSuggestions(packages) {
-        const container = document.getElementById('search-suggestions');
-        if (!container || packages.length === 0) {
-            this.hideSuggestions();
-            return;
+    performSearch(query) {
+        if (query.trim()) {
+            this.rememberSearch(query.trim());
+            this.navigate(`/search?q=${encodeURIComponent(query.trim())}`);
         }
+    }
 
-        container.innerHTML = packages.map(pkg => `
-            <div class="suggestion-item" onclick="window.zepplin.selectPackage('${this.escapeHtml(pkg.name)}')">
-                <div class="suggestion-name">${this.escapeHtml(pkg.name)}</div>
-                <div class="suggestion-desc">${this.escapeHtml(pkg.description || '')}</div>
-            </div>
-        `).join('');
+    // Recent searches, newest first, kept per browser
+    recentSearches() {
+        try {
+            const recent = JSON.parse(localStorage.getItem('zepplin_recent_searches') || '[]');
+            return Array.isArray(recent) ? recent.filter(item => typeof item === 'string') : [];
+        } catch {
+            return [];
+        }
+    }
 
-        container.style.display = 'block';
+    rememberSearch(query) {
+        const recent = this.recentSearches().filter(item => item.toLowerCase() !== query.toLowerCase());
+        recent.unshift(query);
+        localStorage.setItem('zepplin_recent_searches', JSON.stringify(recent.slice(0, 8)));
     }
 
-    hideSuggestions() {
-        const container = document.getElementById('search-suggestions');
-        if (container) {
-            container.style.display = 'none';
-        }
+    clearRecentSearches() {
+        localStorage.removeItem('zepplin_recent_searches');
     }
 
-    selectPackage(packageName) {
-        window.location.href = `/packages/${packageName}`;
+    searchTerms(query) {
+        return String(query || '').trim().split(/\s+/).filter(term => term.length > 0);
     }
 
-    performSearch(query) {
-        if (query.trim()) {
-            window.location.href = `/search?q=${encodeURIComponent(query.trim())}`;
-        }
+    // Escaped HTML with each term wrapped in <mark>
+    highlightTerms(text, terms) {
+        const value = String(text ?? '');
+        if (!terms || terms.length === 0) return html`${value}`;
+
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return html`${value.split(pattern).map((part, i) => i % 2 === 1 ? html`<mark>${part}</mark>` : part)}`;
     }
 
-    setupIntersectionObserver() {
+    setupIntersectionObserver(root = document) {
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
@@ -232,41 +217,231 @@ class ZepplinApp {
         }, { threshold: 0.1 });
 
         // Observe all cards and sections
-        document.querySelectorAll('.stat-card, .package-card, .category-card').forEach(el => {
+        root.querySelectorAll('.stat-card, .package-card, .category-card').forEach(el => {
             observer.observe(el);
         });
     }
 
-    setupMobileNav() {
-        // Add mobile menu functionality if needed
-        const nav = document.querySelector('.nav');
-        if (window.innerWidth <= 768 && nav) {
-            // Mobile navigation setup
-            this.createMobileMenu();
+    // Connectivity, shown by the header indicator:
+    //   online   - /api/v1/health answers "ok"
+    //   degraded - the server answers, but health fails or reports a problem
+    //   offline  - requests don't reach the server, either because the browser is
+    //              offline or because the service worker (sw.js) sees them fail
+    //              while navigator.onLine stays true; the offline banner shows
+    //              and cached pages and package metadata keep working underneath
+    setupConnectivity() {
+        this.connectivity = 'online';
+
+        this.offlineBanner = document.createElement('div');
+        this.offlineBanner.className = 'offline-banner';
+        this.offlineBanner.setAttribute('role', 'status');
+        this.offlineBanner.hidden = true;
+        this.offlineBanner.textContent = 'You are offline. Showing cached packages and checksums; some pages may be unavailable.';
+        document.body.appendChild(this.offlineBanner);
+
+        this.healthIndicator = document.createElement('span');
+        this.healthIndicator.className = 'health-indicator';
+        this.healthIndicator.setAttribute('role', 'status');
+        ZepplinHtml.render(this.healthIndicator, html`<span class="health-dot"></span><span class="health-label"></span>`);
+        document.querySelector('.header-content')?.appendChild(this.healthIndicator);
+
+        window.addEventListener('online', () => this.checkHealth());
+        window.addEventListener('offline', () => this.setConnectivity('offline'));
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type !== 'zepplin:network') return;
+            if (event.data.online) {
+                this.checkHealth();
+            } else {
+                this.setConnectivity('offline');
+            }
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.checkHealth();
+        });
+        setInterval(() => {
+            if (!document.hidden) this.checkHealth();
+        }, ZepplinApp.HEALTH_CHECK_INTERVAL);
+
+        this.checkHealth();
+    }
+
+    async checkHealth() {
+        if (!navigator.onLine) {
+            this.setConnectivity('offline');
+            return;
+        }
+
+        try {
+            const health = await this.api.getHealth({ key: 'health', handleUnauthorized: false });
+            this.setConnectivity(health?.status === 'ok' ? 'online' : 'degraded', health);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            this.setConnectivity(error instanceof ZepplinNetworkError ? 'offline' : 'degraded');
+        }
+    }
+
+    setConnectivity(state, health = null) {
+        const previous = this.connectivity;
+        this.connectivity = state;
+        this.offlineBanner.hidden = state !== 'offline';
+
+        const labels = { online: 'Online', degraded: 'Degraded', offline: 'Offline' };
+        const details = {
+            online: `Registry healthy${health?.version ? ` (v${health.version})` : ''}`,
+            degraded: 'The registry is reachable but reporting problems; some sections may fail to load',
+            offline: 'The registry is unreachable; showing cached data'
+        };
+        this.healthIndicator.dataset.state = state;
+        this.healthIndicator.title = details[state];
+        this.healthIndicator.querySelector('.health-label').textContent = labels[state];
+
+        if (previous !== 'online' && state === 'online') {
+            this.showSuccess('Connection to the registry restored');
         }
     }
 
-    createMobileMenu() {
-        // Implementation for mobile hamburger menu
+    // Below 768px the header nav turns into a drawer behind the ☰ button. While it's
+    // open Tab stays inside it, Escape closes it and focus returns to the button.
+    setupMobileNav() {
+        const nav = document.querySelector('.header .nav');
         const header = document.querySelector('.header-content');
-        if (!header) return;
+        if (!nav || !header) return;
 
-        const menuButton = document.createElement('button');
-        menuButton.className = 'mobile-menu-btn';
-        menuButton.innerHTML = '☰';
-        menuButton.style.cssText = `
-            display: none;
-            background: none;
-            border: none;
-            color: var(--lightning-400);
-            font-size: 1.5rem;
-            cursor: pointer;
-            padding: 0.5rem;
-        `;
+        this.siteNav = nav;
+        nav.id ||= 'site-nav';
+        nav.setAttribute('aria-label', 'Main');
+
+        this.mobileMenuButton = document.createElement('button');
+        this.mobileMenuButton.type = 'button';
+        this.mobileMenuButton.className = 'mobile-menu-btn';
+        this.mobileMenuButton.setAttribute('aria-controls', nav.id);
+        this.mobileMenuButton.setAttribute('aria-expanded', 'false');
+        this.mobileMenuButton.setAttribute('aria-label', 'Open menu');
+        ZepplinHtml.render(this.mobileMenuButton, html`<span aria-hidden="true">☰</span>`);
+        header.appendChild(this.mobileMenuButton);
 
-        if (window.innerWidth <= 768) {
-            menuButton.style.display = 'block';
-            header.appendChild(menuButton);
+        this.navBackdrop = document.createElement('div');
+        this.navBackdrop.className = 'nav-backdrop';
+        this.navBackdrop.hidden = true;
+        document.body.appendChild(this.navBackdrop);
+
+        this.mobileMenuButton.addEventListener('click', () => {
+            if (nav.classList.contains('open')) {
+                this.closeMobileNav({ restoreFocus: true });
+            } else {
+                this.openMobileNav();
+            }
+        });
+        this.navBackdrop.addEventListener('click', () => this.closeMobileNav({ restoreFocus: true }));
+        nav.addEventListener('click', (e) => {
+            if (e.target.closest('a[href]')) this.closeMobileNav();
+        });
+        document.addEventListener('keydown', (e) => {
+            // The profile menu handles its own keys when it's open inside the drawer
+            if (!nav.classList.contains('open') || e.defaultPrevented) return;
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeMobileNav({ restoreFocus: true });
+            } else if (e.key === 'Tab') {
+                this.trapFocus([this.mobileMenuButton, ...this.focusableElements(nav)], e);
+            }
+        });
+        // Rotating or resizing past the breakpoint leaves the inline nav behind
+        window.matchMedia('(max-width: 768px)').addEventListener('change', () => this.closeMobileNav());
+    }
+
+    openMobileNav() {
+        this.siteNav.classList.add('open');
+        this.navBackdrop.hidden = false;
+        document.body.classList.add('nav-open');
+        this.mobileMenuButton.setAttribute('aria-expanded', 'true');
+        this.mobileMenuButton.setAttribute('aria-label', 'Close menu');
+        this.focusableElements(this.siteNav)[0]?.focus();
+    }
+
+    closeMobileNav({ restoreFocus = false } = {}) {
+        if (!this.siteNav?.classList.contains('open')) return;
+
+        this.siteNav.classList.remove('open');
+        this.navBackdrop.hidden = true;
+        document.body.classList.remove('nav-open');
+        this.mobileMenuButton.setAttribute('aria-expanded', 'false');
+        this.mobileMenuButton.setAttribute('aria-label', 'Open menu');
+        if (restoreFocus) this.mobileMenuButton.focus();
+    }
+
+    // Cycles System, Light, Dark and High contrast; Settings offers the same choice
+    setupThemeToggle() {
+        const nav = document.querySelector('.header .nav');
+        if (!nav) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'nav-link theme-toggle';
+        nav.insertBefore(button, document.getElementById('auth-nav'));
+
+        const update = () => {
+            const preference = ZepplinTheme.preference();
+            const label = ZepplinTheme.LABELS[preference];
+            ZepplinHtml.render(button, html`
+                <span aria-hidden="true">${ZepplinApp.THEME_ICONS[preference]}</span>
+                <span class="theme-toggle-label">${label}</span>
+            `);
+            button.setAttribute('aria-label', `Theme: ${label}. Switch theme`);
+        };
+        button.addEventListener('click', () => {
+            const order = ['system', ...ZepplinTheme.THEMES];
+            this.setTheme(order[(order.indexOf(ZepplinTheme.preference()) + 1) % order.length]);
+        });
+        document.addEventListener('zepplin:themechange', update);
+        update();
+    }
+
+    // Signed-in users also get the choice saved with their profile
+    async setTheme(preference) {
+        if (!ZepplinTheme.set(preference) || !this.currentUser) return;
+
+        try {
+            await this.api.updateProfile({ theme: ZepplinTheme.preference() });
+            this.currentUser = { ...this.currentUser, theme: ZepplinTheme.preference() };
+        } catch (error) {
+            console.error('Failed to save theme:', error);
+            this.showError(`Couldn't save the theme to your account: ${this.describeError(error)}`);
+        }
+    }
+
+    // "Skip to main content" moves focus itself: following the #hash would fire
+    // popstate and make the router rebuild the current view
+    setupSkipLinks() {
+        document.querySelectorAll('.skip-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                const target = document.getElementById(link.hash.slice(1));
+                if (!target) return;
+                e.preventDefault();
+                target.focus();
+                target.scrollIntoView?.({ block: 'start' });
+            });
+        });
+    }
+
+    // Elements a user can Tab to right now, in document order
+    focusableElements(container) {
+        const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+        return [...container.querySelectorAll(selector)]
+            .filter(el => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden');
+    }
+
+    // Call from a Tab keydown: wraps focus around so it can't leave `elements`
+    trapFocus(elements, event) {
+        if (elements.length === 0) return;
+
+        const index = elements.indexOf(document.activeElement);
+        if (event.shiftKey && index <= 0) {
+            event.preventDefault();
+            elements[elements.length - 1].focus();
+        } else if (!event.shiftKey && (index === -1 || index === elements.length - 1)) {
+            event.preventDefault();
+            elements[0].focus();
         }
     }
 
@@ -310,9 +485,25 @@ class ZepplinApp {
         return num.toString();
     }
 
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // API timestamps arrive as unix seconds (number or numeric string) or ISO strings
+    toDate(value) {
+        if (value instanceof Date) return value;
+        if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+            return new Date(Number(value) * 1000);
+        }
+        return new Date(value);
+    }
+
     formatDate(dateString) {
         try {
-            const date = new Date(dateString);
+            const date = this.toDate(dateString);
+            if (isNaN(date)) return 'Recently';
             const now = new Date();
             const diffMs = now - date;
             const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
@@ -328,13 +519,8 @@ class ZepplinApp {
         }
     }
 
-    updateLastUpdated() {
-        const lastUpdated = new Date().toLocaleString();
-        console.log(`Zepplin Registry loaded at ${lastUpdated}`);
-    }
-
     createEmptyState(message) {
-        return `
+        return html`
             <div style="text-align: center; padding: 3rem; color: var(--text-muted);">
                 <div style="font-size: 3rem; margin-bottom: 1rem;">📦</div>
                 <div>${message}</div>
@@ -342,9 +528,89 @@ class ZepplinApp {
         `;
     }
 
+    renderSignInPrompt(action) {
+        return html`
+            <div class="not-logged-in">
+                <h2>Not Logged In</h2>
+                <p>Please sign in to ${action}.</p>
+                <a href="/auth" class="login-btn">Sign In</a>
+            </div>
+        `;
+    }
+
+    // Degraded state for a page section that failed to load. Sections never fall
+    // back to placeholder data: a visible error with a retry beats listing
+    // packages that don't exist.
+    renderErrorCard(container, error, { title = 'Failed to load', onRetry } = {}) {
+        ZepplinHtml.render(container, html`
+            <div class="error-card" role="alert">
+                <div class="error-card-title">${title}</div>
+                <p class="error-card-message">${this.describeError(error)}</p>
+                ${onRetry ? html`<button type="button" class="error-card-retry">Try again</button>` : ''}
+            </div>
+        `);
+
+        container.querySelector('.error-card-retry')?.addEventListener('click', (e) => {
+            e.currentTarget.disabled = true;
+            e.currentTarget.textContent = 'Retrying...';
+            onRetry();
+        });
+    }
+
+    describeError(error) {
+        if (error instanceof ZepplinNetworkError) return 'Can\'t reach the registry. Check your connection and try again.';
+        if (error instanceof ZepplinRateLimitError) return 'Too many requests. Wait a moment and try again.';
+        if (error instanceof ZepplinServerError) return 'The registry ran into a problem handling this request.';
+        return error?.message || 'Something went wrong.';
+    }
+
+    // Toasts stack bottom-right; errors stay longer and are announced assertively
+    showToast(message, { type = 'info', duration = 5000 } = {}) {
+        let region = document.querySelector('.toast-region');
+        if (!region) {
+            region = document.createElement('div');
+            region.className = 'toast-region';
+            document.body.appendChild(region);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        ZepplinHtml.render(toast, html`<span class="toast-message"></span><button type="button" class="toast-close" aria-label="Dismiss">&times;</button>`);
+        toast.querySelector('.toast-message').textContent = message;
+
+        const dismiss = () => {
+            toast.classList.add('toast-leaving');
+            setTimeout(() => toast.remove(), 200);
+        };
+        toast.querySelector('.toast-close').addEventListener('click', dismiss);
+        if (duration) setTimeout(dismiss, duration);
+
+        region.appendChild(toast);
+        // Cap the stack so a burst of failures doesn't cover the page
+        while (region.children.length > 4) region.firstElementChild.remove();
+        return dismiss;
+    }
+
     showError(message) {
         console.error('Zepplin Error:', message);
-        // Could implement toast notifications here
+        return this.showToast(message, { type: 'error', duration: 8000 });
+    }
+
+    showSuccess(message) {
+        return this.showToast(message, { type: 'success' });
+    }
+
+    async copyToClipboard(text, button) {
+        try {
+            await navigator.clipboard.writeText(text);
+            const original = button.textContent;
+            button.textContent = 'Copied!';
+            setTimeout(() => { button.textContent = original; }, 1500);
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.showError('Couldn\'t copy to the clipboard. Select the text and copy it manually.');
+        }
     }
 
     hideLoadingApp() {
@@ -355,12 +621,6 @@ class ZepplinApp {
         }
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -374,95 +634,109 @@ class ZepplinApp {
     }
 
     // Authentication methods
+    // Resolves with the signed-in user (or null); runs once per page load and the
+    // result is shared by every view through this.authReady
     async setupAuth() {
-        const token = localStorage.getItem('zepplin_token');
         const authNav = document.getElementById('auth-nav');
+        // Older versions kept the session token and profile in localStorage
+        ZepplinApp.LEGACY_AUTH_KEYS.forEach(key => localStorage.removeItem(key));
 
-        console.log('setupAuth - token from localStorage:', token ? `${token.substring(0, 30)}... (len=${token.length})` : 'null');
-
-        if (token) {
-            // Check if token is valid
-            try {
-                console.log('Calling /api/v1/auth/me with token');
-                const response = await fetch('/api/v1/auth/me', {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                });
-                console.log('Auth response status:', response.status);
-                
-                if (response.ok) {
-                    const user = await response.json();
-                    this.renderAuthenticatedNav(authNav, user);
-                } else {
-                    // Token invalid, clear it
-                    localStorage.removeItem('zepplin_token');
-                    localStorage.removeItem('zepplin_username');
-                    this.renderUnauthenticatedNav(authNav);
-                }
-            } catch (error) {
+        // The session is an HttpOnly cookie, so asking the server is the only
+        // way to know whether we're signed in
+        try {
+            const user = await this.api.getCurrentUser({ handleUnauthorized: false });
+            this.currentUser = user;
+            // The theme saved with the account wins over this browser's
+            if (user.theme) ZepplinTheme.set(user.theme);
+            this.renderAuthenticatedNav(authNav, user);
+            this.setupNotificationPolling();
+            return user;
+        } catch (error) {
+            if (!(error instanceof ZepplinAuthError)) {
                 console.error('Auth check failed:', error);
-                this.renderUnauthenticatedNav(authNav);
             }
-        } else {
-            this.renderUnauthenticatedNav(authNav);
         }
+
+        this.currentUser = null;
+        this.renderUnauthenticatedNav(authNav);
+        return null;
     }
     
     renderAuthenticatedNav(authNav, user) {
-        // Get stored user data from localStorage
-        const avatarUrl = localStorage.getItem('zepplin_avatar_url') || '';
-        const displayName = localStorage.getItem('zepplin_display_name') || user.username;
-        const email = localStorage.getItem('zepplin_email') || '';
-        
-        authNav.innerHTML = `
+        // Escaped like any other data, and the avatar must be an http(s) URL
+        const avatarUrl = ZepplinHtml.safeUrl(user.avatar_url);
+        const displayName = user.display_name || user.username;
+        const email = user.email || '';
+        const initial = displayName.charAt(0).toUpperCase();
+        const unread = this.unreadNotifications;
+
+        ZepplinHtml.render(authNav, html`
             <a href="/publish" class="nav-link">Publish</a>
             <div class="profile-dropdown">
-                <button class="profile-trigger" onclick="window.zepplin.toggleProfileDropdown(event)">
-                    ${avatarUrl ? 
-                        `<img src="${avatarUrl}" alt="${displayName}" class="profile-avatar">` : 
-                        `<div class="profile-avatar-placeholder">${displayName.charAt(0).toUpperCase()}</div>`
+                <button type="button" class="profile-trigger" aria-haspopup="menu" aria-expanded="false" aria-controls="profile-menu">
+                    ${avatarUrl
+                        ? html`<img src="${avatarUrl}" alt="${displayName}" class="profile-avatar">`
+                        : html`<div class="profile-avatar-placeholder">${initial}</div>`
                     }
                     <span class="profile-name">${displayName}</span>
-                    <svg class="profile-chevron" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <span class="notification-badge profile-notification-badge" aria-hidden="true" ${unread ? '' : 'hidden'}>${this.formatUnreadCount(unread)}</span>
+                    <svg class="profile-chevron" aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <polyline points="6 9 12 15 18 9"></polyline>
                     </svg>
                 </button>
-                <div class="profile-menu" id="profile-menu">
-                    <div class="profile-menu-header">
-                        ${avatarUrl ? 
-                            `<img src="${avatarUrl}" alt="${displayName}" class="profile-menu-avatar">` : 
-                            `<div class="profile-menu-avatar-placeholder">${displayName.charAt(0).toUpperCase()}</div>`
+                <div class="profile-menu" id="profile-menu" role="menu" aria-label="Account">
+                    <div class="profile-menu-header" role="none">
+                        ${avatarUrl
+                            ? html`<img src="${avatarUrl}" alt="" class="profile-menu-avatar">`
+                            : html`<div class="profile-menu-avatar-placeholder" aria-hidden="true">${initial}</div>`
                         }
                         <div class="profile-menu-info">
                             <div class="profile-menu-name">${displayName}</div>
                             <div class="profile-menu-email">${email}</div>
                         </div>
                     </div>
-                    <div class="profile-menu-divider"></div>
-                    <a href="/profile" class="profile-menu-item">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <div class="profile-menu-divider" role="separator"></div>
+                    <a href="/profile" class="profile-menu-item" role="menuitem" tabindex="-1">
+                        <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
                             <circle cx="12" cy="7" r="4"></circle>
                         </svg>
                         My Profile
                     </a>
-                    <a href="/packages/my" class="profile-menu-item">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <a href="/packages/my" class="profile-menu-item" role="menuitem" tabindex="-1">
+                        <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path>
                         </svg>
                         My Packages
                     </a>
-                    <a href="/settings" class="profile-menu-item">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <a href="/notifications" class="profile-menu-item" role="menuitem" tabindex="-1">
+                        <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+                            <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+                        </svg>
+                        Notifications
+                        <span class="notification-badge profile-menu-badge" ${unread ? '' : 'hidden'}>${this.formatUnreadCount(unread)}<span class="visually-hidden"> unread</span></span>
+                    </a>
+                    ${user.is_admin ? html`
+                        <a href="/import" class="profile-menu-item" role="menuitem" tabindex="-1">
+                            <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                                <polyline points="7 10 12 15 17 10"></polyline>
+                                <line x1="12" y1="15" x2="12" y2="3"></line>
+                            </svg>
+                            Import from Ecosystem
+                        </a>
+                    ` : ''}
+                    <a href="/settings" class="profile-menu-item" role="menuitem" tabindex="-1">
+                        <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <circle cx="12" cy="12" r="3"></circle>
                             <path d="M12 1v6m0 6v6m4.22-13.22l4.24 4.24M1.54 1.54l4.24 4.24M20.46 20.46l-4.24-4.24M1.54 20.46l4.24-4.24"></path>
                         </svg>
                         Settings
                     </a>
-                    <div class="profile-menu-divider"></div>
-                    <button class="profile-menu-item profile-menu-logout" onclick="window.zepplin.logout()">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <div class="profile-menu-divider" role="separator"></div>
+                    <button type="button" class="profile-menu-item profile-menu-logout" role="menuitem" tabindex="-1">
+                        <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"></path>
                             <polyline points="16 17 21 12 16 7"></polyline>
                             <line x1="21" y1="12" x2="9" y2="12"></line>
@@ -471,57 +745,392 @@ class ZepplinApp {
                     </button>
                 </div>
             </div>
-        `;
+        `);
+
+        const trigger = authNav.querySelector('.profile-trigger');
+        trigger.addEventListener('click', (e) => this.toggleProfileDropdown(e));
+        trigger.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+            e.preventDefault();
+            this.openProfileMenu(e.key === 'ArrowDown' ? 0 : -1);
+        });
+        authNav.querySelector('.profile-menu').addEventListener('keydown', (e) => this.handleProfileMenuKeydown(e));
+        authNav.querySelector('.profile-menu-logout').addEventListener('click', () => this.logout());
+        this.updateNotificationBadge(unread);
+    }
+
+    // Notifications: the unread count shows on the profile trigger and its menu
+    // item. It's polled while the tab is visible, and the notifications page
+    // pushes new counts through updateNotificationBadge as items are read.
+    setupNotificationPolling() {
+        if (!this.notificationPoll) {
+            this.notificationPoll = setInterval(() => {
+                if (!document.hidden) this.refreshNotificationCount();
+            }, ZepplinApp.NOTIFICATION_POLL_INTERVAL);
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) this.refreshNotificationCount();
+            });
+        }
+        this.refreshNotificationCount();
+    }
+
+    async refreshNotificationCount() {
+        if (!this.currentUser) return;
+        try {
+            const { unreadCount } = await this.api.getNotifications({ limit: 0 }, { key: 'notification-count', handleUnauthorized: false });
+            this.updateNotificationBadge(unreadCount);
+        } catch (error) {
+            // The badge just keeps its last count; the next poll tries again
+            if (!(error instanceof ZepplinAbortError)) console.warn('Notification count failed:', error);
+        }
+    }
+
+    updateNotificationBadge(count) {
+        this.unreadNotifications = count;
+        const text = this.formatUnreadCount(count);
+        document.querySelectorAll('#auth-nav .notification-badge').forEach(badge => {
+            badge.hidden = count === 0;
+            badge.firstChild.textContent = text;
+        });
+
+        // The trigger badge is hidden from screen readers; its name carries the count
+        const trigger = document.querySelector('.profile-trigger');
+        if (!trigger || !this.currentUser) return;
+        const displayName = this.currentUser.display_name || this.currentUser.username;
+        if (count) {
+            trigger.setAttribute('aria-label', `${displayName}, ${count} unread notification${count === 1 ? '' : 's'}`);
+        } else {
+            trigger.removeAttribute('aria-label');
+        }
+    }
+
+    formatUnreadCount(count) {
+        return count > 99 ? '99+' : String(count);
     }
     
     renderUnauthenticatedNav(authNav) {
-        authNav.innerHTML = `
+        ZepplinHtml.render(authNav, html`
             <a href="/auth" class="nav-link">Login</a>
             <a href="/auth" class="nav-link nav-btn">Sign Up</a>
-        `;
+        `);
     }
     
     toggleProfileDropdown(event) {
         event.stopPropagation();
+        if (document.getElementById('profile-menu')?.classList.contains('active')) {
+            this.closeProfileMenu();
+        } else {
+            this.openProfileMenu(0);
+        }
+    }
+
+    // Menu button pattern: opening focuses an item (0 = first, -1 = last), arrows,
+    // Home and End move between items, Tab wraps inside the menu and Escape
+    // closes it and returns focus to the trigger
+    openProfileMenu(focusIndex = 0) {
         const menu = document.getElementById('profile-menu');
-        if (menu) {
-            menu.classList.toggle('active');
-            
-            // Close menu when clicking outside
-            document.addEventListener('click', function closeMenu(e) {
-                if (!menu.contains(e.target)) {
-                    menu.classList.remove('active');
-                    document.removeEventListener('click', closeMenu);
-                }
-            });
+        const trigger = document.querySelector('.profile-trigger');
+        if (!menu || !trigger) return;
+
+        menu.classList.add('active');
+        trigger.setAttribute('aria-expanded', 'true');
+        this.profileMenuItems().at(focusIndex)?.focus();
+
+        // Close menu when clicking outside
+        this.stopProfileMenuListener?.();
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) this.closeProfileMenu();
+        };
+        document.addEventListener('click', closeMenu);
+        this.stopProfileMenuListener = () => document.removeEventListener('click', closeMenu);
+    }
+
+    closeProfileMenu({ restoreFocus = false } = {}) {
+        this.stopProfileMenuListener?.();
+        this.stopProfileMenuListener = null;
+
+        const menu = document.getElementById('profile-menu');
+        if (!menu?.classList.contains('active')) return;
+        menu.classList.remove('active');
+
+        const trigger = document.querySelector('.profile-trigger');
+        trigger?.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) trigger?.focus();
+    }
+
+    profileMenuItems() {
+        return [...document.querySelectorAll('#profile-menu [role="menuitem"]')];
+    }
+
+    handleProfileMenuKeydown(e) {
+        const items = this.profileMenuItems();
+        const index = items.indexOf(document.activeElement);
+        const focusAt = (i) => items[(i + items.length) % items.length]?.focus();
+
+        switch (e.key) {
+            case 'ArrowDown':
+                focusAt(index + 1);
+                break;
+            case 'ArrowUp':
+                focusAt(index - 1);
+                break;
+            case 'Home':
+                focusAt(0);
+                break;
+            case 'End':
+                focusAt(-1);
+                break;
+            case 'Tab':
+                focusAt(e.shiftKey ? index - 1 : index + 1);
+                break;
+            case ' ':
+                // Links only activate on Enter by default
+                items[index]?.click();
+                break;
+            case 'Escape':
+                // Inside the mobile drawer, Escape closes the menu before the drawer
+                e.stopPropagation();
+                this.closeProfileMenu({ restoreFocus: true });
+                break;
+            default:
+                return;
         }
+        e.preventDefault();
     }
     
     async logout() {
-        const token = localStorage.getItem('zepplin_token');
-        
-        if (token) {
+        if (this.currentUser) {
             try {
-                await fetch('/api/v1/auth/logout', {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                });
+                await this.api.logout();
             } catch (error) {
                 console.error('Logout request failed:', error);
             }
         }
-        
-        // Clear all auth-related local storage
-        localStorage.removeItem('zepplin_token');
-        localStorage.removeItem('zepplin_username');
-        localStorage.removeItem('zepplin_display_name');
-        localStorage.removeItem('zepplin_avatar_url');
-        localStorage.removeItem('zepplin_email');
-        
-        // Refresh the page to update UI
-        window.location.reload();
+
+        this.clearSession();
+    }
+
+    // Any API call that gets a 401 lands here; it only matters while signed in
+    handleSessionExpired() {
+        if (!this.currentUser) return;
+        this.clearSession();
+        this.showError('Your session has expired. Please sign in again.');
+    }
+
+    // After Settings saves the profile: the nav and later views get the new details
+    setCurrentUser(user) {
+        this.currentUser = user;
+        this.authReady = Promise.resolve(user);
+        this.renderAuthenticatedNav(document.getElementById('auth-nav'), user);
+    }
+
+    clearSession() {
+        // Drop per-user state and re-render the current view signed out
+        this.currentUser = null;
+        this.unreadNotifications = 0;
+        this.api.csrfToken = null;
+        this.authReady = Promise.resolve(null);
+        this.api.clearCache();
+        this.renderUnauthenticatedNav(document.getElementById('auth-nav'));
+        this.router?.refresh();
+    }
+}
+
+// History-API router: maps paths to view classes and renders them into the shell
+class ZepplinRouter {
+    constructor(app, outlet) {
+        this.app = app;
+        this.outlet = outlet;
+        this.routes = [];
+        this.currentView = null;
+        this.hasResolved = false;
+    }
+
+    // Patterns are literal paths with ":name" segments, e.g. "/packages/:owner/:repo"
+    add(pattern, View, options = {}) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        this.routes.push({ regex: new RegExp(`^${source}/?$`), keys, View, nav: options.nav || null });
+        return this;
+    }
+
+    match(pathname) {
+        for (const route of this.routes) {
+            const match = route.regex.exec(pathname);
+            if (match) {
+                const params = {};
+                try {
+                    route.keys.forEach((key, i) => {
+                        params[key] = decodeURIComponent(match[i + 1]);
+                    });
+                } catch (error) {
+                    // A malformed escape like /packages/%E0 names nothing
+                    if (error instanceof URIError) return this.notFound();
+                    throw error;
+                }
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    notFound() {
+        return { route: { View: NotFoundView, nav: null }, params: {} };
+    }
+
+    start() {
+        document.addEventListener('click', (e) => this.handleLinkClick(e));
+        window.addEventListener('popstate', () => this.resolve());
+        return this.resolve();
+    }
+
+    handleLinkClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || link.target === '_blank' || link.hasAttribute('download')) return;
+        if (link.origin !== window.location.origin) return;
+
+        // In-page anchors keep the browser's default scrolling
+        if (link.hash && link.pathname === window.location.pathname && link.search === window.location.search) return;
+
+        // Pages outside the app (docs, auth, API) still get a full load
+        if (!this.match(link.pathname)) return;
+
+        e.preventDefault();
+        this.navigate(link.pathname + link.search + link.hash);
+    }
+
+    navigate(url, { replace = false } = {}) {
+        const current = window.location.pathname + window.location.search + window.location.hash;
+        if (url !== current) {
+            history[replace ? 'replaceState' : 'pushState'](null, '', url);
+        }
+        window.scrollTo(0, 0);
+        return this.resolve();
+    }
+
+    refresh() {
+        return this.resolve();
+    }
+
+    async resolve() {
+        // The server serves the shell for every /packages/* path, so deeper paths
+        // can reach the router without a matching view
+        const matched = this.match(window.location.pathname) || this.notFound();
+
+        if (this.currentView) {
+            this.currentView.unmount();
+        }
+
+        // Each view gets a fresh container so late responses from the previous
+        // view land in a detached node instead of the new page
+        const container = document.createElement('div');
+        container.className = 'view';
+        this.outlet.replaceChildren(container);
+
+        const view = new matched.route.View(this.app, {
+            params: matched.params,
+            query: new URLSearchParams(window.location.search),
+            path: window.location.pathname
+        });
+        this.currentView = view;
+
+        document.title = view.title ? `${view.title} - Zepplin` : 'Zepplin - Zig Package Registry';
+        this.updateNav(matched.route.nav);
+
+        // After in-app navigation, screen readers and keyboard users start at the
+        // new page instead of on a link that may no longer exist; the first load
+        // keeps the browser's own starting point
+        if (this.hasResolved) this.outlet.focus({ preventScroll: true });
+        this.hasResolved = true;
+
+        try {
+            await view.mount(container);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to render view:', error);
+            this.app.renderErrorCard(container, error, {
+                title: 'Something went wrong loading this page',
+                onRetry: () => this.refresh()
+            });
+        }
+    }
+
+    updateNav(navHref) {
+        document.querySelectorAll('.nav > .nav-link').forEach(link => {
+            link.classList.toggle('active', link.getAttribute('href') === navHref);
+        });
+        this.app.closeProfileMenu();
+        this.app.closeMobileNav();
+    }
+}
+
+// Base class for routed views. Subclasses return an `html` template from render() and fetch
+// their data in load(); all DOM lookups go through this.$ so they stay scoped to
+// the view's own container.
+class ZepplinView {
+    constructor(app, route) {
+        this.app = app;
+        this.params = route.params;
+        this.query = route.query;
+        this.path = route.path;
+        this.root = null;
+        this.active = true;
+        // Passed to API calls so leaving the view cancels its pending requests
+        this.abortController = new AbortController();
+        this.signal = this.abortController.signal;
+    }
+
+    get title() {
+        return '';
+    }
+
+    async mount(root) {
+        this.root = root;
+        ZepplinHtml.render(root, this.render());
+        await this.load();
+    }
+
+    // An `html` result or a DOM node
+    render() {
+        return html``;
+    }
+
+    async load() {}
+
+    unmount() {
+        this.active = false;
+        this.abortController.abort();
+    }
+
+    // Reflects view state in the URL without re-rendering; Back and Forward
+    // still re-resolve the route and rebuild the view from the URL
+    setQuery(query, { replace = false } = {}) {
+        const search = query.toString();
+        history[replace ? 'replaceState' : 'pushState'](null, '', search ? `${this.path}?${search}` : this.path);
+        this.query = new URLSearchParams(search);
+    }
+
+    $(selector) {
+        return this.root.querySelector(selector);
+    }
+
+    $$(selector) {
+        return this.root.querySelectorAll(selector);
+    }
+}
+
+class NotFoundView extends ZepplinView {
+    get title() {
+        return 'Not Found';
+    }
+
+    render() {
+        return html`<div class="view-page">${this.app.createEmptyState('Page not found')}</div>`;
     }
 }
 
@@ -550,7 +1159,7 @@ const additionalStyles = `
     }
     
     .suggestion-item:hover {
-        background: rgba(255, 214, 10, 0.1);
+        background: var(--accent-bg);
     }
     
     .suggestion-item:last-child {
@@ -559,7 +1168,7 @@ const additionalStyles = `
     
     .suggestion-name {
         font-weight: 600;
-        color: var(--lightning-400);
+        color: var(--accent-text);
         margin-bottom: 0.25rem;
     }
     
@@ -582,8 +1191,8 @@ const additionalStyles = `
         align-items: center;
         gap: 0.5rem;
         padding: 0.5rem 0.75rem;
-        background: rgba(255, 214, 10, 0.1);
-        border: 1px solid rgba(255, 214, 10, 0.2);
+        background: var(--accent-bg);
+        border: 1px solid var(--accent-border);
         border-radius: 2rem;
         color: var(--text-primary);
         cursor: pointer;
@@ -591,8 +1200,8 @@ const additionalStyles = `
     }
     
     .profile-trigger:hover {
-        background: rgba(255, 214, 10, 0.2);
-        border-color: var(--lightning-400);
+        background: var(--accent-bg-strong);
+        border-color: var(--accent-hover);
     }
     
     .profile-avatar {
@@ -606,7 +1215,7 @@ const additionalStyles = `
         width: 32px;
         height: 32px;
         border-radius: 50%;
-        background: var(--lightning-400);
+        background: var(--accent-hover);
         color: var(--bg-primary);
         display: flex;
         align-items: center;
@@ -623,6 +1232,26 @@ const additionalStyles = `
         transition: transform 0.2s;
     }
     
+    .notification-badge {
+        min-width: 1.25rem;
+        padding: 0.1rem 0.4rem;
+        border-radius: 1rem;
+        background: var(--accent);
+        color: var(--on-accent);
+        font-size: 0.75rem;
+        font-weight: 600;
+        line-height: 1.2;
+        text-align: center;
+    }
+    
+    .notification-badge[hidden] {
+        display: none;
+    }
+    
+    .profile-menu-badge {
+        margin-left: auto;
+    }
+    
     .profile-menu {
         position: absolute;
         top: calc(100% + 0.5rem);
@@ -631,18 +1260,24 @@ const additionalStyles = `
         background: var(--bg-secondary);
         border: 1px solid var(--border-subtle);
         border-radius: 0.5rem;
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        box-shadow: var(--shadow-lg);
         opacity: 0;
         visibility: hidden;
         transform: translateY(-10px);
-        transition: all 0.2s;
+        transition: opacity 0.2s, transform 0.2s, visibility 0s linear 0.2s;
         z-index: 1000;
     }
     
+    /* Visible at once, so the first item can take focus as the menu opens */
     .profile-menu.active {
         opacity: 1;
         visibility: visible;
         transform: translateY(0);
+        transition-delay: 0s;
+    }
+    
+    .profile-trigger[aria-expanded="true"] .profile-chevron {
+        transform: rotate(180deg);
     }
     
     .profile-menu-header {
@@ -664,7 +1299,7 @@ const additionalStyles = `
         width: 48px;
         height: 48px;
         border-radius: 50%;
-        background: var(--lightning-400);
+        background: var(--accent-hover);
         color: var(--bg-primary);
         display: flex;
         align-items: center;
@@ -713,35 +1348,38 @@ const additionalStyles = `
         text-align: left;
     }
     
-    .profile-menu-item:hover {
-        background: rgba(255, 214, 10, 0.1);
-        color: var(--lightning-400);
+    .profile-menu-item:hover,
+    .profile-menu-item:focus {
+        background: var(--accent-bg);
+        color: var(--accent-text);
     }
     
     .profile-menu-logout {
         color: var(--text-muted);
     }
     
-    .profile-menu-logout:hover {
-        background: rgba(255, 100, 100, 0.1);
-        color: #ff6464;
+    .profile-menu-logout:hover,
+    .profile-menu-logout:focus {
+        background: var(--error-bg);
+        color: var(--error);
     }
     
     @media (max-width: 768px) {
-        .mobile-menu-btn {
-            display: block !important;
+        /* In the nav drawer the menu opens in place below its trigger */
+        .profile-dropdown {
+            display: block;
         }
         
-        .nav {
+        .profile-menu {
+            position: static;
+            min-width: auto;
+            margin-top: 0.5rem;
             display: none;
+            transform: none;
         }
         
-        .profile-menu {
-            position: fixed;
-            top: 60px;
-            right: 1rem;
-            left: 1rem;
-            min-width: auto;
+        .profile-menu.active {
+            display: block;
         }
     }
 `;
@@ -0,0 +1,139 @@
+// Zepplin Registry - Minimal Markdown renderer
+// Escapes all input first, then applies a small subset of Markdown (headings,
+// lists, code, emphasis, links). Raw HTML in the source is never passed through,
+// so render() returns SafeHtml that can go straight into an `html` template.
+
+const ZepplinMarkdown = {
+    render(source) {
+        const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+        const out = [];
+        let paragraph = [];
+        let list = null;
+        let inCode = false;
+        let codeLines = [];
+        let codeLang = '';
+
+        const flushParagraph = () => {
+            if (paragraph.length) {
+                out.push(`<p>${this.inline(paragraph.join(' '))}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                out.push(`<${list.tag}>${list.items.map(item => `<li>${this.inline(item)}</li>`).join('')}</${list.tag}>`);
+                list = null;
+            }
+        };
+
+        for (const line of lines) {
+            if (inCode) {
+                if (/^\s*```/.test(line)) {
+                    const langClass = codeLang ? ` class="language-${this.escape(codeLang)}"` : '';
+                    out.push(`<pre><code${langClass}>${this.escape(codeLines.join('\n'))}</code></pre>`);
+                    inCode = false;
+                    codeLines = [];
+                } else {
+                    codeLines.push(line);
+                }
+                continue;
+            }
+
+            const fence = line.match(/^\s*```\s*([\w+-]*)/);
+            if (fence) {
+                flushParagraph();
+                flushList();
+                inCode = true;
+                codeLang = fence[1];
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                flushParagraph();
+                flushList();
+                const level = heading[1].length;
+                out.push(`<h${level}>${this.inline(heading[2])}</h${level}>`);
+                continue;
+            }
+
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const ordered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+            if (bullet || ordered) {
+                flushParagraph();
+                const tag = bullet ? 'ul' : 'ol';
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push((bullet || ordered)[1]);
+                continue;
+            }
+
+            if (/^\s*>\s?/.test(line)) {
+                flushParagraph();
+                flushList();
+                out.push(`<blockquote>${this.inline(line.replace(/^\s*>\s?/, ''))}</blockquote>`);
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushParagraph();
+                flushList();
+                out.push('<hr>');
+                continue;
+            }
+
+            if (line.trim() === '') {
+                flushParagraph();
+                flushList();
+                continue;
+            }
+
+            flushList();
+            paragraph.push(line.trim());
+        }
+
+        if (inCode) {
+            out.push(`<pre><code>${this.escape(codeLines.join('\n'))}</code></pre>`);
+        }
+        flushParagraph();
+        flushList();
+
+        return ZepplinHtml.raw(out.join('\n'));
+    },
+
+    inline(text) {
+        // Pull code spans out first so their contents are not formatted
+        const codeSpans = [];
+        let html = this.escape(text).replace(/`([^`]+)`/g, (_, code) => {
+            codeSpans.push(code);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+
+        html = html
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, url) => {
+                const safe = this.safeUrl(url);
+                return safe ? `<img src="${safe}" alt="${alt}" loading="lazy">` : alt;
+            })
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, url) => {
+                const safe = this.safeUrl(url);
+                return safe ? `<a href="${safe}" rel="nofollow noopener" target="_blank">${label}</a>` : label;
+            })
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${codeSpans[Number(i)]}</code>`);
+    },
+
+    // Only http(s), mailto and same-origin relative links survive; `url` is
+    // already escaped, so it is checked in its original form
+    safeUrl(url) {
+        const decoded = url.replace(/&amp;/g, '&').replace(/&#39;/g, '\'').replace(/&quot;/g, '"');
+        return ZepplinHtml.safeUrl(decoded) ? url : null;
+    },
+
+    escape(text) {
+        return ZepplinHtml.escape(text);
+    }
+};
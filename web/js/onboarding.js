@@ -0,0 +1,219 @@
+// Zepplin Registry - Client onboarding
+// Drives the "Connect to This Registry" step of the getting-started page. The
+// registry URL, features and sign-in providers come from the live
+// /api/v1/registry/config, and the zepplin.toml, zig fetch and build.zig.zon
+// snippets are generated for that URL and a package picked on the page. Also
+// checks /api/v1/health and whether the visitor has a token for the CLI.
+
+class ZepplinOnboarding {
+    static PROVIDER_LABELS = { local: 'Local account', github: 'GitHub', microsoft: 'Microsoft' };
+
+    constructor(app, root) {
+        this.app = app;
+        this.root = root;
+        this.registryUrl = window.location.origin;
+        this.pkg = { owner: 'owner', repo: 'repo', version: '' };
+    }
+
+    async start() {
+        this.$('#onboarding-package').addEventListener('input', () => this.readPackage());
+        this.$('#onboarding-package').addEventListener('change', (e) => {
+            if (e.target.name === 'package') this.lookUpVersion();
+        });
+        this.$('#onboarding-package').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.lookUpVersion();
+        });
+        this.$('#onboarding-snippets').addEventListener('click', (e) => {
+            const button = e.target.closest('.copy-btn');
+            if (button) this.app.copyToClipboard(this.snippets[button.dataset.copy], button);
+        });
+
+        this.renderSnippets();
+        await Promise.all([this.loadConfig(), this.checkConnection(), this.checkToken(), this.pickExample()]);
+    }
+
+    async loadConfig() {
+        const factsEl = this.$('#registry-facts');
+        try {
+            const config = await this.app.api.getRegistryConfig();
+            this.config = config;
+            this.registryUrl = (config.url || window.location.origin).replace(/\/+$/, '');
+
+            const providers = (config.auth_providers || []).map(id => ZepplinOnboarding.PROVIDER_LABELS[id] || id);
+            const features = (config.features || []).map(feature => feature.replace(/_/g, ' '));
+            ZepplinHtml.render(factsEl, html`
+                <dt>Registry</dt><dd>${config.name || 'Zepplin Registry'} <span class="muted">v${config.version || '?'} · API ${config.api_version || 'v1'}</span></dd>
+                <dt>URL</dt><dd><code class="inline-code">${this.registryUrl}</code></dd>
+                <dt>Sign in with</dt><dd>${providers.join(', ') || 'Local account'}</dd>
+                <dt>Publishing</dt><dd>${config.allow_public_publish ? 'Open to every signed-in user' : 'Restricted by the registry operator'}</dd>
+                <dt>Features</dt><dd>${features.join(', ')}</dd>
+            `);
+
+            // The snippets use the configured URL; say so when it isn't the one this page came from
+            const noteEl = this.$('#registry-url-note');
+            noteEl.hidden = this.registryUrl === window.location.origin;
+            noteEl.textContent = `This page was served from ${window.location.origin}, but the registry is configured as ${this.registryUrl}. The snippets use the configured URL; an operator changes it with REDIRECT_BASE_URL.`;
+
+            document.querySelectorAll('[data-registry-url]').forEach(el => { el.textContent = this.registryUrl; });
+            this.renderSnippets();
+        } catch (error) {
+            console.error('Failed to load registry config:', error);
+            this.app.renderErrorCard(factsEl, error, {
+                title: 'Couldn\'t read the registry configuration; the snippets use this page\'s address',
+                onRetry: () => this.loadConfig()
+            });
+        }
+    }
+
+    async checkConnection() {
+        const statusEl = this.$('#connection-status');
+        this.renderStatus(statusEl, 'pending', 'Checking the connection...');
+
+        const started = performance.now();
+        try {
+            const health = await this.app.api.getHealth();
+            const elapsed = Math.round(performance.now() - started);
+            if (health?.status !== 'ok') {
+                this.renderStatus(statusEl, 'error', `The registry answered but reports "${health?.status || 'unknown'}"`, { retry: true });
+                return;
+            }
+            this.renderStatus(statusEl, 'ok', `Connected to the registry (${elapsed} ms)`);
+        } catch (error) {
+            this.renderStatus(statusEl, 'error', `Can't reach /api/v1/health: ${this.app.describeError(error)}`, { retry: true });
+        }
+    }
+
+    async checkToken() {
+        const statusEl = this.$('#token-status');
+        this.renderStatus(statusEl, 'pending', 'Checking for a token...');
+
+        const user = await this.app.authReady;
+        if (!user) {
+            this.renderStatus(statusEl, 'warn', html`No token: you're not signed in. <a href="/auth">Sign in</a>, then create a personal access token in Settings for the CLI.`);
+            return;
+        }
+
+        try {
+            const now = Date.now() / 1000;
+            const tokens = await this.app.api.listTokens();
+            const active = tokens.filter(token => token.expires_at == null || Number(token.expires_at) > now);
+            if (active.length === 0) {
+                this.renderStatus(statusEl, 'warn', html`Signed in as ${user.username}, but you have no active personal access token. <a href="/settings">Create one in Settings</a> for <code class="inline-code">zepplin login</code> and CI.`);
+                return;
+            }
+            const publish = active.filter(token => (token.scopes || []).includes('publish')).length;
+            this.renderStatus(statusEl, 'ok', html`Signed in as ${user.username} with ${active.length} active token${active.length === 1 ? '' : 's'} (${publish} can publish). <a href="/settings">Manage tokens</a>`);
+        } catch (error) {
+            console.error('Failed to list tokens:', error);
+            this.renderStatus(statusEl, 'warn', `Signed in as ${user.username}; couldn't list your tokens: ${this.app.describeError(error)}`);
+        }
+    }
+
+    renderStatus(el, state, message, { retry = false } = {}) {
+        el.className = `onboarding-status-row status-${state}`;
+        ZepplinHtml.render(el, html`
+            <span class="status-dot" aria-hidden="true"></span>
+            <span>${message}</span>
+            ${retry && html`<button type="button" class="copy-btn">Check again</button>`}
+        `);
+        el.querySelector('button')?.addEventListener('click', () => this.checkConnection());
+    }
+
+    // Starts the snippets off with a real package when the registry has one
+    async pickExample() {
+        try {
+            const { packages } = await this.app.api.listPackages({ limit: 1 });
+            const [example] = packages;
+            if (!example?.owner || !example?.repo || this.$('#onboarding-package').elements.package.value) return;
+            this.$('#onboarding-package').elements.package.value = example.full_name;
+            this.$('#onboarding-package').elements.version.value = (example.latest_version || '').replace(/^v/, '');
+            this.readPackage();
+        } catch {
+            // The placeholder owner/repo snippets are already showing
+        }
+    }
+
+    readPackage() {
+        const form = this.$('#onboarding-package');
+        const [owner, repo] = form.elements.package.value.trim().split('/');
+        this.pkg = {
+            owner: owner || 'owner',
+            repo: repo || 'repo',
+            version: form.elements.version.value.trim().replace(/^v/, '')
+        };
+        this.renderSnippets();
+    }
+
+    // Fills in the latest version of a package that's on this registry
+    async lookUpVersion() {
+        this.readPackage();
+        const hintEl = this.$('#package-hint');
+        const { owner, repo } = this.pkg;
+        if (owner === 'owner' || repo === 'repo') {
+            hintEl.textContent = 'Enter a package as owner/repo.';
+            return;
+        }
+
+        try {
+            const pkg = await this.app.api.getPackage(owner, repo);
+            hintEl.textContent = pkg.latest_version ? `Latest release: v${pkg.latest_version.replace(/^v/, '')}` : 'This package has no releases yet.';
+            const versionInput = this.$('#onboarding-package').elements.version;
+            if (!versionInput.value && pkg.latest_version) {
+                versionInput.value = pkg.latest_version.replace(/^v/, '');
+                this.readPackage();
+            }
+        } catch (error) {
+            hintEl.textContent = error instanceof ZepplinNotFoundError
+                ? `${owner}/${repo} isn't on this registry.`
+                : `Couldn't look up ${owner}/${repo}: ${this.app.describeError(error)}`;
+        }
+    }
+
+    renderSnippets() {
+        const { owner, repo } = this.pkg;
+        const version = this.pkg.version || 'VERSION';
+        const depName = repo.replace(/[^A-Za-z0-9_]/g, '_');
+        const url = `${this.registryUrl}${this.app.api.downloadUrl(owner, repo, version)}`;
+
+        this.snippets = {
+            toml: [
+                '[dependencies]',
+                `${depName} = "${version}"`,
+                '',
+                '[registries]',
+                `default = "${this.registryUrl}"`
+            ].join('\n'),
+            login: `zepplin login ${this.registryUrl}`,
+            fetch: `zig fetch --save=${depName} ${url}`,
+            zon: [
+                '.dependencies = .{',
+                `    .${depName} = .{`,
+                `        .url = "${url}",`,
+                '        // .hash is written by `zig fetch --save`',
+                '    },',
+                '},'
+            ].join('\n')
+        };
+
+        const snippet = (key, label) => html`
+            <div class="snippet-label"><span>${label}</span><button type="button" class="copy-btn" data-copy="${key}">Copy</button></div>
+            <pre class="code-block"><code>${this.snippets[key]}</code></pre>
+        `;
+        ZepplinHtml.render(this.$('#onboarding-snippets'), html`
+            ${snippet('toml', 'zepplin.toml')}
+            ${snippet('login', 'Sign the CLI in to this registry')}
+            ${snippet('fetch', 'Add with zig fetch')}
+            ${snippet('zon', 'build.zig.zon')}
+        `);
+    }
+
+    $(selector) {
+        return this.root.querySelector(selector);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.getElementById('onboarding');
+    if (root && window.zepplin) new ZepplinOnboarding(window.zepplin, root).start();
+});
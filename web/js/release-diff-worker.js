@@ -0,0 +1,133 @@
+// Zepplin Registry - Release compare worker
+// Unpacks two release archives and diffs them off the main thread. Receives
+// { id, base, head } with the archives as Blobs and posts back
+// { id, result } or { id, error }. Paths are compared without the archive's
+// top-level directory, which usually carries the version.
+
+importScripts('/js/zon.js', '/js/archive.js', '/js/diff.js');
+
+const MAX_DIFF_BYTES = 1024 * 1024;
+
+self.addEventListener('message', async (event) => {
+    const { id, base, head } = event.data;
+    try {
+        const [baseArchive, headArchive] = await Promise.all([
+            ZepplinArchive.fromBlob(base),
+            ZepplinArchive.fromBlob(head)
+        ]);
+        self.postMessage({ id, result: compareArchives(baseArchive, headArchive) });
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message } });
+    }
+});
+
+function filesByPath(archive) {
+    const root = archive.root;
+    return new Map(archive.files.map(file => [file.path.slice(root.length), file]));
+}
+
+function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+function compareFile(path, oldFile, newFile) {
+    const status = !oldFile ? 'added' : (!newFile ? 'removed' : 'modified');
+    const entry = {
+        path,
+        status,
+        oldSize: oldFile?.size ?? null,
+        newSize: newFile?.size ?? null,
+        binary: false,
+        tooLarge: false,
+        hunks: [],
+        additions: 0,
+        deletions: 0
+    };
+
+    const oldBytes = oldFile?.data || new Uint8Array();
+    const newBytes = newFile?.data || new Uint8Array();
+    if (ZepplinDiff.isBinary(oldBytes) || ZepplinDiff.isBinary(newBytes)) {
+        entry.binary = true;
+        return entry;
+    }
+    if (oldBytes.length + newBytes.length > MAX_DIFF_BYTES) {
+        entry.tooLarge = true;
+        return entry;
+    }
+
+    const decoder = new TextDecoder();
+    const diff = ZepplinDiff.diff(decoder.decode(oldBytes), decoder.decode(newBytes));
+    if (!diff) {
+        entry.tooLarge = true;
+        return entry;
+    }
+    return { ...entry, ...diff };
+}
+
+function readManifest(archive) {
+    try {
+        return { manifest: archive.manifest(), error: null };
+    } catch (error) {
+        return { manifest: null, error: error.message };
+    }
+}
+
+// Version, name, minimum Zig and dependency changes between the two build.zig.zon files
+function compareManifests(baseArchive, headArchive) {
+    const base = readManifest(baseArchive);
+    const head = readManifest(headArchive);
+    if (!base.manifest && !head.manifest) {
+        return { present: false, errors: [base.error, head.error].filter(Boolean) };
+    }
+
+    const oldManifest = base.manifest || {};
+    const newManifest = head.manifest || {};
+    const fields = ['name', 'version', 'minimum_zig_version']
+        .filter(field => oldManifest[field] !== newManifest[field])
+        .map(field => ({ field, from: oldManifest[field] ?? null, to: newManifest[field] ?? null }));
+
+    const oldDeps = oldManifest.dependencies || {};
+    const newDeps = newManifest.dependencies || {};
+    const names = [...new Set([...Object.keys(oldDeps), ...Object.keys(newDeps)])].sort();
+    const describe = (dep) => ({ url: dep?.url ?? null, hash: dep?.hash ?? null, path: dep?.path ?? null, lazy: !!dep?.lazy });
+    const dependencies = [];
+    for (const name of names) {
+        const from = name in oldDeps ? describe(oldDeps[name]) : null;
+        const to = name in newDeps ? describe(newDeps[name]) : null;
+        if (!from) dependencies.push({ name, status: 'added', from, to });
+        else if (!to) dependencies.push({ name, status: 'removed', from, to });
+        else if (JSON.stringify(from) !== JSON.stringify(to)) dependencies.push({ name, status: 'changed', from, to });
+    }
+
+    return { present: true, errors: [base.error, head.error].filter(Boolean), fields, dependencies };
+}
+
+function compareArchives(baseArchive, headArchive) {
+    const oldFiles = filesByPath(baseArchive);
+    const newFiles = filesByPath(headArchive);
+    const paths = [...new Set([...oldFiles.keys(), ...newFiles.keys()])].sort();
+
+    const files = [];
+    let unchanged = 0;
+    for (const path of paths) {
+        const oldFile = oldFiles.get(path);
+        const newFile = newFiles.get(path);
+        if (oldFile && newFile && sameBytes(oldFile.data, newFile.data)) {
+            unchanged++;
+            continue;
+        }
+        files.push(compareFile(path, oldFile, newFile));
+    }
+
+    return {
+        files,
+        unchanged,
+        additions: files.reduce((sum, file) => sum + file.additions, 0),
+        deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+        manifest: compareManifests(baseArchive, headArchive)
+    };
+}
@@ -0,0 +1,181 @@
+// Zepplin Registry - Search box suggestions
+// Attaches a suggestion list to a search input: package matches while typing,
+// recent searches while empty. Follows the ARIA combobox pattern, so arrow keys
+// move through the list, Enter picks the active item and Escape closes it.
+
+class ZepplinSearchBox {
+    static nextId = 0;
+
+    constructor(app, input, list, { signal, limit = 5, onSearch } = {}) {
+        this.app = app;
+        this.input = input;
+        this.list = list;
+        this.signal = signal;
+        this.limit = limit;
+        this.onSearch = onSearch || (query => app.performSearch(query));
+        this.items = [];
+        this.activeIndex = -1;
+
+        if (!this.list.id) this.list.id = `search-suggestions-${ZepplinSearchBox.nextId++}`;
+        this.list.setAttribute('role', 'listbox');
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.input.addEventListener('input', app.debounce(() => this.update(), 200));
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => this.close());
+
+        // mousedown keeps focus in the input, so blur doesn't close the list first
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            this.activate(this.items[Number(option.dataset.index)]);
+        });
+    }
+
+    async update() {
+        const query = this.input.value.trim();
+        if (query.length < 2) {
+            this.showRecent();
+            return;
+        }
+
+        try {
+            // Own key, so typing doesn't cancel a results search running in the same view
+            const { packages } = await this.app.api.search(query, { perPage: this.limit }, { signal: this.signal, key: 'suggest' });
+            if (this.input.value.trim() !== query || document.activeElement !== this.input) return;
+
+            this.render([
+                ...packages.map(pkg => ({ type: 'package', value: this.app.packageFullName(pkg), pkg })),
+                { type: 'query', value: query }
+            ], query);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Search suggestions failed:', error);
+            this.close();
+        }
+    }
+
+    showRecent() {
+        const recent = this.app.recentSearches();
+        if (recent.length === 0 || document.activeElement !== this.input) {
+            this.close();
+            return;
+        }
+
+        this.render([
+            ...recent.map(query => ({ type: 'recent', value: query })),
+            { type: 'clear', value: '' }
+        ], '');
+    }
+
+    render(items, query) {
+        this.items = items;
+        this.activeIndex = -1;
+
+        const terms = this.app.searchTerms(query);
+        const optionId = (index) => `${this.list.id}-${index}`;
+
+        ZepplinHtml.render(this.list, html`
+            ${items[0]?.type === 'recent' ? html`<div class="suggestion-heading">Recent searches</div>` : ''}
+            ${items.map((item, index) => {
+                const attrs = html`id="${optionId(index)}" role="option" aria-selected="false" data-index="${index}"`;
+                if (item.type === 'package') {
+                    return html`
+                        <div class="suggestion-item" ${attrs}>
+                            <div class="suggestion-name">${this.app.highlightTerms(item.value, terms)}</div>
+                            <div class="suggestion-desc">${this.app.highlightTerms(item.pkg.description, terms)}</div>
+                        </div>
+                    `;
+                }
+                if (item.type === 'recent') {
+                    return html`<div class="suggestion-item suggestion-recent" ${attrs}>${item.value}</div>`;
+                }
+                if (item.type === 'clear') {
+                    return html`<div class="suggestion-item suggestion-action" ${attrs}>Clear recent searches</div>`;
+                }
+                return html`<div class="suggestion-item suggestion-action" ${attrs}>Search for &ldquo;${item.value}&rdquo;</div>`;
+            })}
+        `);
+
+        this.list.style.display = 'block';
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    close() {
+        this.items = [];
+        this.activeIndex = -1;
+        this.list.style.display = 'none';
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    get isOpen() {
+        return this.items.length > 0;
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!this.isOpen) {
+                this.update();
+                return;
+            }
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.items.length) % this.items.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.isOpen && this.activeIndex >= 0) {
+                this.activate(this.items[this.activeIndex]);
+            } else {
+                this.close();
+                this.onSearch(this.input.value);
+            }
+        } else if (e.key === 'Escape') {
+            if (this.isOpen) {
+                e.preventDefault();
+                this.close();
+            }
+        } else if (e.key === 'Tab') {
+            this.close();
+        }
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('[data-index]').forEach(option => {
+            const active = Number(option.dataset.index) === index;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+    }
+
+    activate(item) {
+        if (!item) return;
+
+        if (item.type === 'clear') {
+            this.app.clearRecentSearches();
+            this.close();
+            return;
+        }
+
+        this.close();
+        if (item.type === 'package') {
+            this.app.rememberSearch(this.input.value.trim());
+            this.app.selectPackage(item.value);
+        } else {
+            this.input.value = item.value;
+            this.onSearch(item.value);
+        }
+    }
+}
@@ -0,0 +1,71 @@
+// Zepplin Registry - Theme
+// Loaded in <head> ahead of the stylesheets, so data-theme is on <html> before
+// the first paint and a saved light or high-contrast theme never flashes dark.
+// The preference is "system" (follow prefers-contrast and prefers-color-scheme)
+// or one of THEMES. It's kept in localStorage for this browser; signed-in users
+// also have it saved with their profile, and main.js applies that on sign-in.
+
+const ZepplinTheme = {
+    THEMES: ['light', 'dark', 'high-contrast'],
+    LABELS: { system: 'System', light: 'Light', dark: 'Dark', 'high-contrast': 'High contrast' },
+    STORAGE_KEY: 'zepplin_theme',
+    // Used when localStorage is unavailable, so a choice still lasts for this page
+    unsaved: null,
+
+    preference() {
+        try {
+            const stored = localStorage.getItem(ZepplinTheme.STORAGE_KEY);
+            return ZepplinTheme.THEMES.includes(stored) ? stored : 'system';
+        } catch {
+            return ZepplinTheme.unsaved || 'system';
+        }
+    },
+
+    // The theme a preference stands for right now
+    resolve(preference) {
+        if (ZepplinTheme.THEMES.includes(preference)) return preference;
+        if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+        return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+    },
+
+    apply() {
+        const preference = ZepplinTheme.preference();
+        const root = document.documentElement;
+        root.dataset.theme = ZepplinTheme.resolve(preference);
+        root.dataset.themePreference = preference;
+        document.dispatchEvent(new CustomEvent('zepplin:themechange', { detail: { preference, theme: root.dataset.theme } }));
+    },
+
+    // Returns false when the preference didn't change
+    set(preference) {
+        const value = ZepplinTheme.THEMES.includes(preference) ? preference : 'system';
+        if (value === ZepplinTheme.preference()) return false;
+
+        try {
+            if (value === 'system') {
+                localStorage.removeItem(ZepplinTheme.STORAGE_KEY);
+            } else {
+                localStorage.setItem(ZepplinTheme.STORAGE_KEY, value);
+            }
+        } catch {
+            ZepplinTheme.unsaved = value;
+        }
+        ZepplinTheme.apply();
+        return true;
+    },
+
+    watch() {
+        // "system" follows OS changes live; other tabs pick up a new choice too
+        ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach(query => {
+            window.matchMedia(query).addEventListener('change', () => {
+                if (ZepplinTheme.preference() === 'system') ZepplinTheme.apply();
+            });
+        });
+        window.addEventListener('storage', (e) => {
+            if (e.key === ZepplinTheme.STORAGE_KEY) ZepplinTheme.apply();
+        });
+    }
+};
+
+ZepplinTheme.apply();
+ZepplinTheme.watch();
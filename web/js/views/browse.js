@@ -0,0 +1,75 @@
+// Zepplin Registry - Browse view
+// Package listing for /packages, filtered by ?category=.
+
+class BrowseView extends ZepplinView {
+    static categories = [
+        ['all', 'All'],
+        ['networking', 'Networking'],
+        ['crypto', 'Crypto'],
+        ['database', 'Database'],
+        ['web', 'Web'],
+        ['cli', 'CLI Tools'],
+        ['graphics', 'Graphics'],
+        ['parsing', 'Parsing'],
+        ['testing', 'Testing']
+    ];
+
+    get title() {
+        return 'Browse Packages';
+    }
+
+    get category() {
+        return this.query.get('category') || 'all';
+    }
+
+    render() {
+        const links = BrowseView.categories.map(([id, label]) => {
+            const href = id === 'all' ? '/packages' : `/packages?category=${encodeURIComponent(id)}`;
+            const active = id === this.category ? ' active' : '';
+            return html`<a href="${href}" class="category-btn${active}" data-category="${id}">${label}</a>`;
+        });
+
+        return html`
+            <div class="view-page browse-page">
+                <div class="view-header">
+                    <h1>Browse Packages</h1>
+                    <div class="category-filters">${links}</div>
+                </div>
+
+                <div class="view-loading" id="loading">Loading packages...</div>
+                <div class="empty-state" id="empty-state" style="display: none;">No packages found</div>
+                <div class="package-grid" id="package-grid"></div>
+            </div>
+        `;
+    }
+
+    async load() {
+        const loadingEl = this.$('#loading');
+        const gridEl = this.$('#package-grid');
+        loadingEl.style.display = 'block';
+        ZepplinHtml.clear(gridEl);
+
+        try {
+            const { packages } = await this.app.api.listPackages(
+                { category: this.category, limit: 50 },
+                { signal: this.signal }
+            );
+            loadingEl.style.display = 'none';
+
+            if (packages.length === 0) {
+                this.$('#empty-state').style.display = 'block';
+                return;
+            }
+
+            this.app.displayPackages(packages, gridEl);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load packages:', error);
+            loadingEl.style.display = 'none';
+            this.app.renderErrorCard(gridEl, error, {
+                title: 'Failed to load packages',
+                onRetry: () => this.load()
+            });
+        }
+    }
+}
@@ -0,0 +1,366 @@
+// Zepplin Registry - Release compare view
+// /packages/{owner}/{repo}/compare?base=&head= downloads two releases, unpacks
+// and diffs them in a Web Worker (release-diff-worker.js) and shows the
+// changed files as a tree beside syntax-highlighted unified diffs. Version,
+// minimum Zig and dependency changes in build.zig.zon get their own card.
+
+class ReleaseCompareView extends ZepplinView {
+    static STATUS_LABELS = { added: 'A', removed: 'D', modified: 'M' };
+
+    constructor(app, route) {
+        super(app, route);
+
+        this.owner = this.params.owner;
+        this.repo = this.params.repo;
+        this.releases = [];
+        this.worker = null;
+        this.workerRequests = new Map();
+        this.nextRequestId = 1;
+        this.compareController = null;
+    }
+
+    get title() {
+        return `Compare ${this.owner}/${this.repo}`;
+    }
+
+    render() {
+        const packageHref = this.app.packagePath({ owner: this.owner, repo: this.repo });
+
+        return html`
+            <div class="view-page compare-page">
+                <div class="view-header">
+                    <h1>Compare releases of <a href="${packageHref}">${this.owner}/${this.repo}</a></h1>
+                    <p>See what changed between two versions before you upgrade. Archives are unpacked and compared in your browser.</p>
+                </div>
+
+                <form class="view-card compare-form" id="compare-form">
+                    <label>
+                        Base
+                        <select id="compare-base" disabled></select>
+                    </label>
+                    <span class="compare-arrow" aria-hidden="true">&rarr;</span>
+                    <label>
+                        Compare
+                        <select id="compare-head" disabled></select>
+                    </label>
+                    <button type="submit" class="button primary" id="compare-submit" disabled>Compare</button>
+                </form>
+
+                <div id="compare-result">
+                    <div class="view-loading">Loading releases...</div>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        this.$('#compare-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const query = new URLSearchParams(this.query);
+            query.set('base', this.$('#compare-base').value);
+            query.set('head', this.$('#compare-head').value);
+            this.setQuery(query);
+            this.compare();
+        });
+
+        this.$('#compare-result').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-file]');
+            if (!link) return;
+            e.preventDefault();
+            const fileEl = this.$(`#diff-file-${link.dataset.file}`);
+            fileEl?.scrollIntoView({ block: 'start' });
+            fileEl?.focus({ preventScroll: true });
+        });
+
+        if (await this.loadReleases()) await this.compare();
+    }
+
+    unmount() {
+        super.unmount();
+        this.worker?.terminate();
+        this.worker = null;
+    }
+
+    async loadReleases() {
+        const resultEl = this.$('#compare-result');
+        try {
+            const releases = await this.app.api.getReleases(this.owner, this.repo, { signal: this.signal });
+            this.releases = releases.filter(release => !release.draft);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return false;
+            console.error('Failed to load releases:', error);
+            this.app.renderErrorCard(resultEl, error, {
+                title: 'Failed to load releases',
+                onRetry: () => this.load()
+            });
+            return false;
+        }
+
+        if (this.releases.length < 2) {
+            ZepplinHtml.render(resultEl, html`
+                <div class="view-card empty-state">
+                    <h2>Nothing to compare yet</h2>
+                    <p>${this.owner}/${this.repo} needs at least two published releases.</p>
+                </div>
+            `);
+            return false;
+        }
+
+        // Releases come newest first; default to the latest against the one before it
+        const known = (version) => this.releases.some(release => release.version === version);
+        const base = (this.query.get('base') || '').replace(/^v/, '');
+        const head = (this.query.get('head') || '').replace(/^v/, '');
+        const options = html`${this.releases.map(release => html`
+            <option value="${release.version}">${release.tag_name}${release.prerelease ? ' (pre-release)' : ''}</option>
+        `)}`;
+
+        for (const [id, value, fallback] of [['#compare-base', base, this.releases[1]], ['#compare-head', head, this.releases[0]]]) {
+            const select = this.$(id);
+            ZepplinHtml.render(select, options);
+            select.value = known(value) ? value : fallback.version;
+            select.disabled = false;
+        }
+        this.$('#compare-submit').disabled = false;
+        return true;
+    }
+
+    async compare() {
+        const resultEl = this.$('#compare-result');
+        const base = this.$('#compare-base').value;
+        const head = this.$('#compare-head').value;
+        if (base === head) {
+            ZepplinHtml.render(resultEl, html`<div class="view-card empty-state"><p>Pick two different releases to compare.</p></div>`);
+            return;
+        }
+
+        // A new comparison cancels the downloads of the previous one
+        this.compareController?.abort();
+        const controller = new AbortController();
+        this.compareController = controller;
+        this.signal.addEventListener('abort', () => controller.abort(), { once: true });
+
+        const showStep = (message) => ZepplinHtml.render(resultEl, html`
+            <div class="view-loading compare-step" role="status">${message}</div>
+        `);
+
+        try {
+            showStep(`Downloading v${base} and v${head}...`);
+            const [baseArchive, headArchive] = await Promise.all([
+                this.app.api.downloadArchive(this.owner, this.repo, base, { signal: controller.signal }),
+                this.app.api.downloadArchive(this.owner, this.repo, head, { signal: controller.signal })
+            ]);
+            if (controller.signal.aborted) return;
+
+            showStep('Unpacking and comparing...');
+            const result = await this.runWorker({ base: baseArchive, head: headArchive });
+            if (controller.signal.aborted) return;
+
+            this.showResult(result, base, head);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError || controller.signal.aborted) return;
+            console.error('Failed to compare releases:', error);
+            this.app.renderErrorCard(resultEl, error, {
+                title: `Couldn't compare v${base} with v${head}`,
+                onRetry: () => this.compare()
+            });
+        }
+    }
+
+    // One worker per view; replies are matched to requests by id
+    runWorker(message) {
+        if (!this.worker) {
+            this.worker = new Worker('/js/release-diff-worker.js');
+            this.worker.addEventListener('message', (event) => {
+                const { id, result, error } = event.data;
+                const request = this.workerRequests.get(id);
+                if (!request) return;
+                this.workerRequests.delete(id);
+                if (error) request.reject(new Error(error.message));
+                else request.resolve(result);
+            });
+            this.worker.addEventListener('error', (event) => {
+                const failure = new Error(event.message || 'The compare worker failed to start');
+                this.workerRequests.forEach(request => request.reject(failure));
+                this.workerRequests.clear();
+            });
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.workerRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, ...message });
+        });
+    }
+
+    showResult(result, base, head) {
+        const resultEl = this.$('#compare-result');
+        const { files } = result;
+
+        if (files.length === 0 && !result.manifest.fields?.length && !result.manifest.dependencies?.length) {
+            ZepplinHtml.render(resultEl, html`
+                <div class="view-card empty-state">
+                    <h2>No changes</h2>
+                    <p>v${base} and v${head} have identical contents.</p>
+                </div>
+            `);
+            return;
+        }
+
+        ZepplinHtml.render(resultEl, html`
+            <div class="compare-summary">
+                <span><strong>${this.app.formatNumber(files.length)}</strong> file${files.length === 1 ? '' : 's'} changed</span>
+                <span class="diff-additions">+${this.app.formatNumber(result.additions)}</span>
+                <span class="diff-deletions">&minus;${this.app.formatNumber(result.deletions)}</span>
+                <span class="muted">${this.app.formatNumber(result.unchanged)} unchanged</span>
+            </div>
+
+            ${this.renderManifest(result.manifest)}
+
+            ${files.length > 0 && html`
+                <div class="compare-layout">
+                    <nav class="view-card compare-tree" aria-label="Changed files">
+                        ${this.renderTree(this.buildTree(files))}
+                    </nav>
+                    <div class="compare-files">
+                        ${files.map((file, index) => this.renderFile(file, index))}
+                    </div>
+                </div>
+            `}
+        `);
+    }
+
+    renderManifest(manifest) {
+        if (!manifest.present) return false;
+        const { fields, dependencies } = manifest;
+
+        const value = (v) => (v === null || v === undefined ? html`<span class="muted">none</span>` : html`<code class="inline-code">${String(v)}</code>`);
+        const source = (dep) => dep.url || (dep.path && `path: ${dep.path}`) || '';
+        const shortHash = (hash) => (hash ? hash.slice(0, 16) : 'none');
+
+        return html`
+            <section class="view-card compare-manifest">
+                <h2>build.zig.zon</h2>
+                ${manifest.errors.map(error => html`<p class="field-hint error">Couldn't read a build.zig.zon: ${error}</p>`)}
+                ${fields.length === 0 && dependencies.length === 0 && html`
+                    <p class="muted">No version or dependency changes.</p>
+                `}
+                ${fields.length > 0 && html`
+                    <dl class="compare-fields">
+                        ${fields.map(change => html`
+                            <dt>${change.field.replace(/_/g, ' ')}</dt>
+                            <dd>${value(change.from)} &rarr; ${value(change.to)}</dd>
+                        `)}
+                    </dl>
+                `}
+                ${dependencies.length > 0 && html`
+                    <h3>Dependencies</h3>
+                    <ul class="compare-deps">
+                        ${dependencies.map(dep => html`
+                            <li class="compare-dep ${dep.status}">
+                                <span class="diff-status ${dep.status === 'changed' ? 'modified' : dep.status}">${dep.status}</span>
+                                <strong>${dep.name}</strong>
+                                ${dep.status === 'added' && html`<span class="compare-dep-source">${source(dep.to)}</span>`}
+                                ${dep.status === 'removed' && html`<span class="compare-dep-source">${source(dep.from)}</span>`}
+                                ${dep.status === 'changed' && html`
+                                    ${source(dep.from) !== source(dep.to) && html`
+                                        <span class="compare-dep-source"><del>${source(dep.from)}</del> &rarr; ${source(dep.to)}</span>
+                                    `}
+                                    ${dep.from.hash !== dep.to.hash && html`
+                                        <span class="compare-dep-source">hash <code>${shortHash(dep.from.hash)}</code> &rarr; <code>${shortHash(dep.to.hash)}</code></span>
+                                    `}
+                                    ${dep.from.lazy !== dep.to.lazy && html`
+                                        <span class="compare-dep-source">${dep.to.lazy ? 'now lazy' : 'no longer lazy'}</span>
+                                    `}
+                                `}
+                            </li>
+                        `)}
+                    </ul>
+                `}
+            </section>
+        `;
+    }
+
+    buildTree(files) {
+        const root = { dirs: new Map(), files: [] };
+        files.forEach((file, index) => {
+            const parts = file.path.split('/');
+            const name = parts.pop();
+            let node = root;
+            for (const part of parts) {
+                if (!node.dirs.has(part)) node.dirs.set(part, { dirs: new Map(), files: [] });
+                node = node.dirs.get(part);
+            }
+            node.files.push({ name, file, index });
+        });
+        return root;
+    }
+
+    renderTree(node) {
+        return html`
+            <ul class="compare-tree-list">
+                ${[...node.dirs].map(([name, child]) => html`
+                    <li>
+                        <details open>
+                            <summary>${name}/</summary>
+                            ${this.renderTree(child)}
+                        </details>
+                    </li>
+                `)}
+                ${node.files.map(({ name, file, index }) => html`
+                    <li>
+                        <a href="#diff-file-${index}" class="compare-tree-file" data-file="${index}">
+                            <span class="diff-status ${file.status}" title="${file.status}">${ReleaseCompareView.STATUS_LABELS[file.status]}</span>
+                            ${name}
+                        </a>
+                    </li>
+                `)}
+            </ul>
+        `;
+    }
+
+    renderFile(file, index) {
+        const language = ZepplinHighlight.languageFor(file.path);
+
+        let body;
+        if (file.binary) {
+            body = html`<p class="compare-note">Binary file${file.status === 'modified' ? ` (${file.oldSize} → ${file.newSize} bytes)` : ''}</p>`;
+        } else if (file.tooLarge) {
+            body = html`<p class="compare-note">This diff is too large to show.</p>`;
+        } else if (file.hunks.length === 0) {
+            body = html`<p class="compare-note">Empty file</p>`;
+        } else {
+            body = html`
+                <table class="diff-table">
+                    ${file.hunks.map(hunk => html`
+                        <tbody>
+                            <tr class="diff-hunk-header">
+                                <td colspan="3">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</td>
+                            </tr>
+                            ${hunk.lines.map(line => html`
+                                <tr class="diff-line ${line.type === '+' ? 'added' : (line.type === '-' ? 'removed' : '')}">
+                                    <td class="diff-num">${line.oldNo ?? ''}</td>
+                                    <td class="diff-num">${line.newNo ?? ''}</td>
+                                    <td class="diff-code"><span class="diff-sign">${line.type}</span>${ZepplinHighlight.line(line.text, language)}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    `)}
+                </table>
+            `;
+        }
+
+        return html`
+            <section class="compare-file" id="diff-file-${index}" tabindex="-1">
+                <header class="compare-file-header">
+                    <span class="diff-status ${file.status}">${file.status}</span>
+                    <code>${file.path}</code>
+                    ${!file.binary && !file.tooLarge && html`
+                        <span class="diff-additions">+${file.additions}</span>
+                        <span class="diff-deletions">&minus;${file.deletions}</span>
+                    `}
+                </header>
+                ${body}
+            </section>
+        `;
+    }
+}
@@ -0,0 +1,319 @@
+// Zepplin Registry - Dependency explorer view
+// /packages/{owner}/{repo}/dependencies draws a release's transitive
+// dependencies as resolved by the registry; /dependencies does the same for a
+// pasted build.zig.zon. Duplicate versions and conflicts are listed beside
+// the graph, and selecting a node shows who requires it and at which version.
+
+class DependenciesView extends ZepplinView {
+    constructor(app, route) {
+        super(app, route);
+
+        this.owner = this.params.owner || null;
+        this.repo = this.params.repo || null;
+        this.graph = null;
+    }
+
+    get title() {
+        return this.owner ? `${this.owner}/${this.repo} dependencies` : 'Dependency Explorer';
+    }
+
+    render() {
+        const packageHref = this.owner ? this.app.packagePath({ owner: this.owner, repo: this.repo }) : null;
+
+        return html`
+            <div class="view-page dependency-page">
+                <div class="view-header">
+                    ${this.owner ? html`
+                        <div class="view-header-row">
+                            <h1>Dependencies of <a href="${packageHref}">${this.owner}/${this.repo}</a></h1>
+                            <label class="dep-version-picker">
+                                Version
+                                <select id="dep-version" disabled>
+                                    <option value="">Latest</option>
+                                </select>
+                            </label>
+                        </div>
+                        <p>Everything this release pulls in, resolved through the registry. <a href="/dependencies">Resolve your own build.zig.zon</a></p>
+                    ` : html`
+                        <h1>Dependency Explorer</h1>
+                        <p>Paste a <code>build.zig.zon</code> to see how the registry resolves its dependencies before you adopt them.</p>
+                    `}
+                </div>
+
+                ${!this.owner && html`
+                    <form class="view-card manifest-form" id="manifest-form">
+                        <div class="form-group">
+                            <label for="manifest-input">build.zig.zon</label>
+                            <textarea id="manifest-input" rows="12" spellcheck="false" required placeholder=".{ .name = .app, .version = &quot;0.1.0&quot;, .dependencies = .{ ... } }"></textarea>
+                            <div class="field-hint" id="manifest-hint" role="alert"></div>
+                        </div>
+                        <button type="submit" class="button primary" id="manifest-submit">Resolve</button>
+                    </form>
+                `}
+
+                <div id="dep-result">
+                    ${this.owner && html`<div class="view-loading">Resolving dependencies...</div>`}
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        if (!this.owner) {
+            this.$('#manifest-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.resolveManifest();
+            });
+            return;
+        }
+
+        this.$('#dep-version').addEventListener('change', (e) => {
+            const query = new URLSearchParams(this.query);
+            if (e.target.value) query.set('version', e.target.value);
+            else query.delete('version');
+            this.setQuery(query);
+            this.resolvePackage();
+        });
+
+        await Promise.all([this.loadVersions(), this.resolvePackage()]);
+    }
+
+    async loadVersions() {
+        try {
+            const releases = await this.app.api.getReleases(this.owner, this.repo, { signal: this.signal });
+            const select = this.$('#dep-version');
+            const selected = (this.query.get('version') || '').replace(/^v/, '');
+            ZepplinHtml.render(select, html`
+                <option value="">Latest</option>
+                ${releases.filter(release => !release.draft).map(release => html`
+                    <option value="${release.version}">${release.tag_name}</option>
+                `)}
+            `);
+            select.value = releases.some(release => release.version === selected) ? selected : '';
+            select.disabled = false;
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            // The picker stays on "Latest"; the graph reports its own errors
+            console.error('Failed to load versions:', error);
+        }
+    }
+
+    async resolvePackage() {
+        const resultEl = this.$('#dep-result');
+        ZepplinHtml.render(resultEl, html`<div class="view-loading">Resolving dependencies...</div>`);
+
+        try {
+            const data = await this.app.api.resolveDependencies(this.owner, this.repo, this.query.get('version'), { signal: this.signal });
+            this.showGraph(data);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to resolve dependencies:', error);
+            this.app.renderErrorCard(resultEl, error, {
+                title: 'Couldn\'t resolve dependencies',
+                onRetry: () => this.resolvePackage()
+            });
+        }
+    }
+
+    async resolveManifest() {
+        const input = this.$('#manifest-input');
+        const hint = this.$('#manifest-hint');
+        const submit = this.$('#manifest-submit');
+        const source = input.value;
+
+        // Syntax errors are reported here with a line number before anything is sent
+        try {
+            ZepplinZon.parse(source);
+        } catch (error) {
+            if (!(error instanceof ZepplinZonError)) throw error;
+            hint.textContent = error.message;
+            hint.classList.add('error');
+            input.focus();
+            return;
+        }
+        hint.textContent = '';
+        hint.classList.remove('error');
+
+        const resultEl = this.$('#dep-result');
+        ZepplinHtml.render(resultEl, html`<div class="view-loading">Resolving dependencies...</div>`);
+        submit.disabled = true;
+        try {
+            this.showGraph(await this.app.api.resolveManifest(source, { signal: this.signal }));
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to resolve manifest:', error);
+            this.app.renderErrorCard(resultEl, error, {
+                title: 'Couldn\'t resolve this manifest',
+                onRetry: () => this.resolveManifest()
+            });
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    showGraph(data) {
+        const graph = new ZepplinDependencyGraph(data);
+        this.graph = graph;
+        const resultEl = this.$('#dep-result');
+        const packageCount = graph.nodes.length - 1;
+
+        if (packageCount === 0) {
+            ZepplinHtml.render(resultEl, html`
+                <div class="view-card empty-state">
+                    <h2>No dependencies</h2>
+                    <p>${graph.byId.get(graph.rootId)?.manifest === false
+                        ? 'This release has no build.zig.zon in its archive, so its dependencies are unknown.'
+                        : 'This package doesn\'t depend on anything.'}</p>
+                </div>
+            `);
+            return;
+        }
+
+        ZepplinHtml.render(resultEl, html`
+            <div class="dep-summary">
+                <span><strong>${this.app.formatNumber(packageCount)}</strong> package${packageCount === 1 ? '' : 's'}</span>
+                <span class="${graph.duplicates.length ? 'dep-summary-duplicate' : ''}"><strong>${graph.duplicates.length}</strong> duplicated</span>
+                <span class="${graph.conflicts.length ? 'dep-summary-conflict' : ''}"><strong>${graph.conflicts.length}</strong> conflict${graph.conflicts.length === 1 ? '' : 's'}</span>
+            </div>
+            ${graph.truncated && html`<p class="field-hint">The graph is too large to show in full; deeper dependencies were left out.</p>`}
+
+            <div class="dep-layout">
+                <div class="dep-graph">
+                    <div class="dep-graph-toolbar" role="toolbar" aria-label="Zoom">
+                        <button type="button" class="owned-action" data-zoom="in" aria-label="Zoom in">+</button>
+                        <button type="button" class="owned-action" data-zoom="out" aria-label="Zoom out">&minus;</button>
+                        <button type="button" class="owned-action" data-zoom="fit">Fit</button>
+                    </div>
+                    <div class="dep-graph-frame" id="dep-graph-frame">${graph.render()}</div>
+                    <ul class="dep-legend">
+                        <li><span class="dep-swatch resolved"></span>Resolved</li>
+                        <li><span class="dep-swatch duplicate"></span>Duplicate version</li>
+                        <li><span class="dep-swatch conflict"></span>Conflict</li>
+                        <li><span class="dep-swatch external"></span>Outside the registry</li>
+                    </ul>
+                </div>
+
+                <aside class="dep-sidebar">
+                    <section class="view-card dep-details" id="dep-details" aria-live="polite">
+                        <p class="muted">Select a package to see who requires it.</p>
+                    </section>
+                    ${this.renderIssues(graph)}
+                </aside>
+            </div>
+        `);
+
+        const svg = resultEl.querySelector('.dep-graph-svg');
+        const panZoom = new ZepplinPanZoom(svg, svg.querySelector('.dep-graph-viewport'), graph);
+        panZoom.fit();
+
+        resultEl.querySelector('.dep-graph-toolbar').addEventListener('click', (e) => {
+            const action = e.target.closest('[data-zoom]')?.dataset.zoom;
+            if (action === 'in') panZoom.zoom(1.25);
+            else if (action === 'out') panZoom.zoom(1 / 1.25);
+            else if (action === 'fit') panZoom.fit();
+        });
+
+        svg.addEventListener('click', (e) => {
+            const node = e.target.closest('.dep-node');
+            this.select(node ? node.dataset.id : null);
+        });
+        svg.addEventListener('keydown', (e) => {
+            const node = e.target.closest('.dep-node');
+            if (node && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.select(node.dataset.id);
+            } else if (e.key === 'Escape') {
+                this.select(null);
+            }
+        });
+
+        resultEl.querySelector('.dep-issues')?.addEventListener('click', (e) => {
+            const id = e.target.closest('[data-select]')?.dataset.select;
+            if (id) this.select(id);
+        });
+    }
+
+    renderIssues(graph) {
+        if (graph.conflicts.length === 0 && graph.duplicates.length === 0) {
+            return html`<section class="view-card dep-issues"><h2>No conflicts</h2><p class="muted">Every package resolves to a single version.</p></section>`;
+        }
+
+        // First node of a package, so clicking an issue selects it in the graph
+        const nodeFor = (fullName) => graph.nodes.find(node => node.fullName === fullName)?.id;
+
+        return html`
+            <section class="view-card dep-issues">
+                ${graph.conflicts.length > 0 && html`
+                    <h2>Conflicts</h2>
+                    <ul>
+                        ${graph.conflicts.map(conflict => html`
+                            <li class="dep-issue conflict">
+                                <button type="button" class="dep-issue-name" data-select="${nodeFor(conflict.package) || ''}">${conflict.package}</button>
+                                ${conflict.versions.length > 0 && html`<span class="dep-issue-versions">${conflict.versions.join(', ')}</span>`}
+                                <p>${conflict.reason}</p>
+                            </li>
+                        `)}
+                    </ul>
+                `}
+                ${graph.duplicates.length > 0 && html`
+                    <h2>Duplicate versions</h2>
+                    <ul>
+                        ${graph.duplicates.map(duplicate => html`
+                            <li class="dep-issue duplicate">
+                                <button type="button" class="dep-issue-name" data-select="${nodeFor(duplicate.package) || ''}">${duplicate.package}</button>
+                                <span class="dep-issue-versions">${duplicate.versions.join(', ')}</span>
+                            </li>
+                        `)}
+                    </ul>
+                `}
+            </section>
+        `;
+    }
+
+    select(id) {
+        const graph = this.graph;
+        const svg = this.$('.dep-graph-svg');
+        if (!graph || !svg) return;
+        graph.highlight(svg, id);
+
+        const details = this.$('#dep-details');
+        const node = id ? graph.byId.get(id) : null;
+        if (!node) {
+            ZepplinHtml.render(details, html`<p class="muted">Select a package to see who requires it.</p>`);
+            return;
+        }
+
+        const nameOf = (nodeId) => {
+            const other = graph.byId.get(nodeId);
+            return other?.fullName || other?.name || nodeId;
+        };
+        const packageHref = node.fullName && ['root', 'resolved', 'missing_version'].includes(node.status)
+            ? this.app.packagePath(node)
+            : null;
+        const requiredBy = graph.incoming(id);
+        const dependsOn = graph.outgoing(id);
+
+        ZepplinHtml.render(details, html`
+            <h2>${packageHref ? html`<a href="${packageHref}">${node.fullName}</a>` : (node.fullName || node.name)}</h2>
+            <dl class="manifest-fields">
+                ${node.version && html`<dt>Version</dt><dd>${node.version}</dd>`}
+                <dt>Status</dt><dd>${ZepplinDependencyGraph.STATUS_LABELS[node.status] || node.status}</dd>
+                ${node.sha256 && html`<dt>sha256</dt><dd><code class="version-checksum" title="${node.sha256}">${node.sha256}</code></dd>`}
+                ${node.url && html`<dt>Source</dt><dd><code class="dep-url">${node.url}</code></dd>`}
+                ${node.status === 'resolved' && !node.manifest && html`<dt>Dependencies</dt><dd>Unknown (no build.zig.zon in the archive)</dd>`}
+            </dl>
+            ${requiredBy.length > 0 && html`
+                <h3>Required by</h3>
+                <ul class="manifest-list">
+                    ${requiredBy.map(edge => html`<li>${nameOf(edge.from)} <span class="muted">as .${edge.name}${edge.requested ? ` @ ${edge.requested}` : ''}${edge.lazy ? ' (lazy)' : ''}</span></li>`)}
+                </ul>
+            `}
+            ${dependsOn.length > 0 && html`
+                <h3>Depends on</h3>
+                <ul class="manifest-list">
+                    ${dependsOn.map(edge => html`<li>${nameOf(edge.to)}${edge.requested ? html` <span class="muted">@ ${edge.requested}</span>` : ''}</li>`)}
+                </ul>
+            `}
+        `);
+    }
+}
@@ -0,0 +1,393 @@
+// Zepplin Registry - Archive file browser view
+// /packages/{owner}/{repo}/files?version=&path= streams a release archive,
+// unpacks it in the browser and shows its files as a tree with sizes. Source
+// files are shown with syntax highlighting and #L<n> line anchors. The archive's
+// sha256 is recomputed here and checked against the registry's
+// /api/v1/packages/{owner}/{repo}/hash/{version}.
+
+class ArchiveBrowserView extends ZepplinView {
+    // Largest text file shown inline
+    static MAX_VIEW_BYTES = 1024 * 1024;
+
+    // The last archive opened, so Back and Forward between files don't download it again
+    static lastArchive = null;
+
+    constructor(app, route) {
+        super(app, route);
+
+        this.owner = this.params.owner;
+        this.repo = this.params.repo;
+        this.archive = null;
+        this.onHashChange = () => this.markLine({ scroll: true });
+    }
+
+    get title() {
+        const path = this.query.get('path');
+        return path ? `${path} - ${this.owner}/${this.repo}` : `Files - ${this.owner}/${this.repo}`;
+    }
+
+    render() {
+        const packageHref = this.app.packagePath({ owner: this.owner, repo: this.repo });
+
+        return html`
+            <div class="view-page files-page">
+                <div class="view-header">
+                    <div class="view-header-row">
+                        <h1>Files in <a href="${packageHref}">${this.owner}/${this.repo}</a></h1>
+                        <label class="files-version-picker">
+                            Version
+                            <select id="files-version" disabled></select>
+                        </label>
+                    </div>
+                    <p>The release archive exactly as the registry serves it, downloaded and unpacked in your browser.</p>
+                </div>
+
+                <div id="files-result">
+                    <div class="view-loading">Loading releases...</div>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        window.addEventListener('hashchange', this.onHashChange);
+
+        this.$('#files-version').addEventListener('change', (e) => {
+            const query = new URLSearchParams(this.query);
+            query.set('version', e.target.value);
+            this.setQuery(query);
+            this.openVersion(e.target.value);
+        });
+
+        // Files open in place; the URL keeps the path so it can be shared
+        this.$('#files-result').addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-path]');
+            if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            e.preventDefault();
+            const query = new URLSearchParams(this.query);
+            if (link.dataset.path) query.set('path', link.dataset.path);
+            else query.delete('path');
+            this.setQuery(query);
+            this.showPath(link.dataset.path);
+        });
+
+        const version = await this.loadReleases();
+        if (version) await this.openVersion(version);
+    }
+
+    unmount() {
+        super.unmount();
+        window.removeEventListener('hashchange', this.onHashChange);
+    }
+
+    async loadReleases() {
+        const resultEl = this.$('#files-result');
+        let releases;
+        try {
+            releases = (await this.app.api.getReleases(this.owner, this.repo, { signal: this.signal }))
+                .filter(release => !release.draft);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return null;
+            console.error('Failed to load releases:', error);
+            this.app.renderErrorCard(resultEl, error, {
+                title: 'Failed to load releases',
+                onRetry: () => this.loadReleases().then(version => version && this.openVersion(version))
+            });
+            return null;
+        }
+
+        if (releases.length === 0) {
+            ZepplinHtml.render(resultEl, html`
+                <div class="view-card empty-state">
+                    <h2>No releases</h2>
+                    <p>${this.owner}/${this.repo} hasn't published a release yet.</p>
+                </div>
+            `);
+            return null;
+        }
+
+        const select = this.$('#files-version');
+        ZepplinHtml.render(select, html`${releases.map(release => html`
+            <option value="${release.version}">${release.tag_name}${release.prerelease ? ' (pre-release)' : ''}</option>
+        `)}`);
+        const requested = (this.query.get('version') || '').replace(/^v/, '');
+        const latest = releases.find(release => !release.prerelease) || releases[0];
+        select.value = releases.some(release => release.version === requested) ? requested : latest.version;
+        select.disabled = false;
+        return select.value;
+    }
+
+    async openVersion(version) {
+        const resultEl = this.$('#files-result');
+        const key = `${this.owner}/${this.repo}@${version}`;
+        const cached = ArchiveBrowserView.lastArchive;
+        // Switching versions mid-download drops the older result
+        this.opening = key;
+        if (cached?.key === key) {
+            this.showArchive(cached);
+            return;
+        }
+
+        ZepplinHtml.render(resultEl, html`
+            <div class="view-card files-progress" role="status">
+                <p id="files-progress-label">Downloading v${version}...</p>
+                <progress id="files-progress-bar"></progress>
+            </div>
+        `);
+        const showProgress = (loaded, total) => {
+            const bar = this.$('#files-progress-bar');
+            const label = this.$('#files-progress-label');
+            if (!bar || !label) return;
+            if (total) {
+                bar.max = total;
+                bar.value = loaded;
+            }
+            label.textContent = `Downloading v${version}... ${this.app.formatBytes(loaded)}${total ? ` of ${this.app.formatBytes(total)}` : ''}`;
+        };
+
+        try {
+            // The expected hash is fetched alongside; failing to get it only affects the badge
+            const expectedHash = this.app.api.getArchiveHash(this.owner, this.repo, version, { signal: this.signal })
+                .then(hash => ({ hash }), error => ({ error }));
+            const blob = await this.app.api.downloadArchive(this.owner, this.repo, version, {
+                signal: this.signal,
+                onProgress: showProgress
+            });
+
+            const label = this.$('#files-progress-label');
+            if (label) label.textContent = 'Unpacking...';
+            const [archive, actualHash, expected] = await Promise.all([
+                ZepplinArchive.fromBlob(blob),
+                this.sha256(blob),
+                expectedHash
+            ]);
+            if (!this.active || this.opening !== key) return;
+
+            const opened = { key, version, archive, size: blob.size, actualHash, expected };
+            ArchiveBrowserView.lastArchive = opened;
+            this.showArchive(opened);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError || !this.active || this.opening !== key) return;
+            console.error('Failed to open archive:', error);
+            this.app.renderErrorCard(resultEl, error, {
+                title: error instanceof ZepplinArchiveError ? `v${version} isn't a readable .tar.gz archive` : `Couldn't download v${version}`,
+                onRetry: () => this.openVersion(version)
+            });
+        }
+    }
+
+    // Hex digest, or null where SubtleCrypto isn't available (plain-http origins other than localhost)
+    async sha256(blob) {
+        if (!window.crypto?.subtle) return null;
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    showArchive(opened) {
+        const { archive } = opened;
+        this.archive = archive;
+        this.opened = opened;
+
+        const root = archive.root;
+        this.files = archive.files.map(file => ({ ...file, name: file.path.slice(root.length) }));
+        const totalSize = this.files.reduce((sum, file) => sum + file.size, 0);
+
+        ZepplinHtml.render(this.$('#files-result'), html`
+            <div class="files-summary">
+                ${this.renderVerification(opened)}
+                <span>${this.app.formatNumber(this.files.length)} file${this.files.length === 1 ? '' : 's'}, ${this.app.formatBytes(totalSize)} unpacked</span>
+                <span class="muted">${this.app.formatBytes(opened.size)} archive</span>
+            </div>
+
+            <div class="files-layout">
+                <nav class="view-card files-tree" aria-label="Files in v${opened.version}" id="files-tree"></nav>
+                <section class="files-viewer" id="files-viewer" aria-live="polite"></section>
+            </div>
+        `);
+
+        this.showPath(this.query.get('path') || '');
+    }
+
+    renderVerification({ actualHash, expected }) {
+        const details = (label, hash) => html`<div><span class="muted">${label}</span> <code>${hash}</code></div>`;
+
+        if (expected.error) {
+            return html`
+                <details class="verify-badge unknown">
+                    <summary>sha256 not verified</summary>
+                    <p>The registry didn't return a hash for this release: ${this.app.describeError(expected.error)}</p>
+                    ${actualHash && details('Downloaded', actualHash)}
+                </details>
+            `;
+        }
+        if (!actualHash) {
+            return html`
+                <details class="verify-badge unknown">
+                    <summary>sha256 not verified</summary>
+                    <p>This browser can only compute hashes on HTTPS pages.</p>
+                    ${details('Registry', expected.hash)}
+                </details>
+            `;
+        }
+        if (actualHash !== expected.hash) {
+            return html`
+                <details class="verify-badge mismatch" open>
+                    <summary>sha256 mismatch</summary>
+                    <p>The downloaded archive doesn't match the hash the registry reports. Don't trust these files.</p>
+                    ${details('Registry', expected.hash)}
+                    ${details('Downloaded', actualHash)}
+                </details>
+            `;
+        }
+        return html`
+            <details class="verify-badge verified">
+                <summary>sha256 verified</summary>
+                ${details('sha256', actualHash)}
+            </details>
+        `;
+    }
+
+    fileLink(path, label, { size = null } = {}) {
+        const query = new URLSearchParams({ version: this.opened.version });
+        if (path) query.set('path', path);
+        return html`
+            <a href="${this.path}?${query}" data-path="${path}" class="files-link ${path === this.currentPath ? 'active' : ''}">
+                <span class="files-link-name">${label}</span>
+                ${size !== null && html`<span class="files-size">${this.app.formatBytes(size)}</span>`}
+            </a>
+        `;
+    }
+
+    // Directories and files directly under `dir` ('' for the top level), directories first
+    children(dir) {
+        const prefix = dir ? `${dir}/` : '';
+        const dirs = new Map();
+        const files = [];
+        for (const file of this.files) {
+            if (!file.name.startsWith(prefix)) continue;
+            const rest = file.name.slice(prefix.length);
+            const slash = rest.indexOf('/');
+            if (slash === -1) {
+                files.push(file);
+            } else {
+                const name = rest.slice(0, slash);
+                dirs.set(name, (dirs.get(name) || 0) + file.size);
+            }
+        }
+        return {
+            dirs: [...dirs].sort(([a], [b]) => a.localeCompare(b)).map(([name, size]) => ({ name, path: prefix + name, size })),
+            files: files.sort((a, b) => a.name.localeCompare(b.name))
+        };
+    }
+
+    renderTree(dir = '') {
+        const { dirs, files } = this.children(dir);
+        const open = (path) => this.currentPath === path || this.currentPath.startsWith(`${path}/`);
+
+        return html`
+            <ul class="files-tree-list">
+                ${dirs.map(entry => html`
+                    <li>
+                        <details ${open(entry.path) ? 'open' : ''}>
+                            <summary>
+                                <span class="files-link-name">${entry.name}/</span>
+                                <span class="files-size">${this.app.formatBytes(entry.size)}</span>
+                            </summary>
+                            ${this.renderTree(entry.path)}
+                        </details>
+                    </li>
+                `)}
+                ${files.map(file => html`<li>${this.fileLink(file.name, file.name.split('/').pop(), { size: file.size })}</li>`)}
+            </ul>
+        `;
+    }
+
+    showPath(path) {
+        const file = this.files.find(entry => entry.name === path);
+        const isDir = !file && (path === '' || this.files.some(entry => entry.name.startsWith(`${path}/`)));
+        this.currentPath = file || isDir ? path : '';
+
+        ZepplinHtml.render(this.$('#files-tree'), this.renderTree());
+        document.title = `${this.title} - Zepplin`;
+
+        const viewer = this.$('#files-viewer');
+        if (file) {
+            ZepplinHtml.render(viewer, this.renderFile(file));
+            this.markLine({ scroll: true });
+        } else {
+            ZepplinHtml.render(viewer, html`
+                ${path && !isDir && html`<p class="field-hint error">${path} isn't in v${this.opened.version}.</p>`}
+                ${this.renderDirectory(this.currentPath)}
+            `);
+        }
+    }
+
+    renderBreadcrumbs(path) {
+        const parts = path ? path.split('/') : [];
+        return html`
+            <nav class="files-breadcrumbs" aria-label="Path">
+                ${this.fileLink('', `${this.repo}@${this.opened.version}`)}
+                ${parts.map((part, i) => html`<span aria-hidden="true">/</span>${i === parts.length - 1
+                    ? html`<span>${part}</span>`
+                    : this.fileLink(parts.slice(0, i + 1).join('/'), part)}`)}
+            </nav>
+        `;
+    }
+
+    renderDirectory(dir) {
+        const { dirs, files } = this.children(dir);
+        return html`
+            <div class="view-card files-file">
+                <header class="files-file-header">${this.renderBreadcrumbs(dir)}</header>
+                <ul class="files-dir-list">
+                    ${dirs.map(entry => html`<li>${this.fileLink(entry.path, `${entry.name}/`, { size: entry.size })}</li>`)}
+                    ${files.map(file => html`<li>${this.fileLink(file.name, file.name.split('/').pop(), { size: file.size })}</li>`)}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderFile(file) {
+        let body;
+        if (ZepplinDiff.isBinary(file.data)) {
+            body = html`<p class="files-note">Binary file, ${this.app.formatBytes(file.size)}</p>`;
+        } else if (file.size > ArchiveBrowserView.MAX_VIEW_BYTES) {
+            body = html`<p class="files-note">This file is too large to show (${this.app.formatBytes(file.size)}).</p>`;
+        } else {
+            const language = ZepplinHighlight.languageFor(file.name);
+            const lines = ZepplinDiff.splitLines(this.archive.text(file));
+            body = html`
+                <table class="files-lines">
+                    <tbody>
+                        ${lines.map((line, i) => html`
+                            <tr id="L${i + 1}">
+                                <td class="files-line-num"><a href="#L${i + 1}">${i + 1}</a></td>
+                                <td class="files-line-code">${ZepplinHighlight.line(line, language)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        return html`
+            <div class="view-card files-file">
+                <header class="files-file-header">
+                    ${this.renderBreadcrumbs(file.name)}
+                    <span class="files-size">${this.app.formatBytes(file.size)}${file.mode & 0o111 ? ' · executable' : ''}</span>
+                </header>
+                ${body}
+            </div>
+        `;
+    }
+
+    // Highlights the #L<n> line from the URL
+    markLine({ scroll = false } = {}) {
+        this.$$('.files-lines tr.selected').forEach(row => row.classList.remove('selected'));
+        const match = /^#L(\d+)$/.exec(window.location.hash);
+        const row = match && this.$(`#L${match[1]}`);
+        if (!row) return;
+        row.classList.add('selected');
+        if (scroll) row.scrollIntoView({ block: 'center' });
+    }
+}
@@ -0,0 +1,305 @@
+// Zepplin Registry - Home view
+// Landing page: hero search with suggestions, registry stats, featured packages
+// and recent activity. Stats, featured cards and the activity panel follow
+// /api/v1/events while the page is open and visible; where the stream doesn't
+// get through they poll /api/v1/activity instead.
+
+class HomeView extends ZepplinView {
+    static ACTIVITY_LIMIT = 10;
+    static POLL_INTERVAL = 15000;
+    // Streams failing this many times in a row without reaching `ready` hand
+    // over to polling
+    static MAX_STREAM_ERRORS = 3;
+
+    static activityLabels = {
+        package: 'New package',
+        release: 'Release',
+        delete: 'Deleted',
+        milestone: 'Milestone'
+    };
+
+    render() {
+        return document.getElementById('home-view-template').content.cloneNode(true);
+    }
+
+    async load() {
+        this.setupSearch();
+        await this.loadInitialData();
+        this.app.setupIntersectionObserver(this.root);
+        if (!this.signal.aborted && this.activityReady) this.startLiveUpdates();
+    }
+
+    setupSearch() {
+        const searchInput = this.$('#package-search');
+        new ZepplinSearchBox(this.app, searchInput, this.$('#search-suggestions'), { signal: this.signal });
+
+        this.$('.search-btn').addEventListener('click', () => {
+            this.app.performSearch(searchInput.value || '');
+        });
+    }
+
+    async loadInitialData() {
+        try {
+            // Load stats
+            await this.loadStats();
+
+            // Load featured packages
+            await this.loadFeaturedPackages();
+
+            await this.loadActivity();
+        } catch (error) {
+            console.error('Failed to load initial data:', error);
+            this.app.showError('Failed to load registry data');
+        }
+    }
+
+    async loadStats() {
+        const errorEl = this.$('#stats-error');
+        ZepplinHtml.clear(errorEl);
+        try {
+            const stats = await this.app.api.getStats({ signal: this.signal });
+            this.updateStatsDisplay(stats);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load stats:', error);
+            // Leave the placeholders as dashes rather than inventing numbers
+            this.app.renderErrorCard(errorEl, error, {
+                title: 'Registry stats are unavailable',
+                onRetry: () => this.loadStats()
+            });
+        }
+    }
+
+    // Counters from a live update are set outright; only the first load animates
+    updateLiveStats(stats) {
+        if (!stats) return;
+        const packagesEl = this.$('#total-packages');
+        const downloadsEl = this.$('#total-downloads');
+        if (packagesEl) packagesEl.textContent = this.app.formatNumber(Number(stats.total_packages ?? 0));
+        if (downloadsEl) downloadsEl.textContent = this.app.formatNumber(Number(stats.total_downloads ?? 0));
+    }
+
+    updateStatsDisplay(stats) {
+        const elements = {
+            'total-packages': this.app.formatNumber(stats.total_packages),
+            'total-downloads': this.app.formatNumber(stats.total_downloads),
+            'active-maintainers': this.app.formatNumber(stats.active_maintainers),
+            'zig-version': stats.zig_version || '0.16.0'
+        };
+
+        Object.entries(elements).forEach(([id, value]) => {
+            const element = this.$(`#${id}`);
+            if (element) {
+                this.app.animateNumber(element, value);
+            }
+        });
+    }
+
+    async loadFeaturedPackages() {
+        const container = this.$('#featured-packages');
+        try {
+            const { packages } = await this.app.api.listPackages({ featured: true, limit: 6 }, { signal: this.signal });
+            this.featured = packages;
+            this.app.displayPackages(packages, container);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load featured packages:', error);
+            this.app.renderErrorCard(container, error, {
+                title: 'Featured packages are unavailable',
+                onRetry: () => this.loadFeaturedPackages()
+            });
+        }
+    }
+
+    async loadActivity() {
+        const listEl = this.$('#activity-feed');
+        try {
+            const { events, lastId } = await this.app.api.getActivity({ limit: HomeView.ACTIVITY_LIMIT }, { signal: this.signal });
+            this.lastActivityId = lastId;
+            this.activity = events.reverse();
+            this.activityReady = true;
+            this.renderActivity();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load activity:', error);
+            this.app.renderErrorCard(listEl, error, {
+                title: 'Recent activity is unavailable',
+                onRetry: () => this.loadActivity().then(() => {
+                    if (this.activityReady && !this.source && !this.pollTimer) this.startLiveUpdates();
+                })
+            });
+        }
+    }
+
+    renderActivity() {
+        const listEl = this.$('#activity-feed');
+        if (this.activity.length === 0) {
+            ZepplinHtml.render(listEl, html`<p class="activity-empty">Nothing yet. New packages and releases show up here as they're published.</p>`);
+            return;
+        }
+
+        ZepplinHtml.render(listEl, html`
+            <ol class="activity-list">
+                ${this.activity.map(event => html`
+                    <li class="activity-item">
+                        <span class="activity-kind activity-kind-${event.kind}">${HomeView.activityLabels[event.kind]}</span>
+                        <span class="activity-text">${this.describeActivity(event)}</span>
+                        <time class="activity-time" datetime="${this.app.toDate(event.created_at).toISOString()}">
+                            ${this.formatActivityTime(event.created_at)}
+                        </time>
+                    </li>
+                `)}
+            </ol>
+        `);
+    }
+
+    describeActivity(event) {
+        const link = html`<a href="${this.app.packagePath({ name: event.package })}">${event.package}</a>`;
+        switch (event.kind) {
+            case 'package': return event.version ? html`${link} published with v${event.version}` : html`${link} added to the registry`;
+            case 'release': return html`${link} v${event.version} published`;
+            case 'delete': return html`${link} v${event.version} deleted`;
+            case 'milestone': return html`${link} reached ${this.app.formatNumber(event.value)} downloads`;
+            default: return link;
+        }
+    }
+
+    // Times today, dates before that
+    formatActivityTime(createdAt) {
+        const date = this.app.toDate(createdAt);
+        if (Date.now() - date < 24 * 60 * 60 * 1000) {
+            return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+        return this.app.formatDate(createdAt);
+    }
+
+    // Replays of events already shown (after a reconnect) are ignored
+    handleActivity(event) {
+        if (event.id <= this.lastActivityId) return;
+        this.lastActivityId = event.id;
+        this.activity = [event, ...this.activity].slice(0, HomeView.ACTIVITY_LIMIT);
+        this.renderActivity();
+        this.updateFeatured(event);
+    }
+
+    updateFeatured(event) {
+        const pkg = this.featured?.find(candidate => this.app.packageFullName(candidate) === event.package);
+        if (!pkg) return;
+
+        const version = pkg.latest_version || pkg.version;
+        if (event.kind === 'release') {
+            pkg.latest_version = event.version;
+            pkg.updated_at = event.created_at;
+        } else if (event.kind === 'delete' && version === event.version) {
+            // Which release is latest now isn't in the event; show none rather than a wrong one
+            pkg.latest_version = null;
+            pkg.version = null;
+        } else if (event.kind === 'milestone') {
+            pkg.download_count = event.value;
+        } else {
+            return;
+        }
+        this.app.displayPackages(this.featured, this.$('#featured-packages'));
+    }
+
+    startLiveUpdates() {
+        this.signal.addEventListener('abort', () => this.stopLiveUpdates(), { once: true });
+        this.streaming = 'EventSource' in window;
+        // Hidden tabs stop updating and catch up as soon as they're shown again
+        document.addEventListener('visibilitychange', () => {
+            if (this.streaming) {
+                if (document.hidden) {
+                    this.closeStream();
+                } else {
+                    this.connect();
+                }
+            } else if (!document.hidden && this.pollTimer) {
+                clearTimeout(this.pollTimer);
+                this.poll();
+            }
+        }, { signal: this.signal });
+        this.showUpdated();
+        if (!this.streaming) {
+            this.schedulePoll();
+        } else if (!document.hidden) {
+            this.connect();
+        }
+    }
+
+    // The server ends each stream once it has sent what's new, and
+    // EventSource reconnects after the stream's `retry` with Last-Event-ID;
+    // `since` only matters for the first connection
+    connect() {
+        this.closeStream();
+        const source = new EventSource(this.app.api.eventsUrl(this.lastActivityId));
+        this.source = source;
+        this.streamErrors = 0;
+        let ready = false;
+
+        source.addEventListener('activity', (e) => this.handleActivity(JSON.parse(e.data)));
+        source.addEventListener('ready', () => {
+            ready = true;
+            this.streamErrors = 0;
+        });
+        source.addEventListener('stats', (e) => {
+            this.updateLiveStats(JSON.parse(e.data));
+            this.showUpdated();
+        });
+        source.addEventListener('error', () => {
+            // After `ready` this is just the stream ending on schedule
+            if (ready && source.readyState === EventSource.CONNECTING) {
+                ready = false;
+                return;
+            }
+            ready = false;
+            this.streamErrors += 1;
+            if (source.readyState === EventSource.CLOSED || this.streamErrors >= HomeView.MAX_STREAM_ERRORS) {
+                this.startPolling();
+            }
+        });
+    }
+
+    closeStream() {
+        this.source?.close();
+        this.source = null;
+    }
+
+    startPolling() {
+        this.closeStream();
+        this.streaming = false;
+        if (!this.pollTimer) this.schedulePoll();
+    }
+
+    schedulePoll() {
+        this.pollTimer = setTimeout(() => this.poll(), HomeView.POLL_INTERVAL);
+    }
+
+    async poll() {
+        this.pollTimer = null;
+        if (!document.hidden) {
+            try {
+                const { events, lastId, stats } = await this.app.api.getActivity({ since: this.lastActivityId }, { signal: this.signal });
+                events.forEach(event => this.handleActivity(event));
+                this.lastActivityId = Math.max(this.lastActivityId, lastId);
+                this.updateLiveStats(stats);
+                this.showUpdated();
+            } catch (error) {
+                if (error instanceof ZepplinAbortError) return;
+                console.warn('Failed to poll activity:', error);
+            }
+        }
+        if (!this.signal.aborted) this.schedulePoll();
+    }
+
+    stopLiveUpdates() {
+        this.closeStream();
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    showUpdated() {
+        const statusEl = this.$('#activity-status');
+        if (!statusEl) return;
+        statusEl.textContent = `Updated ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+}
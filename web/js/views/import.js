@@ -0,0 +1,339 @@
+// Zepplin Registry - Ecosystem import view
+// /import lets registry admins seed the registry from Zigistry: browse or
+// search its catalog, preview what will be stored, select packages and import
+// them one at a time with per-package progress. Query, category and page live
+// in the URL; the selection survives paging until it is imported or cleared.
+
+class EcosystemImportView extends ZepplinView {
+    static SOURCE = 'zigistry';
+    static PER_PAGE = 30;
+    static STATUS_LABELS = {
+        queued: 'Queued',
+        importing: 'Importing...',
+        imported: 'Imported',
+        exists: 'Already in registry',
+        failed: 'Failed',
+        skipped: 'Skipped'
+    };
+
+    constructor(app, route) {
+        super(app, route);
+        // "source:owner/repo" -> catalog entry
+        this.selected = new Map();
+        this.entries = [];
+        this.importing = false;
+    }
+
+    get title() {
+        return 'Import from Ecosystem';
+    }
+
+    get state() {
+        return {
+            q: this.query.get('q') || '',
+            category: this.query.get('category') || 'all',
+            page: Math.max(parseInt(this.query.get('page'), 10) || 1, 1)
+        };
+    }
+
+    queryFor(state) {
+        const params = new URLSearchParams();
+        if (state.q) params.set('q', state.q);
+        if (state.category && state.category !== 'all') params.set('category', state.category);
+        if (state.page > 1) params.set('page', String(state.page));
+        return params;
+    }
+
+    render() {
+        return html`
+            <div class="view-page import-page">
+                <div class="view-header">
+                    <h1>Import from Ecosystem</h1>
+                    <p>Mirror packages from Zigistry into this registry. Imported packages carry the upstream metadata; releases are published here as usual.</p>
+                </div>
+                <div id="import-content">
+                    <div class="view-loading">Loading...</div>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        const user = await this.app.authReady;
+        const content = this.$('#import-content');
+
+        if (!user) {
+            ZepplinHtml.render(content, html`<div class="view-card">${this.app.renderSignInPrompt('import packages')}</div>`);
+            return;
+        }
+        if (!user.is_admin) {
+            ZepplinHtml.render(content, html`
+                <div class="view-card">
+                    <p>Importing is limited to registry admins, the accounts listed in the server's <code>ZEPPLIN_ADMINS</code>.</p>
+                </div>
+            `);
+            return;
+        }
+
+        const { q, category } = this.state;
+        ZepplinHtml.render(content, html`
+            <form class="search-box-large import-search" id="import-search" role="search">
+                <input type="text" name="q" placeholder="Search upstream packages..." aria-label="Search upstream packages" value="${q}">
+                <select name="category" aria-label="Category">
+                    ${BrowseView.categories.map(([id, label]) =>
+                        html`<option value="${id}" ${id === category ? 'selected' : ''}>${label}</option>`)}
+                </select>
+                <button type="submit">Search</button>
+            </form>
+
+            <div class="import-selection" id="import-selection" hidden>
+                <span id="selection-count" aria-live="polite"></span>
+                <button type="button" class="owned-action" id="clear-selection">Clear</button>
+                <button type="button" class="publish-btn" id="start-import">Import selected</button>
+            </div>
+
+            <section class="view-card import-progress" id="import-progress" hidden aria-labelledby="import-progress-title">
+                <h2 id="import-progress-title">Import progress</h2>
+                <progress id="import-progress-bar" max="1" value="0"></progress>
+                <p class="muted" id="import-progress-summary" aria-live="polite"></p>
+                <ul class="import-results" id="import-results"></ul>
+            </section>
+
+            <div class="results-count" id="results-count" aria-live="polite"></div>
+            <div class="view-loading" id="loading" style="display: none;">Loading upstream packages...</div>
+            <div class="import-list" id="import-list"></div>
+            <nav class="pagination" id="pagination" aria-label="Catalog pages"></nav>
+        `);
+
+        this.$('#import-search').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            this.update({ q: form.elements.q.value.trim(), category: form.elements.category.value, page: 1 });
+        });
+
+        this.$('#pagination').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-page]');
+            if (!link) return;
+            e.preventDefault();
+            this.update({ page: Number(link.dataset.page) });
+        });
+
+        this.$('#import-list').addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[data-select]');
+            if (checkbox) this.toggleSelected(checkbox.dataset.select, checkbox.checked);
+        });
+
+        this.$('#clear-selection').addEventListener('click', () => {
+            this.selected.clear();
+            this.$$('input[data-select]').forEach(checkbox => { checkbox.checked = false; });
+            this.renderSelection();
+        });
+
+        this.$('#start-import').addEventListener('click', () => this.importSelected());
+
+        await this.loadCatalog();
+    }
+
+    // Filter changes stay on this view instead of re-resolving the route, so
+    // the selection isn't lost
+    update(changes) {
+        const state = { ...this.state, ...changes };
+        this.setQuery(this.queryFor(state));
+
+        const form = this.$('#import-search');
+        form.elements.q.value = state.q;
+        form.elements.category.value = state.category;
+
+        window.scrollTo(0, 0);
+        return this.loadCatalog();
+    }
+
+    async loadCatalog() {
+        const { q, category, page } = this.state;
+        const source = EcosystemImportView.SOURCE;
+        const perPage = EcosystemImportView.PER_PAGE;
+        const loadingEl = this.$('#loading');
+        const listEl = this.$('#import-list');
+        const countEl = this.$('#results-count');
+        const paginationEl = this.$('#pagination');
+
+        loadingEl.style.display = 'block';
+        countEl.textContent = '';
+        ZepplinHtml.clear(listEl);
+        ZepplinHtml.clear(paginationEl);
+
+        try {
+            const { packages, total } = await this.app.api.getEcosystemPackages(
+                { source, q, category, limit: perPage, offset: (page - 1) * perPage },
+                { signal: this.signal }
+            );
+            loadingEl.style.display = 'none';
+            this.entries = packages;
+
+            if (packages.length === 0) {
+                ZepplinHtml.render(listEl, this.app.createEmptyState(q ? `No ${this.sourceLabel(source)} packages match "${q}"` : 'No packages found'));
+                return;
+            }
+
+            countEl.textContent = `${this.app.formatNumber(total)} package${total === 1 ? '' : 's'} on ${this.sourceLabel(source)}`;
+            ZepplinHtml.render(listEl, html`${packages.map(pkg => this.renderEntry(pkg))}`);
+            this.renderPagination(page, Math.ceil(total / perPage));
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load upstream packages:', error);
+            loadingEl.style.display = 'none';
+            this.app.renderErrorCard(listEl, error, {
+                title: `Couldn't load the ${this.sourceLabel(source)} catalog`,
+                onRetry: () => this.loadCatalog()
+            });
+        }
+    }
+
+    renderEntry(pkg) {
+        const key = this.keyFor(pkg);
+        const checkboxId = `select-${key.replace(/[^a-zA-Z0-9_-]/g, '-')}`;
+
+        return html`
+            <article class="view-card import-entry${pkg.imported ? ' imported' : ''}">
+                <div class="import-entry-header">
+                    <input type="checkbox" id="${checkboxId}" data-select="${key}"
+                        ${this.selected.has(key) ? 'checked' : ''} ${pkg.imported ? 'disabled' : ''}>
+                    <label for="${checkboxId}" class="import-entry-name">${pkg.full_name}</label>
+                    ${pkg.imported
+                        ? html`<a href="${this.app.packagePath(pkg)}" class="source-badge source-local">In registry</a>`
+                        : html`<span class="source-badge">${this.sourceLabel(pkg.source)}</span>`}
+                </div>
+                ${pkg.description ? html`<p class="import-entry-desc">${pkg.description}</p>` : ''}
+                <details class="import-preview">
+                    <summary>Preview metadata</summary>
+                    <dl>
+                        <dt>Name</dt><dd>${pkg.full_name}</dd>
+                        <dt>Description</dt><dd>${pkg.description || 'None'}</dd>
+                        <dt>License</dt><dd>${pkg.license || 'Not specified'}</dd>
+                        <dt>Repository</dt>
+                        <dd>${pkg.github_url ? html`<a href="${pkg.github_url}" target="_blank" rel="noopener">${pkg.github_url}</a>` : 'None'}</dd>
+                        <dt>Stars</dt><dd>${this.app.formatNumber(Number(pkg.github_stars) || 0)}</dd>
+                        ${pkg.zigistry_score != null ? html`<dt>Zigistry score</dt><dd>${Number(pkg.zigistry_score).toFixed(2)}</dd>` : ''}
+                        ${pkg.topics.length ? html`<dt>Topics</dt><dd>${pkg.topics.join(', ')}</dd>` : ''}
+                    </dl>
+                </details>
+            </article>
+        `;
+    }
+
+    renderPagination(page, totalPages) {
+        const paginationEl = this.$('#pagination');
+        if (totalPages <= 1) {
+            ZepplinHtml.clear(paginationEl);
+            return;
+        }
+
+        const href = (target) => `${this.path}?${this.queryFor({ ...this.state, page: target })}`;
+        ZepplinHtml.render(paginationEl, html`
+            ${page > 1 && html`<a href="${href(page - 1)}" data-page="${page - 1}" class="page-link" rel="prev">Previous</a>`}
+            <span class="page-gap">Page ${page} of ${totalPages}</span>
+            ${page < totalPages && html`<a href="${href(page + 1)}" data-page="${page + 1}" class="page-link" rel="next">Next</a>`}
+        `);
+    }
+
+    toggleSelected(key, checked) {
+        if (checked) {
+            const entry = this.entries.find(pkg => this.keyFor(pkg) === key);
+            if (entry) this.selected.set(key, entry);
+        } else {
+            this.selected.delete(key);
+        }
+        this.renderSelection();
+    }
+
+    renderSelection() {
+        const count = this.selected.size;
+        this.$('#import-selection').hidden = count === 0;
+        this.$('#selection-count').textContent = `${count} package${count === 1 ? '' : 's'} selected`;
+        this.$('#start-import').disabled = this.importing;
+    }
+
+    // One request per package, in order, so each row reports as it finishes and
+    // a failure doesn't stop the rest
+    async importSelected() {
+        if (this.importing || this.selected.size === 0) return;
+
+        const jobs = [...this.selected.values()].map(pkg => ({ pkg, status: 'queued', message: '' }));
+        this.importing = true;
+        this.renderSelection();
+
+        const progressEl = this.$('#import-progress');
+        progressEl.hidden = false;
+        progressEl.scrollIntoView({ block: 'nearest' });
+        this.renderProgress(jobs);
+
+        for (const job of jobs) {
+            job.status = 'importing';
+            this.renderProgress(jobs);
+            try {
+                const result = await this.app.api.importEcosystemPackage(job.pkg.source, job.pkg.full_name, { signal: this.signal });
+                job.status = result?.status === 'exists' ? 'exists' : 'imported';
+                this.selected.delete(this.keyFor(job.pkg));
+            } catch (error) {
+                if (error instanceof ZepplinAbortError) return;
+                console.error(`Failed to import ${job.pkg.full_name}:`, error);
+                job.status = 'failed';
+                job.message = this.app.describeError(error);
+                // Without admin rights or the publish scope nothing else will succeed either
+                if (error instanceof ZepplinAuthError || error instanceof ZepplinForbiddenError) {
+                    jobs.filter(other => other.status === 'queued').forEach(other => { other.status = 'skipped'; });
+                    break;
+                }
+            }
+            this.renderProgress(jobs);
+        }
+
+        this.importing = false;
+        this.renderProgress(jobs);
+        this.renderSelection();
+
+        const imported = jobs.filter(job => job.status === 'imported').length;
+        const failed = jobs.filter(job => job.status === 'failed' || job.status === 'skipped').length;
+        if (failed > 0) {
+            this.app.showError(`${failed} package${failed === 1 ? '' : 's'} could not be imported`);
+        } else {
+            this.app.showSuccess(`Imported ${imported} package${imported === 1 ? '' : 's'}`);
+        }
+
+        // Refresh the "In registry" markers
+        await this.loadCatalog();
+    }
+
+    renderProgress(jobs) {
+        const done = jobs.filter(job => !['queued', 'importing'].includes(job.status)).length;
+        const bar = this.$('#import-progress-bar');
+        bar.max = jobs.length;
+        bar.value = done;
+
+        const counts = ['imported', 'exists', 'failed', 'skipped']
+            .map(status => [status, jobs.filter(job => job.status === status).length])
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${count} ${EcosystemImportView.STATUS_LABELS[status].toLowerCase()}`);
+        this.$('#import-progress-summary').textContent = this.importing
+            ? `${done} of ${jobs.length} done`
+            : `Finished: ${counts.join(', ') || 'nothing imported'}`;
+
+        ZepplinHtml.render(this.$('#import-results'), html`${jobs.map(job => html`
+            <li class="import-result status-${job.status}">
+                ${job.status === 'imported' || job.status === 'exists'
+                    ? html`<a href="${this.app.packagePath(job.pkg)}">${job.pkg.full_name}</a>`
+                    : html`<span>${job.pkg.full_name}</span>`}
+                <span class="import-result-status">${EcosystemImportView.STATUS_LABELS[job.status]}</span>
+                ${job.message ? html`<span class="import-result-message">${job.message}</span>` : ''}
+            </li>
+        `)}`);
+    }
+
+    keyFor(pkg) {
+        return `${pkg.source}:${pkg.full_name}`;
+    }
+
+    sourceLabel(source) {
+        return source === 'zigistry' ? 'Zigistry' : source;
+    }
+}
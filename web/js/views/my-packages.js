@@ -0,0 +1,216 @@
+// Zepplin Registry - My Packages view
+// Dashboard for /packages/my: the signed-in user's packages with downloads,
+// release history and maintainer actions (publish, delete release, alias).
+
+class MyPackagesView extends ZepplinView {
+    get title() {
+        return 'My Packages';
+    }
+
+    render() {
+        return html`
+            <div class="view-page my-packages-page" id="my-packages-content">
+                <div class="view-loading">Loading your packages...</div>
+            </div>
+        `;
+    }
+
+    async load() {
+        const user = await this.app.authReady;
+        const content = this.$('#my-packages-content');
+
+        if (!user) {
+            ZepplinHtml.render(content, html`<div class="view-card">${this.app.renderSignInPrompt('view your packages')}</div>`);
+            return;
+        }
+
+        this.user = user;
+        ZepplinHtml.render(content, html`
+            <div class="view-header view-header-row">
+                <h1>My Packages</h1>
+                <a href="/publish" class="publish-btn">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 5v14M5 12h14"/>
+                    </svg>
+                    Publish New Package
+                </a>
+            </div>
+            <div class="owned-summary" id="owned-summary"></div>
+            <div id="owned-packages">
+                <div class="view-loading">Loading your packages...</div>
+            </div>
+        `);
+
+        const listEl = this.$('#owned-packages');
+        listEl.addEventListener('click', (e) => this.handleAction(e));
+        listEl.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createAlias(e.target);
+        });
+
+        await this.loadPackages();
+    }
+
+    async loadPackages() {
+        const listEl = this.$('#owned-packages');
+        const summaryEl = this.$('#owned-summary');
+
+        try {
+            const { packages, total, totalDownloads } = await this.app.api.getUserPackages(this.user.username, { signal: this.signal });
+
+            if (packages.length === 0) {
+                summaryEl.textContent = '';
+                ZepplinHtml.render(listEl, html`
+                    <div class="empty-state view-card">
+                        <h2>No packages yet</h2>
+                        <p>You haven't published any packages. Get started by publishing your first Zig package!</p>
+                        <a href="/publish" class="publish-btn">Publish Your First Package</a>
+                    </div>
+                `);
+                return;
+            }
+
+            summaryEl.textContent = `${this.app.formatNumber(total)} package${total === 1 ? '' : 's'} · ${this.app.formatNumber(totalDownloads)} downloads`;
+            ZepplinHtml.render(listEl, html`${packages.map(pkg => this.renderPackage(pkg))}`);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load your packages:', error);
+            summaryEl.textContent = '';
+            this.app.renderErrorCard(listEl, error, {
+                title: 'Couldn\'t load your packages',
+                onRetry: () => this.loadPackages()
+            });
+        }
+    }
+
+    renderPackage(pkg) {
+        const publishHref = `/publish?${new URLSearchParams({ owner: pkg.owner, repo: pkg.repo })}`;
+
+        return html`
+            <article class="view-card owned-package" data-owner="${pkg.owner}" data-repo="${pkg.repo}">
+                <div class="owned-package-header">
+                    <div>
+                        <a href="${this.app.packagePath(pkg)}" class="owned-package-name">${pkg.full_name}</a>
+                        ${pkg.latest_version ? html`<span class="version-tag">v${pkg.latest_version.replace(/^v/, '')}</span>` : ''}
+                        ${pkg.description ? html`<p class="owned-package-desc">${pkg.description}</p>` : ''}
+                    </div>
+                    <div class="owned-package-stats">
+                        <div><strong>${this.app.formatNumber(pkg.download_count)}</strong> downloads</div>
+                        ${pkg.updated_at ? html`<div>Updated ${this.app.formatDate(pkg.updated_at)}</div>` : ''}
+                    </div>
+                </div>
+                <div class="owned-package-actions">
+                    <a href="${publishHref}" class="owned-action">Publish release</a>
+                    <button type="button" class="owned-action" data-action="releases" aria-expanded="false">Release history</button>
+                    <button type="button" class="owned-action" data-action="alias" aria-expanded="false">Add alias</button>
+                </div>
+                <div class="owned-package-panel" data-panel="releases" hidden></div>
+                <form class="owned-package-panel alias-form" data-panel="alias" hidden>
+                    <label>
+                        Short name
+                        <input type="text" name="short_name" required maxlength="64" pattern="[a-z0-9][a-z0-9_\\-]*" placeholder="e.g. ${pkg.repo.toLowerCase()}">
+                    </label>
+                    <button type="submit" class="owned-action">Create alias</button>
+                    <p class="alias-hint">Lets others depend on the short name instead of <code>${pkg.full_name}</code>.</p>
+                </form>
+            </article>
+        `;
+    }
+
+    handleAction(e) {
+        const button = e.target.closest('button[data-action], button[data-delete]');
+        if (!button) return;
+
+        const card = button.closest('.owned-package');
+        const { owner, repo } = card.dataset;
+
+        if (button.dataset.delete) {
+            this.deleteRelease(card, owner, repo, button.dataset.delete, button);
+            return;
+        }
+
+        const panel = card.querySelector(`[data-panel="${button.dataset.action}"]`);
+        const open = panel.hidden;
+        panel.hidden = !open;
+        button.setAttribute('aria-expanded', String(open));
+
+        if (open && button.dataset.action === 'releases') this.loadReleases(card, owner, repo);
+        if (open && button.dataset.action === 'alias') panel.querySelector('input').focus();
+    }
+
+    async loadReleases(card, owner, repo) {
+        const panel = card.querySelector('[data-panel="releases"]');
+        ZepplinHtml.render(panel, html`<div class="view-loading">Loading releases...</div>`);
+
+        try {
+            const releases = await this.app.api.getReleases(owner, repo, { signal: this.signal, maxAge: 0 });
+            if (releases.length === 0) {
+                ZepplinHtml.render(panel, html`<p class="owned-empty">No releases published yet.</p>`);
+                return;
+            }
+
+            ZepplinHtml.render(panel, html`
+                <ul class="version-list">
+                    ${releases.map(release => html`
+                        <li class="version-item">
+                            <div class="version-row">
+                                <span>
+                                    <span class="version-tag">${release.tag_name}</span>
+                                    ${release.prerelease && html`<span class="version-badge">pre-release</span>`}
+                                    <span class="version-date">${this.app.formatDate(release.published_at || release.created_at)}</span>
+                                </span>
+                                <button type="button" class="owned-action danger" data-delete="${release.tag_name}">Delete</button>
+                            </div>
+                            ${release.sha256 ? html`<code class="version-checksum" title="${release.sha256}">sha256:${release.sha256}</code>` : ''}
+                        </li>
+                    `)}
+                </ul>
+            `);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load releases:', error);
+            this.app.renderErrorCard(panel, error, {
+                title: 'Couldn\'t load releases',
+                onRetry: () => this.loadReleases(card, owner, repo)
+            });
+        }
+    }
+
+    async deleteRelease(card, owner, repo, tag, button) {
+        if (!confirm(`Delete ${owner}/${repo}@${tag}? Projects that pin this version will no longer be able to fetch it.`)) return;
+
+        button.disabled = true;
+        try {
+            await this.app.api.deleteRelease(owner, repo, tag, { signal: this.signal });
+            this.app.showSuccess(`Deleted ${owner}/${repo}@${tag}`);
+            await this.loadReleases(card, owner, repo);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to delete release:', error);
+            this.app.showError(`Couldn't delete ${tag}: ${this.app.describeError(error)}`);
+            button.disabled = false;
+        }
+    }
+
+    async createAlias(form) {
+        const card = form.closest('.owned-package');
+        const { owner, repo } = card.dataset;
+        const shortName = form.elements.short_name.value.trim();
+        const submit = form.querySelector('button[type="submit"]');
+
+        submit.disabled = true;
+        try {
+            await this.app.api.createAlias(shortName, { owner, repo }, { signal: this.signal });
+            this.app.showSuccess(`Alias "${shortName}" now points to ${owner}/${repo}`);
+            form.reset();
+            form.hidden = true;
+            card.querySelector('[data-action="alias"]').setAttribute('aria-expanded', 'false');
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to create alias:', error);
+            this.app.showError(`Couldn't create the alias: ${this.app.describeError(error)}`);
+        } finally {
+            submit.disabled = false;
+        }
+    }
+}
@@ -0,0 +1,234 @@
+// Zepplin Registry - Notifications view
+// /notifications: release notifications for the packages the signed-in user
+// watches, newest first, and the list of watched packages with their levels.
+// Reading here keeps the unread badge in the header in step.
+
+class NotificationsView extends ZepplinView {
+    static PAGE_SIZE = 50;
+
+    static kindLabels = {
+        security: 'Security fix',
+        major: 'Major release',
+        release: 'Release'
+    };
+
+    get title() {
+        return 'Notifications';
+    }
+
+    render() {
+        return html`
+            <div class="view-page notifications-page" id="notifications-content">
+                <div class="view-loading">Loading notifications...</div>
+            </div>
+        `;
+    }
+
+    async load() {
+        const user = await this.app.authReady;
+        const content = this.$('#notifications-content');
+
+        if (!user) {
+            ZepplinHtml.render(content, html`<div class="view-card">${this.app.renderSignInPrompt('see your notifications')}</div>`);
+            return;
+        }
+
+        this.unreadOnly = this.query.get('filter') === 'unread';
+        ZepplinHtml.render(content, html`
+            <div class="view-header view-header-row">
+                <h1>Notifications</h1>
+                <button type="button" class="owned-action" id="mark-all-read" disabled>Mark all as read</button>
+            </div>
+            <div class="notification-filters" role="group" aria-label="Show">
+                <button type="button" class="notification-filter" data-filter="all" aria-pressed="${String(!this.unreadOnly)}">All</button>
+                <button type="button" class="notification-filter" data-filter="unread" aria-pressed="${String(this.unreadOnly)}">Unread</button>
+            </div>
+            <div class="view-card" id="notification-list">
+                <div class="view-loading">Loading notifications...</div>
+            </div>
+
+            <div class="view-card">
+                <h2 class="notifications-heading">Watching</h2>
+                <p class="setting-hint">Choose a level on any package page. Emails are set up in <a href="/settings">Settings</a>.</p>
+                <div id="watch-list">
+                    <div class="view-loading">Loading watched packages...</div>
+                </div>
+            </div>
+        `);
+
+        this.$('#mark-all-read').addEventListener('click', (e) => this.markRead('all', e.currentTarget));
+        this.$('.notification-filters').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-filter]');
+            if (button) this.setFilter(button.dataset.filter === 'unread');
+        });
+        const listEl = this.$('#notification-list');
+        listEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-read]');
+            if (button) {
+                this.markRead([Number(button.dataset.read)], button);
+                return;
+            }
+            // Following a notification counts as reading it; the request
+            // outlives this view, so it isn't tied to its signal
+            const link = e.target.closest('a[data-unread]');
+            if (link) {
+                this.app.api.markNotificationsRead([Number(link.dataset.unread)])
+                    .then(count => this.app.updateNotificationBadge(count))
+                    .catch(error => console.warn('Failed to mark notification read:', error));
+            }
+        });
+        const watchEl = this.$('#watch-list');
+        watchEl.addEventListener('change', (e) => {
+            if (e.target.matches('select[data-package]')) this.changeWatch(e.target.dataset.package, e.target.value, e.target);
+        });
+        watchEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-unwatch]');
+            if (button) this.changeWatch(button.dataset.unwatch, '', button);
+        });
+
+        await Promise.all([this.loadNotifications(), this.loadWatches()]);
+    }
+
+    setFilter(unreadOnly) {
+        if (unreadOnly === this.unreadOnly) return;
+        this.unreadOnly = unreadOnly;
+        this.setQuery(new URLSearchParams(unreadOnly ? { filter: 'unread' } : {}), { replace: true });
+        this.$$('.notification-filter').forEach(button => {
+            button.setAttribute('aria-pressed', String((button.dataset.filter === 'unread') === unreadOnly));
+        });
+        this.loadNotifications();
+    }
+
+    async loadNotifications() {
+        const listEl = this.$('#notification-list');
+        try {
+            const { unreadCount, notifications } = await this.app.api.getNotifications(
+                { unread: this.unreadOnly, limit: NotificationsView.PAGE_SIZE },
+                { signal: this.signal, key: 'notifications' }
+            );
+            this.app.updateNotificationBadge(unreadCount);
+            this.$('#mark-all-read').disabled = unreadCount === 0;
+            this.renderNotifications(notifications);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load notifications:', error);
+            this.app.renderErrorCard(listEl, error, {
+                title: 'Couldn\'t load your notifications',
+                onRetry: () => this.loadNotifications()
+            });
+        }
+    }
+
+    renderNotifications(notifications) {
+        const listEl = this.$('#notification-list');
+        if (notifications.length === 0) {
+            ZepplinHtml.render(listEl, html`
+                <p class="notification-empty">
+                    ${this.unreadOnly
+                        ? 'You\'re all caught up.'
+                        : 'No notifications yet. Watch a package to hear about its new releases.'}
+                </p>
+            `);
+            return;
+        }
+
+        ZepplinHtml.render(listEl, html`
+            <ul class="notification-list">
+                ${notifications.map(notification => html`
+                    <li class="notification-item${notification.read ? '' : ' notification-unread'}">
+                        <span class="notification-kind notification-kind-${notification.kind}">
+                            ${NotificationsView.kindLabels[notification.kind] || 'Release'}
+                        </span>
+                        <div class="notification-info">
+                            <a href="${this.app.packagePath({ name: notification.package })}" ${!notification.read && html`data-unread="${notification.id}"`}>
+                                ${notification.package} <strong>${notification.version}</strong>
+                            </a>
+                            <div class="notification-meta">
+                                ${notification.read ? '' : html`<span class="visually-hidden">Unread · </span>`}Published ${this.app.formatDate(notification.created_at)}
+                            </div>
+                        </div>
+                        ${!notification.read && html`
+                            <button type="button" class="owned-action" data-read="${notification.id}">Mark as read</button>
+                        `}
+                    </li>
+                `)}
+            </ul>
+        `);
+    }
+
+    async markRead(ids, button) {
+        button.disabled = true;
+        try {
+            const count = await this.app.api.markNotificationsRead(ids, { signal: this.signal });
+            this.app.updateNotificationBadge(count);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to mark notifications read:', error);
+            this.app.showError(`Couldn't mark notifications as read: ${this.app.describeError(error)}`);
+            button.disabled = false;
+            return;
+        }
+        await this.loadNotifications();
+    }
+
+    async loadWatches() {
+        const watchEl = this.$('#watch-list');
+        try {
+            this.renderWatches(await this.app.api.listWatches({ signal: this.signal }));
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load watched packages:', error);
+            this.app.renderErrorCard(watchEl, error, {
+                title: 'Couldn\'t load your watched packages',
+                onRetry: () => this.loadWatches()
+            });
+        }
+    }
+
+    renderWatches(watches) {
+        const watchEl = this.$('#watch-list');
+        if (watches.length === 0) {
+            ZepplinHtml.render(watchEl, html`<p class="notification-empty">You aren't watching any packages.</p>`);
+            return;
+        }
+
+        // Same levels as the package page, minus "Not watching" which is the button
+        const levels = PackageView.watchLevels.filter(([value]) => value);
+        ZepplinHtml.render(watchEl, html`
+            <ul class="watch-list">
+                ${watches.map(watch => html`
+                    <li class="watch-item">
+                        <a href="${this.app.packagePath({ name: watch.package })}">${watch.package}</a>
+                        <label class="visually-hidden" for="watch-${watch.package}">Level for ${watch.package}</label>
+                        <select id="watch-${watch.package}" data-package="${watch.package}">
+                            ${levels.map(([value, label]) => html`
+                                <option value="${value}" ${value === watch.level && 'selected'}>${label}</option>
+                            `)}
+                        </select>
+                        <button type="button" class="owned-action" data-unwatch="${watch.package}">Unwatch</button>
+                    </li>
+                `)}
+            </ul>
+        `);
+    }
+
+    // An empty level unwatches
+    async changeWatch(packageName, level, control) {
+        const [owner, repo] = packageName.split('/');
+        control.disabled = true;
+        try {
+            if (level) {
+                await this.app.api.watchPackage(owner, repo, level, { signal: this.signal });
+                this.app.showSuccess(`Updated ${packageName}`);
+            } else {
+                await this.app.api.unwatchPackage(owner, repo, { signal: this.signal });
+                this.app.showSuccess(`Stopped watching ${packageName}`);
+            }
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to update watch:', error);
+            this.app.showError(`Couldn't update ${packageName}: ${this.app.describeError(error)}`);
+        }
+        await this.loadWatches();
+    }
+}
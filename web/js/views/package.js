@@ -0,0 +1,759 @@
+// Zepplin Registry - Package detail view
+// Renders /packages/{owner}/{repo}: metadata, a watch control, README, versions
+// with checksums, a build.zig.zon snippet, a README badge builder and the
+// package discussion.
+
+class PackageView extends ZepplinView {
+    static watchLevels = [
+        ['', 'Not watching', 'No notifications for this package.'],
+        ['all', 'All releases', 'Every new version.'],
+        ['major', 'Major releases', 'Versions like 2.0.0, or 0.3.0 before 1.0.'],
+        ['security', 'Security fixes', 'Only releases marked as security fixes.']
+    ];
+
+    static badgeKinds = [
+        ['version', 'Version'],
+        ['downloads', 'Downloads'],
+        ['zig', 'Zig version']
+    ];
+
+    static badgeStyles = [
+        ['flat', 'Flat'],
+        ['flat-square', 'Flat square'],
+        ['for-the-badge', 'For the badge']
+    ];
+
+    constructor(app, route) {
+        super(app, route);
+
+        this.owner = this.params.owner;
+        this.repo = this.params.repo;
+        this.commentPage = 1;
+        this.canModerate = false;
+        this.commentSources = new Map();
+        this.badge = { kind: 'version', style: 'flat', label: '' };
+    }
+
+    get title() {
+        return `${this.owner}/${this.repo}`;
+    }
+
+    render() {
+        return html`
+            <div class="package-page">
+                <div class="view-loading" id="package-loading">Loading package...</div>
+                <div class="empty-state" id="package-error" style="display: none;"></div>
+
+                <div id="package-detail" style="display: none;">
+                    <div class="package-page-header">
+                        <div>
+                            <h1 id="package-title"></h1>
+                            <p class="package-description" id="package-description"></p>
+                            <div class="package-topics" id="package-topics"></div>
+                        </div>
+                        <div class="package-page-aside">
+                            <div class="watch-control" id="watch-control"></div>
+                            <dl class="package-facts" id="package-facts"></dl>
+                        </div>
+                    </div>
+
+                    <div class="package-layout">
+                        <div class="package-main">
+                            <section class="package-section">
+                                <h2>README</h2>
+                                <div class="readme" id="package-readme">
+                                    <p class="muted">Loading README...</p>
+                                </div>
+                            </section>
+
+                            <section class="package-section" id="comments-section">
+                                <h2>Discussion <span class="comment-total" id="comment-total"></span></h2>
+                                <form class="comment-form" id="comment-form" style="display: none;">
+                                    <textarea id="comment-content" rows="4" maxlength="2000" placeholder="Start a discussion..."></textarea>
+                                    <div class="comment-form-actions">
+                                        <span class="comment-form-hint">Markdown supported</span>
+                                        <button type="submit" id="submit-comment">Post Comment</button>
+                                    </div>
+                                </form>
+                                <p class="muted" id="comment-login-hint" style="display: none;">
+                                    <a href="/auth">Sign in</a> to join the discussion.
+                                </p>
+                                <div id="comments-list">
+                                    <p class="muted">Loading comments...</p>
+                                </div>
+                                <nav class="pagination" id="comment-pagination" aria-label="Discussion pages"></nav>
+                            </section>
+                        </div>
+
+                        <aside class="package-sidebar">
+                            <section class="package-section">
+                                <h2>Install</h2>
+                                <div id="package-install">
+                                    <p class="muted">Publish a release to get install instructions.</p>
+                                </div>
+                            </section>
+
+                            <section class="package-section">
+                                <h2>Files</h2>
+                                <p class="muted">Inspect what's in a release archive, with its sha256 checked in your browser.</p>
+                                <a class="files-browse-link" href="${this.app.packagePath({ owner: this.owner, repo: this.repo })}/files">Browse files</a>
+                            </section>
+
+                            <section class="package-section">
+                                <h2>Dependencies</h2>
+                                <p class="muted">See everything this package pulls in, with duplicate versions and conflicts.</p>
+                                <a class="dependency-link" href="${this.app.packagePath({ owner: this.owner, repo: this.repo })}/dependencies">Explore dependency graph</a>
+                            </section>
+
+                            <section class="package-section">
+                                <h2>Downloads</h2>
+                                <p class="muted">Download history by version over the last week, month or year.</p>
+                                <a class="stats-link" href="${this.app.packagePath({ owner: this.owner, repo: this.repo })}/stats">View download charts</a>
+                            </section>
+
+                            <section class="package-section">
+                                <h2>Badges</h2>
+                                <p class="muted">Show the latest version, downloads or required Zig version in your README.</p>
+                                <div class="badge-builder" id="badge-builder"></div>
+                            </section>
+
+                            <section class="package-section">
+                                <h2>Versions</h2>
+                                <div id="package-versions">
+                                    <p class="muted">Loading versions...</p>
+                                </div>
+                            </section>
+                        </aside>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        let pkg;
+        try {
+            pkg = await this.app.api.getPackage(this.owner, this.repo, { signal: this.signal });
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load package:', error);
+            this.showError(error);
+            return;
+        }
+
+        this.renderHeader(pkg);
+        this.renderBadgeBuilder();
+        this.$('#package-loading').style.display = 'none';
+        this.$('#package-detail').style.display = 'block';
+
+        this.user = await this.app.authReady;
+        this.setupComments();
+
+        // Independent sections load in parallel and fail on their own
+        await Promise.all([
+            this.loadWatch(),
+            this.loadVersions(),
+            this.loadReadme(),
+            this.loadComments()
+        ]);
+    }
+
+    showError(error) {
+        this.$('#package-loading').style.display = 'none';
+        const errorEl = this.$('#package-error');
+        errorEl.style.display = 'block';
+
+        if (error instanceof ZepplinNotFoundError) {
+            errorEl.textContent = `Package ${this.owner}/${this.repo} was not found in this registry.`;
+            return;
+        }
+
+        this.app.renderErrorCard(errorEl, error, {
+            title: 'Failed to load package',
+            onRetry: () => {
+                errorEl.style.display = 'none';
+                this.$('#package-loading').style.display = 'block';
+                this.load();
+            }
+        });
+    }
+
+    renderHeader(pkg) {
+        ZepplinHtml.render(this.$('#package-title'),
+            html`<span class="package-owner">${this.owner}/</span>${this.repo}`);
+        this.$('#package-description').textContent = pkg.description || 'No description available';
+
+        const topics = Array.isArray(pkg.topics) ? pkg.topics : [];
+        ZepplinHtml.render(this.$('#package-topics'), html`${topics.map(topic =>
+            html`<a class="package-topic" href="/search?q=${encodeURIComponent(topic)}">${topic}</a>`)}`);
+
+        const facts = [];
+        if (pkg.license) facts.push(['License', pkg.license]);
+        if (pkg.stargazers_count) facts.push(['Stars', this.app.formatNumber(pkg.stargazers_count)]);
+        if (pkg.updated_at && pkg.updated_at !== '0') facts.push(['Updated', this.app.formatDate(pkg.updated_at)]);
+        const repoUrl = this.safeHttpUrl(pkg.github_url);
+        if (repoUrl) facts.push(['Repository', html`<a href="${repoUrl}" rel="noopener" target="_blank">GitHub</a>`]);
+        const homepage = this.safeHttpUrl(pkg.homepage);
+        if (homepage) facts.push(['Homepage', html`<a href="${homepage}" rel="noopener" target="_blank">Website</a>`]);
+
+        ZepplinHtml.render(this.$('#package-facts'), html`${facts.map(([label, value]) =>
+            html`<dt>${label}</dt><dd>${value}</dd>`)}`);
+    }
+
+    // Signed-in users pick a watch level from a small menu; release
+    // notifications go to /notifications and the optional email digest
+    async loadWatch() {
+        const control = this.$('#watch-control');
+        if (!this.user) {
+            ZepplinHtml.render(control, html`<a class="watch-button" href="/auth">Sign in to watch</a>`);
+            return;
+        }
+
+        try {
+            this.watch = await this.app.api.getWatch(this.owner, this.repo, { signal: this.signal });
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            // The rest of the page is still useful; just leave the control out
+            console.error('Failed to load watch status:', error);
+            return;
+        }
+
+        ZepplinHtml.render(control, html`
+            <button type="button" class="watch-button" id="watch-toggle" aria-haspopup="true" aria-expanded="false" aria-controls="watch-menu"></button>
+            <div class="watch-menu" id="watch-menu" hidden>
+                <fieldset>
+                    <legend>Notify me about</legend>
+                    ${PackageView.watchLevels.map(([value, label, hint]) => html`
+                        <label class="watch-option">
+                            <input type="radio" name="watch_level" value="${value}">
+                            <span><strong>${label}</strong> ${hint}</span>
+                        </label>
+                    `)}
+                </fieldset>
+            </div>
+        `);
+        this.showWatch();
+
+        const toggle = this.$('#watch-toggle');
+        const menu = this.$('#watch-menu');
+        toggle.addEventListener('click', () => this.setWatchMenuOpen(menu.hidden));
+        menu.addEventListener('change', (e) => this.saveWatch(e.target.value));
+        control.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || menu.hidden) return;
+            this.setWatchMenuOpen(false);
+            toggle.focus();
+        });
+        document.addEventListener('click', (e) => {
+            if (!control.contains(e.target)) this.setWatchMenuOpen(false);
+        }, { signal: this.signal });
+    }
+
+    showWatch() {
+        const { watching, level, watchers } = this.watch;
+        const label = watching
+            ? PackageView.watchLevels.find(([value]) => value === level)?.[1] || 'Watching'
+            : 'Watch';
+        ZepplinHtml.render(this.$('#watch-toggle'), html`
+            <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+                <circle cx="12" cy="12" r="3"></circle>
+            </svg>
+            ${watching ? html`Watching: ${label}` : label}
+            <span class="watch-count" title="Watchers">${this.app.formatNumber(watchers)}<span class="visually-hidden"> watchers</span></span>
+        `);
+        this.$('#watch-toggle').classList.toggle('watching', watching);
+        this.$$('#watch-menu input').forEach(input => {
+            input.checked = input.value === (watching ? level : '');
+        });
+    }
+
+    setWatchMenuOpen(open) {
+        const menu = this.$('#watch-menu');
+        if (!menu || menu.hidden === !open) return;
+        menu.hidden = !open;
+        this.$('#watch-toggle').setAttribute('aria-expanded', String(open));
+        if (open) menu.querySelector('input:checked')?.focus();
+    }
+
+    async saveWatch(level) {
+        const fieldset = this.$('#watch-menu fieldset');
+        fieldset.disabled = true;
+        try {
+            this.watch = level
+                ? await this.app.api.watchPackage(this.owner, this.repo, level, { signal: this.signal })
+                : await this.app.api.unwatchPackage(this.owner, this.repo, { signal: this.signal });
+            this.app.showSuccess(level
+                ? `Watching ${this.owner}/${this.repo}`
+                : `Stopped watching ${this.owner}/${this.repo}`);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to update watch:', error);
+            this.app.showError(`Couldn't update your watch: ${this.app.describeError(error)}`);
+        }
+        // Also puts the radios back when saving failed
+        fieldset.disabled = false;
+        this.showWatch();
+    }
+
+    async loadVersions() {
+        const versionsEl = this.$('#package-versions');
+
+        // A package without releases or tags may 404 on either listing
+        const orEmpty = (error) => {
+            if (error instanceof ZepplinNotFoundError) return [];
+            throw error;
+        };
+
+        let releases = [];
+        let tags = [];
+        try {
+            [releases, tags] = await Promise.all([
+                this.app.api.getReleases(this.owner, this.repo, { signal: this.signal }).catch(orEmpty),
+                this.app.api.getTags(this.owner, this.repo, { signal: this.signal }).catch(orEmpty)
+            ]);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load versions:', error);
+            this.app.renderErrorCard(versionsEl, error, {
+                title: 'Failed to load versions',
+                onRetry: () => this.loadVersions()
+            });
+            return;
+        }
+
+        // Tags carry the archive checksum in commit.sha; use them to fill gaps in releases
+        const tagChecksums = new Map(tags.map(tag => [tag.name, tag.commit?.sha]));
+        const versions = releases
+            .filter(release => !release.draft)
+            .map(release => ({
+                ...release,
+                sha256: release.sha256 || tagChecksums.get(release.tag_name) || ''
+            }));
+
+        if (versions.length === 0) {
+            ZepplinHtml.render(versionsEl, html`<p class="muted">No releases published yet.</p>`);
+            return;
+        }
+
+        ZepplinHtml.render(versionsEl, html`
+            <ul class="version-list">
+                ${versions.map(release => {
+                    const downloadUrl = this.app.api.downloadUrl(this.owner, this.repo, release.version);
+                    return html`
+                        <li class="version-item">
+                            <div class="version-row">
+                                <span>
+                                    <span class="version-tag">${release.tag_name}</span>
+                                    ${release.prerelease && html`<span class="version-badge">pre-release</span>`}
+                                </span>
+                                <a class="version-download" href="${downloadUrl}" download>Download</a>
+                            </div>
+                            <div class="version-date">
+                                ${this.app.formatDate(release.published_at || release.created_at)}
+                                ${release.file_size ? ` · ${this.app.formatBytes(release.file_size)}` : ''}
+                            </div>
+                            ${release.sha256 ? html`<code class="version-checksum" title="${release.sha256}">sha256:${release.sha256}</code>` : ''}
+                        </li>
+                    `;
+                })}
+            </ul>
+            ${versions.length > 1 && html`
+                <a class="compare-link" href="${this.app.packagePath({ owner: this.owner, repo: this.repo })}/compare">Compare releases</a>
+            `}
+        `);
+
+        const latest = versions.find(release => !release.prerelease) || versions[0];
+        this.renderInstall(latest);
+    }
+
+    renderInstall(release) {
+        const url = `${window.location.origin}${this.app.api.downloadUrl(this.owner, this.repo, release.version)}`;
+        const depName = this.repo.replace(/[^A-Za-z0-9_]/g, '_');
+        const fetchCommand = `zig fetch --save=${depName} ${url}`;
+        const zonSnippet = [
+            '.dependencies = .{',
+            `    .${depName} = .{`,
+            `        .url = "${url}",`,
+            '        // .hash is written by `zig fetch --save`',
+            '    },',
+            '},'
+        ].join('\n');
+
+        const installEl = this.$('#package-install');
+        ZepplinHtml.render(installEl, html`
+            <div class="snippet-label"><span>Add with zig fetch</span><button type="button" class="copy-btn" data-copy="fetch">Copy</button></div>
+            <pre class="code-snippet">${fetchCommand}</pre>
+            <div class="snippet-label"><span>build.zig.zon</span><button type="button" class="copy-btn" data-copy="zon">Copy</button></div>
+            <pre class="code-snippet">${zonSnippet}</pre>
+        `);
+
+        const snippets = { fetch: fetchCommand, zon: zonSnippet };
+        installEl.querySelectorAll('.copy-btn').forEach(button => {
+            button.addEventListener('click', () => this.app.copyToClipboard(snippets[button.dataset.copy], button));
+        });
+    }
+
+    renderBadgeBuilder() {
+        const builderEl = this.$('#badge-builder');
+        ZepplinHtml.render(builderEl, html`
+            <fieldset class="badge-choices">
+                <legend class="visually-hidden">Badge</legend>
+                ${PackageView.badgeKinds.map(([kind, name]) => html`
+                    <label class="badge-choice">
+                        <input type="radio" name="badge-kind" value="${kind}" ${kind === this.badge.kind && 'checked'}>
+                        <img data-badge="${kind}" alt="${name} badge preview">
+                    </label>
+                `)}
+            </fieldset>
+            <div class="badge-options">
+                <label for="badge-style">Style</label>
+                <select id="badge-style">
+                    ${PackageView.badgeStyles.map(([value, label]) => html`
+                        <option value="${value}" ${value === this.badge.style && 'selected'}>${label}</option>
+                    `)}
+                </select>
+                <label for="badge-label">Label</label>
+                <input type="text" id="badge-label" maxlength="40" placeholder="Default" autocomplete="off">
+            </div>
+            <div id="badge-snippets"></div>
+        `);
+
+        builderEl.addEventListener('change', (e) => {
+            if (e.target.name === 'badge-kind') this.badge.kind = e.target.value;
+            else if (e.target.id === 'badge-style') this.badge.style = e.target.value;
+            else return;
+            this.updateBadges();
+        });
+        // Each keystroke would fetch a new preview; wait for a pause
+        let labelTimer;
+        builderEl.querySelector('#badge-label').addEventListener('input', (e) => {
+            clearTimeout(labelTimer);
+            labelTimer = setTimeout(() => {
+                if (this.signal.aborted) return;
+                this.badge.label = e.target.value.trim();
+                this.updateBadges();
+            }, 400);
+        });
+
+        this.updateBadges();
+    }
+
+    // The custom label only applies to the selected badge
+    badgeUrl(kind) {
+        return this.app.api.badgeUrl(this.owner, this.repo, kind, {
+            style: this.badge.style,
+            label: kind === this.badge.kind ? this.badge.label : ''
+        });
+    }
+
+    updateBadges() {
+        this.$$('img[data-badge]').forEach(img => {
+            const src = this.badgeUrl(img.dataset.badge);
+            if (img.src !== src) img.src = src;
+        });
+
+        const [, name] = PackageView.badgeKinds.find(([kind]) => kind === this.badge.kind);
+        const image = this.badgeUrl(this.badge.kind);
+        const target = `${window.location.origin}${this.app.packagePath({ owner: this.owner, repo: this.repo })}`;
+        const alt = `${this.owner}/${this.repo} ${name.toLowerCase()}`;
+        const attr = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        const snippets = {
+            markdown: `[![${alt}](${image})](${target})`,
+            html: `<a href="${attr(target)}"><img src="${attr(image)}" alt="${attr(alt)}"></a>`,
+            rst: [`.. image:: ${image}`, `   :alt: ${alt}`, `   :target: ${target}`].join('\n')
+        };
+
+        const snippetsEl = this.$('#badge-snippets');
+        ZepplinHtml.render(snippetsEl, html`
+            <div class="snippet-label"><span>Markdown</span><button type="button" class="copy-btn" data-copy="markdown">Copy</button></div>
+            <pre class="code-snippet">${snippets.markdown}</pre>
+            <div class="snippet-label"><span>HTML</span><button type="button" class="copy-btn" data-copy="html">Copy</button></div>
+            <pre class="code-snippet">${snippets.html}</pre>
+            <div class="snippet-label"><span>reStructuredText</span><button type="button" class="copy-btn" data-copy="rst">Copy</button></div>
+            <pre class="code-snippet">${snippets.rst}</pre>
+        `);
+        snippetsEl.querySelectorAll('.copy-btn').forEach(button => {
+            button.addEventListener('click', () => this.app.copyToClipboard(snippets[button.dataset.copy], button));
+        });
+    }
+
+    async loadReadme() {
+        const readmeEl = this.$('#package-readme');
+        try {
+            const readme = await this.app.api.getReadme(this.owner, this.repo, { signal: this.signal });
+            ZepplinHtml.render(readmeEl, ZepplinMarkdown.render(readme));
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            if (error instanceof ZepplinNotFoundError) {
+                ZepplinHtml.render(readmeEl, html`<p class="muted">This package has no README.</p>`);
+                return;
+            }
+            console.error('Failed to load README:', error);
+            this.app.renderErrorCard(readmeEl, error, {
+                title: 'Failed to load README',
+                onRetry: () => this.loadReadme()
+            });
+        }
+    }
+
+    async loadComments(page = this.commentPage) {
+        const listEl = this.$('#comments-list');
+        try {
+            const result = await this.app.api.getComments(this.owner, this.repo, { page }, { signal: this.signal, key: 'comments' });
+            this.commentPage = result.page;
+            this.canModerate = result.canModerate;
+            this.commentSources = new Map(result.comments.map(comment => [comment.id, comment.content]));
+
+            const totalPages = Math.ceil(result.totalThreads / result.perPage);
+            // A thread deleted from the last page can leave it empty
+            if (result.comments.length === 0 && page > 1 && totalPages > 0) {
+                await this.loadComments(totalPages);
+                return;
+            }
+
+            this.$('#comment-total').textContent = result.commentCount ? `(${this.app.formatNumber(result.commentCount)})` : '';
+            this.renderCommentPagination(result.page, totalPages);
+
+            if (result.comments.length === 0) {
+                ZepplinHtml.render(listEl, html`<p class="muted">No comments yet. Be the first to comment!</p>`);
+                return;
+            }
+
+            ZepplinHtml.render(listEl, html`${this.buildThreads(result.comments).map(comment => this.renderComment(comment))}`);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load comments:', error);
+            ZepplinHtml.clear(this.$('#comment-pagination'));
+            this.app.renderErrorCard(listEl, error, {
+                title: 'Failed to load comments',
+                onRetry: () => this.loadComments()
+            });
+        }
+    }
+
+    // The API sends thread roots in display order followed by replies oldest
+    // first; nest each reply under its parent
+    buildThreads(comments) {
+        const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+        const roots = [];
+        for (const comment of byId.values()) {
+            const parent = comment.parent_id != null ? byId.get(comment.parent_id) : null;
+            if (parent) {
+                parent.replies.push(comment);
+            } else {
+                roots.push(comment);
+            }
+        }
+        return roots;
+    }
+
+    renderComment(comment) {
+        // Deleted comments, and hidden ones for everyone but the maintainer,
+        // only remain to hold their replies and come back without an author
+        const placeholder = comment.deleted
+            ? 'This comment was deleted.'
+            : (comment.hidden && !comment.username ? 'This comment was hidden by the maintainer.' : null);
+        const isAuthor = !placeholder && this.user && comment.username === this.user.username;
+        const isTopLevel = comment.parent_id == null;
+
+        const actions = [];
+        if (!placeholder && this.user) actions.push(html`<button type="button" data-action="reply">Reply</button>`);
+        if (isAuthor) {
+            actions.push(html`<button type="button" data-action="edit">Edit</button>`);
+            actions.push(html`<button type="button" data-action="delete" class="danger">Delete</button>`);
+        }
+        if (!comment.deleted && this.canModerate) {
+            if (isTopLevel) actions.push(html`<button type="button" data-action="pin">${comment.pinned ? 'Unpin' : 'Pin'}</button>`);
+            actions.push(html`<button type="button" data-action="hide">${comment.hidden ? 'Unhide' : 'Hide'}</button>`);
+        }
+
+        const classes = ['comment'];
+        if (comment.pinned) classes.push('comment-pinned');
+        if (comment.hidden) classes.push('comment-hidden');
+        if (placeholder) classes.push('comment-removed');
+
+        return html`
+            <article class="${classes.join(' ')}" id="comment-${comment.id}" data-id="${comment.id}" data-pinned="${comment.pinned}" data-hidden="${comment.hidden}">
+                ${placeholder ? html`<p class="comment-placeholder">${placeholder}</p>` : html`
+                <div class="comment-header">
+                    <span class="comment-author">${comment.display_name || comment.username}</span>
+                    <time class="comment-date" datetime="${this.app.toDate(comment.created_at).toISOString()}">${this.app.formatDate(comment.created_at)}</time>
+                    ${comment.edited ? html`<span class="comment-flag" title="Edited ${this.app.formatDate(comment.updated_at)}">edited</span>` : ''}
+                    ${comment.pinned && html`<span class="comment-flag comment-flag-pinned">pinned</span>`}
+                    ${comment.hidden && html`<span class="comment-flag comment-flag-hidden">hidden</span>`}
+                </div>
+                <div class="comment-body readme">${ZepplinMarkdown.render(comment.content)}</div>`}
+                ${actions.length ? html`<div class="comment-actions">${actions}</div>` : ''}
+                <div class="comment-editor"></div>
+                ${comment.replies.length ? html`
+                <div class="comment-replies">
+                    ${comment.replies.map(reply => this.renderComment(reply))}
+                </div>` : ''}
+            </article>
+        `;
+    }
+
+    renderCommentPagination(page, totalPages) {
+        const paginationEl = this.$('#comment-pagination');
+        if (totalPages <= 1) {
+            ZepplinHtml.clear(paginationEl);
+            return;
+        }
+
+        const button = (target, label, extra = '') =>
+            html`<button type="button" data-page="${target}" class="page-link${extra}" ${target === page && html`aria-current="page"`}>${label}</button>`;
+
+        ZepplinHtml.render(paginationEl, html`
+            ${page > 1 && button(page - 1, html`&larr; Newer`, ' page-prev')}
+            <span class="page-gap">Page ${page} of ${totalPages}</span>
+            ${page < totalPages && button(page + 1, html`Older &rarr;`, ' page-next')}
+        `);
+    }
+
+    setupComments() {
+        const form = this.$('#comment-form');
+        const listEl = this.$('#comments-list');
+
+        this.$('#comment-pagination').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-page]');
+            if (!button) return;
+            this.loadComments(Number(button.dataset.page));
+            this.$('#comments-section').scrollIntoView?.({ block: 'start' });
+        });
+
+        listEl.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const commentEl = button.closest('.comment');
+            this.handleCommentAction(button.dataset.action, commentEl, button);
+        });
+
+        listEl.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitCommentEditor(e.target);
+        });
+
+        if (!this.user) {
+            this.$('#comment-login-hint').style.display = 'block';
+            return;
+        }
+
+        form.style.display = 'block';
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const textarea = this.$('#comment-content');
+            const submitBtn = this.$('#submit-comment');
+            const content = textarea.value.trim();
+            if (!content) return;
+
+            submitBtn.disabled = true;
+            try {
+                await this.app.api.postComment(this.owner, this.repo, content, {}, { signal: this.signal });
+                textarea.value = '';
+                // New threads are listed first
+                await this.loadComments(1);
+            } catch (error) {
+                if (error instanceof ZepplinAbortError) return;
+                console.error('Failed to submit comment:', error);
+                this.app.showError(`Couldn't post your comment: ${this.app.describeError(error)}`);
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+    }
+
+    handleCommentAction(action, commentEl, button) {
+        const id = Number(commentEl.dataset.id);
+
+        if (action === 'reply' || action === 'edit') {
+            this.openCommentEditor(commentEl, action);
+        } else if (action === 'delete') {
+            if (!confirm('Delete this comment? Replies to it will stay in the thread.')) return;
+            this.runCommentAction(button, () => this.app.api.deleteComment(this.owner, this.repo, id, { signal: this.signal }), 'Comment deleted');
+        } else if (action === 'hide') {
+            const hidden = commentEl.dataset.hidden !== 'true';
+            this.runCommentAction(button, () => this.app.api.moderateComment(this.owner, this.repo, id, { hidden }, { signal: this.signal }),
+                hidden ? 'Comment hidden' : 'Comment visible again');
+        } else if (action === 'pin') {
+            const pinned = commentEl.dataset.pinned !== 'true';
+            this.runCommentAction(button, () => this.app.api.moderateComment(this.owner, this.repo, id, { pinned }, { signal: this.signal }),
+                pinned ? 'Thread pinned' : 'Thread unpinned');
+        }
+    }
+
+    async runCommentAction(button, action, successMessage) {
+        button.disabled = true;
+        try {
+            await action();
+            this.app.showSuccess(successMessage);
+            await this.loadComments();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Comment action failed:', error);
+            this.app.showError(this.app.describeError(error));
+            button.disabled = false;
+        }
+    }
+
+    // Reply and edit share one inline form under the comment's actions
+    openCommentEditor(commentEl, mode) {
+        const editorEl = commentEl.querySelector(':scope > .comment-editor');
+        if (editorEl.dataset.mode === mode) {
+            this.closeCommentEditor(editorEl);
+            return;
+        }
+
+        editorEl.dataset.mode = mode;
+        ZepplinHtml.render(editorEl, html`
+            <form class="comment-form comment-inline-form" data-mode="${mode}">
+                <textarea rows="3" maxlength="2000" aria-label="${mode === 'edit' ? 'Edit comment' : 'Reply'}" placeholder="${mode === 'edit' ? '' : 'Write a reply...'}"></textarea>
+                <div class="comment-form-actions">
+                    <button type="button" class="comment-cancel">Cancel</button>
+                    <button type="submit">${mode === 'edit' ? 'Save' : 'Reply'}</button>
+                </div>
+            </form>
+        `);
+
+        const textarea = editorEl.querySelector('textarea');
+        if (mode === 'edit') textarea.value = this.commentSource(commentEl);
+        editorEl.querySelector('.comment-cancel').addEventListener('click', () => this.closeCommentEditor(editorEl));
+        textarea.focus();
+    }
+
+    closeCommentEditor(editorEl) {
+        delete editorEl.dataset.mode;
+        ZepplinHtml.clear(editorEl);
+    }
+
+    // The rendered body is HTML; edits start from the Markdown source
+    commentSource(commentEl) {
+        return this.commentSources.get(Number(commentEl.dataset.id)) || '';
+    }
+
+    async submitCommentEditor(form) {
+        const commentEl = form.closest('.comment');
+        const id = Number(commentEl.dataset.id);
+        const content = form.querySelector('textarea').value.trim();
+        const submit = form.querySelector('button[type="submit"]');
+        if (!content) return;
+
+        submit.disabled = true;
+        try {
+            if (form.dataset.mode === 'edit') {
+                await this.app.api.editComment(this.owner, this.repo, id, content, { signal: this.signal });
+            } else {
+                await this.app.api.postComment(this.owner, this.repo, content, { parentId: id }, { signal: this.signal });
+            }
+            await this.loadComments();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to save comment:', error);
+            this.app.showError(`Couldn't save your comment: ${this.app.describeError(error)}`);
+            submit.disabled = false;
+        }
+    }
+
+    safeHttpUrl(url) {
+        return /^https?:\/\//i.test(url || '') ? url : null;
+    }
+}
@@ -0,0 +1,57 @@
+// Zepplin Registry - Profile view
+// Signed-in user's profile for /profile.
+
+class ProfileView extends ZepplinView {
+    get title() {
+        return 'Profile';
+    }
+
+    render() {
+        return html`
+            <div class="view-page profile-page">
+                <div class="view-card" id="profile-content">
+                    <div class="view-loading">Loading profile...</div>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        const user = await this.app.authReady;
+        const content = this.$('#profile-content');
+
+        if (!user) {
+            ZepplinHtml.render(content, this.app.renderSignInPrompt('view your profile'));
+            return;
+        }
+
+        const name = user.display_name || user.username || 'User';
+        const avatarUrl = user.avatar_url;
+
+        ZepplinHtml.render(content, html`
+            <div class="profile-header">
+                <div class="profile-avatar-large">
+                    ${avatarUrl ? html`<img src="${avatarUrl}" alt="${name}">` : name.charAt(0).toUpperCase()}
+                </div>
+                <div class="profile-info">
+                    <h1>${name}</h1>
+                    <p>${user.email}</p>
+                    <span class="profile-provider">${user.provider || 'local'}</span>
+                </div>
+            </div>
+            <div class="profile-section">
+                <h2>Statistics</h2>
+                <div class="profile-stats">
+                    <div class="profile-stat">
+                        <div class="profile-stat-value" id="stat-packages">0</div>
+                        <div class="profile-stat-label">Packages</div>
+                    </div>
+                    <div class="profile-stat">
+                        <div class="profile-stat-value" id="stat-downloads">0</div>
+                        <div class="profile-stat-label">Total Downloads</div>
+                    </div>
+                </div>
+            </div>
+        `);
+    }
+}
@@ -0,0 +1,565 @@
+// Zepplin Registry - Publish view
+// Release upload form for /publish. Before anything is sent the archive is
+// hashed and its build.zig.zon previewed; the version is checked against semver
+// and the package's existing releases. The file then goes up in resumable
+// chunks and the release is published from the finished upload, with the
+// server's sha256 compared to the one computed here.
+
+class PublishView extends ZepplinView {
+    static maxFileSize = 50 * 1024 * 1024; // 50MB, the server's MAX_UPLOAD_SIZE
+    static chunkRetries = 3;
+
+    // Semantic Versioning 2.0.0, with the optional "v" prefix tags often carry
+    static semver = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(?:\.(?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+    get title() {
+        return 'Publish Package';
+    }
+
+    render() {
+        return html`
+            <div class="view-page publish-page" id="publish-content">
+                <div class="view-loading">Loading...</div>
+            </div>
+        `;
+    }
+
+    async load() {
+        const user = await this.app.authReady;
+        const content = this.$('#publish-content');
+
+        if (!user) {
+            ZepplinHtml.render(content, html`<div class="view-card">${this.app.renderSignInPrompt('publish packages')}</div>`);
+            return;
+        }
+
+        ZepplinHtml.render(content, html`
+            <div id="message" class="message"></div>
+
+            <div class="view-card form-card">
+                <h1>Publish Package</h1>
+                <p class="subtitle">Share your Zig package with the community</p>
+
+                <form id="publishForm">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="owner">Owner <span class="required">*</span></label>
+                            <input type="text" id="owner" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="repo">Package Name <span class="required">*</span></label>
+                            <input type="text" id="repo" required>
+                        </div>
+                    </div>
+
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="version">Version <span class="required">*</span></label>
+                            <input type="text" id="version" placeholder="1.0.0" required aria-describedby="versionHint" autocomplete="off">
+                            <div class="field-hint" id="versionHint">Semantic version, e.g. 1.2.0 or 2.0.0-rc.1</div>
+                        </div>
+                        <div class="form-group">
+                            <label for="license">License</label>
+                            <select id="license">
+                                <option value="">Select license</option>
+                                <option value="MIT">MIT</option>
+                                <option value="Apache-2.0">Apache 2.0</option>
+                                <option value="BSD-3-Clause">BSD 3-Clause</option>
+                                <option value="GPL-3.0">GPL 3.0</option>
+                                <option value="ISC">ISC</option>
+                                <option value="Unlicense">Unlicense</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="description">Description</label>
+                        <textarea id="description" placeholder="Brief description of your package"></textarea>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="homepage">Homepage URL</label>
+                        <input type="url" id="homepage" placeholder="https://github.com/user/repo">
+                    </div>
+
+                    <div class="form-group release-flags">
+                        <label class="release-flag">
+                            <input type="checkbox" id="draft">
+                            <span><strong>Draft</strong> Upload now, publish later; drafts aren't listed or installable.</span>
+                        </label>
+                        <label class="release-flag">
+                            <input type="checkbox" id="prerelease">
+                            <span><strong>Pre-release</strong> Never picked as the latest version. Set automatically for versions like 1.0.0-beta.1.</span>
+                        </label>
+                        <label class="release-flag">
+                            <input type="checkbox" id="security">
+                            <span><strong>Security fix</strong> Notifies everyone watching the package, including those who only follow security releases.</span>
+                        </label>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="packageFile">Package File <span class="required">*</span></label>
+                        <div class="file-upload" id="fileUpload">
+                            <input type="file" id="packageFile" accept=".tar.gz,.tgz" required>
+                            <svg class="file-upload-icon" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z" />
+                            </svg>
+                            <div class="file-upload-text">Click to upload or drag and drop</div>
+                            <div class="file-upload-hint">TAR.GZ files only (Max 50MB)</div>
+                        </div>
+                        <div id="fileInfo" class="file-info hidden">
+                            <div>
+                                <div class="file-name" id="fileName"></div>
+                                <div class="file-size" id="fileSize"></div>
+                                <code class="file-checksum" id="fileChecksum"></code>
+                            </div>
+                            <button type="button" class="remove-file" id="removeFile" aria-label="Remove file">✕</button>
+                        </div>
+                        <div id="manifestPreview" class="manifest-preview hidden" aria-live="polite"></div>
+                    </div>
+
+                    <div id="uploadProgress" class="upload-progress hidden">
+                        <progress id="uploadProgressBar" max="100" value="0"></progress>
+                        <span id="uploadProgressText" aria-live="polite"></span>
+                    </div>
+
+                    <div class="form-actions">
+                        <a href="/" class="button secondary">Cancel</a>
+                        <button type="submit" class="button primary" id="publishBtn">
+                            Publish Package
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `);
+
+        // Pre-fill owner with username; My Packages links here with ?owner=&repo=
+        // to publish a new release of an existing package
+        this.$('#owner').value = this.query.get('owner') || user.username || '';
+        this.$('#repo').value = this.query.get('repo') || '';
+
+        this.setupFileUpload();
+        this.$('#publishForm').addEventListener('submit', (e) => this.handleSubmit(e));
+        this.$('#owner').addEventListener('blur', () => this.updateHomepage());
+        this.$('#repo').addEventListener('blur', () => this.updateHomepage());
+        this.$('#version').addEventListener('input', () => {
+            this.validateVersion();
+            this.renderManifestWarnings();
+        });
+        this.$('#version').addEventListener('blur', () => this.validateVersion({ report: true }));
+        this.$('#prerelease').addEventListener('change', () => {
+            this.prereleaseTouched = true;
+        });
+    }
+
+    setupFileUpload() {
+        const fileUpload = this.$('#fileUpload');
+        const fileInput = this.$('#packageFile');
+
+        fileUpload.addEventListener('click', () => fileInput.click());
+
+        fileUpload.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            fileUpload.classList.add('dragover');
+        });
+
+        fileUpload.addEventListener('dragleave', () => {
+            fileUpload.classList.remove('dragover');
+        });
+
+        fileUpload.addEventListener('drop', (e) => {
+            e.preventDefault();
+            fileUpload.classList.remove('dragover');
+            const files = e.dataTransfer.files;
+            if (files.length > 0) {
+                this.handleFile(files[0]);
+            }
+        });
+
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.handleFile(e.target.files[0]);
+            }
+        });
+
+        this.$('#removeFile').addEventListener('click', () => this.clearFile());
+    }
+
+    handleFile(file) {
+        if (!file.name.endsWith('.tar.gz') && !file.name.endsWith('.tgz')) {
+            this.showMessage('Please select a .tar.gz file', 'error');
+            return;
+        }
+
+        if (file.size > PublishView.maxFileSize) {
+            this.showMessage('File size must be less than 50MB', 'error');
+            return;
+        }
+
+        this.$('#fileName').textContent = file.name;
+        this.$('#fileSize').textContent = this.formatFileSize(file.size);
+        this.$('#fileUpload').style.display = 'none';
+        this.$('#fileInfo').classList.remove('hidden');
+
+        // Set the file to the input
+        const dt = new DataTransfer();
+        dt.items.add(file);
+        this.$('#packageFile').files = dt.files;
+
+        this.inspectFile(file);
+    }
+
+    clearFile() {
+        this.file = null;
+        this.checksum = null;
+        this.manifest = null;
+        this.$('#packageFile').value = '';
+        this.$('#fileUpload').style.display = 'block';
+        this.$('#fileInfo').classList.add('hidden');
+        this.$('#fileChecksum').textContent = '';
+        this.$('#manifestPreview').classList.add('hidden');
+        ZepplinHtml.clear(this.$('#manifestPreview'));
+    }
+
+    // Hashes the archive and reads its build.zig.zon side by side. The checksum
+    // stays a promise so submitting early just waits for it.
+    async inspectFile(file) {
+        this.file = file;
+        this.manifest = null;
+        this.checksum = this.computeSha256(file);
+
+        const checksumEl = this.$('#fileChecksum');
+        const previewEl = this.$('#manifestPreview');
+        checksumEl.textContent = 'sha256: computing…';
+        previewEl.classList.remove('hidden');
+        ZepplinHtml.render(previewEl, html`<div class="view-loading">Reading build.zig.zon…</div>`);
+
+        const [checksum, manifest] = await Promise.allSettled([
+            this.checksum,
+            ZepplinArchive.fromBlob(file).then(archive => archive.manifest())
+        ]);
+        if (!this.active || this.file !== file) return;
+
+        if (checksum.status === 'fulfilled') {
+            checksumEl.textContent = `sha256: ${checksum.value}`;
+            checksumEl.title = checksum.value;
+        } else {
+            console.error('Failed to hash package:', checksum.reason);
+            checksumEl.textContent = 'sha256: unavailable in this browser; the upload won\'t be resumable';
+        }
+
+        if (manifest.status === 'rejected') {
+            ZepplinHtml.render(previewEl, html`
+                <div class="manifest-warning">Couldn't read this archive: ${manifest.reason?.message || 'unknown error'}</div>
+            `);
+            return;
+        }
+
+        this.manifest = manifest.value;
+        if (!this.manifest) {
+            ZepplinHtml.render(previewEl, html`<div class="manifest-warning">No build.zig.zon found. Zig's package manager needs one at the archive root.</div>`);
+            return;
+        }
+
+        // Fill blanks from the manifest; never overwrite what the user typed
+        const version = this.$('#version');
+        if (!version.value && typeof this.manifest.version === 'string') {
+            version.value = this.manifest.version;
+            this.validateVersion();
+        }
+        const repo = this.$('#repo');
+        if (!repo.value && typeof this.manifest.name === 'string') {
+            repo.value = this.manifest.name;
+        }
+
+        this.renderManifest();
+    }
+
+    async computeSha256(file) {
+        if (!window.crypto?.subtle) throw new Error('Web Crypto is only available over HTTPS');
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    renderManifest() {
+        const manifest = this.manifest;
+        const dependencies = Object.entries(manifest.dependencies || {});
+        const paths = Array.isArray(manifest.paths) ? manifest.paths : [];
+
+        ZepplinHtml.render(this.$('#manifestPreview'), html`
+            <h3 class="manifest-title">build.zig.zon</h3>
+            <div id="manifestWarnings"></div>
+            <dl class="manifest-fields">
+                <dt>Name</dt>
+                <dd><code>${manifest.name || '—'}</code></dd>
+                <dt>Version</dt>
+                <dd>${manifest.version || '—'}</dd>
+                <dt>Minimum Zig</dt>
+                <dd>${manifest.minimum_zig_version || 'Not set'}</dd>
+                <dt>Dependencies</dt>
+                <dd>
+                    ${dependencies.length === 0 ? 'None' : html`
+                        <ul class="manifest-list">
+                            ${dependencies.map(([name, dep]) => html`
+                                <li><code>${name}</code> <span class="manifest-source">${dep?.url || (dep?.path ? `path: ${dep.path}` : '')}</span></li>
+                            `)}
+                        </ul>
+                    `}
+                </dd>
+                <dt>Paths</dt>
+                <dd>${paths.length === 0 ? 'Not set' : paths.map(path => html`<code>${path || '.'}</code> `)}</dd>
+            </dl>
+        `);
+        this.renderManifestWarnings();
+    }
+
+    renderManifestWarnings() {
+        const warningsEl = this.$('#manifestWarnings');
+        if (!warningsEl || !this.manifest) return;
+
+        const version = this.$('#version').value.trim().replace(/^v/, '');
+        const warnings = [];
+        if (version && this.manifest.version && this.manifest.version !== version) {
+            warnings.push(`build.zig.zon says version ${this.manifest.version}, but you're publishing ${version}.`);
+        }
+        if (!this.manifest.paths) {
+            warnings.push('No .paths listed, so the package hash covers every file in the archive.');
+        }
+
+        ZepplinHtml.render(warningsEl, html`${warnings.map(warning => html`<div class="manifest-warning">${warning}</div>`)}`);
+    }
+
+    // Checks the version field; report shows the browser's validation bubble.
+    // Pre-release versions tick the pre-release box unless the user set it.
+    validateVersion({ report = false } = {}) {
+        const input = this.$('#version');
+        const hint = this.$('#versionHint');
+        const value = input.value.trim();
+        const match = PublishView.semver.exec(value);
+
+        if (value && !match) {
+            input.setCustomValidity('Use a semantic version such as 1.2.0 or 2.0.0-rc.1');
+            hint.textContent = 'Not a semantic version (MAJOR.MINOR.PATCH, optionally -prerelease)';
+            hint.classList.add('error');
+        } else {
+            input.setCustomValidity('');
+            hint.textContent = 'Semantic version, e.g. 1.2.0 or 2.0.0-rc.1';
+            hint.classList.remove('error');
+        }
+
+        if (match && !this.prereleaseTouched) {
+            this.$('#prerelease').checked = Boolean(match[4]);
+        }
+        if (report) input.reportValidity();
+        return Boolean(match);
+    }
+
+    // Compares without the "v", so 1.0.0 and v1.0.0 count as the same release
+    async findExistingRelease(owner, repo, tag) {
+        const version = tag.replace(/^v/, '');
+        try {
+            const releases = await this.app.api.getReleases(owner, repo, { signal: this.signal, maxAge: 0 });
+            return releases.find(release => release.version === version) || null;
+        } catch (error) {
+            // A package's first release
+            if (error instanceof ZepplinNotFoundError) return null;
+            throw error;
+        }
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    showMessage(text, type) {
+        const messageDiv = this.$('#message');
+        messageDiv.textContent = text;
+        messageDiv.className = `message ${type}`;
+        messageDiv.style.display = 'block';
+
+        if (type === 'success') {
+            setTimeout(() => {
+                messageDiv.style.display = 'none';
+            }, 5000);
+        }
+    }
+
+    setProgress(sent, total, label = 'Uploading') {
+        const percent = total > 0 ? Math.floor((sent / total) * 100) : 100;
+        this.$('#uploadProgress').classList.remove('hidden');
+        this.$('#uploadProgressBar').value = percent;
+        this.$('#uploadProgressText').textContent = `${label}… ${percent}% (${this.formatFileSize(sent)} of ${this.formatFileSize(total)})`;
+    }
+
+    hideProgress() {
+        this.$('#uploadProgress').classList.add('hidden');
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        if (!this.validateVersion({ report: true })) return;
+        if (!this.file) {
+            this.showMessage('Choose a package file to upload', 'error');
+            return;
+        }
+
+        const submitBtn = this.$('#publishBtn');
+        const originalContent = [...submitBtn.childNodes];
+        ZepplinHtml.render(submitBtn, html`<span class="loading-spinner"></span>Publishing...`);
+        submitBtn.disabled = true;
+
+        const owner = this.$('#owner').value.trim();
+        const repo = this.$('#repo').value.trim();
+        const tag = this.$('#version').value.trim();
+        const details = {
+            tag_name: tag,
+            body: this.$('#description').value,
+            draft: this.$('#draft').checked,
+            prerelease: this.$('#prerelease').checked,
+            security: this.$('#security').checked
+        };
+
+        try {
+            const existing = await this.findExistingRelease(owner, repo, tag);
+            if (existing) {
+                this.showMessage(`${owner}/${repo} already has a release ${existing.tag_name}. Bump the version to publish again.`, 'error');
+                return;
+            }
+
+            const checksum = await this.checksum?.catch(() => null);
+            const release = checksum
+                ? await this.uploadResumable(owner, repo, checksum, details)
+                : await this.uploadSingle(owner, repo, details);
+
+            if (checksum && release.sha256 !== checksum) {
+                this.showMessage(`Checksum mismatch: the registry stored ${release.sha256 || 'no checksum'}, but this file is ${checksum}. Delete the release from My Packages and try again.`, 'error');
+                return;
+            }
+
+            this.hideProgress();
+            this.showMessage(checksum
+                ? `Published ${owner}/${repo}@${tag} (sha256 ${checksum.slice(0, 12)}… verified)`
+                : `Published ${owner}/${repo}@${tag}`, 'success');
+            this.$('#publishForm').reset();
+            this.prereleaseTouched = false;
+            this.clearFile();
+            setTimeout(() => {
+                if (this.active) {
+                    this.app.navigate(`/packages/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`);
+                }
+            }, 2000);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            if (error instanceof ZepplinNetworkError) {
+                this.showMessage(this.resumable
+                    ? 'Connection lost. The upload is saved; press Publish again to resume where it stopped.'
+                    : 'Network error: ' + error.message, 'error');
+            } else {
+                this.showMessage(error.message || 'Publishing failed', 'error');
+            }
+        } finally {
+            this.resumable = false;
+            submitBtn.replaceChildren(...originalContent);
+            submitBtn.disabled = false;
+        }
+    }
+
+    // Uploads in chunks through an upload session, then publishes from it. The
+    // session id is kept in localStorage under the release it is for, so after a
+    // dropped connection or a reload the same file picks up where it stopped.
+    async uploadResumable(owner, repo, checksum, details) {
+        const file = this.file;
+        const resumeKey = `zepplin_upload:${owner}/${repo}@${details.tag_name}`;
+
+        let session = await this.resumeUpload(resumeKey, checksum, file.size);
+        if (!session) {
+            session = await this.app.api.createUpload(owner, repo, { filename: file.name, size: file.size, sha256: checksum }, { signal: this.signal });
+            localStorage.setItem(resumeKey, JSON.stringify({ uploadId: session.upload_id, sha256: checksum }));
+        }
+        this.resumable = true;
+
+        this.setProgress(session.received, file.size, session.received > 0 ? 'Resuming' : 'Uploading');
+        while (session.received < file.size) {
+            const start = session.received;
+            const chunk = file.slice(start, Math.min(start + session.chunk_size, file.size));
+            session = await this.sendChunk(session.upload_id, chunk, start, file.size);
+        }
+
+        this.setProgress(file.size, file.size, 'Publishing');
+        const release = await this.app.api.publishRelease(owner, repo, { ...details, upload_id: session.upload_id }, { signal: this.signal });
+        localStorage.removeItem(resumeKey);
+        return release;
+    }
+
+    // The saved session, if it is for this exact file and the server still has it
+    async resumeUpload(resumeKey, checksum, size) {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(resumeKey));
+        } catch (error) {
+            // Unreadable entry; start over
+        }
+        if (!saved || saved.sha256 !== checksum) {
+            localStorage.removeItem(resumeKey);
+            return null;
+        }
+
+        try {
+            const session = await this.app.api.getUpload(saved.uploadId, { signal: this.signal });
+            if (session.size === size) return session;
+        } catch (error) {
+            if (!(error instanceof ZepplinNotFoundError)) throw error;
+        }
+        localStorage.removeItem(resumeKey);
+        return null;
+    }
+
+    // Retries a failed chunk with backoff. A 409 means the server has a
+    // different offset than we think (an earlier attempt did land), so resync.
+    async sendChunk(uploadId, chunk, start, total) {
+        const api = this.app.api;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await api.uploadChunk(uploadId, chunk, start, total, {
+                    signal: this.signal,
+                    onProgress: (loaded) => this.setProgress(start + loaded, total)
+                });
+            } catch (error) {
+                if (error instanceof ZepplinConflictError) return api.getUpload(uploadId, { signal: this.signal });
+                if (attempt + 1 >= PublishView.chunkRetries || !api.isRetryable(error)) throw error;
+                await api.sleep(api.backoff(attempt), this.signal);
+            }
+        }
+    }
+
+    // Fallback when the browser can't hash the file: one multipart request
+    uploadSingle(owner, repo, details) {
+        const formData = new FormData();
+        formData.append('file', this.file);
+        formData.append('owner', owner);
+        formData.append('repo', repo);
+        Object.entries(details).forEach(([key, value]) => formData.append(key, String(value)));
+
+        this.setProgress(0, this.file.size);
+        return this.app.api.publishRelease(owner, repo, formData, {
+            signal: this.signal,
+            onProgress: (loaded, total) => this.setProgress(loaded, total)
+        });
+    }
+
+    // Auto-fill GitHub URL when owner/repo changes
+    updateHomepage() {
+        const owner = this.$('#owner').value;
+        const repo = this.$('#repo').value;
+        const homepage = this.$('#homepage');
+
+        if (owner && repo && !homepage.value) {
+            homepage.value = `https://github.com/${owner}/${repo}`;
+        }
+    }
+}
@@ -0,0 +1,262 @@
+// Zepplin Registry - Search view
+// Results for /search. Query, filters, sort and page all live in the URL, so
+// every result page is linkable and Back/Forward restore it.
+
+class SearchView extends ZepplinView {
+    static sorts = [
+        ['relevance', 'Relevance'],
+        ['downloads', 'Most downloads'],
+        ['updated', 'Recently updated'],
+        ['name', 'Name']
+    ];
+
+    static perPage = 20;
+
+    get title() {
+        return 'Search Packages';
+    }
+
+    // URL parameters <-> filter state
+    get state() {
+        return {
+            q: this.query.get('q') || '',
+            category: this.query.get('category') || '',
+            license: this.query.get('license') || '',
+            minZig: this.query.get('min_zig') || '',
+            hasReleases: this.query.get('has_releases') === 'true',
+            sort: this.query.get('sort') || 'relevance',
+            page: Math.max(parseInt(this.query.get('page'), 10) || 1, 1)
+        };
+    }
+
+    queryFor(state) {
+        const params = new URLSearchParams();
+        if (state.q) params.set('q', state.q);
+        if (state.category) params.set('category', state.category);
+        if (state.license) params.set('license', state.license);
+        if (state.minZig) params.set('min_zig', state.minZig);
+        if (state.hasReleases) params.set('has_releases', 'true');
+        if (state.sort && state.sort !== 'relevance') params.set('sort', state.sort);
+        if (state.page > 1) params.set('page', String(state.page));
+        return params;
+    }
+
+    render() {
+        const { q, sort } = this.state;
+        return html`
+            <div class="view-page search-page">
+                <div class="view-header">
+                    <h1>Search Packages</h1>
+                    <form class="search-box-large" id="search-form" role="search">
+                        <div class="search-field">
+                            <input type="text" id="search-input" placeholder="Search for packages..." aria-label="Search packages" value="${q}">
+                            <div class="search-suggestions" id="search-input-suggestions"></div>
+                        </div>
+                        <button type="submit">Search</button>
+                    </form>
+                </div>
+
+                <div class="search-layout">
+                    <aside class="search-filters" id="search-filters" aria-label="Filters"></aside>
+
+                    <div class="search-results">
+                        <div class="search-toolbar">
+                            <div class="results-count" id="results-count" aria-live="polite"></div>
+                            <label class="search-sort">
+                                Sort by
+                                <select id="search-sort">
+                                    ${SearchView.sorts.map(([value, label]) =>
+                                        html`<option value="${value}" ${value === sort ? 'selected' : ''}>${label}</option>`)}
+                                </select>
+                            </label>
+                        </div>
+                        <div class="view-loading" id="loading" style="display: none;">Searching...</div>
+                        <div class="package-list" id="package-list"></div>
+                        <nav class="pagination" id="pagination" aria-label="Search result pages"></nav>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        const input = this.$('#search-input');
+        const suggestions = new ZepplinSearchBox(this.app, input, this.$('#search-input-suggestions'), {
+            signal: this.signal,
+            onSearch: (query) => this.submit(query)
+        });
+
+        this.$('#search-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            suggestions.close();
+            this.submit(input.value);
+        });
+
+        this.$('#search-sort').addEventListener('change', (e) => {
+            this.update({ sort: e.target.value, page: 1 });
+        });
+
+        this.$('#search-filters').addEventListener('change', (e) => {
+            const filter = e.target.dataset.filter;
+            if (!filter) return;
+            this.update({ [filter]: e.target.type === 'checkbox' ? e.target.checked : e.target.value, page: 1 });
+        });
+
+        this.$('#search-filters').addEventListener('click', (e) => {
+            if (!e.target.closest('#clear-filters')) return;
+            this.update({ category: '', license: '', minZig: '', hasReleases: false, page: 1 });
+        });
+
+        // Page links are real hrefs for middle-click, but update in place
+        this.$('#pagination').addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-page]');
+            if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+            e.preventDefault();
+            this.update({ page: Number(link.dataset.page) });
+            this.$('.search-results').scrollIntoView?.({ block: 'start' });
+        });
+
+        if (this.state.q) {
+            await this.search();
+        } else {
+            input.focus();
+        }
+    }
+
+    submit(query) {
+        const q = query.trim();
+        if (!q) return;
+        this.app.rememberSearch(q);
+        this.update({ q, page: 1 });
+    }
+
+    update(changes) {
+        this.setQuery(this.queryFor({ ...this.state, ...changes }));
+        return this.search();
+    }
+
+    async search() {
+        const state = this.state;
+        const loadingEl = this.$('#loading');
+        const resultsCountEl = this.$('#results-count');
+        const listEl = this.$('#package-list');
+        const paginationEl = this.$('#pagination');
+        loadingEl.style.display = 'block';
+        listEl.setAttribute('aria-busy', 'true');
+
+        try {
+            const result = await this.app.api.search(state.q, {
+                page: state.page,
+                perPage: SearchView.perPage,
+                sort: state.sort,
+                category: state.category,
+                license: state.license,
+                minZig: state.minZig,
+                hasReleases: state.hasReleases
+            }, { signal: this.signal });
+
+            loadingEl.style.display = 'none';
+            listEl.removeAttribute('aria-busy');
+            this.renderFilters(result.facets);
+
+            if (result.total === 0) {
+                resultsCountEl.textContent = '';
+                ZepplinHtml.render(listEl, this.app.createEmptyState(this.hasFilters
+                    ? 'No packages match these filters'
+                    : `No packages found for "${state.q}"`));
+                ZepplinHtml.clear(paginationEl);
+                return;
+            }
+
+            const first = (result.page - 1) * result.perPage + 1;
+            const last = first + result.packages.length - 1;
+            resultsCountEl.textContent = `${first}–${last} of ${this.app.formatNumber(result.total)} package${result.total === 1 ? '' : 's'}`;
+
+            const terms = this.app.searchTerms(state.q);
+            ZepplinHtml.render(listEl, html`${result.packages.map(pkg => this.app.createPackageCard(pkg, { highlight: terms }))}`);
+            this.app.bindPackageCards(listEl);
+            this.renderPagination(result.page, Math.ceil(result.total / result.perPage));
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Search failed:', error);
+            loadingEl.style.display = 'none';
+            listEl.removeAttribute('aria-busy');
+            resultsCountEl.textContent = '';
+            ZepplinHtml.clear(paginationEl);
+            this.app.renderErrorCard(listEl, error, {
+                title: 'Search failed',
+                onRetry: () => this.search()
+            });
+        }
+    }
+
+    get hasFilters() {
+        const { category, license, minZig, hasReleases } = this.state;
+        return Boolean(category || license || minZig || hasReleases);
+    }
+
+    renderFilters(facets) {
+        const state = this.state;
+
+        // The selected value stays listed even if this query has no facet for it
+        const select = (filter, label, anyLabel, options, selected) => {
+            const values = options.map(option => option.value);
+            const all = selected && !values.includes(selected) ? [{ value: selected, count: 0 }, ...options] : options;
+            return html`
+                <label class="filter-group">
+                    <span class="filter-label">${label}</span>
+                    <select data-filter="${filter}">
+                        <option value="">${anyLabel}</option>
+                        ${all.map(option => html`
+                            <option value="${option.value}" ${option.value === selected ? 'selected' : ''}>
+                                ${option.value} (${option.count})
+                            </option>
+                        `)}
+                    </select>
+                </label>
+            `;
+        };
+
+        ZepplinHtml.render(this.$('#search-filters'), html`
+            <h2 class="filters-title">Filters</h2>
+            ${select('category', 'Category', 'All categories', facets.categories, state.category)}
+            ${select('license', 'License', 'Any license', facets.licenses, state.license)}
+            ${select('minZig', 'Works with Zig', 'Any version', facets.zigVersions, state.minZig)}
+            <label class="filter-check">
+                <input type="checkbox" data-filter="hasReleases" ${state.hasReleases ? 'checked' : ''}>
+                Has releases
+            </label>
+            ${this.hasFilters ? html`<button type="button" class="filter-clear" id="clear-filters">Clear filters</button>` : ''}
+        `);
+    }
+
+    renderPagination(page, totalPages) {
+        const paginationEl = this.$('#pagination');
+        if (totalPages <= 1) {
+            ZepplinHtml.clear(paginationEl);
+            return;
+        }
+
+        const href = (target) => `${this.path}?${this.queryFor({ ...this.state, page: target })}`;
+        const link = (target, label, extra = '') =>
+            html`<a href="${href(target)}" data-page="${target}" class="page-link${extra}" ${target === page ? html`aria-current="page"` : ''}>${label}</a>`;
+
+        // First, last and two pages either side of the current one
+        const pages = [];
+        for (let p = 1; p <= totalPages; p++) {
+            if (p === 1 || p === totalPages || Math.abs(p - page) <= 2) {
+                pages.push(p);
+            } else if (pages[pages.length - 1] !== '…') {
+                pages.push('…');
+            }
+        }
+
+        ZepplinHtml.render(paginationEl, html`${[
+            page > 1 ? link(page - 1, html`&larr; Previous`, ' page-prev') : '',
+            ...pages.map(p => p === '…'
+                ? html`<span class="page-gap">…</span>`
+                : link(p, String(p), p === page ? ' active' : '')),
+            page < totalPages ? link(page + 1, html`Next &rarr;`, ' page-next') : ''
+        ]}`);
+    }
+}
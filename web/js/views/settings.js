@@ -0,0 +1,729 @@
+// Zepplin Registry - Settings view
+// Account settings for /settings: profile, theme, notification emails, sign-in
+// methods (password plus linked GitHub and Microsoft accounts), API tokens and
+// account deletion.
+
+class SettingsView extends ZepplinView {
+    static providerIcons = {
+        'github': 'https://github.githubassets.com/favicons/favicon-dark.svg',
+        'microsoft': 'https://www.microsoft.com/favicon.ico',
+        'google': 'https://www.google.com/favicon.ico',
+        'local': '/assets/logo/Zepplin-logo.png'
+    };
+
+    static providerNames = {
+        'github': 'GitHub',
+        'microsoft': 'Microsoft',
+        'google': 'Google',
+        'local': 'Password'
+    };
+
+    static tokenScopes = [
+        ['publish', 'upload new releases'],
+        ['yank', 'delete releases'],
+        ['alias', 'create package aliases'],
+        ['comment', 'post package comments']
+    ];
+
+    static digestFrequencies = [
+        ['off', 'Off'],
+        ['daily', 'Daily'],
+        ['weekly', 'Weekly']
+    ];
+
+    static tokenExpiries = [
+        ['7', '7 days'],
+        ['30', '30 days'],
+        ['90', '90 days'],
+        ['365', '1 year'],
+        ['', 'No expiration']
+    ];
+
+    get title() {
+        return 'Settings';
+    }
+
+    render() {
+        return html`
+            <div class="view-page settings-page">
+                <div class="view-header">
+                    <h1>Settings</h1>
+                </div>
+                <div id="settings-content">
+                    <div class="view-loading">Loading settings...</div>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        const user = await this.app.authReady;
+        const content = this.$('#settings-content');
+
+        if (!user) {
+            ZepplinHtml.render(content, html`<div class="view-card">${this.app.renderSignInPrompt('access settings')}</div>`);
+            return;
+        }
+        this.user = user;
+
+        ZepplinHtml.render(content, html`
+            <div class="view-card settings-card">
+                <h2>Profile</h2>
+                <form class="profile-form" id="profile-form">
+                    <div class="form-group">
+                        <label for="profile-username">Username</label>
+                        <input type="text" id="profile-username" value="${user.username}" disabled>
+                    </div>
+                    <div class="form-group">
+                        <label for="profile-display-name">Display name</label>
+                        <input type="text" id="profile-display-name" name="display_name" maxlength="64" value="${user.display_name || ''}" placeholder="${user.username}">
+                    </div>
+                    <div class="form-group">
+                        <label for="profile-email">Email</label>
+                        <input type="email" id="profile-email" name="email" maxlength="254" value="${user.email || ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="profile-avatar">Avatar URL</label>
+                        <input type="url" id="profile-avatar" name="avatar_url" maxlength="512" value="${user.avatar_url || ''}" placeholder="https://">
+                    </div>
+                    <p class="setting-hint">Leave a field empty to use the value from your sign-in provider.</p>
+                    <div class="setting-action">
+                        <button type="submit">Save Profile</button>
+                    </div>
+                </form>
+            </div>
+
+            <div class="view-card settings-card">
+                <h2>Appearance</h2>
+                <fieldset class="theme-options" id="theme-options">
+                    <legend>Theme</legend>
+                    ${['system', ...ZepplinTheme.THEMES].map(theme => html`
+                        <label class="theme-option">
+                            <input type="radio" name="theme" value="${theme}">
+                            <span class="theme-swatch theme-swatch-${theme}" aria-hidden="true"></span>
+                            ${ZepplinTheme.LABELS[theme]}
+                        </label>
+                    `)}
+                </fieldset>
+                <p class="setting-hint">System follows your device's light, dark and contrast settings. The theme is saved to your account and used on every browser you sign in to.</p>
+            </div>
+
+            <div class="view-card settings-card">
+                <h2>Notifications</h2>
+                <fieldset class="digest-options" id="digest-options">
+                    <legend>Email digest</legend>
+                    ${SettingsView.digestFrequencies.map(([value, label]) => html`
+                        <label class="digest-option">
+                            <input type="radio" name="email_digest" value="${value}" ${(user.email_digest || 'off') === value && 'checked'}>
+                            ${label}
+                        </label>
+                    `)}
+                </fieldset>
+                <p class="setting-hint">
+                    A summary of new releases from the packages you watch, sent to ${user.email || 'your account email'}.
+                    Every release also shows up under <a href="/notifications">Notifications</a>.
+                </p>
+            </div>
+
+            <div class="view-card settings-card">
+                <h2>Sign-in Methods</h2>
+                <div id="identity-list">
+                    <div class="view-loading">Loading sign-in methods...</div>
+                </div>
+                <form class="password-form" id="password-form" hidden></form>
+            </div>
+
+            <div class="view-card settings-card">
+                <h2>API Tokens</h2>
+                <div class="setting-row">
+                    <div class="setting-info">
+                        <h3>Personal access tokens</h3>
+                        <p>For the CLI and CI. Send as <code>Authorization: Bearer &lt;token&gt;</code>; each token only gets the scopes you pick.</p>
+                    </div>
+                    <div class="setting-action">
+                        <button type="button" id="new-token">Generate New Token</button>
+                    </div>
+                </div>
+                <form class="token-form" id="token-form" hidden></form>
+                <div id="token-secret"></div>
+                <div id="token-list">
+                    <div class="view-loading">Loading tokens...</div>
+                </div>
+            </div>
+
+            <div class="view-card settings-card">
+                <h2>Danger Zone</h2>
+                <div class="setting-row">
+                    <div class="setting-info">
+                        <h3>Delete Account</h3>
+                        <p>Permanently delete your account, its sign-in methods and tokens. Your packages are transferred or orphaned.</p>
+                    </div>
+                    <div class="setting-action">
+                        <button type="button" class="danger" id="delete-account">Delete Account</button>
+                    </div>
+                </div>
+                <div class="delete-flow" id="delete-flow" hidden></div>
+            </div>
+        `);
+
+        this.$('#profile-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfile(e.currentTarget);
+        });
+        this.$('#theme-options').addEventListener('change', (e) => this.app.setTheme(e.target.value));
+        // The header toggle changes it too
+        document.addEventListener('zepplin:themechange', () => this.showTheme(), { signal: this.signal });
+        this.showTheme();
+        this.$('#digest-options').addEventListener('change', (e) => this.saveDigest(e.target));
+        this.$('#identity-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const { action, provider } = button.dataset;
+            if (action === 'link') this.linkProvider(provider, button);
+            else if (action === 'unlink') this.unlinkProvider(provider, button);
+            else if (action === 'password') this.showPasswordForm();
+        });
+        this.$('#password-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePassword(e.currentTarget);
+        });
+        this.$('#new-token').addEventListener('click', () => this.showTokenForm());
+        this.$('#token-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createToken(e.currentTarget);
+        });
+        this.$('#token-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-revoke]');
+            if (button) this.revokeToken(button.dataset.revoke, button.dataset.name, button);
+        });
+        this.$('#delete-account').addEventListener('click', () => this.showDeleteFlow());
+
+        // Back from a provider: a finished link, or a fresh sign-in to confirm deletion
+        const linked = this.query.get('linked');
+        const confirmingDelete = this.query.get('delete') === 'confirm';
+        if (linked || confirmingDelete) this.setQuery(new URLSearchParams(), { replace: true });
+        if (linked) this.app.showSuccess(`Linked your ${this.providerName(linked)} account`);
+
+        await Promise.all([this.loadIdentities(), this.loadTokens()]);
+        if (confirmingDelete && this.active) this.showDeleteOptions();
+    }
+
+    getProviderIcon(provider) {
+        return SettingsView.providerIcons[provider] || SettingsView.providerIcons['local'];
+    }
+
+    providerName(provider) {
+        return SettingsView.providerNames[provider] || provider;
+    }
+
+    showTheme() {
+        const preference = ZepplinTheme.preference();
+        this.$$('#theme-options input').forEach(input => {
+            input.checked = input.value === preference;
+        });
+    }
+
+    async saveProfile(form) {
+        const data = new FormData(form);
+        const submit = form.querySelector('button[type="submit"]');
+        submit.disabled = true;
+
+        try {
+            await this.app.api.updateProfile({
+                displayName: data.get('display_name').trim(),
+                email: data.get('email').trim(),
+                avatarUrl: data.get('avatar_url').trim()
+            }, { signal: this.signal });
+
+            // The server fills empty fields in from the sign-in provider
+            const user = await this.app.api.getCurrentUser({ signal: this.signal });
+            this.user = user;
+            this.app.setCurrentUser(user);
+            this.app.showSuccess('Profile saved');
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to save profile:', error);
+            this.app.showError(`Couldn't save your profile: ${this.app.describeError(error)}`);
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    async saveDigest(input) {
+        const fieldset = this.$('#digest-options');
+        const previous = this.user.email_digest || 'off';
+        fieldset.disabled = true;
+
+        try {
+            await this.app.api.updateProfile({ emailDigest: input.value }, { signal: this.signal });
+            this.user = { ...this.user, email_digest: input.value };
+            this.app.setCurrentUser(this.user);
+            this.app.showSuccess(input.value === 'off' ? 'Email digest turned off' : `You'll get a ${input.value} email digest`);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to save email digest:', error);
+            this.app.showError(`Couldn't save your email digest: ${this.app.describeError(error)}`);
+            this.$$('#digest-options input').forEach(radio => {
+                radio.checked = radio.value === previous;
+            });
+        } finally {
+            fieldset.disabled = false;
+        }
+    }
+
+    async loadIdentities() {
+        const listEl = this.$('#identity-list');
+        try {
+            this.account = await this.app.api.getIdentities({ signal: this.signal });
+            this.renderIdentities();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load sign-in methods:', error);
+            this.app.renderErrorCard(listEl, error, {
+                title: 'Couldn\'t load your sign-in methods',
+                onRetry: () => this.loadIdentities()
+            });
+        }
+    }
+
+    // The password first, then every provider that is linked or can be
+    renderIdentities() {
+        const { has_password: hasPassword, identities, providers } = this.account;
+        const methods = identities.length + (hasPassword ? 1 : 0);
+        const lastMethod = methods <= 1;
+        const linked = new Map(identities.map(identity => [identity.provider, identity]));
+        const names = [...new Set([...identities.map(identity => identity.provider), ...providers])];
+
+        const unlinkButton = (provider) => html`
+            <button type="button" class="danger" data-action="unlink" data-provider="${provider}" ${lastMethod && html`disabled title="Add another way to sign in first"`}>${provider === 'local' ? 'Remove' : 'Unlink'}</button>
+        `;
+
+        ZepplinHtml.render(this.$('#identity-list'), html`
+            <ul class="linked-accounts">
+                <li class="linked-account">
+                    <img src="${this.getProviderIcon('local')}" alt="" class="linked-account-icon">
+                    <div class="linked-account-info">
+                        <div class="linked-account-name">Password</div>
+                        <div class="linked-account-email">${hasPassword ? `Sign in as ${this.account.username}` : 'Not set'}</div>
+                    </div>
+                    <div class="setting-action">
+                        <button type="button" data-action="password">${hasPassword ? 'Change' : 'Set Password'}</button>
+                        ${hasPassword && unlinkButton('local')}
+                    </div>
+                </li>
+                ${names.map(provider => {
+                    const identity = linked.get(provider);
+                    return html`
+                        <li class="linked-account${identity ? '' : ' linked-account-unlinked'}">
+                            <img src="${this.getProviderIcon(provider)}" alt="" class="linked-account-icon">
+                            <div class="linked-account-info">
+                                <div class="linked-account-name">${this.providerName(provider)}</div>
+                                <div class="linked-account-email">
+                                    ${identity
+                                        ? `${identity.email || identity.display_name || 'Linked'} · linked ${this.app.formatDate(identity.linked_at)}`
+                                        : 'Not linked'}
+                                </div>
+                            </div>
+                            <div class="setting-action">
+                                ${identity
+                                    ? unlinkButton(provider)
+                                    : html`<button type="button" data-action="link" data-provider="${provider}">Link</button>`}
+                            </div>
+                        </li>
+                    `;
+                })}
+            </ul>
+            ${lastMethod && html`<p class="setting-hint">This is your only way to sign in, so it can't be removed.</p>`}
+        `);
+    }
+
+    // The provider's sign-in page comes back to /settings?linked=...
+    async linkProvider(provider, button) {
+        button.disabled = true;
+        try {
+            const { authorization_url: url } = await this.app.api.startLink(provider, { signal: this.signal });
+            window.location.assign(url);
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to start linking:', error);
+            this.app.showError(`Couldn't link ${this.providerName(provider)}: ${this.app.describeError(error)}`);
+            button.disabled = false;
+        }
+    }
+
+    async unlinkProvider(provider, button) {
+        const name = this.providerName(provider);
+        const question = provider === 'local'
+            ? 'Remove your password? You will only be able to sign in with your linked accounts.'
+            : `Unlink ${name}? You won't be able to sign in with it any more.`;
+        if (!confirm(question)) return;
+
+        button.disabled = true;
+        try {
+            await this.app.api.unlinkIdentity(provider, { signal: this.signal });
+            this.app.showSuccess(provider === 'local' ? 'Password removed' : `Unlinked ${name}`);
+            await this.loadIdentities();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to unlink:', error);
+            this.app.showError(`Couldn't remove ${name}: ${this.app.describeError(error)}`);
+            button.disabled = false;
+        }
+    }
+
+    showPasswordForm() {
+        const form = this.$('#password-form');
+        const hasPassword = this.account?.has_password;
+        ZepplinHtml.render(form, html`
+            ${hasPassword && html`
+                <div class="form-group">
+                    <label for="current-password">Current password</label>
+                    <input type="password" id="current-password" name="current_password" autocomplete="current-password" required>
+                </div>
+            `}
+            <div class="form-group">
+                <label for="new-password">New password</label>
+                <input type="password" id="new-password" name="password" autocomplete="new-password" minlength="8" maxlength="128" required>
+            </div>
+            <div class="form-group">
+                <label for="confirm-password">Confirm new password</label>
+                <input type="password" id="confirm-password" name="confirm" autocomplete="new-password" minlength="8" maxlength="128" required>
+            </div>
+            <div class="token-form-actions setting-action">
+                <button type="submit">${hasPassword ? 'Change Password' : 'Set Password'}</button>
+                <button type="button" id="cancel-password">Cancel</button>
+            </div>
+        `);
+        form.hidden = false;
+        this.$('#cancel-password').addEventListener('click', () => this.hidePasswordForm());
+        form.querySelector('input').focus();
+    }
+
+    hidePasswordForm() {
+        const form = this.$('#password-form');
+        form.hidden = true;
+        ZepplinHtml.clear(form);
+    }
+
+    async savePassword(form) {
+        const data = new FormData(form);
+        if (data.get('password') !== data.get('confirm')) {
+            this.app.showError('The new passwords don\'t match.');
+            return;
+        }
+
+        const submit = form.querySelector('button[type="submit"]');
+        submit.disabled = true;
+        try {
+            await this.app.api.setPassword(data.get('password'), data.get('current_password'), { signal: this.signal });
+            this.hidePasswordForm();
+            this.app.showSuccess('Password saved');
+            await this.loadIdentities();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to save password:', error);
+            this.app.showError(`Couldn't save the password: ${this.app.describeError(error)}`);
+            submit.disabled = false;
+        }
+    }
+
+    async loadTokens() {
+        const listEl = this.$('#token-list');
+        try {
+            this.renderTokens(await this.app.api.listTokens({ signal: this.signal }));
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load API tokens:', error);
+            this.app.renderErrorCard(listEl, error, {
+                title: 'Couldn\'t load your tokens',
+                onRetry: () => this.loadTokens()
+            });
+        }
+    }
+
+    renderTokens(tokens) {
+        const listEl = this.$('#token-list');
+        if (tokens.length === 0) {
+            ZepplinHtml.render(listEl, html`<p class="token-empty">No tokens yet.</p>`);
+            return;
+        }
+
+        const now = Date.now();
+        ZepplinHtml.render(listEl, html`
+            <ul class="token-list">
+                ${tokens.map(token => {
+                    const expires = token.expires_at ? this.app.toDate(token.expires_at) : null;
+                    const expired = expires && expires.getTime() <= now;
+                    return html`
+                        <li class="token-item${expired ? ' token-expired' : ''}">
+                            <div class="token-info">
+                                <div class="token-name">${token.name}</div>
+                                <code class="token-prefix">${token.token_prefix}&hellip;</code>
+                                ${(token.scopes || []).map(scope => html`<span class="version-badge">${scope}</span>`)}
+                                <div class="token-meta">
+                                    Created ${this.app.formatDate(token.created_at)}
+                                    &middot; ${token.last_used_at ? `Last used ${this.app.formatDate(token.last_used_at)}` : 'Never used'}
+                                    &middot; ${expires ? `${expired ? 'Expired' : 'Expires'} ${expires.toLocaleDateString()}` : 'No expiry'}
+                                </div>
+                            </div>
+                            <div class="setting-action">
+                                <button type="button" class="danger" data-revoke="${token.id}" data-name="${token.name}">Revoke</button>
+                            </div>
+                        </li>
+                    `;
+                })}
+            </ul>
+        `);
+    }
+
+    showTokenForm() {
+        const form = this.$('#token-form');
+        ZepplinHtml.render(form, html`
+            <div class="form-group">
+                <label for="token-name">Name <span class="required">*</span></label>
+                <input type="text" id="token-name" name="name" maxlength="64" required placeholder="e.g. GitHub Actions release">
+            </div>
+            <fieldset class="form-group token-scopes">
+                <legend>Scopes <span class="required">*</span></legend>
+                ${SettingsView.tokenScopes.map(([scope, description]) => html`
+                    <label class="token-scope">
+                        <input type="checkbox" name="scopes" value="${scope}" ${scope === 'publish' && html`checked`}>
+                        <span><strong>${scope}</strong> &mdash; ${description}</span>
+                    </label>
+                `)}
+            </fieldset>
+            <div class="form-group">
+                <label for="token-expiry">Expiration</label>
+                <select id="token-expiry" name="expires_in_days">
+                    ${SettingsView.tokenExpiries.map(([days, label]) =>
+                        html`<option value="${days}" ${days === '30' && html`selected`}>${label}</option>`)}
+                </select>
+            </div>
+            <div class="token-form-actions setting-action">
+                <button type="submit">Create Token</button>
+                <button type="button" id="cancel-token">Cancel</button>
+            </div>
+        `);
+        form.hidden = false;
+        this.$('#new-token').disabled = true;
+        this.$('#cancel-token').addEventListener('click', () => this.hideTokenForm());
+        this.$('#token-name').focus();
+    }
+
+    hideTokenForm() {
+        const form = this.$('#token-form');
+        form.hidden = true;
+        ZepplinHtml.clear(form);
+        this.$('#new-token').disabled = false;
+    }
+
+    async createToken(form) {
+        const data = new FormData(form);
+        const scopes = data.getAll('scopes');
+        if (scopes.length === 0) {
+            this.app.showError('Pick at least one scope for the token.');
+            return;
+        }
+
+        const submit = form.querySelector('button[type="submit"]');
+        submit.disabled = true;
+        submit.textContent = 'Creating...';
+
+        try {
+            const days = data.get('expires_in_days');
+            const token = await this.app.api.createToken({
+                name: data.get('name').trim(),
+                scopes,
+                expiresInDays: days ? Number(days) : null
+            }, { signal: this.signal });
+
+            this.hideTokenForm();
+            this.showSecret(token);
+            await this.loadTokens();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to create API token:', error);
+            this.app.showError(`Couldn't create the token: ${this.app.describeError(error)}`);
+            submit.disabled = false;
+            submit.textContent = 'Create Token';
+        }
+    }
+
+    // The secret exists only in this response, so it stays on screen until dismissed
+    showSecret(token) {
+        const secretEl = this.$('#token-secret');
+        ZepplinHtml.render(secretEl, html`
+            <div class="token-secret" role="status">
+                <p><strong>Copy &ldquo;${token.name}&rdquo; now.</strong> You won't be able to see it again.</p>
+                <div class="token-secret-row">
+                    <code class="api-token-display" id="token-secret-value">${token.token}</code>
+                    <button type="button" class="copy-btn" id="copy-token">Copy</button>
+                </div>
+                <button type="button" class="token-secret-dismiss" id="dismiss-token">Done</button>
+            </div>
+        `);
+        this.$('#copy-token').addEventListener('click', (e) => this.app.copyToClipboard(token.token, e.currentTarget));
+        this.$('#dismiss-token').addEventListener('click', () => ZepplinHtml.clear(secretEl));
+    }
+
+    async revokeToken(id, name, button) {
+        if (!confirm(`Revoke "${name}"? Anything using this token will stop working immediately.`)) return;
+
+        button.disabled = true;
+        try {
+            await this.app.api.revokeToken(id, { signal: this.signal });
+            this.app.showSuccess(`Revoked "${name}"`);
+            await this.loadTokens();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to revoke API token:', error);
+            this.app.showError(`Couldn't revoke the token: ${this.app.describeError(error)}`);
+            button.disabled = false;
+        }
+    }
+
+    // Deleting starts with signing in again: with the password right here, or
+    // through a linked provider, which comes back to /settings?delete=confirm
+    showDeleteFlow() {
+        const flow = this.$('#delete-flow');
+        const { has_password: hasPassword = false, identities = [] } = this.account || {};
+
+        ZepplinHtml.render(flow, html`
+            <h3>Confirm it's you</h3>
+            <p>Sign in again before deleting your account.</p>
+            ${hasPassword && html`
+                <form class="delete-reauth" id="delete-reauth">
+                    <div class="form-group">
+                        <label for="delete-password">Password for ${this.user.username}</label>
+                        <input type="password" id="delete-password" name="password" autocomplete="current-password" required>
+                    </div>
+                    <div class="setting-action">
+                        <button type="submit">Continue</button>
+                    </div>
+                </form>
+            `}
+            <div class="setting-action delete-providers">
+                ${identities.map(identity => html`
+                    <a href="${this.reauthUrl(identity.provider)}">Continue with ${this.providerName(identity.provider)}</a>
+                `)}
+                <button type="button" id="cancel-delete">Cancel</button>
+            </div>
+        `);
+        flow.hidden = false;
+        this.$('#delete-account').disabled = true;
+        this.$('#cancel-delete').addEventListener('click', () => this.hideDeleteFlow());
+        this.$('#delete-reauth')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.reauthenticate(e.currentTarget);
+        });
+        flow.querySelector('input, a')?.focus();
+    }
+
+    reauthUrl(provider) {
+        const path = provider === 'microsoft' ? '/api/v1/auth/oidc/microsoft/login' : `/api/v1/auth/oauth/${provider}/login`;
+        return `${path}?return_to=${encodeURIComponent('/settings?delete=confirm')}`;
+    }
+
+    hideDeleteFlow() {
+        const flow = this.$('#delete-flow');
+        flow.hidden = true;
+        ZepplinHtml.clear(flow);
+        this.$('#delete-account').disabled = false;
+    }
+
+    async reauthenticate(form) {
+        const submit = form.querySelector('button[type="submit"]');
+        submit.disabled = true;
+        try {
+            // A new session, and with it a new CSRF token, from this moment
+            await this.app.api.login(this.user.username, new FormData(form).get('password'), { signal: this.signal });
+            this.showDeleteOptions();
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            this.app.showError(error instanceof ZepplinAuthError ? 'That password is incorrect.' : `Couldn't sign in: ${this.app.describeError(error)}`);
+            submit.disabled = false;
+        }
+    }
+
+    // What happens to the packages, then typing the username to confirm
+    async showDeleteOptions() {
+        const flow = this.$('#delete-flow');
+        const username = this.user.username;
+        let packageCount = null;
+        try {
+            packageCount = (await this.app.api.getUserPackages(username, { signal: this.signal })).total;
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to count packages:', error);
+        }
+
+        ZepplinHtml.render(flow, html`
+            <form class="delete-confirm" id="delete-confirm">
+                <h3>Delete ${username}</h3>
+                <fieldset class="form-group delete-packages">
+                    <legend>${packageCount === null ? 'Your packages' : `Your ${this.app.formatNumber(packageCount)} package${packageCount === 1 ? '' : 's'}`}</legend>
+                    <label class="token-scope">
+                        <input type="radio" name="packages" value="transfer" checked>
+                        <span>Transfer to another account</span>
+                    </label>
+                    <input type="text" name="transfer_to" id="transfer-to" aria-label="Account to transfer packages to" placeholder="Username">
+                    <label class="token-scope">
+                        <input type="radio" name="packages" value="orphan">
+                        <span>Orphan them: they stay published without a maintainer</span>
+                    </label>
+                </fieldset>
+                <div class="form-group">
+                    <label for="delete-username">Type <strong>${username}</strong> to confirm</label>
+                    <input type="text" id="delete-username" name="confirm" autocomplete="off" required>
+                </div>
+                <div class="token-form-actions setting-action">
+                    <button type="submit" class="danger">Delete Account Forever</button>
+                    <button type="button" id="cancel-delete">Cancel</button>
+                </div>
+            </form>
+        `);
+        flow.hidden = false;
+        this.$('#delete-account').disabled = true;
+
+        const form = this.$('#delete-confirm');
+        const transferInput = this.$('#transfer-to');
+        form.addEventListener('change', () => {
+            transferInput.disabled = form.elements.packages.value !== 'transfer';
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.deleteAccount(form);
+        });
+        this.$('#cancel-delete').addEventListener('click', () => this.hideDeleteFlow());
+        flow.scrollIntoView({ block: 'nearest' });
+        transferInput.focus();
+    }
+
+    async deleteAccount(form) {
+        const data = new FormData(form);
+        if (data.get('confirm').trim() !== this.user.username) {
+            this.app.showError('Type your username exactly to confirm.');
+            return;
+        }
+        const packages = data.get('packages');
+        const transferTo = packages === 'transfer' ? (data.get('transfer_to') || '').trim() : null;
+        if (packages === 'transfer' && !transferTo) {
+            this.app.showError('Enter the account to transfer your packages to, or orphan them.');
+            return;
+        }
+
+        const submit = form.querySelector('button[type="submit"]');
+        submit.disabled = true;
+        try {
+            await this.app.api.deleteAccount({ packages, transferTo }, { signal: this.signal });
+            this.app.clearSession();
+            this.app.navigate('/', { replace: true });
+            this.app.showSuccess('Your account has been deleted');
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to delete account:', error);
+            this.app.showError(`Couldn't delete your account: ${this.app.describeError(error)}`);
+            submit.disabled = false;
+        }
+    }
+}
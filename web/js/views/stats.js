@@ -0,0 +1,270 @@
+// Zepplin Registry - Download statistics view
+// /stats charts registry-wide downloads next to the most downloaded packages;
+// /packages/{owner}/{repo}/stats charts one package by version. The range is
+// kept in ?range= so a chart can be linked, and what's charted can be
+// exported as CSV.
+
+class StatsView extends ZepplinView {
+    static RANGES = [['7d', '7 days'], ['30d', '30 days'], ['90d', '90 days'], ['1y', '1 year']];
+    static INTERVALS = { day: 86400, week: 7 * 86400 };
+    // Versions past these are summed into "Other"
+    static LINE_SERIES = 5;
+    static BAR_VERSIONS = 10;
+
+    constructor(app, route) {
+        super(app, route);
+
+        this.owner = this.params.owner || null;
+        this.repo = this.params.repo || null;
+        this.history = null;
+    }
+
+    get title() {
+        return this.owner ? `${this.owner}/${this.repo} downloads` : 'Download Statistics';
+    }
+
+    get range() {
+        const range = this.query.get('range');
+        return StatsView.RANGES.some(([value]) => value === range) ? range : '30d';
+    }
+
+    render() {
+        const packageHref = this.owner ? this.app.packagePath({ owner: this.owner, repo: this.repo }) : null;
+
+        return html`
+            <div class="view-page stats-page">
+                <div class="view-header">
+                    <div class="view-header-row">
+                        ${this.owner
+                            ? html`<h1>Downloads of <a href="${packageHref}">${this.owner}/${this.repo}</a></h1>`
+                            : html`<h1>Download Statistics</h1>`}
+                        <div class="stats-controls">
+                            <div class="range-picker" role="group" aria-label="Time range">
+                                ${StatsView.RANGES.map(([value, label]) => html`
+                                    <button type="button" class="owned-action" data-range="${value}" aria-pressed="${value === this.range}">${label}</button>
+                                `)}
+                            </div>
+                            <button type="button" class="owned-action" id="stats-export" disabled>Export CSV</button>
+                        </div>
+                    </div>
+                    <p>${this.owner
+                        ? 'Downloads per version, counted when a release archive is fetched.'
+                        : 'Downloads across the registry, counted when a release archive is fetched.'}</p>
+                </div>
+
+                <div id="stats-result">
+                    <div class="view-loading">Loading download history...</div>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        this.$('.range-picker').addEventListener('click', (e) => {
+            const range = e.target.closest('[data-range]')?.dataset.range;
+            if (!range || range === this.range) return;
+            const query = new URLSearchParams(this.query);
+            query.set('range', range);
+            this.setQuery(query);
+            this.$$('[data-range]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.range === range));
+            });
+            this.loadHistory();
+        });
+        this.$('#stats-export').addEventListener('click', () => this.exportCsv());
+
+        await this.loadHistory();
+    }
+
+    async loadHistory() {
+        const resultEl = this.$('#stats-result');
+        const exportButton = this.$('#stats-export');
+        exportButton.disabled = true;
+        ZepplinHtml.render(resultEl, html`<div class="view-loading">Loading download history...</div>`);
+
+        try {
+            const history = this.owner
+                ? await this.app.api.getPackageDownloads(this.owner, this.repo, this.range, { signal: this.signal })
+                : await this.app.api.getDownloadHistory(this.range, { signal: this.signal });
+            this.history = { ...history, buckets: StatsView.buckets(history) };
+            if (this.owner) this.showPackage(this.history);
+            else this.showRegistry(this.history);
+            exportButton.disabled = false;
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load download history:', error);
+            this.app.renderErrorCard(resultEl, error, {
+                title: 'Download history is unavailable',
+                onRetry: () => this.loadHistory()
+            });
+        }
+    }
+
+    // Every bucket start in the range; the API leaves out buckets with no downloads
+    static buckets({ from, to, interval }) {
+        const step = StatsView.INTERVALS[interval] || StatsView.INTERVALS.day;
+        const buckets = [];
+        for (let time = Number(from); time <= Number(to); time += step) buckets.push(time);
+        return buckets;
+    }
+
+    static fill(buckets, series = []) {
+        const counts = new Map(series.map(point => [Number(point.bucket), Number(point.count) || 0]));
+        return buckets.map(bucket => counts.get(bucket) || 0);
+    }
+
+    static bucketLabel(time) {
+        return new Date(time * 1000).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    static bucketDate(time) {
+        return new Date(time * 1000).toISOString().slice(0, 10);
+    }
+
+    renderSummary(history, values) {
+        const unit = history.interval === 'week' ? 'week' : 'day';
+        const total = Number(history.total) || 0;
+        const peak = values.reduce((best, value, i) => value > values[best] ? i : best, 0);
+
+        return html`
+            <div class="stats-summary">
+                <div class="view-card"><strong>${this.app.formatNumber(total)}</strong><span>downloads</span></div>
+                <div class="view-card"><strong>${this.app.formatNumber(Math.round(total / Math.max(1, values.length) * 10) / 10)}</strong><span>per ${unit} on average</span></div>
+                <div class="view-card">
+                    <strong>${this.app.formatNumber(values[peak] || 0)}</strong>
+                    <span>busiest ${unit}${values[peak] ? ` (${StatsView.bucketLabel(history.buckets[peak])})` : ''}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    showRegistry(history) {
+        const values = StatsView.fill(history.buckets, history.series);
+        const topPackages = history.top_packages || [];
+        const format = value => this.app.formatNumber(value);
+
+        ZepplinHtml.render(this.$('#stats-result'), html`
+            ${this.renderSummary(history, values)}
+            <div class="stats-layout">
+                <section class="view-card stats-chart">
+                    <h2>Downloads per ${history.interval === 'week' ? 'week' : 'day'}</h2>
+                    ${ZepplinChart.bar({
+                        labels: history.buckets.map(StatsView.bucketLabel),
+                        values,
+                        label: `Registry downloads per ${history.interval}`,
+                        format
+                    })}
+                </section>
+                <section class="view-card stats-top">
+                    <h2>Most downloaded</h2>
+                    ${topPackages.length === 0 ? html`<p class="muted">No downloads in this range yet.</p>` : html`
+                        <ol class="stats-top-list">
+                            ${topPackages.map(entry => {
+                                const [owner, repo] = String(entry.package).split('/');
+                                return html`
+                                    <li>
+                                        ${repo ? html`<a href="${this.app.packagePath({ owner, repo })}/stats?range=${this.range}">${entry.package}</a>` : entry.package}
+                                        <span>${format(Number(entry.count) || 0)}</span>
+                                    </li>
+                                `;
+                            })}
+                        </ol>
+                    `}
+                </section>
+            </div>
+        `);
+    }
+
+    showPackage(history) {
+        const versions = history.versions || [];
+        const resultEl = this.$('#stats-result');
+        if (versions.length === 0) {
+            ZepplinHtml.render(resultEl, html`
+                <div class="view-card empty-state">
+                    <h2>No downloads yet</h2>
+                    <p>Nothing was downloaded in this range.</p>
+                </div>
+            `);
+            return;
+        }
+
+        const labels = history.buckets.map(StatsView.bucketLabel);
+        const format = value => this.app.formatNumber(value);
+        const lineSeries = StatsView.topWithOther(versions, StatsView.LINE_SERIES).map(entry => ({
+            name: entry.name,
+            values: entry.series
+                ? StatsView.fill(history.buckets, entry.series)
+                : StatsView.sum(entry.rest.map(version => StatsView.fill(history.buckets, version.series)))
+        }));
+        const barVersions = StatsView.topWithOther(versions, StatsView.BAR_VERSIONS);
+        const totals = StatsView.sum(versions.map(version => StatsView.fill(history.buckets, version.series)), labels.length);
+
+        ZepplinHtml.render(resultEl, html`
+            ${this.renderSummary(history, totals)}
+            <section class="view-card stats-chart">
+                <h2>Downloads per ${history.interval === 'week' ? 'week' : 'day'} by version</h2>
+                ${ZepplinChart.line({ labels, series: lineSeries, label: `Downloads per ${history.interval} by version`, format })}
+                ${ZepplinChart.legend(lineSeries.map(entry => entry.name))}
+            </section>
+            <section class="view-card stats-chart">
+                <h2>Downloads by version</h2>
+                ${ZepplinChart.bar({
+                    labels: barVersions.map(entry => entry.name),
+                    values: barVersions.map(entry => entry.total),
+                    label: 'Downloads by version',
+                    format
+                })}
+            </section>
+        `);
+    }
+
+    // Versions arrive busiest first; past `limit` they're folded into "Other"
+    static topWithOther(versions, limit) {
+        const named = entry => ({ ...entry, name: `v${String(entry.version).replace(/^v/, '')}`, total: Number(entry.total) || 0 });
+        if (versions.length <= limit) return versions.map(named);
+        const rest = versions.slice(limit - 1);
+        return [
+            ...versions.slice(0, limit - 1).map(named),
+            { name: 'Other', total: rest.reduce((sum, entry) => sum + (Number(entry.total) || 0), 0), rest }
+        ];
+    }
+
+    static sum(rows, length = rows[0]?.length || 0) {
+        return Array.from({ length }, (_, i) => rows.reduce((total, row) => total + row[i], 0));
+    }
+
+    exportCsv() {
+        const history = this.history;
+        if (!history) return;
+
+        let rows;
+        if (this.owner) {
+            const versions = history.versions || [];
+            const columns = versions.map(version => StatsView.fill(history.buckets, version.series));
+            rows = [['date', ...versions.map(version => version.version), 'total']];
+            history.buckets.forEach((bucket, i) => {
+                const counts = columns.map(column => column[i]);
+                rows.push([StatsView.bucketDate(bucket), ...counts, counts.reduce((a, b) => a + b, 0)]);
+            });
+        } else {
+            const values = StatsView.fill(history.buckets, history.series);
+            rows = [['date', 'downloads'], ...history.buckets.map((bucket, i) => [StatsView.bucketDate(bucket), values[i]])];
+        }
+
+        const csv = rows.map(row => row.map(StatsView.csvField).join(',')).join('\r\n') + '\r\n';
+        const name = this.owner ? `${this.owner}-${this.repo}` : 'zepplin';
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}-downloads-${this.range}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    static csvField(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
@@ -0,0 +1,181 @@
+// Zepplin Registry - Trending view
+// Ranked packages for /trending. The registry's own ranking comes first; when
+// it has fewer than a full page, Zigistry's ecosystem ranking fills the rest.
+// Every entry says which of the two it came from. The period is kept in
+// ?period= so a ranking can be linked.
+
+class TrendingView extends ZepplinView {
+    static PERIODS = [['week', 'This Week'], ['month', 'This Month'], ['all', 'All Time']];
+    static LIMIT = 20;
+    // What movement is compared against; all-time ranks move week to week
+    static SINCE = { week: 'last week', month: 'last month', all: 'last week' };
+
+    get title() {
+        return 'Trending Packages';
+    }
+
+    get period() {
+        const period = this.query.get('period');
+        return TrendingView.PERIODS.some(([value]) => value === period) ? period : 'week';
+    }
+
+    render() {
+        return html`
+            <div class="view-page trending-page">
+                <div class="view-header">
+                    <h1>Trending Packages</h1>
+                    <p>Ranked by download growth, new releases and discussion on this registry.</p>
+                </div>
+
+                <div class="time-filters" role="group" aria-label="Period">
+                    ${TrendingView.PERIODS.map(([value, label]) => html`
+                        <button type="button" class="time-filter${value === this.period ? ' active' : ''}" data-period="${value}" aria-pressed="${value === this.period}">${label}</button>
+                    `)}
+                </div>
+
+                <div class="view-loading" id="loading">Loading trending packages...</div>
+                <p class="muted trending-note" id="trending-note" hidden></p>
+                <ol class="package-list trending-list" id="package-list"></ol>
+                <div class="empty-state" id="empty-state" style="display: none;">
+                    <h2>No trending packages yet</h2>
+                    <p>Be the first to publish a package and start the trend!</p>
+                </div>
+            </div>
+        `;
+    }
+
+    async load() {
+        this.$('.time-filters').addEventListener('click', (e) => {
+            const period = e.target.closest('[data-period]')?.dataset.period;
+            if (!period || period === this.period) return;
+            const query = new URLSearchParams(this.query);
+            query.set('period', period);
+            this.setQuery(query);
+            this.$$('.time-filter').forEach(button => {
+                const active = button.dataset.period === period;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+            this.loadTrending();
+        });
+
+        await this.loadTrending();
+    }
+
+    async loadTrending() {
+        const period = this.period;
+        const loadingEl = this.$('#loading');
+        const noteEl = this.$('#trending-note');
+        const packageListEl = this.$('#package-list');
+        const emptyStateEl = this.$('#empty-state');
+        loadingEl.style.display = 'block';
+        noteEl.hidden = true;
+        ZepplinHtml.clear(packageListEl);
+        emptyStateEl.style.display = 'none';
+
+        let local = [];
+        let localError = null;
+        try {
+            ({ packages: local } = await this.app.api.getTrending({ period, limit: TrendingView.LIMIT }, { signal: this.signal }));
+        } catch (error) {
+            if (error instanceof ZepplinAbortError) return;
+            console.error('Failed to load trending packages:', error);
+            localError = error;
+        }
+
+        let packages = local.map(pkg => ({ ...pkg, source: 'local' }));
+        let zigistryUnavailable = false;
+        if (packages.length < TrendingView.LIMIT) {
+            try {
+                const { packages: zigistry } = await this.app.api.getZigistryTrending({ period, limit: TrendingView.LIMIT }, { signal: this.signal });
+                const seen = new Set(packages.map(pkg => pkg.full_name));
+                packages = packages.concat(zigistry
+                    .filter(pkg => !seen.has(pkg.full_name))
+                    .slice(0, TrendingView.LIMIT - packages.length)
+                    .map(pkg => ({ ...pkg, source: 'zigistry' })));
+            } catch (error) {
+                if (error instanceof ZepplinAbortError) return;
+                zigistryUnavailable = true;
+                if (localError) {
+                    loadingEl.style.display = 'none';
+                    this.app.renderErrorCard(packageListEl, localError, {
+                        title: 'Failed to load trending packages',
+                        onRetry: () => this.loadTrending()
+                    });
+                    return;
+                }
+            }
+        }
+
+        loadingEl.style.display = 'none';
+
+        if (zigistryUnavailable) {
+            noteEl.textContent = 'Zigistry\'s ranking is unavailable right now; showing this registry\'s packages only.';
+            noteEl.hidden = false;
+        }
+
+        if (packages.length === 0) {
+            emptyStateEl.style.display = 'block';
+            return;
+        }
+
+        if (localError) {
+            noteEl.textContent = 'The registry\'s ranking is unavailable right now; showing Zigistry\'s instead.';
+            noteEl.hidden = false;
+        } else if (local.length < packages.length) {
+            noteEl.textContent = local.length === 0
+                ? 'Nothing on this registry has been active in this period; showing Zigistry\'s ranking.'
+                : `${local.length} ${local.length === 1 ? 'package' : 'packages'} from this registry, followed by Zigistry's ranking.`;
+            noteEl.hidden = false;
+        }
+
+        ZepplinHtml.render(packageListEl, html`${packages.map((pkg, index) => this.renderItem(pkg, index + 1, period))}`);
+        this.app.bindPackageCards(packageListEl);
+    }
+
+    renderItem(pkg, position, period) {
+        const local = pkg.source === 'local';
+
+        return html`
+            <li class="trending-item">
+                <div class="package-rank">
+                    <span>#${local ? pkg.rank ?? position : position}</span>
+                    ${local && this.renderMovement(pkg, period)}
+                </div>
+                ${this.app.createPackageCard(pkg)}
+                <div class="trending-meta">
+                    <span class="source-badge source-${local ? 'local' : 'zigistry'}">${local ? 'Local' : 'Zigistry'}</span>
+                    ${local && Array.isArray(pkg.sparkline) && ZepplinChart.sparkline(pkg.sparkline.map(Number), {
+                        label: `${this.app.formatNumber(Number(pkg.downloads) || 0)} downloads ${period === 'all' ? 'in total' : `this ${period}`}`
+                    })}
+                    ${this.renderTrend(pkg.trend_score, period)}
+                </div>
+            </li>
+        `;
+    }
+
+    renderMovement(pkg, period) {
+        const since = TrendingView.SINCE[period];
+        if (pkg.previous_rank == null) {
+            return html`<span class="rank-move new" title="Not ranked ${since}">New</span>`;
+        }
+
+        const change = Number(pkg.previous_rank) - Number(pkg.rank);
+        if (change === 0) {
+            return html`<span class="rank-move same" aria-label="Same rank as ${since}" title="Same rank as ${since}">–</span>`;
+        }
+        const direction = change > 0 ? 'Up' : 'Down';
+        return html`
+            <span class="rank-move ${change > 0 ? 'up' : 'down'}" aria-label="${direction} ${Math.abs(change)} since ${since}" title="${direction} ${Math.abs(change)} since ${since}">
+                ${change > 0 ? '▲' : '▼'}${Math.abs(change)}
+            </span>
+        `;
+    }
+
+    renderTrend(trendScore, period) {
+        if (trendScore == null || period === 'all') return '';
+        const value = Number(trendScore);
+        if (!Number.isFinite(value) || value === 0) return '';
+        return html`<span class="trending-badge${value < 0 ? ' falling' : ''}">${value > 0 ? '+' : ''}${value}% this ${period}</span>`;
+    }
+}
@@ -0,0 +1,186 @@
+// Zepplin Registry - ZON parser
+// Reads build.zig.zon into plain objects: `.{ .a = 1 }` becomes { a: 1 },
+// `.{ "x", "y" }` becomes ['x', 'y'], enum literals like `.name = .foo`
+// become 'foo'. Numbers too large for a double (fingerprints) stay strings.
+
+class ZepplinZonError extends Error {
+    constructor(message, line) {
+        super(`build.zig.zon line ${line}: ${message}`);
+        this.name = 'ZepplinZonError';
+        this.line = line;
+    }
+}
+
+class ZepplinZon {
+    static parse(text) {
+        const parser = new ZepplinZon(text);
+        const value = parser.parseValue();
+        parser.skipSpace();
+        if (parser.pos < parser.text.length) parser.fail('Unexpected content after the top-level value');
+        return value;
+    }
+
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+    }
+
+    fail(message) {
+        const line = this.text.slice(0, this.pos).split('\n').length;
+        throw new ZepplinZonError(message, line);
+    }
+
+    skipSpace() {
+        while (this.pos < this.text.length) {
+            const ch = this.text[this.pos];
+            if (ch === '/' && this.text[this.pos + 1] === '/') {
+                const end = this.text.indexOf('\n', this.pos);
+                this.pos = end === -1 ? this.text.length : end + 1;
+            } else if (/\s/.test(ch)) {
+                this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    peek() {
+        this.skipSpace();
+        return this.text[this.pos];
+    }
+
+    expect(ch) {
+        if (this.peek() !== ch) this.fail(`Expected "${ch}"`);
+        this.pos++;
+    }
+
+    parseValue() {
+        const ch = this.peek();
+        if (ch === '.') {
+            if (this.text[this.pos + 1] === '{') {
+                this.pos += 2;
+                return this.parseContainer();
+            }
+            this.pos++;
+            return this.parseIdentifier();
+        }
+        if (ch === '"') return this.parseString();
+        if (ch === '\\' && this.text[this.pos + 1] === '\\') return this.parseMultilineString();
+        if (ch === '-' || /[0-9]/.test(ch || '')) return this.parseNumber();
+        if (ch === '\'') return this.parseChar();
+
+        const word = this.parseIdentifier();
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        this.fail(`Unexpected identifier "${word}"`);
+    }
+
+    // `.{` already consumed; a struct if the first entry is `.name =`, else a tuple
+    parseContainer() {
+        if (this.peek() === '}') {
+            this.pos++;
+            return {};
+        }
+
+        const isStruct = /^\.\s*(@"(?:[^"\\]|\\.)*"|[A-Za-z_][A-Za-z0-9_]*)\s*=/.test(this.text.slice(this.pos));
+        const result = isStruct ? {} : [];
+
+        while (this.peek() !== '}') {
+            if (this.pos >= this.text.length) this.fail('Unterminated .{');
+            if (isStruct) {
+                this.expect('.');
+                const key = this.parseIdentifier();
+                this.expect('=');
+                result[key] = this.parseValue();
+            } else {
+                result.push(this.parseValue());
+            }
+            if (this.peek() === ',') {
+                this.pos++;
+            } else if (this.peek() !== '}') {
+                this.fail('Expected "," or "}"');
+            }
+        }
+        this.pos++;
+        return result;
+    }
+
+    parseIdentifier() {
+        this.skipSpace();
+        if (this.text.startsWith('@"', this.pos)) {
+            this.pos++;
+            return this.parseString();
+        }
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(this.text.slice(this.pos));
+        if (!match) this.fail('Expected an identifier');
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    parseString() {
+        this.expect('"');
+        let result = '';
+        while (this.pos < this.text.length) {
+            const ch = this.text[this.pos++];
+            if (ch === '"') return result;
+            if (ch === '\n') break;
+            if (ch !== '\\') {
+                result += ch;
+                continue;
+            }
+
+            const escape = this.text[this.pos++];
+            if (escape === 'n') result += '\n';
+            else if (escape === 'r') result += '\r';
+            else if (escape === 't') result += '\t';
+            else if (escape === 'x') {
+                result += String.fromCharCode(parseInt(this.text.slice(this.pos, this.pos + 2), 16));
+                this.pos += 2;
+            } else if (escape === 'u') {
+                const end = this.text.indexOf('}', this.pos);
+                result += String.fromCodePoint(parseInt(this.text.slice(this.pos + 1, end), 16));
+                this.pos = end + 1;
+            } else {
+                result += escape;
+            }
+        }
+        this.fail('Unterminated string');
+    }
+
+    // Consecutive `\\` lines, joined with newlines
+    parseMultilineString() {
+        const lines = [];
+        while (this.peek() === '\\' && this.text[this.pos + 1] === '\\') {
+            const end = this.text.indexOf('\n', this.pos);
+            lines.push(this.text.slice(this.pos + 2, end === -1 ? this.text.length : end));
+            this.pos = end === -1 ? this.text.length : end + 1;
+        }
+        return lines.join('\n');
+    }
+
+    parseNumber() {
+        const match = /^-?(0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|[0-9_]+(\.[0-9_]+)?([eE][-+]?[0-9]+)?)/.exec(this.text.slice(this.pos));
+        if (!match) this.fail('Invalid number');
+        this.pos += match[0].length;
+
+        const literal = match[0].replace(/_/g, '');
+        const value = /^-?0[xob]/.test(literal)
+            ? Number(literal.startsWith('-') ? -BigInt(literal.slice(1)) : BigInt(literal))
+            : Number(literal);
+        return Number.isSafeInteger(value) || !Number.isInteger(value) ? value : literal;
+    }
+
+    // Character literals are integers in Zig
+    parseChar() {
+        this.pos++;
+        const escapes = { n: '\n', r: '\r', t: '\t' };
+        let ch = this.text[this.pos++];
+        if (ch === '\\') {
+            const escape = this.text[this.pos++];
+            ch = escapes[escape] || escape;
+        }
+        this.expect('\'');
+        return ch.codePointAt(0);
+    }
+}
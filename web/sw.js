@@ -0,0 +1,171 @@
+// Zepplin Registry - Service worker
+// Precaches the app shell and serves it and registry metadata
+// stale-while-revalidate, so browsing keeps working on flaky or dropped
+// connections and a deploy reaches the next page load without any manual
+// step. VERSION only names the caches: bump it when what they hold changes
+// shape, and old caches are dropped on activate.
+
+const VERSION = 'v16';
+const SHELL_CACHE = `zepplin-shell-${VERSION}`;
+const API_CACHE = `zepplin-api-${VERSION}`;
+
+const SHELL_FILES = [
+    '/',
+    '/auth',
+    '/docs',
+    '/docs/getting-started',
+    '/css/style.css',
+    '/css/views.css',
+    '/js/api.js',
+    '/js/html.js',
+    '/js/theme.js',
+    '/js/markdown.js',
+    '/js/zon.js',
+    '/js/archive.js',
+    '/js/dep-graph.js',
+    '/js/charts.js',
+    '/js/highlight.js',
+    '/js/diff.js',
+    '/js/release-diff-worker.js',
+    '/js/search-box.js',
+    '/js/command-palette.js',
+    '/js/main.js',
+    '/js/onboarding.js',
+    '/js/views/home.js',
+    '/js/views/browse.js',
+    '/js/views/search.js',
+    '/js/views/trending.js',
+    '/js/views/package.js',
+    '/js/views/publish.js',
+    '/js/views/profile.js',
+    '/js/views/settings.js',
+    '/js/views/my-packages.js',
+    '/js/views/dependencies.js',
+    '/js/views/stats.js',
+    '/js/views/import.js',
+    '/js/views/compare.js',
+    '/js/views/files.js',
+    '/js/views/notifications.js',
+    '/assets/logo/Zepplin-logo.png',
+    '/assets/CKTech-Logo_Brand.png',
+    '/assets/logo/icons/favicon.ico',
+    '/assets/logo/icons/favicon-32.png'
+];
+
+// Public, read-only metadata: the package list, registry stats and package
+// details (info, README). Archive downloads and anything user-specific always
+// go to the network.
+function isCachedApiPath(pathname) {
+    if (pathname === '/api/v1/packages' || pathname === '/api/v1/stats') return true;
+    return /^\/api\/v1\/packages\/[^/]+\/[^/]+(\/readme)?$/.test(pathname);
+}
+
+// Releases and tags must be current when online, because publishing checks
+// them for an existing version, but offline the last copy still shows each
+// release's checksum
+function isReleaseApiPath(pathname) {
+    return /^\/api\/v1\/packages\/[^/]+\/[^/]+\/(releases(\/[^/]+)?|tags)$/.test(pathname);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('zepplin-') && key !== SHELL_CACHE && key !== API_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (isReleaseApiPath(url.pathname)) {
+        event.respondWith(networkFirst(request, API_CACHE));
+    } else if (isCachedApiPath(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, API_CACHE));
+    } else if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, { ignoreSearch: true }));
+    }
+});
+
+// Pages: always try the network so deploys show up immediately; offline,
+// fall back to the cached page or, for client-side routes, the cached shell
+async function networkFirstPage(request) {
+    try {
+        const response = await fetch(request);
+        reportNetwork(true);
+        return response;
+    } catch (error) {
+        reportNetwork(false);
+        const cache = await caches.open(SHELL_CACHE);
+        return (await cache.match(request, { ignoreSearch: true })) ||
+            (await cache.match('/')) ||
+            Response.error();
+    }
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        reportNetwork(true);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        reportNetwork(false);
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName, matchOptions = {}) {
+    const request = event.request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, matchOptions);
+
+    const refresh = fetch(request)
+        .then(response => {
+            reportNetwork(true);
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(error => {
+            reportNetwork(false);
+            throw error;
+        });
+
+    if (cached) {
+        // Keep the worker alive until the background refresh lands
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+// Tells open pages whether the last request reached the server, so the offline
+// banner also appears on links that drop requests while navigator.onLine stays true
+let lastOnline = true;
+
+function reportNetwork(online) {
+    if (online === lastOnline) return;
+    lastOnline = online;
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'zepplin:network', online }));
+    });
+}